@@ -0,0 +1,78 @@
+// Import downloaded vendor EOL bulletins into vendor_eol_bulletins
+//
+// Usage:
+//   node scripts/importVendorBulletins.js --vendor cisco EOX_export.csv [more files...]
+//   node scripts/importVendorBulletins.js --vendor hpe --replace hpe_eol.xlsx
+//
+// Cisco EoX XML files can omit --vendor. --replace removes the vendor's
+// existing records before importing.
+const fs = require('fs');
+const path = require('path');
+const db = require('../src/database/dbConnection');
+const vendorBulletinService = require('../src/services/vendorBulletinService');
+
+async function importVendorBulletins() {
+  const args = process.argv.slice(2);
+  let vendor = null;
+  let replace = false;
+  const files = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--vendor') {
+      vendor = args[++i];
+    } else if (args[i] === '--replace') {
+      replace = true;
+    } else {
+      files.push(args[i]);
+    }
+  }
+
+  if (files.length === 0) {
+    console.error('Usage: node scripts/importVendorBulletins.js --vendor <cisco|hpe|dell> [--replace] <file> [file...]');
+    process.exit(1);
+  }
+
+  let failed = false;
+
+  try {
+    if (replace) {
+      const removed = await vendorBulletinService.clearVendor(vendor);
+      console.log(`🗑️  Removed ${removed} existing ${vendor} bulletin records`);
+    }
+
+    for (const file of files) {
+      try {
+        const summary = await vendorBulletinService.importFile(fs.readFileSync(file), {
+          fileName: path.basename(file),
+          vendor
+        });
+
+        console.log(`✅ ${file}: ${summary.imported} products (${summary.vendor}, ${summary.format})`);
+        if (summary.skipped > 0) {
+          console.log(`   Skipped ${summary.skipped} rows without a product ID or EOL date`);
+        }
+        if (summary.unmappedColumns.length > 0) {
+          console.log(`   Ignored columns: ${summary.unmappedColumns.join(', ')}`);
+        }
+      } catch (error) {
+        failed = true;
+        console.error(`❌ ${file}: ${error.message}`);
+      }
+    }
+
+    const totals = await vendorBulletinService.getSummary();
+    console.log(`\n📊 ${totals.totalProducts} products in local vendor bulletins`);
+    totals.sources.forEach(source => {
+      console.log(`   - ${source.vendor} (${source.source_format}): ${source.products}`);
+    });
+  } catch (error) {
+    failed = true;
+    console.error('❌ Import failed:', error.message);
+  } finally {
+    await db.pool.end();
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+importVendorBulletins();
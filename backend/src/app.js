@@ -23,11 +23,15 @@ app.get('/api/health', (req, res) => {
 const uploadRoutes = require('./routes/upload.routes');
 const phase2Routes = require('./routes/phase2.routes');
 const phase3Routes = require('./routes/phase3.routes');
+const riskRoutes = require('./routes/risk.routes');
+const filterRoutes = require('./routes/filter.routes');
 
 // API Routes
 app.use('/api/phase1', uploadRoutes);
 app.use('/api/phase2', phase2Routes);
 app.use('/api/phase3', phase3Routes);
+app.use('/api/risk-profiles', riskRoutes);
+app.use('/api/filters', filterRoutes);
 
 // Debug endpoint to verify Phase 2 is mounted
 app.get('/api/phase2/test', (req, res) => {
@@ -0,0 +1,128 @@
+// backend/src/controllers/filterController.js
+
+const filterService = require('../services/filterService');
+const { requesterOf } = require('../utils/requester');
+
+// Service errors carry a statusCode for bad input, missing filters and other owners' filters
+const sendError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    error: error.statusCode ? error.message : message,
+    details: error.message
+  });
+};
+
+const filterController = {
+  // Filters the caller may see (?kind=rules or ?kind=columns for one part only)
+  async listFilters(req, res) {
+    const { kind } = req.query;
+    if (kind && !['rules', 'columns'].includes(kind)) {
+      return res.status(400).json({ error: 'kind must be rules or columns' });
+    }
+
+    try {
+      const filters = await filterService.list(requesterOf(req), { kind });
+      res.json({ filters, visibilities: filterService.VISIBILITIES });
+    } catch (error) {
+      console.error('List filters error:', error);
+      sendError(res, error, 'Failed to list filters');
+    }
+  },
+
+  async getFilter(req, res) {
+    try {
+      const filter = await filterService.get(req.params.filterId, requesterOf(req));
+      if (!filter) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+      res.json({ filter });
+    } catch (error) {
+      console.error('Get filter error:', error);
+      sendError(res, error, 'Failed to get filter');
+    }
+  },
+
+  // Save a filter owned by the caller; private unless a visibility is given
+  async createFilter(req, res) {
+    try {
+      const filter = await filterService.create(req.body, requesterOf(req));
+      res.status(201).json({ success: true, filter });
+    } catch (error) {
+      console.error('Create filter error:', error);
+      sendError(res, error, 'Failed to save filter');
+    }
+  },
+
+  // Change a filter; the previous state stays available as a version
+  async updateFilter(req, res) {
+    try {
+      const filter = await filterService.update(req.params.filterId, req.body, requesterOf(req), req.body.note);
+      res.json({ success: true, filter });
+    } catch (error) {
+      console.error('Update filter error:', error);
+      sendError(res, error, 'Failed to update filter');
+    }
+  },
+
+  async deleteFilter(req, res) {
+    try {
+      await filterService.remove(req.params.filterId, requesterOf(req));
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Delete filter error:', error);
+      sendError(res, error, 'Failed to delete filter');
+    }
+  },
+
+  async getVersions(req, res) {
+    try {
+      const versions = await filterService.listVersions(req.params.filterId, requesterOf(req));
+      res.json({ versions });
+    } catch (error) {
+      console.error('Get filter versions error:', error);
+      sendError(res, error, 'Failed to get filter versions');
+    }
+  },
+
+  // Make an earlier version current again (saved as a new version)
+  async restoreVersion(req, res) {
+    try {
+      const filter = await filterService.restoreVersion(req.params.filterId, req.params.version, requesterOf(req));
+      res.json({ success: true, filter });
+    } catch (error) {
+      console.error('Restore filter version error:', error);
+      sendError(res, error, 'Failed to restore filter version');
+    }
+  },
+
+  async getUsage(req, res) {
+    try {
+      const usage = await filterService.usageStats(req.params.filterId, requesterOf(req));
+      res.json({ usage });
+    } catch (error) {
+      console.error('Get filter usage error:', error);
+      sendError(res, error, 'Failed to get filter usage');
+    }
+  },
+
+  // Run a filter over posted items without saving anything
+  async previewFilter(req, res) {
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).json({ error: 'items must be an array' });
+    }
+
+    try {
+      const filter = await filterService.get(req.params.filterId, requesterOf(req));
+      if (!filter) {
+        return res.status(404).json({ error: 'Filter not found' });
+      }
+      const { kept, excluded, stats } = filterService.evaluate(items, filter);
+      res.json({ kept, excluded, stats });
+    } catch (error) {
+      console.error('Preview filter error:', error);
+      sendError(res, error, 'Failed to preview filter');
+    }
+  }
+};
+
+module.exports = filterController;
@@ -5,19 +5,26 @@
 const LifecycleReportOrchestrator = require('../services/lifecycleReportOrchestrator');
 const LifecycleExcelBuilder = require('../services/lifecycleExcelBuilder');
 const LifecycleStatisticsCalculator = require('../services/lifecycleStatisticsCalculator');
+const riskEngine = require('../services/riskEngine');
+const budgetForecastService = require('../services/budgetForecastService');
+const productSuccessorService = require('../services/productSuccessorService');
+const supportContractService = require('../services/supportContractService');
+const rawInventory = require('../utils/rawInventory');
+const SnapshotComparisonService = require('../services/snapshotComparisonService');
 const db = require('../database/dbConnection');
 
 const lifecycleReportController = {
   orchestrator: new LifecycleReportOrchestrator(),
   excelBuilder: new LifecycleExcelBuilder(),
   statsCalculator: new LifecycleStatisticsCalculator(),
+  snapshotComparison: new SnapshotComparisonService(),
   
   /**
    * Generate lifecycle report data for on-screen display (JSON)
    * This returns JSON data that the frontend displays in a formatted report view
    */
   async generateLifecycleReport(req, res) {
-    const { jobId, eolYearBasis = 'lastDayOfSupport', customerName } = req.body;
+    const { jobId, eolYearBasis = 'lastDayOfSupport', customerName, inflationRate, site } = req.body;
     
     if (!jobId) {
       return res.status(400).json({
@@ -27,6 +34,9 @@ const lifecycleReportController = {
     }
     
     try {
+      // Reject a bad inflation rate before any of the report is built
+      budgetForecastService.resolveInflationRate(inflationRate);
+
       // Validate job exists
       const jobCheck = await db.query(
         'SELECT job_id, customer_name FROM phase3_jobs WHERE job_id = $1',
@@ -59,43 +69,41 @@ const lifecycleReportController = {
         });
       }
       
-      // Fetch year quantities for timeline
-      const yearDistributionQuery = await db.query(
-        `WITH year_data AS (
-          SELECT 
-            UPPER(TRIM(product_id)) as product_id,
-            EXTRACT(YEAR FROM COALESCE(purchase_date, ship_date))::text as purchase_year,
-            SUM(quantity) as quantity
-          FROM raw_inventory
-          WHERE job_id = $1
-          AND COALESCE(purchase_date, ship_date) IS NOT NULL
-          GROUP BY UPPER(TRIM(product_id)), EXTRACT(YEAR FROM COALESCE(purchase_date, ship_date))
-        )
-        SELECT 
-          product_id,
-          json_object_agg(purchase_year, quantity) as year_quantities
-        FROM year_data
-        GROUP BY product_id`,
-        [jobId]
-      );
+      // Fetch year quantities for timeline; undated rows are placed by their serial number's estimate
+      const yearDistribution = await rawInventory.yearQuantities(jobId, site);
 
-      console.log('Year distribution found:', yearDistributionQuery.rows.length, 'products');
+      console.log('Year distribution found:', yearDistribution.length, 'products');
       
       // Create a map of year quantities by product
       const yearQuantityMap = new Map();
-      yearDistributionQuery.rows.forEach(item => {
+      const yearEstimateMap = new Map();
+      yearDistribution.forEach(item => {
         yearQuantityMap.set(item.product_id.toUpperCase(), item.year_quantities);
+        yearEstimateMap.set(item.product_id.toUpperCase(), item);
       });
       
-      // Merge year quantities into products
-      const productsWithYearData = products.map(product => ({
+      // Merge year quantities into products, score them with the job's risk profile
+      // and add their successors from the catalog
+      const riskProfile = await riskEngine.getPhase3JobProfile(jobId);
+      const scoredProducts = await productSuccessorService.attachSuccessors(riskEngine.scoreAll(products.map(product => ({
         ...product,
-        year_quantities: yearQuantityMap.get(product.product_id.toUpperCase()) || {}
-      }));
+        year_quantities: yearQuantityMap.get(product.product_id.toUpperCase()) || {},
+        ...this.yearEstimates(yearEstimateMap.get(product.product_id.toUpperCase()))
+      })), riskProfile));
+
+      // Risk and EOL quantities per site; a selected site narrows the report to its installed base
+      const sites = await this.buildSiteBreakdown(jobId, scoredProducts, site);
+      const productsWithYearData = sites.products;
+      if (productsWithYearData.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No products found at site "${site}"`
+        });
+      }
       
       
-      // Fetch category statistics with risk analysis
-      const categoryStatsQuery = await db.query(
+      // Fetch category statistics with risk analysis; a site's are built from its products
+      const categoryStatsQuery = site ? { rows: this.breakdownBy(productsWithYearData, 'product_category') } : await db.query(
         `SELECT 
           product_category,
           COUNT(DISTINCT product_id) as product_count,
@@ -115,7 +123,7 @@ const lifecycleReportController = {
       );
       
       // Fetch manufacturer statistics with risk analysis
-      const manufacturerStatsQuery = await db.query(
+      const manufacturerStatsQuery = site ? { rows: this.breakdownBy(productsWithYearData, 'manufacturer') } : await db.query(
         `SELECT 
           manufacturer,
           COUNT(DISTINCT product_id) as product_count,
@@ -146,6 +154,13 @@ const lifecycleReportController = {
       
       // Get top insights
       const topInsights = this.generateInsights(statistics, productsWithYearData);
+
+      // Replacement budget by year for the selected EOL basis
+      const budgetForecast = await budgetForecastService.forecast(productsWithYearData, { eolYearBasis, inflationRate });
+      statistics.financialMetrics.replacementBudget = budgetForecast.totals.scheduledCost;
+
+      // Contract renewals and coverage gaps of the Phase 2 job behind this report
+      const supportContracts = await this.analyzeSupportContracts(jobId, productsWithYearData, site);
       
       // Structure response for on-screen display
       // Structure response for on-screen display
@@ -156,6 +171,7 @@ const lifecycleReportController = {
           customerName: actualCustomerName,
           generated: new Date().toISOString(),
           eolBasis: eolYearBasis,
+          riskProfile: riskEngine.toSelection(riskProfile),
           products: productsWithYearData,
           statistics: {
             ...statistics,
@@ -165,6 +181,10 @@ const lifecycleReportController = {
           },
           riskAnalysis,
           recommendations,
+          budgetForecast,
+          supportContracts,
+          site: site || null,
+          siteBreakdown: sites.breakdown,
           yearDistribution: Object.fromEntries(yearQuantityMap)
         }
       });
@@ -175,9 +195,9 @@ const lifecycleReportController = {
       
     } catch (error) {
       console.error('Report generation error:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to generate report',
+        error: error.statusCode ? error.message : 'Failed to generate report',
         details: error.message
       });
     }
@@ -188,7 +208,7 @@ const lifecycleReportController = {
    * This version fetches year_quantities directly instead of using the orchestrator
    */
   async exportLifecycleReportExcel(req, res) {
-    const { jobId, eolYearBasis = 'lastDayOfSupport', customerName } = req.body;
+    const { jobId, eolYearBasis = 'lastDayOfSupport', customerName, inflationRate, site } = req.body;
     
     if (!jobId) {
       return res.status(400).json({
@@ -198,6 +218,9 @@ const lifecycleReportController = {
     }
     
     try {
+      // Reject a bad inflation rate before any of the report is built
+      budgetForecastService.resolveInflationRate(inflationRate);
+
       // Validate job exists
       const jobCheck = await db.query(
         'SELECT job_id, customer_name FROM phase3_jobs WHERE job_id = $1',
@@ -244,47 +267,45 @@ const lifecycleReportController = {
       const products = productsQuery.rows;
       console.log('Excel Export - Found products:', products.length);
       
-      // Step 2: CRITICAL - Fetch year quantities from raw_inventory
-      const yearDistributionQuery = await db.query(
-        `WITH year_data AS (
-          SELECT 
-            UPPER(TRIM(product_id)) as product_id,
-            EXTRACT(YEAR FROM COALESCE(purchase_date, ship_date))::text as purchase_year,
-            SUM(quantity) as quantity
-          FROM raw_inventory
-          WHERE job_id = $1
-          AND COALESCE(purchase_date, ship_date) IS NOT NULL
-          GROUP BY UPPER(TRIM(product_id)), EXTRACT(YEAR FROM COALESCE(purchase_date, ship_date))
-        )
-        SELECT 
-          product_id,
-          json_object_agg(purchase_year, quantity) as year_quantities
-        FROM year_data
-        GROUP BY product_id`,
-        [jobId]
-      );
+      // Step 2: CRITICAL - Fetch year quantities from raw_inventory (serial number estimates included)
+      const yearDistribution = await rawInventory.yearQuantities(jobId, site);
       
-      console.log('Excel Export - Year distribution found:', yearDistributionQuery.rows.length, 'products');
+      console.log('Excel Export - Year distribution found:', yearDistribution.length, 'products');
       
       // Create a map of year quantities by product
       const yearQuantityMap = new Map();
-      yearDistributionQuery.rows.forEach(item => {
+      const yearEstimateMap = new Map();
+      yearDistribution.forEach(item => {
         console.log(`Product ${item.product_id}:`, item.year_quantities);
         yearQuantityMap.set(item.product_id.toUpperCase(), item.year_quantities);
+        yearEstimateMap.set(item.product_id.toUpperCase(), item);
       });
       
-      // Step 3: Merge year quantities into products
-      const productsWithYearData = products.map(product => {
+      // Step 3: Merge year quantities into products, score them with the job's risk profile
+      // and add their successors from the catalog
+      const riskProfile = await riskEngine.getPhase3JobProfile(jobId);
+      const scoredProducts = await productSuccessorService.attachSuccessors(riskEngine.scoreAll(products.map(product => {
         const yearData = yearQuantityMap.get(product.product_id.toUpperCase()) || {};
         console.log(`Adding year_quantities to ${product.product_id}:`, yearData);
         return {
           ...product,
-          year_quantities: yearData  // THIS IS THE KEY FIX!
+          year_quantities: yearData,  // THIS IS THE KEY FIX!
+          ...this.yearEstimates(yearEstimateMap.get(product.product_id.toUpperCase()))
         };
-      });
+      }), riskProfile));
+
+      // Per-site quantities, and the selected site's installed base when there is one
+      const sites = await this.buildSiteBreakdown(jobId, scoredProducts, site);
+      const productsWithYearData = sites.products;
+      if (productsWithYearData.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: `No products found at site "${site}"`
+        });
+      }
       
       // Step 4: Fetch category statistics
-      const categoryStatsQuery = await db.query(
+      const categoryStatsQuery = site ? { rows: this.breakdownBy(productsWithYearData, 'product_category') } : await db.query(
         `SELECT 
           product_category,
           COUNT(DISTINCT product_id) as product_count,
@@ -298,7 +319,7 @@ const lifecycleReportController = {
       );
       
       // Step 5: Fetch manufacturer statistics
-      const manufacturerStatsQuery = await db.query(
+      const manufacturerStatsQuery = site ? { rows: this.breakdownBy(productsWithYearData, 'manufacturer') } : await db.query(
         `SELECT 
           manufacturer,
           COUNT(DISTINCT product_id) as product_count,
@@ -327,17 +348,28 @@ const lifecycleReportController = {
       
       // Step 9: Generate recommendations
       const recommendations = this.generateRecommendations(productsWithYearData, statistics, riskAnalysis);
+
+      // Step 10: Forecast the replacement budget for the selected EOL basis
+      const budgetForecast = await budgetForecastService.forecast(productsWithYearData, { eolYearBasis, inflationRate });
+
+      // Step 11: Contract renewals and coverage gaps
+      const supportContracts = await this.analyzeSupportContracts(jobId, productsWithYearData, site);
       
-      // Step 10: Create Excel workbook directly
+      // Step 12: Create Excel workbook directly
       const reportData = {
         data: data,  // Contains products WITH year_quantities
         statistics: statistics,
         charts: {},  // Charts will be generated by Excel builder
         riskAnalysis: riskAnalysis,
         recommendations: recommendations,
+        budgetForecast: budgetForecast,
+        supportContracts: supportContracts,
+        siteBreakdown: sites.breakdown,
         options: {
           customerName: actualCustomerName,
-          eolYearBasis: eolYearBasis
+          site: site || null,
+          eolYearBasis: eolYearBasis,
+          riskProfile: riskEngine.profileLabel(riskProfile)
         }
       };
       
@@ -348,7 +380,8 @@ const lifecycleReportController = {
       const buffer = await workbook.xlsx.writeBuffer();
       
       // Send Excel file as response
-      const filename = `Lifecycle_Report_${actualCustomerName.replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+      const reportName = site ? `${actualCustomerName}_${site}` : actualCustomerName;
+      const filename = `Lifecycle_Report_${reportName.replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
       
       res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
       res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
@@ -358,14 +391,239 @@ const lifecycleReportController = {
       
     } catch (error) {
       console.error('Excel export error:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to export Excel',
+        error: error.statusCode ? error.message : 'Failed to export Excel',
         details: error.message
       });
     }
   },
   
+  /**
+   * Replacement budget forecast for a job without building the full report
+   * Used by the report view when the EOL basis or inflation rate changes
+   */
+  async generateBudgetForecast(req, res) {
+    const { jobId, eolYearBasis = 'lastDayOfSupport', inflationRate, site } = req.body;
+
+    if (!jobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Job ID is required'
+      });
+    }
+
+    try {
+      budgetForecastService.resolveInflationRate(inflationRate);
+
+      const productsQuery = await db.query(
+        `SELECT * FROM phase3_analysis
+         WHERE job_id = $1
+         ORDER BY total_quantity DESC`,
+        [jobId]
+      );
+
+      if (productsQuery.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'No products found for analysis'
+        });
+      }
+
+      // Same installed base as a report narrowed to the site
+      const products = site
+        ? (await this.buildSiteBreakdown(jobId, productsQuery.rows, site)).products
+        : productsQuery.rows;
+      const budgetForecast = await budgetForecastService.forecast(products, { eolYearBasis, inflationRate });
+      res.json({ success: true, budgetForecast });
+
+    } catch (error) {
+      console.error('Budget forecast error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Failed to generate budget forecast',
+        details: error.message
+      });
+    }
+  },
+
+  /**
+   * Per-site quantities of a report and, when a site is selected, the products
+   * installed there with their quantity at that site
+   * @returns {Object} { products, breakdown }
+   */
+  async buildSiteBreakdown(jobId, products, site = null) {
+    const [siteRows, siteDetails] = await Promise.all([
+      rawInventory.siteQuantities(jobId),
+      rawInventory.siteDetails(jobId)
+    ]);
+    const breakdown = this.statsCalculator.calculateSiteBreakdown(products, siteRows, siteDetails);
+    if (!site) {
+      return { products, breakdown };
+    }
+
+    const siteQuantity = new Map(siteRows.filter(row => row.site === site).map(row => [row.product_id, row.quantity]));
+    return {
+      products: products
+        .filter(product => siteQuantity.has(product.product_id.toUpperCase().trim()))
+        .map(product => ({ ...product, total_quantity: siteQuantity.get(product.product_id.toUpperCase().trim()) })),
+      breakdown
+    };
+  },
+
+  /**
+   * Part of a product's year quantities dated from serial numbers rather than
+   * ship or purchase dates, with the confidence of those estimates
+   */
+  yearEstimates(yearRow) {
+    const estimatedYearQuantities = (yearRow && yearRow.estimated_year_quantities) || {};
+    return {
+      estimated_year_quantities: estimatedYearQuantities,
+      estimated_quantity: Object.values(estimatedYearQuantities).reduce((sum, quantity) => sum + (parseInt(quantity) || 0), 0),
+      estimated_date_confidence: yearRow ? yearRow.estimated_date_confidence : null
+    };
+  },
+
+  /**
+   * Category or manufacturer rows shaped like the breakdown queries, built from
+   * already scored products (used when the report is narrowed to a site)
+   */
+  breakdownBy(products, field) {
+    const groups = new Map();
+    products.forEach(product => {
+      const key = product[field];
+      if (key === null || key === undefined) return;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          [field]: key,
+          product_count: 0,
+          total_quantity: 0,
+          critical_count: 0,
+          high_count: 0,
+          medium_count: 0,
+          low_count: 0,
+          eol_count: 0,
+          ai_enhanced_count: 0,
+          confidence_total: 0
+        });
+      }
+      const group = groups.get(key);
+      group.product_count++;
+      group.total_quantity += parseInt(product.total_quantity) || 0;
+      if (['critical', 'high', 'medium', 'low'].includes(product.risk_level)) group[`${product.risk_level}_count`]++;
+      if (product.lifecycle_status === 'EOL' || product.lifecycle_status === 'End of Life') group.eol_count++;
+      if (product.ai_enhanced === true) group.ai_enhanced_count++;
+      group.confidence_total += product.overall_confidence || 0;
+    });
+
+    return [...groups.values()]
+      .map(({ confidence_total, ...group }) => ({
+        ...group,
+        avg_confidence: Math.round(confidence_total / group.product_count)
+      }))
+      .sort((a, b) => b.total_quantity - a.total_quantity)
+      .slice(0, 20);
+  },
+
+  /**
+   * Support contract analysis for a report; null when the job has no Phase 2
+   * job left or the contracts cannot be read, so the rest of the report still builds
+   */
+  async analyzeSupportContracts(jobId, products, site = null) {
+    try {
+      return await supportContractService.analyzePhase3Job(jobId, products, { site });
+    } catch (error) {
+      console.warn('Support contract analysis skipped:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Earlier and later runs for a customer that can be compared (?customerName=)
+   */
+  async listSnapshots(req, res) {
+    const { customerName } = req.query;
+
+    if (!customerName) {
+      return res.status(400).json({
+        success: false,
+        error: 'customerName is required'
+      });
+    }
+
+    try {
+      const snapshots = await this.snapshotComparison.listSnapshots(customerName);
+      res.json({ success: true, snapshots });
+    } catch (error) {
+      console.error('Snapshot list error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list snapshots',
+        details: error.message
+      });
+    }
+  },
+
+  /**
+   * What changed between two Phase 2 or Phase 3 jobs of the same customer
+   */
+  async compareSnapshots(req, res) {
+    const { baselineJobId, currentJobId } = req.body;
+
+    if (!baselineJobId || !currentJobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'baselineJobId and currentJobId are required'
+      });
+    }
+
+    try {
+      const comparison = await this.snapshotComparison.compare(baselineJobId, currentJobId);
+      res.json({ success: true, comparison });
+    } catch (error) {
+      console.error('Snapshot comparison error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Failed to compare snapshots',
+        details: error.message
+      });
+    }
+  },
+
+  /**
+   * Snapshot comparison as an Excel workbook
+   */
+  async exportSnapshotComparison(req, res) {
+    const { baselineJobId, currentJobId } = req.body;
+
+    if (!baselineJobId || !currentJobId) {
+      return res.status(400).json({
+        success: false,
+        error: 'baselineJobId and currentJobId are required'
+      });
+    }
+
+    try {
+      const comparison = await this.snapshotComparison.compare(baselineJobId, currentJobId);
+      const workbook = await this.excelBuilder.buildSnapshotComparison(comparison);
+      const buffer = await workbook.xlsx.writeBuffer();
+
+      const customerName = comparison.current.customer_name || 'Organization';
+      const filename = `Snapshot_Comparison_${customerName.replace(/[^a-zA-Z0-9]/g, '_')}_${new Date().toISOString().split('T')[0]}.xlsx`;
+
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.send(buffer);
+    } catch (error) {
+      console.error('Snapshot comparison export error:', error);
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: error.statusCode ? error.message : 'Failed to export snapshot comparison',
+        details: error.message
+      });
+    }
+  },
+
   /**
    * Risk analysis specifically for Excel export
    */
@@ -572,7 +830,8 @@ const lifecycleReportController = {
         fullyCovered: coveredProducts.filter(p => p.support_coverage_percentage >= 100).length,
         partiallyCovered: coveredProducts.filter(p => p.support_coverage_percentage > 0 && p.support_coverage_percentage < 100).length,
         notCovered: uncoveredCount,
-        averageCoverage: Math.round(products.reduce((sum, p) => sum + (p.support_coverage_percentage || 0), 0) / totalProducts)
+        averageCoverage: Math.round(products.reduce((sum, p) => sum + (p.support_coverage_percentage || 0), 0) / totalProducts),
+        contracts: this.statsCalculator.calculateContractCoverage(products)
       },
       aiEnhancement: {
         enhanced: aiEnhancedCount,
@@ -665,21 +924,25 @@ const lifecycleReportController = {
     
     // Immediate actions for critical risk products
     if (statistics.criticalRiskCount > 0) {
+      const criticalProducts = products.filter(p => p.risk_level === 'critical');
       recommendations.immediate.push({
         priority: 'CRITICAL',
         title: 'Replace End-of-Life Products',
         description: `${statistics.criticalRiskCount} products are at critical risk and require immediate replacement.`,
-        products: products.filter(p => p.risk_level === 'critical').slice(0, 5).map(p => p.product_id)
+        products: criticalProducts.slice(0, 5).map(p => p.product_id),
+        replacements: productSuccessorService.toReplacements(criticalProducts)
       });
     }
     
     // Short-term actions for high risk products
     if (statistics.highRiskCount > 0) {
+      const highRiskProducts = products.filter(p => p.risk_level === 'high');
       recommendations.shortTerm.push({
         priority: 'HIGH',
         title: 'Plan Migration for High-Risk Products',
         description: `${statistics.highRiskCount} products are at high risk and should be migrated within 3-6 months.`,
-        products: products.filter(p => p.risk_level === 'high').slice(0, 5).map(p => p.product_id)
+        products: highRiskProducts.slice(0, 5).map(p => p.product_id),
+        replacements: productSuccessorService.toReplacements(highRiskProducts)
       });
     }
     
@@ -737,6 +1000,24 @@ const lifecycleReportController = {
       });
     }
     
+    const contracts = statistics.supportCoverage.contracts;
+    if (contracts.uncoveredQuantity > 0) {
+      insights.push({
+        type: 'warning',
+        title: 'Support Contract Gap',
+        message: `${contracts.uncoveredQuantity} units across ${contracts.productsWithGaps} products have expired or no support contracts`,
+        priority: 3
+      });
+    }
+    if (contracts.quantity.Expiring > 0) {
+      insights.push({
+        type: 'info',
+        title: 'Support Contracts Expiring',
+        message: `${contracts.quantity.Expiring} units across ${contracts.productsExpiring} products have support contracts ending within ${contracts.expiringDays} days`,
+        priority: 3
+      });
+    }
+    
     if (statistics.aiEnhancedPercentage > 80) {
       insights.push({
         type: 'success',
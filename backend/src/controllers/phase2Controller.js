@@ -3,92 +3,141 @@ const { v4: uuidv4 } = require('uuid');
 const Papa = require('papaparse');
 const ExcelJS = require('exceljs');
 const jobStorage = require('../utils/jobStorage');
-const globalFilterService = require('../services/globalFilterService');
+const filterService = require('../services/filterService');
+const { requesterOf } = require('../utils/requester');
 const manufacturerIdentifier = require('../utils/manufacturerIdentifier');
+const riskEngine = require('../services/riskEngine');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+const supportContractService = require('../services/supportContractService');
+const editHistory = require('../utils/editHistory');
+const resultQuery = require('../utils/resultQuery');
+const inventorySchema = require('../utils/inventorySchema');
+
+// Profile a Phase 2 job was scored with; the default profile when it has none
+const getJobRiskProfile = async (job) => {
+  const profile = job.riskProfile ? await riskEngine.getProfile(job.riskProfile) : null;
+  return profile || riskEngine.getProfile();
+};
 
-// Calculate risk score based on all EOL dates
-const calculateRiskScore = (item) => {
-  let score = 0;
-  const today = new Date();
-
-  // Helper function to check if date is past
-  const isPastDate = (dateStr) => {
-    if (!dateStr || dateStr === '-') return false;
-    try {
-      const date = new Date(dateStr);
-      return !isNaN(date.getTime()) && date < today;
-    } catch {
-      return false;
-    }
-  };
+// Score an item and keep the factors that explain its risk level
+const applyRisk = (item, profile) => {
+  const risk = riskEngine.assess(item, profile);
+  item.risk_score = risk.score;
+  item.risk_level = risk.level;
+  item.risk_factors = risk.factors;
+  item.risk_explanation = risk.explanation;
+  return item;
+};
 
-  // Helper function to calculate days until date
-  const daysUntil = (dateStr) => {
-    if (!dateStr || dateStr === '-') return null;
-    try {
-      const date = new Date(dateStr);
-      if (isNaN(date.getTime())) return null;
-      return Math.floor((date - today) / (1000 * 60 * 60 * 24));
-    } catch {
-      return null;
-    }
+// Risk level counts for the job summary
+const summarizeRisk = (items) => {
+  const counts = riskEngine.countLevels(items);
+  return {
+    criticalRiskItems: counts.critical,
+    highRiskItems: counts.high,
+    mediumRiskItems: counts.medium,
+    lowRiskItems: counts.low,
+    noRiskItems: counts.none
   };
+};
 
-  // Support Coverage (40 points)
-  if (item.support_coverage === 'Expired') {
-    score += 40;
-  }
+// Items per support coverage state for the job summary
+const summarizeCoverage = (items) => supportCoverage.countStates(items).items;
 
-  // End of Sale (15 points)
-  if (isPastDate(item.end_of_sale)) {
-    score += 15;
-  }
+// Item fields the job's upload contracts are built from
+const CONTRACT_FIELDS = ['contract_number', 'contract_start', 'contract_end', 'service_level'];
 
-  // Last Day Support (20 points)
-  const ldosDays = daysUntil(item.last_day_support);
-  if (isPastDate(item.last_day_support)) {
-    score += 20;
-  } else if (ldosDays !== null && ldosDays < 90) {
-    score += 15;
-  } else if (ldosDays !== null && ldosDays < 180) {
-    score += 10;
+// Rebuild the job's support contracts from its items' contract columns.
+// Contracts only feed reporting, so a failure does not fail the request
+const syncContracts = async (job) => {
+  try {
+    await supportContractService.syncFromItems(job);
+  } catch (error) {
+    console.warn(`⚠️ Could not sync support contracts for job ${job.jobId}:`, error.message);
   }
+};
 
-  // SW Support (15 points)
-  if (isPastDate(item.end_of_sw_support)) {
-    score += 15;
-  } else {
-    const swDays = daysUntil(item.end_of_sw_support);
-    if (swDays !== null && swDays < 90) {
-      score += 10;
-    } else if (swDays !== null && swDays < 180) {
-      score += 5;
-    }
-  }
+// Item fields that change an item's risk score
+const RISK_FIELDS = [
+  'end_of_sale', 'last_day_support', 'end_of_sw_support', 'end_of_sw_vulnerability',
+  'support_coverage', 'contract_end', 'category', 'asset_type', 'type'
+];
+
+// Items shown in a bulk edit dry run
+const BULK_EDIT_SAMPLE_SIZE = 20;
+
+// Facet names of the results query and the item fields they count
+const RESULT_FACETS = {
+  category: 'category',
+  manufacturer: 'mfg',
+  risk: 'risk_level',
+  status: 'support_coverage',
+  type: 'type'
+};
 
-  // SW Vulnerability (10 points)
-  if (isPastDate(item.end_of_sw_vulnerability)) {
-    score += 10;
-  } else {
-    const vulnDays = daysUntil(item.end_of_sw_vulnerability);
-    if (vulnDays !== null && vulnDays < 90) {
-      score += 7;
-    } else if (vulnDays !== null && vulnDays < 180) {
-      score += 3;
-    }
+// Item fields the results query's search looks in
+const RESULT_SEARCH_FIELDS = ['product_id', 'description', 'mfg', 'category', 'serial_number', 'site', 'hostname'];
+
+// Items matching the filter and search expressions of a results query
+const selectItems = (items, { filter, search }) => resultQuery.select(
+  items,
+  resultQuery.parse({ filter, search }, { facets: RESULT_FACETS }),
+  { searchFields: RESULT_SEARCH_FIELDS }
+);
+
+// Reject a write whose values break the inventory field schema; each field
+// error is { itemId, field, value, message } so the UI can show it on the cell
+const validationFailed = (res, fieldErrors) => res.status(400).json({
+  error: 'Validation failed',
+  details: fieldErrors.map(fieldError => fieldError.message).join('; '),
+  fieldErrors
+});
+
+// Who made a change; the app has no sign-in, so callers may name themselves
+const changedBy = (req) => String((req.body && req.body.user) || 'user').slice(0, 255);
+
+// Rescore the items an undo, redo or revert touched, then save the job
+const saveChangeset = async (job, changeset) => {
+  const itemsChanged = changeset.insertedIds.length + changeset.removedIds.length > 0;
+  if (changeset.fields.some(field => RISK_FIELDS.includes(field))) {
+    const profile = await getJobRiskProfile(job);
+    job.items.forEach(item => {
+      if (changeset.itemIds.includes(String(item.id))) applyRisk(item, profile);
+    });
   }
 
-  return {
-    score,
-    level: score >= 70 ? 'high' : score >= 40 ? 'medium' : 'low'
+  job.summary = {
+    ...job.summary,
+    ...summarizeRisk(job.items),
+    totalItems: job.items.length,
+    supportCoverage: summarizeCoverage(job.items),
+    recentlyModified: job.modificationHistory.length,
+    dataCompleteness: calculateDataCompleteness(job.items)
   };
+
+  await jobStorage.set(job.jobId, job);
+  if (itemsChanged || changeset.fields.some(field => CONTRACT_FIELDS.includes(field))) {
+    await syncContracts(job);
+  }
 };
 
+// Response body for an undo, redo or revert
+const changesetResponse = (job, changeset) => ({
+  success: true,
+  changesetId: changeset.changesetId,
+  items: job.items.filter(item => changeset.itemIds.includes(String(item.id))),
+  removedIds: changeset.removedIds,
+  skipped: changeset.skipped,
+  summary: job.summary,
+  ...editHistory.availability(job)
+});
+
 // Calculate data completeness percentage
 const calculateDataCompleteness = (items) => {
   const fields = [
     'mfg', 'category', 'asset_type', 'type', 'product_id', 
-    'description', 'ship_date', 'qty', 'support_coverage',
+    'description', 'ship_date', 'qty', 'support_coverage', 'contract_end',
     'end_of_sale', 'last_day_support', 'end_of_sw_support', 
     'end_of_sw_vulnerability'
   ];
@@ -110,49 +159,52 @@ const calculateDataCompleteness = (items) => {
 // Process Phase 2 Analysis - Transform to Enhanced Inventory
 const processPhase2Analysis = async (req, res) => {
   try {
-    const { phase1JobId } = req.body;
+    const { phase1JobId, riskProfile } = req.body;
     
     if (!phase1JobId) {
       return res.status(400).json({ error: 'Phase 1 job ID required' });
     }
 
-    const phase1Job = jobStorage.get(phase1JobId);
+    const phase1Job = await jobStorage.get(phase1JobId);
     if (!phase1Job) {
       return res.status(404).json({ error: 'Phase 1 data not found' });
     }
 
+    // Risk profile chosen for this job ({ name, version }), else the default profile
+    const profile = riskProfile && riskProfile.name
+      ? await riskEngine.getProfile(riskProfile)
+      : await riskEngine.getProfile();
+    if (!profile) {
+      return res.status(400).json({ error: `Risk profile "${riskProfile.name}" not found` });
+    }
+
     console.log(`Starting Phase 2 Enhanced Inventory for Phase 1 job: ${phase1JobId}`);
     console.log(`Enhancing ${phase1Job.data.length} items`);
 
     // Ensure all IDs are strings
-    const enhancedItems = phase1Job.data.map((item, index) => {
-      const riskData = calculateRiskScore(item);
-      
-      return {
-        ...item,
-        id: String(item.id || item.ID || item.Id || index + 1),
-        end_of_sw_support: item.end_of_sw_support || '-',
-        end_of_sw_vulnerability: item.end_of_sw_vulnerability || '-',
-        risk_score: riskData.score,
-        risk_level: riskData.level,
-        last_modified: null,
-        modified_by: null
-      };
-    });
+    const enhancedItems = phase1Job.data.map((item, index) => applyRisk({
+      ...item,
+      id: String(item.id || item.ID || item.Id || index + 1),
+      end_of_sw_support: item.end_of_sw_support || '-',
+      end_of_sw_vulnerability: item.end_of_sw_vulnerability || '-',
+      last_modified: null,
+      modified_by: null
+    }, profile));
 
     const summary = {
       totalItems: enhancedItems.length,
-      highRiskItems: enhancedItems.filter(item => item.risk_level === 'high').length,
-      mediumRiskItems: enhancedItems.filter(item => item.risk_level === 'medium').length,
-      lowRiskItems: enhancedItems.filter(item => item.risk_level === 'low').length,
+      ...summarizeRisk(enhancedItems),
+      supportCoverage: summarizeCoverage(enhancedItems),
+      riskProfile: riskEngine.profileLabel(profile),
       swSupportExpiring: enhancedItems.filter(item => {
-        if (!item.end_of_sw_support || item.end_of_sw_support === '-') return false;
-        const days = Math.floor((new Date(item.end_of_sw_support) - new Date()) / (1000 * 60 * 60 * 24));
+        const swSupportDate = dateParser.toDate(item.end_of_sw_support);
+        if (!swSupportDate) return false;
+        const days = Math.floor((swSupportDate - new Date()) / (1000 * 60 * 60 * 24));
         return days > 0 && days <= 90;
       }).length,
       swVulnerabilityIssues: enhancedItems.filter(item => {
-        if (!item.end_of_sw_vulnerability || item.end_of_sw_vulnerability === '-') return false;
-        return new Date(item.end_of_sw_vulnerability) < new Date();
+        const vulnerabilityDate = dateParser.toDate(item.end_of_sw_vulnerability);
+        return vulnerabilityDate !== null && vulnerabilityDate < new Date();
       }).length,
       recentlyModified: 0,
       dataCompleteness: calculateDataCompleteness(enhancedItems)
@@ -167,11 +219,13 @@ const processPhase2Analysis = async (req, res) => {
       timestamp: new Date(),
       items: enhancedItems,
       summary,
+      riskProfile: riskEngine.toSelection(profile),
       savedFilters: [],
       modificationHistory: []
     };
 
-    jobStorage.set(phase2JobId, phase2Job);
+    await jobStorage.set(phase2JobId, phase2Job);
+    await syncContracts(phase2Job);
 
     console.log(`Phase 2 Enhanced Inventory complete. Job ID: ${phase2JobId}`);
 
@@ -194,12 +248,16 @@ const processPhase2Analysis = async (req, res) => {
 // Update single inventory item
 const updateInventoryItem = async (req, res) => {
   const { jobId, itemId } = req.params;
-  const { updates } = req.body;
 
-  console.log('Update request received:', { jobId, itemId, updates });
+  console.log('Update request received:', { jobId, itemId, updates: req.body.updates });
+
+  const { values: updates, errors } = inventorySchema.validateUpdates(req.body.updates, itemId);
+  if (errors.length > 0) {
+    return validationFailed(res, errors);
+  }
 
   try {
-    const job = jobStorage.get(jobId);
+    const job = await jobStorage.get(jobId);
     if (!job) {
       console.error('Job not found:', jobId);
       return res.status(404).json({ error: 'Job not found' });
@@ -214,171 +272,384 @@ const updateInventoryItem = async (req, res) => {
       return res.status(404).json({ error: 'Item not found' });
     }
 
-    // Store previous values for history
-    const previousValues = {};
-    Object.keys(updates).forEach(key => {
-      previousValues[key] = job.items[itemIndex][key];
-    });
-
-    // Apply updates
-    job.items[itemIndex] = {
-      ...job.items[itemIndex],
-      ...updates,
-      last_modified: new Date().toISOString(),
-      modified_by: 'user'
-    };
+    // Apply updates and add them to the modification history (previous values included)
+    editHistory.applyChangeset(job, [{ itemId, updates }], { action: 'edit', user: changedBy(req) });
 
     // Recalculate risk score if any date fields changed
-    const dateFields = ['end_of_sale', 'last_day_support', 'end_of_sw_support', 'end_of_sw_vulnerability', 'support_coverage'];
-    if (dateFields.some(field => field in updates)) {
-      const riskData = calculateRiskScore(job.items[itemIndex]);
-      job.items[itemIndex].risk_score = riskData.score;
-      job.items[itemIndex].risk_level = riskData.level;
-    }
-
-    // Add to modification history
-    job.modificationHistory = job.modificationHistory || [];
-    job.modificationHistory.push({
-      itemId: String(itemId),
-      timestamp: new Date().toISOString(),
-      updates,
-      previousValues,
-      user: 'user'
-    });
+    if (RISK_FIELDS.some(field => field in updates)) {
+      applyRisk(job.items[itemIndex], await getJobRiskProfile(job));
+    }
 
     // Update summary
     job.summary = {
       ...job.summary,
-      highRiskItems: job.items.filter(item => item.risk_level === 'high').length,
-      mediumRiskItems: job.items.filter(item => item.risk_level === 'medium').length,
-      lowRiskItems: job.items.filter(item => item.risk_level === 'low').length,
+      ...summarizeRisk(job.items),
+      supportCoverage: summarizeCoverage(job.items),
       recentlyModified: job.modificationHistory.length,
       dataCompleteness: calculateDataCompleteness(job.items)
     };
 
-    jobStorage.set(jobId, job);
+    await jobStorage.set(jobId, job);
+    if (CONTRACT_FIELDS.some(field => field in updates)) {
+      await syncContracts(job);
+    }
 
     res.json({
       success: true,
       item: job.items[itemIndex],
-      summary: job.summary
+      summary: job.summary,
+      ...editHistory.availability(job)
     });
 
   } catch (error) {
     console.error('Update error:', error);
-    res.status(500).json({ error: 'Failed to update item', details: error.message });
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to update item',
+      details: error.message
+    });
   }
 };
 
 // Bulk update multiple items
 const bulkUpdateItems = async (req, res) => {
   const { jobId } = req.params;
-  const { updates } = req.body;
+
+  if (!Array.isArray(req.body.updates) || req.body.updates.length === 0) {
+    return res.status(400).json({ error: 'Updates must be a non-empty array of { itemId, updates }' });
+  }
+
+  // One invalid value rejects the whole request, so a bulk update never half applies
+  const checked = req.body.updates.map(update => ({
+    itemId: update.itemId,
+    ...inventorySchema.validateUpdates(update.updates, update.itemId)
+  }));
+  const errors = checked.flatMap(update => update.errors);
+  if (errors.length > 0) {
+    return validationFailed(res, errors);
+  }
+  const updates = checked.map(update => ({ itemId: update.itemId, updates: update.values }));
 
   try {
-    const job = jobStorage.get(jobId);
+    const job = await jobStorage.get(jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
-    const results = [];
-    
-    updates.forEach(update => {
-      const itemIndex = job.items.findIndex(item => 
-        String(item.id) === String(update.itemId)
-      );
-      
-      if (itemIndex !== -1) {
-        job.items[itemIndex] = {
-          ...job.items[itemIndex],
-          ...update.updates,
-          last_modified: new Date().toISOString(),
-          modified_by: 'user'
-        };
-
-        const riskData = calculateRiskScore(job.items[itemIndex]);
-        job.items[itemIndex].risk_score = riskData.score;
-        job.items[itemIndex].risk_level = riskData.level;
+    const profile = await getJobRiskProfile(job);
 
-        results.push({ itemId: update.itemId, success: true });
-      } else {
-        results.push({ itemId: update.itemId, success: false, error: 'Item not found' });
-      }
+    // All updates are one changeset, so a single undo rolls the whole bulk update back
+    const changeset = editHistory.applyChangeset(
+      job,
+      updates,
+      { action: 'bulk', user: changedBy(req) }
+    );
+    job.items.forEach(item => {
+      if (changeset.itemIds.includes(String(item.id))) applyRisk(item, profile);
     });
 
+    const results = updates.map(update => (
+      changeset.itemIds.includes(String(update.itemId))
+        ? { itemId: update.itemId, success: true }
+        : { itemId: update.itemId, success: false, error: 'Item not found' }
+    ));
+
     // Update summary
     job.summary = {
       ...job.summary,
-      highRiskItems: job.items.filter(item => item.risk_level === 'high').length,
-      mediumRiskItems: job.items.filter(item => item.risk_level === 'medium').length,
-      lowRiskItems: job.items.filter(item => item.risk_level === 'low').length,
+      ...summarizeRisk(job.items),
+      supportCoverage: summarizeCoverage(job.items),
+      recentlyModified: job.modificationHistory.length,
       dataCompleteness: calculateDataCompleteness(job.items)
     };
 
-    jobStorage.set(jobId, job);
+    await jobStorage.set(jobId, job);
+    if (updates.some(update => CONTRACT_FIELDS.some(field => field in update.updates))) {
+      await syncContracts(job);
+    }
 
     res.json({
       success: true,
+      changesetId: changeset.changesetId,
       results,
-      summary: job.summary
+      summary: job.summary,
+      ...editHistory.availability(job)
     });
 
   } catch (error) {
     console.error('Bulk update error:', error);
-    res.status(500).json({ error: 'Bulk update failed', details: error.message });
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Bulk update failed',
+      details: error.message
+    });
+  }
+};
+
+// Bulk edit every item matching a filter expression (see utils/resultQuery.js),
+// e.g. { filter: 'product_id:starts:AIR-', set: { category: 'Networking - Wireless' } }.
+// With dryRun the job is left alone and the affected count and a sample are returned
+const bulkEditByQuery = async (req, res) => {
+  const { jobId } = req.params;
+  const { filter, search, dryRun } = req.body;
+
+  if (!filter && !search) {
+    return res.status(400).json({ error: 'A filter or search is required' });
+  }
+  if (!req.body.set || typeof req.body.set !== 'object' || Array.isArray(req.body.set) || Object.keys(req.body.set).length === 0) {
+    return res.status(400).json({ error: 'Field assignments (set) are required' });
+  }
+  const { values: set, errors } = inventorySchema.validateUpdates(req.body.set);
+  if (errors.length > 0) {
+    return validationFailed(res, errors);
+  }
+
+  try {
+    const job = await jobStorage.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const matched = selectItems(job.items, { filter, search });
+
+    // Only fields whose value actually changes are written
+    const changes = matched
+      .map(item => {
+        const updates = {};
+        Object.entries(set).forEach(([field, value]) => {
+          if (String(item[field] ?? '') !== String(value ?? '')) updates[field] = value;
+        });
+        return { item, updates };
+      })
+      .filter(change => Object.keys(change.updates).length > 0);
+
+    const assignments = Object.entries(set).map(([field, value]) => `${field} = '${value}'`).join(', ');
+    const description = `Set ${assignments} where ${[filter, search && `search "${search}"`].filter(Boolean).join(' and ')}`;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        dryRun: true,
+        description,
+        matched: matched.length,
+        affected: changes.length,
+        sample: changes.slice(0, BULK_EDIT_SAMPLE_SIZE).map(({ item, updates }) => ({
+          id: item.id,
+          product_id: item.product_id,
+          description: item.description,
+          before: Object.fromEntries(Object.keys(updates).map(field => [field, item[field] ?? null])),
+          after: updates
+        }))
+      });
+    }
+
+    const changeset = editHistory.applyChangeset(
+      job,
+      changes.map(({ item, updates }) => ({ itemId: item.id, updates })),
+      { action: 'bulk', user: changedBy(req), description }
+    );
+    if (changeset.itemIds.length > 0) {
+      await saveChangeset(job, changeset);
+    }
+
+    console.log(`✏️ Bulk edit on job ${jobId}: ${description} (${changeset.itemIds.length} items)`);
+    res.json({
+      ...changesetResponse(job, changeset),
+      description,
+      matched: matched.length,
+      affected: changeset.itemIds.length
+    });
+  } catch (error) {
+    console.error('Bulk edit error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Bulk edit failed',
+      details: error.message
+    });
   }
 };
 
 // Get Phase 2 Results
+// Every item, or with filter, search, sort, page, pageSize, fields or facets in the
+// query string one page of the matching items with totals and facet counts.
+// ?savedFilter=<id> first narrows the items with a saved filter
 const getPhase2Results = async (req, res) => {
   const { jobId } = req.params;
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+
+  try {
+    const job = await jobStorage.get(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    let items = job.items;
+    let query = {};
+    if (req.query.savedFilter) {
+      const { kept, applied } = await filterService.applySaved(items, req.query.savedFilter, requesterOf(req), 'phase2');
+      items = kept;
+      query.savedFilter = applied;
+    }
+    if (resultQuery.isQuery(req.query)) {
+      const parsed = resultQuery.parse(req.query, {
+        facets: RESULT_FACETS,
+        defaultSort: [{ field: 'risk_score', order: 'desc' }]
+      });
+      const result = resultQuery.run(items, parsed, { searchFields: RESULT_SEARCH_FIELDS, keyFields: ['id'] });
+      items = result.rows;
+      query = { ...query, pagination: result.pagination, facets: result.facets };
+    }
+    
+    res.json({
+      jobId: job.jobId,
+      phase1Reference: job.phase1Reference,
+      customerName: job.customerName,
+      items,
+      ...query,
+      summary: job.summary,
+      riskProfile: job.riskProfile || null,
+      savedFilters: job.savedFilters || [],
+      phase3Ready: !!job.phase3Ready,
+      timestamp: job.timestamp,
+      ...editHistory.availability(job)
+    });
+  } catch (error) {
+    console.error('Get Phase 2 results error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to get Phase 2 results',
+      details: error.message
+    });
   }
-  
-  res.json({
-    jobId: job.jobId,
-    phase1Reference: job.phase1Reference,
-    customerName: job.customerName,
-    items: job.items,
-    summary: job.summary,
-    savedFilters: job.savedFilters || [],
-    timestamp: job.timestamp
-  });
 };
 
 // Get Phase 2 Status
 const getPhase2Status = async (req, res) => {
   const { jobId } = req.params;
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+
+  try {
+    const job = await jobStorage.get(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json({
+      status: job.status,
+      jobId: job.jobId,
+      customerName: job.customerName,
+      timestamp: job.timestamp,
+      summary: job.summary
+    });
+  } catch (error) {
+    console.error('Get Phase 2 status error:', error);
+    res.status(500).json({ error: 'Failed to get Phase 2 status', details: error.message });
   }
-  
-  res.json({
-    status: job.status,
-    jobId: job.jobId,
-    customerName: job.customerName,
-    timestamp: job.timestamp,
-    summary: job.summary
-  });
 };
 
-// Get modification history
+// Editable item fields with their types, allowed values and required flags
+const getFieldSchema = (req, res) => {
+  res.json({ fields: inventorySchema.describe() });
+};
+
+// Get modification history, newest first (?itemId= for one item)
 const getModificationHistory = async (req, res) => {
   const { jobId } = req.params;
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
+
+  try {
+    const job = await jobStorage.get(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(editHistory.describe(job, req.query.itemId || null));
+  } catch (error) {
+    console.error('Get modification history error:', error);
+    res.status(500).json({ error: 'Failed to get modification history', details: error.message });
+  }
+};
+
+// Undo the latest single or bulk change
+const undoChange = async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await jobStorage.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const changeset = editHistory.undo(job, changedBy(req));
+    if (!changeset) {
+      return res.status(409).json({ error: 'Nothing to undo' });
+    }
+
+    await saveChangeset(job, changeset);
+    console.log(`↩️ Undid change on ${changeset.itemIds.length} items of job ${jobId}`);
+    res.json(changesetResponse(job, changeset));
+  } catch (error) {
+    console.error('Undo error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to undo change',
+      details: error.message
+    });
+  }
+};
+
+// Redo the latest undone change
+const redoChange = async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await jobStorage.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const changeset = editHistory.redo(job, changedBy(req));
+    if (!changeset) {
+      return res.status(409).json({ error: 'Nothing to redo' });
+    }
+
+    await saveChangeset(job, changeset);
+    console.log(`↪️ Redid change on ${changeset.itemIds.length} items of job ${jobId}`);
+    res.json(changesetResponse(job, changeset));
+  } catch (error) {
+    console.error('Redo error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to redo change',
+      details: error.message
+    });
+  }
+};
+
+// Revert one item (itemId) or the whole job to before the history entry at position
+const revertChanges = async (req, res) => {
+  const { jobId } = req.params;
+  const { position, itemId } = req.body;
+
+  try {
+    const job = await jobStorage.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    let changeset;
+    try {
+      changeset = editHistory.revert(job, { position: parseInt(position), itemId: itemId || null, user: changedBy(req) });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (changeset.itemIds.length > 0) {
+      await saveChangeset(job, changeset);
+    }
+    console.log(`⏪ Reverted ${changeset.itemIds.length} items of job ${jobId} to history position ${position}`);
+    res.json(changesetResponse(job, changeset));
+  } catch (error) {
+    console.error('Revert error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to revert changes',
+      details: error.message
+    });
   }
-  
-  res.json({
-    history: job.modificationHistory || []
-  });
 };
 
 // Analyze and auto-fill missing fields
@@ -386,7 +657,7 @@ const analyzeAndFillFields = async (req, res) => {
   const { jobId } = req.params;
   
   try {
-    const job = jobStorage.get(jobId);
+    const job = await jobStorage.get(jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
@@ -435,6 +706,7 @@ const analyzeAndFillFields = async (req, res) => {
     };
 
     let updatedCount = 0;
+    const profile = await getJobRiskProfile(job);
     const updatedItems = job.items.map(item => {
       let wasUpdated = false;
       const description = (item.description || '').toLowerCase();
@@ -475,9 +747,7 @@ const analyzeAndFillFields = async (req, res) => {
       // Recalculate risk score if updated
       if (wasUpdated) {
         updatedCount++;
-        const riskData = calculateRiskScore(item);
-        item.risk_score = riskData.score;
-        item.risk_level = riskData.level;
+        applyRisk(item, profile);
         item.last_modified = new Date().toISOString();
         item.modified_by = 'auto-analyzer';
       }
@@ -494,7 +764,7 @@ const analyzeAndFillFields = async (req, res) => {
       dataCompleteness: calculateDataCompleteness(updatedItems)
     };
 
-    jobStorage.set(jobId, job);
+    await jobStorage.set(jobId, job);
 
     res.json({
       success: true,
@@ -505,25 +775,79 @@ const analyzeAndFillFields = async (req, res) => {
 
   } catch (error) {
     console.error('Analysis error:', error);
-    res.status(500).json({ error: 'Analysis failed', details: error.message });
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Analysis failed',
+      details: error.message
+    });
+  }
+};
+
+// Rescore a job with another risk profile
+const setRiskProfile = async (req, res) => {
+  const { jobId } = req.params;
+  const { name, version } = req.body;
+
+  try {
+    const job = await jobStorage.get(jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const profile = name ? await riskEngine.getProfile({ name, version }) : await riskEngine.getProfile();
+    if (!profile) {
+      return res.status(404).json({ error: `Risk profile "${name}" not found` });
+    }
+
+    job.items.forEach(item => applyRisk(item, profile));
+    (job.phase3FilteredItems || []).forEach(item => applyRisk(item, profile));
+    job.riskProfile = riskEngine.toSelection(profile);
+    job.summary = {
+      ...job.summary,
+      ...summarizeRisk(job.items),
+      riskProfile: riskEngine.profileLabel(profile)
+    };
+
+    await jobStorage.set(jobId, job);
+
+    console.log(`⚖️ Rescored Phase 2 job ${jobId} with ${riskEngine.profileLabel(profile)}`);
+
+    res.json({
+      success: true,
+      riskProfile: job.riskProfile,
+      summary: job.summary
+    });
+
+  } catch (error) {
+    console.error('Risk profile update error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to apply risk profile',
+      details: error.message
+    });
   }
 };
 
 // Save Phase 2 data for Phase 3
+// The items are chosen by results query expressions ({ filter, search }) or by filteredIds
 const saveForPhase3 = async (req, res) => {
   const { jobId } = req.params;
-  const { filteredIds, filterName, totalFiltered, totalOriginal } = req.body;
+  const { filteredIds, filter, search, filterName } = req.body;
   
   try {
-    const job = jobStorage.get(jobId);
+    const job = await jobStorage.get(jobId);
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
     }
 
     // Store ONLY the filtered items for Phase 3
-    const filteredItems = job.items.filter(item => 
-      filteredIds.includes(String(item.id))
-    );
+    let filteredItems = job.items;
+    if (Array.isArray(filteredIds)) {
+      const ids = new Set(filteredIds.map(id => String(id)));
+      filteredItems = job.items.filter(item => ids.has(String(item.id)));
+    } else if (filter || search) {
+      filteredItems = selectItems(job.items, { filter, search });
+    }
+    const totalFiltered = filteredItems.length;
+    const totalOriginal = job.items.length;
 
     // Mark as ready for Phase 3 with filtered data
     job.phase3Ready = true;
@@ -533,10 +857,10 @@ const saveForPhase3 = async (req, res) => {
     job.phase3Stats = {
       filtered: totalFiltered,
       original: totalOriginal,
-      filterPercentage: Math.round((totalFiltered / totalOriginal) * 100)
+      filterPercentage: totalOriginal > 0 ? Math.round((totalFiltered / totalOriginal) * 100) : 0
     };
     
-    jobStorage.set(jobId, job);
+    await jobStorage.set(jobId, job);
 
     res.json({
       success: true,
@@ -547,28 +871,30 @@ const saveForPhase3 = async (req, res) => {
 
   } catch (error) {
     console.error('Save for Phase 3 error:', error);
-    res.status(500).json({ error: 'Failed to save for Phase 3' });
+    res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : 'Failed to save for Phase 3' });
   }
 };
 
 // Export Phase 2 Results
 const exportPhase2Results = async (req, res) => {
   const { jobId } = req.params;
-  const { filterName, exportType = 'all', filteredIds } = req.query;
-  
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
+  const { filterName, exportType = 'all', filteredIds, filter, search } = req.query;
 
   try {
+    const job = await jobStorage.get(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
     const workbook = new ExcelJS.Workbook();
     
     // Determine which items to export
     let itemsToExport = job.items;
     
-    if (exportType === 'filtered' && filteredIds) {
+    if (exportType === 'filtered' && (filter || search)) {
+      itemsToExport = selectItems(job.items, { filter, search });
+    } else if (exportType === 'filtered' && filteredIds) {
       try {
         const ids = JSON.parse(filteredIds);
         const stringIds = ids.map(id => String(id));
@@ -587,7 +913,7 @@ const exportPhase2Results = async (req, res) => {
         modifiedIds.has(String(item.id))
       );
     } else if (exportType === 'high-risk') {
-      itemsToExport = job.items.filter(item => item.risk_level === 'high');
+      itemsToExport = job.items.filter(item => item.risk_level === 'critical' || item.risk_level === 'high');
     }
     
     // Main inventory sheet
@@ -602,22 +928,32 @@ const exportPhase2Results = async (req, res) => {
       { header: 'Type', key: 'type', width: 20 },
       { header: 'Product ID', key: 'product_id', width: 20 },
       { header: 'Description', key: 'description', width: 40 },
+      { header: 'Serial Number', key: 'serial_number', width: 20 },
+      { header: 'Site', key: 'site', width: 20 },
+      { header: 'Location', key: 'location', width: 30 },
+      { header: 'Hostname', key: 'hostname', width: 20 },
+      { header: 'IP Address', key: 'ip_address', width: 16 },
       { header: 'Ship Date', key: 'ship_date', width: 15 },
       { header: 'Quantity', key: 'qty', width: 10 },
       { header: 'Support Coverage', key: 'support_coverage', width: 15 },
+      { header: 'Contract Start', key: 'contract_start', width: 15 },
+      { header: 'Contract End', key: 'contract_end', width: 15 },
+      { header: 'Contract Number', key: 'contract_number', width: 18 },
+      { header: 'Service Level', key: 'service_level', width: 18 },
       { header: 'End of Sale', key: 'end_of_sale', width: 15 },
       { header: 'Last Support Day', key: 'last_day_support', width: 15 },
       { header: 'End SW Support', key: 'end_of_sw_support', width: 15 },
       { header: 'End SW Vulnerability', key: 'end_of_sw_vulnerability', width: 15 },
       { header: 'Last Modified', key: 'last_modified', width: 20 },
-      { header: 'Modified By', key: 'modified_by', width: 15 }
+      { header: 'Modified By', key: 'modified_by', width: 15 },
+      { header: 'Risk Factors', key: 'risk_explanation', width: 60 }
     ];
     
     itemsToExport.forEach(item => {
       const row = inventorySheet.addRow(item);
       
       // Color code based on risk level
-      if (item.risk_level === 'high') {
+      if (item.risk_level === 'critical' || item.risk_level === 'high') {
         row.getCell('risk_level').fill = {
           type: 'pattern',
           pattern: 'solid',
@@ -665,6 +1001,8 @@ const exportPhase2Results = async (req, res) => {
     summarySheet.addRow({ metric: 'Filter Applied', value: filterName || 'None' });
     summarySheet.addRow({ metric: 'Total Records in System', value: job.items.length });
     summarySheet.addRow({ metric: 'Exported Records', value: itemsToExport.length });
+    summarySheet.addRow({ metric: 'Risk Profile', value: job.riskProfile ? `${job.riskProfile.name}@${job.riskProfile.version}` : 'Default' });
+    summarySheet.addRow({ metric: 'Critical Risk Items', value: itemsToExport.filter(i => i.risk_level === 'critical').length });
     summarySheet.addRow({ metric: 'High Risk Items', value: itemsToExport.filter(i => i.risk_level === 'high').length });
     summarySheet.addRow({ metric: 'Medium Risk Items', value: itemsToExport.filter(i => i.risk_level === 'medium').length });
     summarySheet.addRow({ metric: 'Low Risk Items', value: itemsToExport.filter(i => i.risk_level === 'low').length });
@@ -708,21 +1046,24 @@ const exportPhase2Results = async (req, res) => {
     
   } catch (error) {
     console.error('Export error:', error);
-    res.status(500).json({ error: 'Export failed', details: error.message });
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Export failed',
+      details: error.message
+    });
   }
 };
 
-// GLOBAL FILTER METHODS - Properly integrated with globalFilterService
+// SAVED FILTER METHODS - Phase 2 saved filters are the saved filters with column
+// criteria (services/filterService.js), addressed by name
 
-// Get all saved global filters
+// Get the saved filters the caller may see
 const getSavedFilters = async (req, res) => {
   try {
-    console.log('Getting all saved filters...');
-    const filters = await globalFilterService.getAllFilters();
+    const filters = await filterService.list(requesterOf(req), { kind: 'columns' });
     console.log(`Found ${filters.length} filters`);
     res.json({ 
       success: true,
-      filters: filters 
+      filters: filters.map(filter => filterService.toSavedFilter(filter))
     });
   } catch (error) {
     console.error('Error loading filters:', error);
@@ -734,13 +1075,13 @@ const getSavedFilters = async (req, res) => {
   }
 };
 
-// Save a new global filter
+// Save a filter; saving under a name the caller already owns creates a new version.
+// Filters were shared by everyone before they had owners, so they default to global
 const saveFilter = async (req, res) => {
   try {
-    const { name, filters } = req.body;
+    const { name, filters, description, visibility, team } = req.body;
     
     console.log('Saving filter:', name);
-    console.log('Filter config:', JSON.stringify(filters, null, 2));
     
     if (!name || !filters) {
       return res.status(400).json({ 
@@ -749,13 +1090,30 @@ const saveFilter = async (req, res) => {
       });
     }
     
-    const result = await globalFilterService.saveFilter(name, filters);
-    res.json(result);
+    const requester = requesterOf(req);
+    const found = await filterService.findByName(name, requester, { kind: 'columns' });
+    const existing = found && found.owner === requester.user ? found : null;
+    const input = {
+      name,
+      description,
+      definition: { ...(existing ? existing.definition : {}), columns: filters },
+      visibility: visibility || (existing ? undefined : 'global'),
+      team
+    };
+    const filter = existing
+      ? await filterService.update(existing.id, input, requester)
+      : await filterService.create(input, requester);
+
+    res.json({
+      success: true,
+      filter: filterService.toSavedFilter(filter),
+      updated: Boolean(existing)
+    });
   } catch (error) {
     console.error('Error saving filter:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      error: 'Failed to save filter',
+      error: error.statusCode ? error.message : 'Failed to save filter',
       details: error.message
     });
   }
@@ -767,7 +1125,8 @@ const loadFilterByName = async (req, res) => {
     const { filterName } = req.params;
     console.log('Loading filter:', filterName);
     
-    const filter = await globalFilterService.getFilter(decodeURIComponent(filterName));
+    const requester = requesterOf(req);
+    const filter = await filterService.findByName(decodeURIComponent(filterName), requester, { kind: 'columns' });
     
     if (!filter) {
       return res.status(404).json({ 
@@ -777,11 +1136,11 @@ const loadFilterByName = async (req, res) => {
     }
     
     // Update usage count
-    await globalFilterService.updateFilterUsage(filterName);
+    await filterService.recordUse(filter.id, { user: requester.user, phase: 'phase2' });
     
     res.json({ 
       success: true,
-      filter: filter 
+      filter: filterService.toSavedFilter(filter)
     });
   } catch (error) {
     console.error('Error loading filter:', error);
@@ -793,24 +1152,25 @@ const loadFilterByName = async (req, res) => {
   }
 };
 
-// Delete a global filter
+// Delete a saved filter by name
 const deleteFilter = async (req, res) => {
   try {
     const { filterName } = req.params;
     console.log('Deleting filter:', filterName);
     
-    const result = await globalFilterService.deleteFilter(decodeURIComponent(filterName));
-    
-    if (!result.success) {
-      return res.status(404).json(result);
+    const requester = requesterOf(req);
+    const filter = await filterService.findByName(decodeURIComponent(filterName), requester, { kind: 'columns' });
+    if (!filter) {
+      return res.status(404).json({ success: false, error: 'Filter not found' });
     }
     
-    res.json(result);
+    await filterService.remove(filter.id, requester);
+    res.json({ success: true });
   } catch (error) {
     console.error('Error deleting filter:', error);
-    res.status(500).json({ 
+    res.status(error.statusCode || 500).json({ 
       success: false,
-      error: 'Failed to delete filter',
+      error: error.statusCode ? error.message : 'Failed to delete filter',
       details: error.message
     });
   }
@@ -822,9 +1182,15 @@ module.exports = {
   getPhase2Results,
   updateInventoryItem,
   bulkUpdateItems,
+  bulkEditByQuery,
+  getFieldSchema,
   getModificationHistory,
+  undoChange,
+  redoChange,
+  revertChanges,
   exportPhase2Results,
   analyzeAndFillFields,
+  setRiskProfile,
   saveForPhase3,
   getSavedFilters,
   saveFilter,
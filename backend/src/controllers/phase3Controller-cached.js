@@ -20,7 +20,7 @@ const phase3Controller = {
       console.log('Phase 3 init request for Phase 2 job:', phase2JobId);
       
       // Verify Phase 2 job exists
-      const phase2Job = jobStorage.get(phase2JobId);
+      const phase2Job = await jobStorage.get(phase2JobId);
       if (!phase2Job) {
         console.error('Phase 2 job not found:', phase2JobId);
         return res.status(404).json({ error: 'Phase 2 job not found' });
@@ -3,10 +3,21 @@
 const { v4: uuidv4 } = require('uuid');
 const db = require('../database/dbConnection');
 const jobStorage = require('../utils/jobStorage');
-const googleAIResearchService = require('../services/googleAIResearchService');
 const lifecycleAnalysisService = require('../services/lifecycleAnalysisService');
 const phase3DataProcessor = require('../services/phase3DataProcessor');
 const enhancedDateEstimation = require('../services/enhancedDateEstimation');
+const phase3ResearchQueue = require('../services/phase3ResearchQueue');
+const searchRateLimiter = require('../services/searchRateLimiter');
+const lifecycleDataProviders = require('../services/lifecycleDataProviders');
+const riskEngine = require('../services/riskEngine');
+const productSuccessorService = require('../services/productSuccessorService');
+const filterService = require('../services/filterService');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+const rawInventory = require('../utils/rawInventory');
+const resultQuery = require('../utils/resultQuery');
+const { requesterOf } = require('../utils/requester');
+const { ensureMigration } = require('../database/migrationRunner');
 
 // SSE clients for progress updates
 const sseClients = new Map();
@@ -14,6 +25,20 @@ const sseClients = new Map();
 // Store latest progress for new SSE connections
 const latestProgress = {};
 
+// Research queue states worth reporting to a newly connected SSE client
+const RESEARCH_IN_PROGRESS = ['queued', 'running', 'paused'];
+
+// Facet names of the results query and the product fields they count
+const RESULT_FACETS = {
+  category: 'product_category',
+  manufacturer: 'manufacturer',
+  risk: 'risk_level',
+  status: 'lifecycle_status'
+};
+
+// Product fields the results query's search looks in
+const RESULT_SEARCH_FIELDS = ['product_id', 'description', 'manufacturer', 'product_category', 'product_family'];
+
 const phase3Controller = {
   async initializePhase3(req, res) {
     const { phase2JobId } = req.body;
@@ -22,7 +47,7 @@ const phase3Controller = {
       console.log('Phase 3 init request for Phase 2 job:', phase2JobId);
       
       // Verify Phase 2 job exists
-      const phase2Job = jobStorage.get(phase2JobId);
+      const phase2Job = await jobStorage.get(phase2JobId);
       if (!phase2Job) {
         console.error('Phase 2 job not found:', phase2JobId);
         return res.status(404).json({ error: 'Phase 2 job not found' });
@@ -48,11 +73,15 @@ const phase3Controller = {
       
       const phase3JobId = uuidv4();
       const customerName = phase2Job.customerName || 'Unknown';
+
+      // Phase 3 keeps scoring with the risk profile selected for the Phase 2 job
+      const riskProfile = (phase2Job.riskProfile && await riskEngine.getProfile(phase2Job.riskProfile)) ||
+        await riskEngine.getProfile();
       
       // Create Phase 3 job record with filter context
       await db.query(
-        `INSERT INTO phase3_jobs (job_id, phase2_job_id, customer_name, status, product_count, filter_name, filtered_count, original_count)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        `INSERT INTO phase3_jobs (job_id, phase2_job_id, customer_name, status, product_count, filter_name, filtered_count, original_count, risk_profile_name, risk_profile_version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
         [
           phase3JobId, 
           phase2JobId, 
@@ -61,7 +90,9 @@ const phase3Controller = {
           0,
           phase2Job.phase3FilterName || 'No filter',
           itemsToProcess.length,
-          phase2Job.items.length
+          phase2Job.items.length,
+          riskProfile.name,
+          riskProfile.version
         ]
       );
       
@@ -75,6 +106,7 @@ const phase3Controller = {
         if (uniqueProducts.has(productId)) {
   const existing = uniqueProducts.get(productId);
   existing.total_quantity += parseInt(item.qty) || 0;
+  existing.total_value += parseFloat(item.total_value) || 0;
   
   // Preserve the earliest end_of_sale date if multiple exist
   if (item.end_of_sale && (!existing.end_of_sale_date || 
@@ -107,6 +139,7 @@ const phase3Controller = {
     product_type: item.type || null,
     description: item.description || null,
     total_quantity: parseInt(item.qty) || 0,
+    total_value: parseFloat(item.total_value) || 0,
     job_id: phase3JobId,
     // PRESERVE PHASE 2 DATES
     end_of_sale_date: item.end_of_sale || null,
@@ -114,27 +147,20 @@ const phase3Controller = {
     end_of_sw_maintenance_date: item.end_of_sw_support || null,
     end_of_sw_vulnerability_maintenance_date: item.end_of_sw_vulnerability || null,
     date_introduced: item.date_introduced || null,
-    end_of_life_date: item.end_of_life || null
+    end_of_life_date: item.end_of_life || null,
+    support_coverage_states: {}
   });
 }
+        // Installed quantity per support coverage state
+        supportCoverage.addQuantity(uniqueProducts.get(productId).support_coverage_states, item);
         
-        // Store raw inventory for year distribution
-        if (item.ship_date || item.purchase_date) {
-          db.query(
-            `INSERT INTO raw_inventory (job_id, product_id, quantity, ship_date, purchase_date)
-             VALUES ($1, $2, $3, $4, $5)`,
-            [
-              phase3JobId,
-              productId,
-              parseInt(item.qty) || 0,
-              item.ship_date || null,
-              item.purchase_date || item.ship_date || null
-            ]
-          ).catch(err => console.error('Raw inventory insert error:', err));
-        }
       });
       
+      // Every item with its dates and site, for the year distribution and site breakdown
+      await rawInventory.insertItems(phase3JobId, itemsToProcess);
+
       // Insert unique products into phase3_analysis
+      await ensureMigration('20261019_support_coverage.sql');
       let insertedCount = 0;
       for (const [productId, product] of uniqueProducts) {
         try {
@@ -142,11 +168,13 @@ const phase3Controller = {
   `INSERT INTO phase3_analysis 
    (job_id, product_id, manufacturer, product_category, product_type, description, 
     total_quantity, end_of_sale_date, last_day_of_support_date, 
-    end_of_sw_maintenance_date, end_of_sw_vulnerability_maintenance_date)
-   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    end_of_sw_maintenance_date, end_of_sw_vulnerability_maintenance_date, total_value, support_coverage_states)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
    ON CONFLICT (job_id, product_id) 
    DO UPDATE SET 
      total_quantity = phase3_analysis.total_quantity + EXCLUDED.total_quantity,
+     total_value = COALESCE(phase3_analysis.total_value, 0) + EXCLUDED.total_value,
+     support_coverage_states = EXCLUDED.support_coverage_states,
      -- Only update dates if they don't already exist
      end_of_sale_date = COALESCE(phase3_analysis.end_of_sale_date, EXCLUDED.end_of_sale_date),
      last_day_of_support_date = COALESCE(phase3_analysis.last_day_of_support_date, EXCLUDED.last_day_of_support_date),
@@ -164,7 +192,9 @@ const phase3Controller = {
     this.formatDateForDB(product.end_of_sale_date),
     this.formatDateForDB(product.last_day_of_support_date),
     this.formatDateForDB(product.end_of_sw_maintenance_date),
-    this.formatDateForDB(product.end_of_sw_vulnerability_maintenance_date)
+    this.formatDateForDB(product.end_of_sw_vulnerability_maintenance_date),
+    product.total_value,
+    JSON.stringify(product.support_coverage_states)
   ]
 );
           insertedCount++;
@@ -188,7 +218,8 @@ const phase3Controller = {
         customerName,
         filterApplied: phase2Job.phase3FilterName || 'None',
         filteredItems: itemsToProcess.length,
-        originalItems: phase2Job.items.length
+        originalItems: phase2Job.items.length,
+        riskProfile: riskEngine.toSelection(riskProfile)
       });
       
     } catch (error) {
@@ -202,343 +233,219 @@ const phase3Controller = {
   
 
 
-  // ENHANCED runAIResearch method with real-time updates
+  // Queue AI research for a Phase 3 job; phase3ResearchQueue does the work in
+  // the background and reports progress through the SSE stream
   async runAIResearch(req, res) {
-    const { jobId, useCache = true } = req.body;  // ADD useCache parameter
-    // ADD: Cache statistics tracking
-    let cacheStats = {
-      hits: 0,
-      misses: 0,
-      enabled: useCache,
-      totalTime: 0,
-      avgCacheTime: 0,
-      avgFreshTime: 0
-    };
+    const { jobId, useCache = true, concurrency } = req.body;
     
-    console.log(`Starting Phase 3 research for job: ${jobId}`);
-    console.log(`Cache ${useCache ? 'ENABLED' : 'DISABLED'} for this research session`); // ADD this log
-  
-    const controller = this; // Store reference to controller for sendProgressUpdate
+    console.log(`Queueing Phase 3 research for job: ${jobId}`);
+    console.log(`Cache ${useCache ? 'ENABLED' : 'DISABLED'} for this research session`);
     
     try {
-      console.log(`Starting Phase 3 AI research for job: ${jobId}`);
-      
-      
-      // Fetch products from Phase 3 analysis
-      const phase3Query = `
-        SELECT 
-          product_id,
-          description,
-          manufacturer,
-          product_category,
-          product_type,
-          total_quantity
-        FROM phase3_analysis
-        WHERE job_id = $1
-        ORDER BY total_quantity DESC
-      `;
-      
-      const phase3Result = await db.query(phase3Query, [jobId]); // USE db NOT pool
-      const products = phase3Result.rows;
-      
-      if (products.length === 0) {
+      const countResult = await db.query(
+        'SELECT COUNT(*)::int AS count FROM phase3_analysis WHERE job_id = $1',
+        [jobId]
+      );
+      
+      if (countResult.rows[0].count === 0) {
         return res.status(404).json({
           success: false,
           message: 'No products found in Phase 3 analysis'
         });
       }
       
-      console.log(`Found ${products.length} products to research`);
-      
-      // Update job status
-      await db.query(
-        `UPDATE phase3_jobs SET status = 'researching' WHERE job_id = $1`,
-        [jobId]
-      );
-      
-      const results = [];
-      let successCount = 0;
-      let failureCount = 0;
-      let processedCount = 0;
-      let datesFoundCount = 0; // NEW: Track products with dates found
-      const updateHistory = []; // NEW: Track update history
-      
-      // IMPORTANT: Send initial progress with enhanced fields
-      console.log('Sending initial progress update...');
-      controller.sendProgressUpdate(jobId, {
-        total: products.length,
-        processed: 0,
-        successful: 0,
-        failed: 0,
-        datesFound: 0, // NEW
-        current: 0,
-        currentProduct: 'Starting...',
-        researchingProduct: null, // NEW
-        message: `Starting research for ${products.length} products`,
-        updateHistory: [] // NEW
-      });
-      
-      // Process each product
-      for (let i = 0; i < products.length; i++) {
-        const product = products[i];
-        const productNumber = i + 1;
-        
-        // ENHANCED: Send update BEFORE researching with researchingProduct field
-        console.log(`🔍 Starting research for ${product.product_id} (${productNumber}/${products.length})`);
-        
-        controller.sendProgressUpdate(jobId, {
-          total: products.length,
-          processed: processedCount,
-          successful: successCount,
-          failed: failureCount,
-          datesFound: datesFoundCount,
-          current: productNumber,
-          currentProduct: product.product_id,
-          researchingProduct: product.product_id, // NEW: Mark as currently researching
-          message: `Researching ${product.product_id} (${productNumber} of ${products.length})`,
-          updateHistory: [...updateHistory].slice(-5) // Keep last 5 updates
-        });
-        
-        try {
-          // Research the product with AI
-          const result = await controller.researchwithAI(product, useCache, cacheStats);
-          
-          // Process successful result
-          successCount++;
-          processedCount++;
-          
-          // Store the result
-          await controller.storePhase3Result(result);
-          
-          // Add to results array
-          results.push(result);
-          
-          // Update history for successful research
-          // ... success handling code ...
-          
-        } catch (error) {
-      
-        // Error handling stays the same (line 441 onwards)
-          console.error(`âŒ Failed to research ${product.product_id}:`, error.message);
-          failureCount++;
-          processedCount++;
-          
-          // Try to store failed result
-          try {
-            const failedResult = {
-              ...product,
-              job_id: jobId,
-              overall_confidence: 0,
-              lifecycle_confidence: 0,
-              manufacturer_confidence: 0,
-              category_confidence: 0,
-              lifecycle_status: 'Unknown',
-              risk_level: 'medium',
-              requires_review: true,
-              ai_enhanced: false,
-              data_sources: { vendor_site: 0, third_party: 0, manual_entry: 0 }
-            };
-            
-            await controller.storePhase3Result(failedResult);
-          } catch (storeError) {
-            console.error(`Failed to store error result for ${product.product_id}:`, storeError.message);
-          }
-          
-          // NEW: Add to update history
-          const updateEntry = {
-            product_id: product.product_id,
-            success: false,
-            datesFound: 0,
-            error: error.message,
-            timestamp: new Date().toISOString()
-          };
-          updateHistory.push(updateEntry);
-          
-          // ENHANCED: Send failure update with failed product indicator
-          controller.sendProgressUpdate(jobId, {
-            total: products.length,
-            processed: processedCount,
-            successful: successCount,
-            failed: failureCount,
-            datesFound: datesFoundCount,
-            current: productNumber,
-            currentProduct: product.product_id,
-            researchingProduct: null,
-            message: `Failed ${product.product_id} - continuing...`,
-            updateHistory: [...updateHistory].slice(-5),
-            // NEW: Include failed product info
-            failedProduct: {
-              product_id: product.product_id,
-              error: error.message
-            }
-          });
-        }
+      const status = await phase3ResearchQueue.enqueue(jobId, { useCache, concurrency });
+      if (!status) {
+        return res.status(404).json({ success: false, error: 'Phase 3 job not found' });
       }
       
-      // Calculate average confidence
-      const avgConfidence = results.length > 0 
-        ? Math.round(results.reduce((sum, r) => sum + (r.overall_confidence || 0), 0) / results.length)
-        : 0;
-      
-      // Update job statistics - USE db NOT pool
-      await db.query(
-        `UPDATE phase3_jobs 
-         SET status = 'research_complete',
-             products_researched = $2,
-             products_enhanced = $3,
-             products_no_data_found = $4,
-             avg_confidence_score = $5,
-             completed_at = NOW()
-         WHERE job_id = $1`,
-        [jobId, products.length, successCount, failureCount, avgConfidence]
-      );
-      
-      // ENHANCED: Send final progress with complete statistics
-      controller.sendProgressUpdate(jobId, {
-        total: products.length,
-        processed: products.length,
-        successful: successCount,
-        failed: failureCount,
-        datesFound: datesFoundCount,
-        current: products.length,
-        currentProduct: 'Complete',
-        researchingProduct: null,
-        message: `Research completed: ${successCount} successful, ${failureCount} failed, ${datesFoundCount} products with dates`,
-        updateHistory: [...updateHistory].slice(-5),
-        completed: true // NEW: Mark as completed
+      res.status(202).json({
+        success: true,
+        message: `AI research ${status.status}`,
+        ...status
       });
       
-      // ENHANCED: Ensure SSE message is flushed before continuing
-      // Give SSE clients time to receive the completion message
-      const clients = sseClients.get(jobId);
-      if (clients && clients.size > 0) {
-        console.log(`Flushing SSE completion message to ${clients.size} client(s)`);
-        
-        // Send a dedicated completion event
-        const completionData = JSON.stringify({
-          type: 'RESEARCH_COMPLETE',
-          completed: true,
-          total: products.length,
-          processed: products.length,
-          successful: successCount,
-          failed: failureCount,
-          datesFound: datesFoundCount,
-          message: 'Research completed successfully'
-        });
-        
-        // Send completion message to all clients
-        clients.forEach(client => {
-          try {
-            client.write(`data: ${completionData}\n\n`);
-            // Force flush if possible
-            if (client.flush) client.flush();
-          } catch (error) {
-            console.error('Failed to send completion message:', error);
-          }
-        });
-        
-        // Add a small delay to ensure message delivery
-        await new Promise(resolve => setTimeout(resolve, 500));
-        console.log('SSE completion message sent and flushed');
-      }
+    } catch (error) {
+      console.error('AI research error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start AI research',
+        details: error.message
+      });
+    }
+  },
 
-      // Update job status to completed in database
-      try {
-        await db.query(
-          'UPDATE phase3_jobs SET status = $1, processed_products = $2, successful_products = $3, failed_products = $4, completed_at = NOW() WHERE job_id = $5',
-          ['completed', processedCount, successCount, failureCount, jobId]
-        );
-        console.log(`Database updated: Job ${jobId} marked as completed`);
-      } catch (updateError) {
-        console.error('Failed to update job status:', updateError);
-        // Don't fail the whole operation if status update fails
+  // Pause research after the product currently being researched
+  async pauseResearch(req, res) {
+    const { jobId } = req.params;
+    
+    try {
+      const paused = await phase3ResearchQueue.pause(jobId);
+      if (!paused) {
+        return res.status(409).json({ success: false, error: 'Research is not queued or running for this job' });
       }
       
-      console.log(`✅ AI research completed for job ${jobId}`);
-      console.log(`   Processed: ${processedCount}, Successful: ${successCount}, Failed: ${failureCount}`);
-      console.log(`   Products with dates found: ${datesFoundCount}`);
+      res.json({ success: true, ...(await phase3ResearchQueue.getStatus(jobId)) });
+    } catch (error) {
+      console.error('Pause research error:', error);
+      res.status(500).json({ success: false, error: 'Failed to pause research', details: error.message });
+    }
+  },
+
+  // Resume a paused job from its last checkpoint
+  async resumeResearch(req, res) {
+    const { jobId } = req.params;
+    
+    try {
+      const resumed = await phase3ResearchQueue.resume(jobId);
+      if (!resumed) {
+        return res.status(409).json({ success: false, error: 'Research is not paused for this job' });
+      }
       
-      // ENHANCED: Add another small delay before sending HTTP response
-      // This ensures SSE messages are delivered before the HTTP connection changes
-      await new Promise(resolve => setTimeout(resolve, 200));
+      res.json({ success: true, ...(await phase3ResearchQueue.getStatus(jobId)) });
+    } catch (error) {
+      console.error('Resume research error:', error);
+      res.status(500).json({ success: false, error: 'Failed to resume research', details: error.message });
+    }
+  },
+
+  // Cancel research; results stored so far are kept
+  async cancelResearch(req, res) {
+    const { jobId } = req.params;
+    
+    try {
+      const cancelled = await phase3ResearchQueue.cancel(jobId);
+      if (!cancelled) {
+        return res.status(409).json({ success: false, error: 'Research is not active for this job' });
+      }
       
-      res.json({
-        success: true,
-        message: 'AI research completed successfully',
-        stats: {
-          total: products.length,
-          successful: successCount,
-          failed: failureCount,
-          datesFound: datesFoundCount,
-          avgConfidence
-        }
-      });
+      const status = await phase3ResearchQueue.getStatus(jobId);
+      // A queued or paused job has no worker to announce the cancellation
+      if (!phase3ResearchQueue.isActive(jobId)) {
+        this.sendProgressUpdate(jobId, { ...status, cancelled: true });
+      }
       
+      res.json({ success: true, ...status });
     } catch (error) {
-      console.error('AI research error:', error);
-      
-      // Update job status to failed - USE db NOT pool
-      try {
-        await db.query(
-          `UPDATE phase3_jobs 
-           SET status = 'research_failed',
-               error_message = $2
-           WHERE job_id = $1`,
-          [jobId, error.message]
-        );
-      } catch (updateError) {
-        console.error('Failed to update job status:', updateError);
+      console.error('Cancel research error:', error);
+      res.status(500).json({ success: false, error: 'Failed to cancel research', details: error.message });
+    }
+  },
+
+  // Current research state from the stored checkpoints
+  async getResearchStatus(req, res) {
+    const { jobId } = req.params;
+    
+    try {
+      const status = await phase3ResearchQueue.getStatus(jobId);
+      if (!status) {
+        return res.status(404).json({ error: 'Phase 3 job not found' });
       }
       
-      res.status(500).json({
-        success: false,
-        error: 'AI research failed',
-        details: error.message
-      });
+      res.json({ ...status, searchQuota: await searchRateLimiter.getStatus() });
+    } catch (error) {
+      console.error('Get research status error:', error);
+      res.status(500).json({ error: 'Failed to get research status', details: error.message });
     }
   },
 
+  // Cache-first research; kept for callers that predate lifecycleDataProviders
   async performResearchWithCache(product) {
-  const aiResearchCache = require('../services/aiResearchCacheService');
+    const result = await lifecycleDataProviders.research(product, { useCache: true });
+    return { ...product, ...result };
+  },
   
-  // Try cache first
-  try {
-    const cached = await aiResearchCache.getCachedResearch(
-      product.manufacturer, 
-      product.product_id
-    );
+  // Research a single product, fill in derivable dates and store the result
+  async researchProduct(product, jobId, useCache = false) {
+    const researchInput = {
+      product_id: product.product_id,
+      manufacturer: product.manufacturer,
+      description: product.description,
+      product_category: product.product_category
+    };
     
-    if (cached && !cached.isExpired) {
-      console.log(`ðŸ“¦ Cache hit: ${product.product_id}`);
-      return {
+    // Ask the providers in order: cache, local vendor bulletins, web search
+    const rawResearchResult = await lifecycleDataProviders.research(researchInput, { useCache });
+    
+    // Process the result
+    const riskProfile = await riskEngine.getPhase3JobProfile(jobId);
+    const processedResults = phase3DataProcessor.processForReport([{
+      ...product,
+      ...rawResearchResult,
+      job_id: jobId
+    }], riskProfile);
+    const processedResult = processedResults[0];
+    processedResult.fromCache = !!rawResearchResult.fromCache;
+    processedResult.data_provider = rawResearchResult.data_provider;
+
+    // Calculate missing dates for any product that has at least one date
+    if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date) {
+      
+      // If we have LDOS but no EOS, calculate EOS (like MR74)
+      if (processedResult.last_day_of_support_date && !processedResult.end_of_sale_date) {
+        const ldos = new Date(processedResult.last_day_of_support_date);
+        const eos = new Date(ldos);
+        eos.setFullYear(eos.getFullYear() - 5);
+        processedResult.end_of_sale_date = eos.toISOString().split('T')[0];
+        console.log(`📅 Calculated EOS from LDOS: ${processedResult.end_of_sale_date}`);
+      }
+      
+      // If we have EOS, calculate other missing dates
+      if (processedResult.end_of_sale_date) {
+        const eos = new Date(processedResult.end_of_sale_date);
+        
+        if (!processedResult.end_of_sw_maintenance_date) {
+          const swMaint = new Date(eos);
+          swMaint.setFullYear(swMaint.getFullYear() + 3);
+          processedResult.end_of_sw_maintenance_date = swMaint.toISOString().split('T')[0];
+        }
+        
+        if (!processedResult.end_of_sw_vulnerability_maintenance_date) {
+          const swVuln = new Date(eos);
+          swVuln.setFullYear(swVuln.getFullYear() + 4);
+          processedResult.end_of_sw_vulnerability_maintenance_date = swVuln.toISOString().split('T')[0];
+          processedResult.lifecycle_confidence = Math.max(processedResult.lifecycle_confidence || 0, 85);
+        }
+        
+        if (!processedResult.last_day_of_support_date) {
+          const ldos = new Date(eos);
+          ldos.setFullYear(ldos.getFullYear() + 5);
+          processedResult.last_day_of_support_date = ldos.toISOString().split('T')[0];
+        }
+      }
+      
+      console.log(`📊 Dates after calculation: EOS=${processedResult.end_of_sale_date}, LDOS=${processedResult.last_day_of_support_date}`);
+    }
+    
+    // Store the result
+    await this.storePhase3Result(processedResult);
+    
+    return processedResult;
+  },
+
+  // Store a placeholder result for a product whose research failed
+  async storeFailedResult(product, jobId) {
+    try {
+      const failedResult = {
         ...product,
-        date_introduced: cached.date_introduced,
-        end_of_sale_date: cached.end_of_sale_date,
-        end_of_sw_maintenance_date: cached.end_of_sw_maintenance_date,
-        end_of_sw_vulnerability_maintenance_date: cached.end_of_sw_vulnerability_maintenance_date,
-        last_day_of_support_date: cached.last_day_of_support_date,
-        dates_found: 1,
-        data_sources: cached.data_sources,
-        overall_confidence: (cached.confidence_score || 90) + 2,
-        fromCache: true  // Mark as from cache
+        job_id: jobId,
+        overall_confidence: 0,
+        lifecycle_confidence: 0,
+        manufacturer_confidence: 0,
+        category_confidence: 0,
+        lifecycle_status: 'Unknown',
+        risk_level: 'medium',
+        requires_review: true,
+        ai_enhanced: false,
+        data_sources: { vendor_site: 0, third_party: 0, manual_entry: 0 }
       };
+      
+      await this.storePhase3Result(failedResult);
+    } catch (storeError) {
+      console.error(`Failed to store error result for ${product.product_id}:`, storeError.message);
     }
-  } catch(e) { /* ignore cache errors */ }
-  
-  // No cache - normal research
-  const result = await googleAIResearchService.performResearch(product);
-  
-  // Save to cache
-  if (result?.dates_found > 0) {
-    aiResearchCache.saveToCache({...result, ...product}).catch(e => {});
-  }
-  
-  return {
-    ...result,
-    fromCache: false  // Mark as fresh
-  };
-},
-  
+  },
+
   // Internal method for isolated product research
   async runAIResearchInternal(products, jobId) {
     console.log(`ðŸš€ Starting AI research for ${products.length} products in job ${jobId}`);
@@ -585,63 +492,7 @@ const phase3Controller = {
       });
       
       try {
-        // Perform AI research
-        const rawResearchResult = await googleAIResearchService.performResearch({
-          product_id: product.product_id,
-          manufacturer: product.manufacturer,
-          description: product.description,
-          product_category: product.product_category
-        });
-        
-        // Process the result
-        const processedResults = phase3DataProcessor.processForReport([{
-          ...product,
-          ...rawResearchResult,
-          job_id: jobId
-        }]);
-        const processedResult = processedResults[0];
-
-        // Calculate missing dates for any product that has at least one date
-if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date) {
-  
-  // If we have LDOS but no EOS, calculate EOS (like MR74)
-  if (processedResult.last_day_of_support_date && !processedResult.end_of_sale_date) {
-    const ldos = new Date(processedResult.last_day_of_support_date);
-    const eos = new Date(ldos);
-    eos.setFullYear(eos.getFullYear() - 5);
-    processedResult.end_of_sale_date = eos.toISOString().split('T')[0];
-    console.log(`ðŸ“… Calculated EOS from LDOS: ${processedResult.end_of_sale_date}`);
-  }
-  
-  // If we have EOS, calculate other missing dates
-  if (processedResult.end_of_sale_date) {
-    const eos = new Date(processedResult.end_of_sale_date);
-    
-    if (!processedResult.end_of_sw_maintenance_date) {
-      const swMaint = new Date(eos);
-      swMaint.setFullYear(swMaint.getFullYear() + 3);
-      processedResult.end_of_sw_maintenance_date = swMaint.toISOString().split('T')[0];
-    }
-    
-    if (!processedResult.end_of_sw_vulnerability_maintenance_date) {
-      const swVuln = new Date(eos);
-      swVuln.setFullYear(swVuln.getFullYear() + 4);
-      processedResult.end_of_sw_vulnerability_maintenance_date = swVuln.toISOString().split('T')[0];
-      processedResult.lifecycle_confidence = Math.max(processedResult.lifecycle_confidence || 0, 85);
-    }
-    
-    if (!processedResult.last_day_of_support_date) {
-      const ldos = new Date(eos);
-      ldos.setFullYear(ldos.getFullYear() + 5);
-      processedResult.last_day_of_support_date = ldos.toISOString().split('T')[0];
-    }
-  }
-  
-  console.log(`ðŸ“Š Dates after calculation: EOS=${processedResult.end_of_sale_date}, LDOS=${processedResult.last_day_of_support_date}`);
-}
-        
-        // Store the result
-        await this.storePhase3Result(processedResult);
+        const processedResult = await this.researchProduct(product, jobId);
         
         results.push(processedResult);
         successCount++;
@@ -706,26 +557,7 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
         failureCount++;
         processedCount++;
         
-        // Try to store failed result
-        try {
-          const failedResult = {
-            ...product,
-            job_id: jobId,
-            overall_confidence: 0,
-            lifecycle_confidence: 0,
-            manufacturer_confidence: 0,
-            category_confidence: 0,
-            lifecycle_status: 'Unknown',
-            risk_level: 'medium',
-            requires_review: true,
-            ai_enhanced: false,
-            data_sources: { vendor_site: 0, third_party: 0, manual_entry: 0 }
-          };
-          
-          await this.storePhase3Result(failedResult);
-        } catch (storeError) {
-          console.error(`Failed to store error result for ${product.product_id}:`, storeError.message);
-        }
+        await this.storeFailedResult(product, jobId);
         
         // Update history
         updateHistory.push({
@@ -819,12 +651,17 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
         -- Data sources
         data_sources,
         
+        -- Risk engine output
+        risk_score,
+        risk_factors,
+        risk_profile,
+        
         -- Timestamps
         created_at,
         updated_at
       ) VALUES (
         -- Values placeholders
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, NOW(), NOW()
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, NOW(), NOW()
       )
       ON CONFLICT (job_id, product_id) 
       DO UPDATE SET
@@ -873,6 +710,9 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
         ai_enhanced = EXCLUDED.ai_enhanced,
         requires_review = EXCLUDED.requires_review,
         data_sources = EXCLUDED.data_sources,
+        risk_score = EXCLUDED.risk_score,
+        risk_factors = EXCLUDED.risk_factors,
+        risk_profile = EXCLUDED.risk_profile,
         updated_at = NOW()
     `;
     
@@ -913,10 +753,16 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
       result.requires_review === true,
       
       // $23: Data sources (handle both object and array formats)
-      this.formatDataSourcesForDB(result.data_sources)
+      this.formatDataSourcesForDB(result.data_sources),
+      
+      // $24-$26: Risk engine output
+      result.risk_score === undefined ? null : result.risk_score,
+      JSON.stringify(result.risk_factors || []),
+      result.risk_profile || null
     ];
     
     try {
+      await riskEngine.ensureSchema();
       await db.query(query, values);
       console.log(`âœ… Stored Phase 3 result for ${result.product_id}`);
     } catch (error) {
@@ -929,32 +775,7 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
    * Helper method: Format date for database
    */
   formatDateForDB(dateValue) {
-    if (!dateValue) return null;
-    
-    try {
-      // Handle various date formats
-      if (typeof dateValue === 'string') {
-        // Already in YYYY-MM-DD format
-        if (/^\d{4}-\d{2}-\d{2}$/.test(dateValue)) {
-          return dateValue;
-        }
-        
-        // Parse and format
-        const date = new Date(dateValue);
-        if (!isNaN(date.getTime())) {
-          return date.toISOString().split('T')[0]; // Returns YYYY-MM-DD
-        }
-      }
-      
-      if (dateValue instanceof Date) {
-        return dateValue.toISOString().split('T')[0];
-      }
-      
-      return null;
-    } catch (error) {
-      console.error(`Date formatting error for ${dateValue}:`, error.message);
-      return null;
-    }
+    return dateParser.formatDate(dateValue);
   },
 
   /**
@@ -998,8 +819,9 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
     }
     sseClients.get(jobId).add(res);
     
-    // Send initial status or latest progress if available
-    const initialData = latestProgress[jobId] || { 
+    // Send latest progress if this process is running the job,
+    // otherwise rebuild it from the stored checkpoints
+    const waitingData = { 
       total: 0, 
       processed: 0, 
       successful: 0, 
@@ -1010,16 +832,48 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
       updateHistory: []
     };
     
-    res.write(`data: ${JSON.stringify(initialData)}\n\n`);
+    if (latestProgress[jobId]) {
+      res.write(`data: ${JSON.stringify(latestProgress[jobId])}\n\n`);
+    } else {
+      // Finished jobs report 'Waiting...' so a re-run is not mistaken for completion
+      phase3ResearchQueue.getStatus(jobId)
+        .then(status => {
+          const inProgress = status && RESEARCH_IN_PROGRESS.includes(status.status);
+          res.write(`data: ${JSON.stringify(inProgress ? status : waitingData)}\n\n`);
+        })
+        .catch(() => res.write(`data: ${JSON.stringify(waitingData)}\n\n`));
+    }
+    
+    // When another instance (or a previous process) owns the job, the worker's
+    // updates never reach this process, so poll the checkpoints instead
+    let lastPolled = null;
+    const pollTimer = setInterval(async () => {
+      if (phase3ResearchQueue.isActive(jobId)) return;
+      try {
+        const status = await phase3ResearchQueue.getStatus(jobId);
+        if (!status || (!lastPolled && !RESEARCH_IN_PROGRESS.includes(status.status))) return;
+        const data = JSON.stringify(status);
+        if (data !== lastPolled) {
+          lastPolled = data;
+          res.write(`data: ${data}\n\n`);
+        }
+      } catch (error) {
+        console.error('Failed to poll research status:', error.message);
+      }
+    }, 5000);
     
     // Clean up on disconnect
     req.on('close', () => {
+      clearInterval(pollTimer);
       const clients = sseClients.get(jobId);
       if (clients) {
         clients.delete(res);
         if (clients.size === 0) {
           sseClients.delete(jobId);
-          delete latestProgress[jobId]; // Clean up stored progress
+          // Keep progress while the worker is still running so reconnects see it
+          if (!phase3ResearchQueue.isActive(jobId)) {
+            delete latestProgress[jobId];
+          }
         }
       }
     });
@@ -1081,6 +935,8 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
   },
   
   // Get Phase 3 results
+  // Every product, or with filter, search, sort, page, pageSize, fields or facets in
+  // the query string one page of the matching products with totals and facet counts
   async getResults(req, res) {
     const { jobId } = req.params;
     
@@ -1103,7 +959,10 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
         [jobId]
       );
 
-      const processedProducts = phase3DataProcessor.processForReport(productsResult.rows);
+      const riskProfile = await riskEngine.getPhase3JobProfile(jobId);
+      const processedProducts = await productSuccessorService.attachSuccessors(
+        phase3DataProcessor.processForReport(productsResult.rows, riskProfile)
+      );
       
       const stats = {
         totalProducts: productsResult.rows.length,
@@ -1117,19 +976,89 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
           p.end_of_sale_date || 
           p.last_day_of_support_date || 
           p.end_of_sw_maintenance_date
-        ).length
+        ).length,
+        // Over every product, so a client showing one page can still report them
+        criticalRiskCount: processedProducts.filter(p => p.risk_level === 'critical').length,
+        highRiskCount: processedProducts.filter(p => p.risk_level === 'high').length
       };
       
+      let products = processedProducts;
+      let query = {};
+      // A saved filter from any phase narrows the products first
+      if (req.query.savedFilter) {
+        const { kept, applied } = await filterService.applySaved(products, req.query.savedFilter, requesterOf(req), 'phase3');
+        products = kept;
+        query.savedFilter = applied;
+      }
+      if (resultQuery.isQuery(req.query)) {
+        const parsed = resultQuery.parse(req.query, {
+          facets: RESULT_FACETS,
+          defaultSort: [{ field: 'total_quantity', order: 'desc' }]
+        });
+        const result = resultQuery.run(products, parsed, { searchFields: RESULT_SEARCH_FIELDS, keyFields: ['id', 'product_id'] });
+        products = result.rows;
+        query = { ...query, pagination: result.pagination, facets: result.facets };
+      }
+      
       res.json({
         job: jobResult.rows[0],
-        products: processedProducts,
+        products,
+        ...query,
+        riskProfile: riskEngine.toSelection(riskProfile),
         stats
       });
       
     } catch (error) {
       console.error('Get results error:', error);
+      res.status(error.statusCode || 500).json({
+        error: error.statusCode ? error.message : 'Failed to get results',
+        details: error.message
+      });
+    }
+  },
+
+  // Rescore a Phase 3 job's products with another risk profile
+  async setRiskProfile(req, res) {
+    const { jobId } = req.params;
+    const { name, version } = req.body;
+    
+    try {
+      const jobResult = await db.query('SELECT job_id FROM phase3_jobs WHERE job_id = $1', [jobId]);
+      if (jobResult.rows.length === 0) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      
+      const riskProfile = name ? await riskEngine.getProfile({ name, version }) : await riskEngine.getProfile();
+      if (!riskProfile) {
+        return res.status(404).json({ error: `Risk profile "${name}" not found` });
+      }
+      
+      await riskEngine.setPhase3JobProfile(jobId, riskProfile);
+      
+      const productsResult = await db.query('SELECT * FROM phase3_analysis WHERE job_id = $1', [jobId]);
+      const products = phase3DataProcessor.processForReport(productsResult.rows, riskProfile);
+      
+      for (const product of products) {
+        await db.query(
+          `UPDATE phase3_analysis
+           SET risk_level = $3, risk_score = $4, risk_factors = $5, risk_profile = $6, updated_at = NOW()
+           WHERE job_id = $1 AND product_id = $2`,
+          [jobId, product.product_id, product.risk_level, product.risk_score, JSON.stringify(product.risk_factors), product.risk_profile]
+        );
+      }
+      
+      console.log(`⚖️ Rescored ${products.length} Phase 3 products for job ${jobId} with ${riskEngine.profileLabel(riskProfile)}`);
+      
+      res.json({
+        success: true,
+        riskProfile: riskEngine.toSelection(riskProfile),
+        riskDistribution: riskEngine.countLevels(products)
+      });
+      
+    } catch (error) {
+      console.error('Phase 3 risk profile error:', error);
       res.status(500).json({
-        error: 'Failed to get results',
+        error: 'Failed to apply risk profile',
         details: error.message
       });
     }
@@ -1155,7 +1084,7 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
       
       // Process products same way as getResults does (if phase3DataProcessor is available)
       const products = phase3DataProcessor ? 
-        phase3DataProcessor.processForReport(productsResult.rows) : 
+        phase3DataProcessor.processForReport(productsResult.rows, await riskEngine.getPhase3JobProfile(jobId)) : 
         productsResult.rows;
       
       // Create workbook
@@ -1171,6 +1100,7 @@ if (processedResult.end_of_sale_date || processedResult.last_day_of_support_date
         { header: 'Qty', key: 'total_quantity', width: 10 },
         { header: 'Status', key: 'lifecycle_status', width: 15 },
         { header: 'Risk', key: 'risk_level', width: 12 },
+        { header: 'Risk Factors', key: 'risk_explanation', width: 50 },
         { header: 'End of Sale', key: 'end_of_sale_date', width: 15 },
         { header: 'End of SW Maint', key: 'end_of_sw_maintenance_date', width: 15 },
         { header: 'End of SW Vuln', key: 'end_of_sw_vulnerability_maintenance_date', width: 15 },
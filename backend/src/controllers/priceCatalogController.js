@@ -0,0 +1,88 @@
+// backend/src/controllers/priceCatalogController.js
+
+const multer = require('multer');
+const path = require('path');
+const budgetForecastService = require('../services/budgetForecastService');
+
+// Catalog CSV files are small and parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.csv' || ext === '.txt') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'), false);
+    }
+  }
+});
+
+const priceCatalogController = {
+  upload: upload.single('file'),
+
+  // All unit prices and replacement mappings
+  async getCatalog(req, res) {
+    try {
+      const entries = await budgetForecastService.getCatalog();
+      res.json({
+        entries,
+        defaultInflationRate: budgetForecastService.DEFAULT_INFLATION_RATE
+      });
+    } catch (error) {
+      console.error('Price catalog error:', error);
+      res.status(500).json({ error: 'Failed to get price catalog', details: error.message });
+    }
+  },
+
+  // Add or update entries: { entries: [{ product_id | category, unit_price, replacement_product_id, ... }] }
+  async saveEntries(req, res) {
+    const { entries } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ error: 'entries must be a non-empty array' });
+    }
+
+    try {
+      const { saved, errors } = await budgetForecastService.upsertEntries(entries);
+      res.status(errors.length > 0 && saved.length === 0 ? 400 : 200).json({
+        success: saved.length > 0,
+        saved,
+        errors
+      });
+    } catch (error) {
+      console.error('Price catalog save error:', error);
+      res.status(500).json({ error: 'Failed to save price catalog entries', details: error.message });
+    }
+  },
+
+  // Import entries from a CSV file
+  async importCatalog(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+      const summary = await budgetForecastService.importCsv(req.file.buffer);
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      console.error('Price catalog import error:', error);
+      res.status(400).json({ error: 'Failed to import price catalog', details: error.message });
+    }
+  },
+
+  async deleteEntry(req, res) {
+    try {
+      const deleted = await budgetForecastService.deleteEntry(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Price catalog entry not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Price catalog delete error:', error);
+      res.status(500).json({ error: 'Failed to delete price catalog entry', details: error.message });
+    }
+  }
+};
+
+module.exports = priceCatalogController;
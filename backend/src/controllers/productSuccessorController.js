@@ -0,0 +1,85 @@
+// backend/src/controllers/productSuccessorController.js
+
+const multer = require('multer');
+const path = require('path');
+const productSuccessorService = require('../services/productSuccessorService');
+
+// Successor CSV files are small and parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (ext === '.csv' || ext === '.txt') {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'), false);
+    }
+  }
+});
+
+const productSuccessorController = {
+  upload: upload.single('file'),
+
+  // Successor mappings, or those involving one product with ?productId=
+  async listSuccessors(req, res) {
+    try {
+      const successors = await productSuccessorService.list({ productId: req.query.productId });
+      res.json({ successors });
+    } catch (error) {
+      console.error('Product successor list error:', error);
+      res.status(500).json({ error: 'Failed to get product successors', details: error.message });
+    }
+  },
+
+  // Add or update mappings: { entries: [{ product_id, successor_product_id, quantity_ratio, notes }] }
+  async saveSuccessors(req, res) {
+    const { entries } = req.body;
+
+    if (!Array.isArray(entries) || entries.length === 0) {
+      return res.status(400).json({ error: 'entries must be a non-empty array' });
+    }
+
+    try {
+      const { saved, errors } = await productSuccessorService.upsertEntries(entries);
+      res.status(errors.length > 0 && saved.length === 0 ? 400 : 200).json({
+        success: saved.length > 0,
+        saved,
+        errors
+      });
+    } catch (error) {
+      console.error('Product successor save error:', error);
+      res.status(500).json({ error: 'Failed to save product successors', details: error.message });
+    }
+  },
+
+  // Import mappings from a CSV file
+  async importSuccessors(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+      const summary = await productSuccessorService.importCsv(req.file.buffer);
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      console.error('Product successor import error:', error);
+      res.status(400).json({ error: 'Failed to import product successors', details: error.message });
+    }
+  },
+
+  async deleteSuccessor(req, res) {
+    try {
+      const deleted = await productSuccessorService.deleteEntry(req.params.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Product successor not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Product successor delete error:', error);
+      res.status(500).json({ error: 'Failed to delete product successor', details: error.message });
+    }
+  }
+};
+
+module.exports = productSuccessorController;
@@ -0,0 +1,77 @@
+// backend/src/controllers/riskProfileController.js
+
+const riskEngine = require('../services/riskEngine');
+
+const riskProfileController = {
+  // All profile versions, including the built-in profile
+  async listProfiles(req, res) {
+    try {
+      const profiles = await riskEngine.listProfiles();
+      res.json({ profiles, levels: riskEngine.LEVELS });
+    } catch (error) {
+      console.error('List risk profiles error:', error);
+      res.status(500).json({ error: 'Failed to list risk profiles', details: error.message });
+    }
+  },
+
+  // Latest version of a profile, or ?version=N
+  async getProfile(req, res) {
+    const { name } = req.params;
+
+    try {
+      const profile = await riskEngine.getProfile({ name, version: req.query.version });
+      if (!profile) {
+        return res.status(404).json({ error: `Risk profile "${name}" not found` });
+      }
+      res.json({ profile });
+    } catch (error) {
+      console.error('Get risk profile error:', error);
+      res.status(500).json({ error: 'Failed to get risk profile', details: error.message });
+    }
+  },
+
+  // Save a profile; an existing name gets a new version
+  async createProfile(req, res) {
+    const { name, description, config, isDefault } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+
+    const errors = riskEngine.validateConfig(config || {});
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid risk profile', details: errors.join('; '), errors });
+    }
+
+    try {
+      const profile = await riskEngine.createProfile({ name: String(name), description, config, isDefault });
+      res.status(201).json({ success: true, profile });
+    } catch (error) {
+      console.error('Create risk profile error:', error);
+      res.status(500).json({ error: 'Failed to save risk profile', details: error.message });
+    }
+  },
+
+  // Use a profile version for jobs that do not select one
+  async setDefaultProfile(req, res) {
+    const { name } = req.params;
+    const { version } = req.body;
+
+    if (!version) {
+      return res.status(400).json({ error: 'Profile version is required' });
+    }
+
+    try {
+      const profile = await riskEngine.setDefault(name, version);
+      if (!profile) {
+        return res.status(404).json({ error: `Risk profile ${name}@${version} not found` });
+      }
+      res.json({ success: true, profile });
+    } catch (error) {
+      console.error('Set default risk profile error:', error);
+      res.status(500).json({ error: 'Failed to set default risk profile', details: error.message });
+    }
+  }
+};
+
+module.exports = riskProfileController;
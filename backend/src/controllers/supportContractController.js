@@ -0,0 +1,91 @@
+// backend/src/controllers/supportContractController.js
+
+const multer = require('multer');
+const path = require('path');
+const jobStorage = require('../utils/jobStorage');
+const supportContractService = require('../services/supportContractService');
+
+// Contracts files are small and parsed in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 20 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (['.csv', '.txt', '.xlsx', '.xls', '.xlsb'].includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'), false);
+    }
+  }
+});
+
+const supportContractController = {
+  upload: upload.single('file'),
+
+  // Contracts of a Phase 2 job with the renewal calendar and coverage gaps (?months=)
+  async getContracts(req, res) {
+    try {
+      const job = await jobStorage.get(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Phase 2 job not found' });
+      }
+
+      const analysis = await supportContractService.analyze(job, { months: req.query.months });
+      res.json({ success: true, jobId: job.jobId, ...analysis });
+    } catch (error) {
+      console.error('Support contracts error:', error);
+      res.status(500).json({ error: 'Failed to get support contracts', details: error.message });
+    }
+  },
+
+  // Import contracts from a CSV or Excel file
+  async importContracts(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    try {
+      const job = await jobStorage.get(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Phase 2 job not found' });
+      }
+
+      const summary = await supportContractService.importFile(job, req.file.buffer, req.file.originalname);
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      console.error('Support contracts import error:', error);
+      res.status(400).json({ error: 'Failed to import support contracts', details: error.message });
+    }
+  },
+
+  // Rebuild the contracts taken from the upload's contract columns
+  async syncContracts(req, res) {
+    try {
+      const job = await jobStorage.get(req.params.jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Phase 2 job not found' });
+      }
+
+      const summary = await supportContractService.syncFromItems(job);
+      res.json({ success: true, ...summary });
+    } catch (error) {
+      console.error('Support contracts sync error:', error);
+      res.status(500).json({ error: 'Failed to sync support contracts', details: error.message });
+    }
+  },
+
+  async deleteContract(req, res) {
+    try {
+      const deleted = await supportContractService.deleteContract(req.params.jobId, req.params.contractId);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Support contract not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      console.error('Support contract delete error:', error);
+      res.status(500).json({ error: 'Failed to delete support contract', details: error.message });
+    }
+  }
+};
+
+module.exports = supportContractController;
@@ -1,94 +1,38 @@
 // backend/src/controllers/uploadController.js
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const Papa = require('papaparse');
 const ExcelJS = require('exceljs');
 const jobStorage = require('../utils/jobStorage');
-const phase1FilterService = require('../services/phase1FilterService');
-const fs = require('fs');
-
-// Import columnMapper - if this doesn't exist, the normalization functions are included below
-let processData;
-try {
-  const columnMapper = require('../utils/columnMapper');
-  processData = columnMapper.processData;
-} catch (error) {
-  console.log('Column mapper not found, using built-in processing');
-  // Built-in normalization if columnMapper doesn't exist
-  processData = (data) => {
-    return data.map((row, index) => {
-      const normalizeSupport = (value) => {
-        // Handle null/undefined/empty
-        if (!value || value === '' || value === null || value === undefined) {
-          return 'Expired';
-        }
-        
-        // Convert to string and clean up
-        const strValue = value.toString().trim();
-        const upperValue = strValue.toUpperCase();
-        
-        // Handle placeholder values
-        if (strValue === '-' || strValue === '.' || strValue === '?' || strValue === '0' || strValue === '') {
-          return 'Expired';
-        }
-        
-        // ONLY these values mean Active
-        if (upperValue === 'ACTIVE' || upperValue === 'COVERED') {
-          return 'Active';
-        }
-        
-        // EVERYTHING ELSE is Expired
-        return 'Expired';
-      };
+const filterService = require('../services/filterService');
+const { requesterOf } = require('../utils/requester');
+const filterRules = require('../utils/filterRules');
+const fileParser = require('../services/fileParser');
+const columnMapper = require('../utils/columnMapper');
+const columnMappingService = require('../services/columnMappingService');
+const streamingFileParser = require('../services/streamingFileParser');
+const Phase1Analytics = require('../services/phase1Analytics');
+const InventoryValidator = require('../services/inventoryValidator');
+const dateParser = require('../utils/dateParser');
+const inventorySyncService = require('../services/inventorySyncService');
 
-      // Debug the raw quantity value
-      const rawQty = row['Item Quantity'];
-      if (index < 3) {
-        console.log(`DEBUG Row ${index + 1}: Raw 'Item Quantity' = ${rawQty}, type = ${typeof rawQty}`);
-      }
-
-      const normalizedItem = {
-        id: index + 1,
-        mfg: row.mfg || row.Manufacturer || row.manufacturer || row.vendor || '-',
-        category: row.category || row['Business Entity'] || row.business_entity || '-',
-        asset_type: row.asset_type || row['Asset Type'] || row.AssetType || '-',
-        type: row.type || row.Type || row['Product Type'] || '-',
-        product_id: row.product_id || row['Product ID'] || row.productid || row.pid || '-',
-        description: row.description || row['Product Description'] || row.product_description || '-',
-        ship_date: row.ship_date || row['Ship Date'] || row.ShipDate || row.ship_dt || '-',
-        qty: parseInt(row['Item Quantity']) || parseInt(row.qty) || parseInt(row.Qty) || parseInt(row.quantity) || parseInt(row.Quantity) || 0,
-        total_value: parseFloat(row.total_value || row['Total Value'] || row.totalvalue || row.value || 0) || 0,
-        support_coverage: (() => {
-          const coveredLineStatus = row['Covered Line Status'];
-          const coverage = row.Coverage;
-          
-          // Try Covered Line Status FIRST (exact case match)
-          if (coveredLineStatus) {
-            return normalizeSupport(coveredLineStatus);
-          }
-          
-          // Then try Coverage
-          if (coverage) {
-            return normalizeSupport(coverage);
-          }
-          
-          // Default to Expired if no coverage columns found
-          return 'Expired';
-        })(),
-        end_of_sale: row['End of Product Sale Date'] || row['End of Product Sale'] || row.end_of_sale || row.end_of_product_sale || '-',
-        last_day_support: row['Last Date of Support'] || row.last_day_support || row.last_date_of_support || row['Last Support'] || '-'
-      };
-
-      // Debug the normalized quantity
-      if (index < 3) {
-        console.log(`  -> Normalized qty = ${normalizedItem.qty}`);
-      }
-
-      return normalizedItem;
-    });
-  };
-}
+// Saved filter an upload applies: the one selected, else the Phase 1 default.
+// A selected filter the requester cannot see fails the upload rather than
+// letting it through unfiltered
+const resolveFilterSet = async (filterSetId, requester) => {
+  if (!filterSetId) {
+    return filterService.getDefault(filterService.PHASE1_SCOPE, requester);
+  }
+  const filterSet = await filterService.get(filterSetId, requester);
+  if (!filterSet) {
+    const error = new Error(`Filter set ${filterSetId} not found`);
+    error.statusCode = 404;
+    throw error;
+  }
+  return filterSet;
+};
 
 // Store uploads in memory for processing
 const storage = multer.memoryStorage();
@@ -106,55 +50,237 @@ const upload = multer({
   }
 });
 
-// Parse Excel file
-async function parseExcel(buffer) {
-  const workbook = new ExcelJS.Workbook();
-  await workbook.xlsx.load(buffer);
-  
-  const worksheet = workbook.worksheets[0]; // Get first worksheet
-  if (!worksheet) {
-    throw new Error('No worksheet found in Excel file');
+// Large files are written to temp storage and parsed as a stream instead;
+// utils/cleanup.js removes anything left behind in the same directory
+const STREAM_UPLOAD_DIR = path.resolve(process.env.UPLOAD_TEMP_DIR || './uploads');
+const STREAM_UPLOAD_MAX_MB = parseInt(process.env.STREAM_UPLOAD_MAX_MB) || 500;
+const streamUpload = multer({
+  dest: STREAM_UPLOAD_DIR,
+  limits: { fileSize: STREAM_UPLOAD_MAX_MB * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (streamingFileParser.STREAMABLE_EXTENSIONS.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type for streaming upload (CSV, XLSX, XLS or XLSB only)'), false);
+    }
   }
-  
-  const data = [];
-  const headers = [];
-  
-  // Get headers from first row
-  const headerRow = worksheet.getRow(1);
-  headerRow.eachCell((cell, colNumber) => {
-    headers[colNumber - 1] = cell.value ? cell.value.toString() : '';
-  });
-  
-  console.log('Excel headers found:', headers);
-  
-  // Process data rows
-  worksheet.eachRow((row, rowNumber) => {
-    if (rowNumber > 1) { // Skip header row
-      const rowData = {};
-      row.eachCell((cell, colNumber) => {
-        const header = headers[colNumber - 1];
-        if (header) {
-          // Handle different cell types
-          let value = cell.value;
-          if (cell.type === ExcelJS.ValueType.Date) {
-            value = cell.value.toISOString().split('T')[0]; // Format date as YYYY-MM-DD
-          } else if (cell.type === ExcelJS.ValueType.RichText) {
-            value = cell.value.richText.map(rt => rt.text).join('');
-          } else if (typeof value === 'object' && value !== null) {
-            value = value.toString();
-          }
-          rowData[header] = value;
-        }
+});
+
+// Rows normalized, filtered and stored per step of a streamed upload
+const STREAM_CHUNK_SIZE = 5000;
+
+// Rows a streamed upload reads before its date formats are fixed for the whole
+// file; fewer when every date column is settled sooner
+const DATE_SAMPLE_ROWS = 20000;
+
+// Minimum time between progress writes to the job record
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Sheet selection from the request: sheets is 'all', a JSON array or a comma
+// separated list; headerRow overrides the detected header row for every sheet
+// and headerRows ({ sheetName: rowNumber }) for individual sheets
+function parseSheetOptions(body = {}) {
+  const options = {};
+
+  if (body.sheets === 'all') {
+    options.sheets = 'all';
+  } else if (Array.isArray(body.sheets)) {
+    options.sheets = body.sheets;
+  } else if (typeof body.sheets === 'string' && body.sheets.trim()) {
+    try {
+      options.sheets = JSON.parse(body.sheets);
+    } catch {
+      options.sheets = body.sheets.split(',').map(name => name.trim()).filter(Boolean);
+    }
+  }
+
+  if (body.headerRow) {
+    options.headerRow = parseInt(body.headerRow) || undefined;
+  }
+
+  if (body.headerRows) {
+    try {
+      options.headerRows = typeof body.headerRows === 'string' ? JSON.parse(body.headerRows) : body.headerRows;
+    } catch {
+      const error = new Error('headerRows must be a JSON object of sheet name -> row number');
+      error.statusCode = 400;
+      throw error;
+    }
+  }
+
+  return options;
+}
+
+// Parse an uploaded CSV or Excel file into rows keyed by header
+// Returns { rows, workbook } where workbook describes the sheets of an Excel file
+async function parseUploadedFile(file, sheetOptions = {}) {
+  const fileExt = path.extname(file.originalname).toLowerCase();
+
+  if (fileExt === '.csv') {
+    const fileContent = file.buffer.toString('utf8');
+    const data = await new Promise((resolve, reject) => {
+      Papa.parse(fileContent, {
+        header: true,
+        dynamicTyping: true,
+        // Keep blank lines until rows are numbered so source_row matches the file
+        skipEmptyLines: false,
+        complete: (results) => resolve(results.data),
+        error: (error) => reject(error)
       });
-      if (Object.keys(rowData).length > 0) {
-        data.push(rowData);
+    });
+
+    const rows = [];
+    data.forEach((row, index) => {
+      const hasData = Object.values(row).some(value => value !== null && value !== undefined && value !== '');
+      if (hasData) {
+        rows.push({ ...row, [columnMapper.SOURCE_ROW_KEY]: index + 2 });
       }
+    });
+    return { rows, workbook: null };
+  }
+
+  if (fileExt === '.xlsx' || fileExt === '.xlsb' || fileExt === '.xls') {
+    const { rows, ...workbook } = await fileParser.parseExcelBuffer(file.buffer, sheetOptions);
+    return { rows, workbook };
+  }
+
+  throw new Error('Unsupported file type');
+}
+
+// Date reading options from the request: dateLocale ('en-GB', 'de-DE', ...) decides
+// 03/04/2022 style values a column does not settle itself; dayFirst ('true' or
+// 'false') forces the order for every date column
+function parseDateOptions(body = {}) {
+  const dayFirst = body.dayFirst === true || body.dayFirst === 'true'
+    ? true
+    : body.dayFirst === false || body.dayFirst === 'false' ? false : null;
+  return {
+    locale: body.dateLocale || dateParser.DEFAULT_LOCALE,
+    dayFirst
+  };
+}
+
+// Work out which column feeds each canonical field
+// Explicit columnMapping wins, then a chosen profile, then the best saved
+// profile for these headers, then fuzzy header detection
+async function resolveColumnMapping(headers, { columnMapping, mappingProfileId } = {}) {
+  const detected = columnMapper.detectMapping(headers);
+
+  let suggested = null;
+  try {
+    suggested = await columnMappingService.suggestProfile(headers);
+  } catch (error) {
+    console.error('Failed to load column mapping profiles:', error.message);
+  }
+
+  let source = 'detected';
+  let profile = null;
+  let mapping = detected.mapping;
+  let errors = [];
+
+  if (mappingProfileId) {
+    profile = await columnMappingService.getProfile(mappingProfileId);
+    if (!profile) {
+      errors.push(`Column mapping profile ${mappingProfileId} not found`);
+    } else {
+      mapping = columnMappingService.matchProfile(profile, headers).mapping;
+      source = 'profile';
     }
-  });
-  
-  return data;
+  } else if (suggested) {
+    profile = suggested.profile;
+    mapping = suggested.mapping;
+    source = 'profile';
+  }
+
+  if (columnMapping) {
+    let requested = columnMapping;
+    if (typeof requested === 'string') {
+      try {
+        requested = JSON.parse(requested);
+      } catch {
+        requested = null;
+        errors.push('columnMapping must be a JSON object of field -> column');
+      }
+    }
+    if (requested) {
+      const validation = columnMapper.validateMapping(requested, headers);
+      mapping = validation.mapping;
+      errors = errors.concat(validation.errors);
+      source = 'custom';
+    }
+  }
+
+  const mappedHeaders = Object.values(mapping);
+  return {
+    source,
+    mapping,
+    detectedMapping: detected.mapping,
+    confidence: detected.confidence,
+    profile: profile ? { id: profile.id, name: profile.name } : null,
+    suggestedProfile: suggested ? {
+      id: suggested.profile.id,
+      name: suggested.profile.name,
+      matchScore: suggested.matchScore,
+      missingHeaders: suggested.missingHeaders
+    } : null,
+    headers,
+    unmappedColumns: headers.filter(header => !mappedHeaders.includes(header)),
+    missingFields: columnMapper.CANONICAL_FIELDS
+      .map(definition => definition.field)
+      .filter(field => !mapping[field]),
+    errors
+  };
 }
 
+// Preview handler - lets the UI confirm the column mapping before processing
+const previewUpload = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { rows: parsedData, workbook } = await parseUploadedFile(req.file, parseSheetOptions(req.body));
+    const columnMapping = await resolveColumnMapping(columnMapper.getHeaders(parsedData), req.body);
+    const { locale: dateLocale, dayFirst } = parseDateOptions(req.body);
+    const dateFormats = columnMapper.detectDateFormats(parsedData, columnMapping.mapping, dayFirst);
+
+    let profiles = [];
+    try {
+      profiles = await columnMappingService.getProfiles();
+    } catch (error) {
+      console.error('Failed to load column mapping profiles:', error.message);
+    }
+
+    const sampleRows = parsedData.slice(0, 5);
+
+    res.json({
+      filename: req.file.originalname,
+      total_rows: parsedData.length,
+      workbook,
+      fields: columnMapper.CANONICAL_FIELDS.map(({ field, label, required }) => ({ field, label, required: !!required })),
+      column_mapping: columnMapping,
+      profiles: profiles.map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        description: profile.description,
+        mappings: profile.mappings,
+        usage_count: profile.usage_count
+      })),
+      sample_rows: sampleRows,
+      date_locale: dateLocale,
+      date_formats: dateFormats,
+      preview: columnMapper.processData(sampleRows, columnMapping.mapping, 1, { locale: dateLocale, dateFormats })
+    });
+  } catch (error) {
+    console.error('Upload preview error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to preview file',
+      details: error.message
+    });
+  }
+};
+
 // Upload handler
 const uploadFile = async (req, res) => {
   try {
@@ -162,7 +288,24 @@ const uploadFile = async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
     
-    const jobId = uuidv4();
+    // Uploads to /jobs/:jobId/upload go into that job instead of a new one
+    const targetJobId = req.params.jobId || req.body.targetJobId;
+    const uploadMode = req.body.mode || 'merge';
+    let targetJob = null;
+    if (targetJobId) {
+      if (!inventorySyncService.modes.includes(uploadMode)) {
+        return res.status(400).json({ error: `Invalid upload mode: ${uploadMode}`, details: `Use one of ${inventorySyncService.modes.join(', ')}` });
+      }
+      targetJob = await jobStorage.get(targetJobId);
+      if (!targetJob) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+      if (!Array.isArray(targetJob.data) || targetJob.status !== 'completed') {
+        return res.status(400).json({ error: 'Only completed Phase 1 jobs can take another upload' });
+      }
+    }
+
+    const jobId = targetJob ? targetJob.jobId : uuidv4();
     const { customerName } = req.body;
     
     console.log('Processing file:', req.file.originalname);
@@ -171,30 +314,13 @@ const uploadFile = async (req, res) => {
     
     const fileExt = path.extname(req.file.originalname).toLowerCase();
     let parsedData = [];
+    let workbook = null;
     
     try {
-      if (fileExt === '.csv') {
-        // Parse CSV file
-        const fileContent = req.file.buffer.toString('utf8');
-        const results = await new Promise((resolve, reject) => {
-          Papa.parse(fileContent, {
-            header: true,
-            dynamicTyping: true,
-            skipEmptyLines: true,
-            complete: (results) => resolve(results.data),
-            error: (error) => reject(error)
-          });
-        });
-        parsedData = results;
-        console.log('CSV parsed rows:', parsedData.length);
-        
-      } else if (fileExt === '.xlsx' || fileExt === '.xlsb' || fileExt === '.xls') {
-        // Parse Excel file
-        parsedData = await parseExcel(req.file.buffer);
-        console.log('Excel parsed rows:', parsedData.length);
-      } else {
-        return res.status(400).json({ error: 'Unsupported file type' });
-      }
+      const parsed = await parseUploadedFile(req.file, parseSheetOptions(req.body));
+      parsedData = parsed.rows;
+      workbook = parsed.workbook;
+      console.log(`${fileExt === '.csv' ? 'CSV' : 'Excel'} parsed rows:`, parsedData.length);
       
       // Debug column structure
       console.log('\nðŸ” CRITICAL DEBUG - RAW FILE STRUCTURE:');
@@ -210,117 +336,67 @@ const uploadFile = async (req, res) => {
       }
       console.log('================================\n');
 
+      const columnMapping = await resolveColumnMapping(columnMapper.getHeaders(parsedData), req.body);
+      if (columnMapping.errors.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid column mapping',
+          details: columnMapping.errors.join('; '),
+          column_mapping: columnMapping
+        });
+      }
+      console.log(`Column mapping (${columnMapping.source}${columnMapping.profile ? `: ${columnMapping.profile.name}` : ''}):`, columnMapping.mapping);
+      if (columnMapping.profile) {
+        columnMappingService.recordUsage(columnMapping.profile.id).catch(() => {});
+      }
+
       // Process data with column mapper
-      let normalizedData = processData(parsedData);
+      // Day or month first is decided per date column across the whole file
+      const { locale: dateLocale, dayFirst } = parseDateOptions(req.body);
+      const dateOptions = {
+        locale: dateLocale,
+        dateFormats: columnMapper.detectDateFormats(parsedData, columnMapping.mapping, dayFirst)
+      };
+      console.log(`Date columns (${dateLocale}):`, dateOptions.dateFormats);
+
+      let normalizedData = columnMapper.processData(parsedData, columnMapping.mapping, 1, dateOptions);
       const originalCount = normalizedData.length;
 
-      // Apply Phase 1 filters if specified
-      const { filterSetId } = req.body;
+      // Record bad cells before the filter so excluded rows are reported too
+      const validator = new InventoryValidator(columnMapping.mapping, dateOptions);
+      const validationIssues = validator.add(parsedData, normalizedData);
+      const validation = validator.build();
+      console.log(`Validation: ${validation.total_issues} issues in ${validation.rows_with_issues} rows (${validation.by_severity.error} errors)`);
+
+      // Apply the selected Phase 1 filter set (the active one when none is given)
+      const requester = requesterOf(req);
+      const filterSet = await resolveFilterSet(req.body.filterSetId, requester);
       let filterStats = null;
       let appliedFilter = null;
-      
-      // Replace lines 220-249 in your uploadController.js with this SIMPLE, DIRECT filtering:
-
-      if (filterSetId && filterSetId !== 'no-filter') {
-        const filterSet = await phase1FilterService.getFilterSet(filterSetId);
-        if (filterSet) {
-          console.log(`\nApplying Phase 1 filter: ${filterSet.name}`);
-          // const originalCount = normalizedData.length;
-          
-          // SIMPLE DIRECT FILTERING - NO COMPLEX LOGIC
-          normalizedData = normalizedData.filter(item => {
-            const productId = (item.product_id || '').toUpperCase();
-            const description = (item.description || '').toUpperCase();
-            const type = (item.type || '').toUpperCase();
-            
-            // Check if product ID contains any excluded patterns
-            if (productId !== '-' && productId !== '') {
-              // Direct checks for power supplies, cables, fans, etc.
-              if (productId.includes('PWR')) return false;  // Remove power supplies
-              if (productId.includes('POWER')) return false;  // Remove power supplies
-              if (productId.includes('FAN')) return false;  // Remove fans
-              if (productId.includes('CAB-')) return false;  // Remove cables
-              if (productId.includes('CABLE')) return false;  // Remove cables
-              if (productId.includes('MEM-')) return false;  // Remove memory
-              if (productId.includes('BRACKET')) return false;  // Remove brackets
-              if (productId.includes('SCREW')) return false;  // Remove screws
-              if (productId.includes('RAIL')) return false;  // Remove rails
-              if (productId.includes('NUT')) return false;  // Remove nuts/bolts
-            }
-            
-            // Check descriptions
-            if (description !== '-' && description !== '') {
-              if (description.includes('POWER SUPPLY')) return false;
-              if (description.includes('POWER CORD')) return false;
-              if (description.includes('FAN MODULE')) return false;
-              if (description.includes('FAN TRAY')) return false;
-              if (description.includes('CABLE')) return false;
-              if (description.includes('BRACKET')) return false;
-              if (description.includes('MEMORY')) return false;
-              if (description.includes('RAM')) return false;
-              if (description.includes('MOUNTING')) return false;
-              if (description.includes('ACCESSORY KIT')) return false;
-              if (description.includes('RAIL KIT')) return false;
-            }
-            
-            // Check product types
-            const excludedTypes = ['SERVICE', 'SOFTWARE', 'LICENSE', 'ACCESSORY', 'CABLE', 'MEMORY', 'POWER SUPPLY', 'FAN', 'DOCUMENTATION'];
-            if (excludedTypes.includes(type)) return false;
-            
-            // Keep this item (it didn't match any exclusion)
-            return true;
-          });
-          
-          // Re-index after filtering
-          normalizedData = normalizedData.map((item, index) => ({
-            ...item,
-            id: index + 1
-          }));
-          
-          const excludedCount = originalCount - normalizedData.length;
-          
-          // Show what was excluded
-          console.log(`Filter applied: ${originalCount} items -> ${normalizedData.length} items (${excludedCount} excluded)`);
-          
-          // Log first few remaining product IDs to verify
-          console.log('First 10 items AFTER filtering:');
-          normalizedData.slice(0, 10).forEach(item => {
-            console.log(`  ${item.product_id} - Type: ${item.type}`);
-          });
-          
-          // Check if any PWR/CAB/FAN items remain
-          const problemItems = normalizedData.filter(item => {
-            const pid = (item.product_id || '').toUpperCase();
-            return pid.includes('PWR') || pid.includes('CAB-') || pid.includes('FAN');
-          });
-          
-          if (problemItems.length > 0) {
-            console.log(`WARNING: ${problemItems.length} PWR/CAB/FAN items still present!`);
-            problemItems.forEach(item => {
-              console.log(`  - ${item.product_id}`);
-            });
-          } else {
-            console.log('SUCCESS: No PWR/CAB/FAN items remain');
-          }
-          
-          appliedFilter = {
-            id: filterSet.id,
-            name: filterSet.name,
-            description: filterSet.description
-          };
-          
-          filterStats = {
-            originalCount,
-            filteredCount: normalizedData.length,
-            excludedCount,
-            excludedPercentage: ((excludedCount / originalCount) * 100).toFixed(1),
-            excluded: {
-              byProductId: 0,
-              byDescription: 0,
-              byType: 0
-            }
-          };
-        }
+      let excludedData = [];
+
+      if (filterSet && filterSet.id !== 'no-filter') {
+        console.log(`\nApplying Phase 1 filter: ${filterSet.name}`);
+        const filterResult = filterService.evaluate(normalizedData, filterSet);
+
+        // Re-index after filtering
+        normalizedData = filterResult.kept.map((item, index) => ({
+          ...item,
+          id: index + 1
+        }));
+        excludedData = filterResult.excluded;
+        filterStats = filterResult.stats;
+
+        appliedFilter = {
+          id: filterSet.id,
+          name: filterSet.name,
+          description: filterSet.description
+        };
+        filterService.recordUse(filterSet.id, {
+          user: requester.user,
+          phase: 'phase1',
+          itemCount: originalCount,
+          excludedCount: excludedData.length
+        });
       }
       
       // Debug quantity processing
@@ -345,298 +421,33 @@ const uploadFile = async (req, res) => {
         return acc;
       }, {}));
 
-      // Calculate analytics
-      const totalRecords = normalizedData.length;
-      const totalQuantity = normalizedData.reduce((sum, item) => sum + (parseInt(item.qty) || 0), 0);
-      const activeSupport = normalizedData.filter(item => item.support_coverage === 'Active').length;
-      const expiredSupport = normalizedData.filter(item => item.support_coverage === 'Expired').length;
-      
-      // Calculate End of Sale, SW Vulnerability, and Last Day Support counts
-      const currentDate = new Date();
-      const totalEndOfSale = normalizedData.filter(item => {
-        if (!item.end_of_sale || item.end_of_sale === '-') return false;
-        try {
-          const eosDate = new Date(item.end_of_sale);
-          return !isNaN(eosDate.getTime()) && eosDate <= currentDate;
-        } catch (e) {
-          return false;
-        }
-      }).length;
-      
-      const totalEndOfSWVuln = normalizedData.filter(item => {
-        const vulnField = item['End of Vulnerability/Security Support'] || 
-                         item.end_of_vulnerability_support || 
-                         item['End of Security Support'] || '-';
-        if (!vulnField || vulnField === '-') return false;
-        try {
-          const vulnDate = new Date(vulnField);
-          return !isNaN(vulnDate.getTime()) && vulnDate <= currentDate;
-        } catch (e) {
-          return false;
-        }
-      }).length;
-      
-      const totalLastDaySupport = normalizedData.filter(item => {
-        if (!item.last_day_support || item.last_day_support === '-') return false;
-        try {
-          const ldosDate = new Date(item.last_day_support);
-          return !isNaN(ldosDate.getTime()) && ldosDate <= currentDate;
-        } catch (e) {
-          return false;
-        }
-      }).length;
-      
-      // Manufacturer Breakdown
-      const manufacturerBreakdown = {};
-      normalizedData.forEach(item => {
-        const mfg = item.mfg && item.mfg !== '-' ? item.mfg : 'Unknown';
-        if (!manufacturerBreakdown[mfg]) {
-          manufacturerBreakdown[mfg] = {
-            count: 0,
-            quantity: 0,
-            activeCount: 0,
-            expiredCount: 0
-          };
-        }
-        manufacturerBreakdown[mfg].count++;
-        manufacturerBreakdown[mfg].quantity += parseInt(item.qty) || 0;
-        
-        if (item.support_coverage === 'Active') {
-          manufacturerBreakdown[mfg].activeCount++;
-        } else if (item.support_coverage === 'Expired') {
-          manufacturerBreakdown[mfg].expiredCount++;
-        }
-      });
-      
-      // Category Breakdown
-      const categoryBreakdown = {};
-      normalizedData.forEach(item => {
-        const cat = item.category || 'Uncategorized';
-        if (!categoryBreakdown[cat]) {
-          categoryBreakdown[cat] = { 
-            count: 0,
-            quantity: 0,
-            activeCount: 0,
-            expiredCount: 0
-          };
-        }
-        categoryBreakdown[cat].count++;
-        categoryBreakdown[cat].quantity += parseInt(item.qty) || 0;
-        
-        if (item.support_coverage === 'Active') {
-          categoryBreakdown[cat].activeCount++;
-        } else if (item.support_coverage === 'Expired') {
-          categoryBreakdown[cat].expiredCount++;
-        }
-      });
-      
-      // Data Completeness
-      const requiredFields = [
-        'mfg', 
-        'category', 
-        'product_id', 
-        'description', 
-        'support_coverage', 
-        'end_of_sale', 
-        'last_day_support', 
-        'asset_type', 
-        'ship_date'
-      ];
-      
-      const fieldCompleteness = {};
-      requiredFields.forEach(field => {
-        const filled = normalizedData.filter(item => 
-          item[field] && 
-          item[field] !== '-' && 
-          item[field] !== '' &&
-          item[field] !== 'N/A'
-        ).length;
-        fieldCompleteness[field] = Math.round((filled / normalizedData.length) * 100);
-      });
-      
-      // Lifecycle Status by Category
-      const lifecycleByCategory = {};
-      Object.keys(categoryBreakdown).forEach(category => {
-        const categoryItems = normalizedData.filter(item => 
-          (item.category || 'Uncategorized') === category
-        );
-        
-        let totalQty = 0;
-        let endOfSaleCount = 0;
-        let endOfSWVulnCount = 0;
-        let lastDaySupportCount = 0;
-        
-        categoryItems.forEach(item => {
-          totalQty += parseInt(item.qty) || 0;
-          
-          if (item.end_of_sale && item.end_of_sale !== '-') {
-            try {
-              const eosDate = new Date(item.end_of_sale);
-              if (!isNaN(eosDate.getTime()) && eosDate <= currentDate) {
-                endOfSaleCount++;
-              }
-            } catch (e) {}
-          }
-          
-          const vulnField = item['End of Vulnerability/Security Support'] || 
-                           item.end_of_vulnerability_support || 
-                           item['End of Security Support'] || '-';
-          if (vulnField && vulnField !== '-') {
-            try {
-              const vulnDate = new Date(vulnField);
-              if (!isNaN(vulnDate.getTime()) && vulnDate <= currentDate) {
-                endOfSWVulnCount++;
-              }
-            } catch (e) {}
-          }
-          
-          if (item.last_day_support && item.last_day_support !== '-') {
-            try {
-              const ldosDate = new Date(item.last_day_support);
-              if (!isNaN(ldosDate.getTime()) && ldosDate <= currentDate) {
-                lastDaySupportCount++;
-              }
-            } catch (e) {}
-          }
+      if (targetJob) {
+        return syncIntoJob(res, targetJob, {
+          file: req.file,
+          mode: uploadMode,
+          keyFields: req.body.keyFields,
+          data: normalizedData,
+          excludedData,
+          validationIssues,
+          validation,
+          appliedFilter,
+          filterStats,
+          columnMapping,
+          dateOptions
         });
-        
-        lifecycleByCategory[category] = {
-          totalQty,
-          endOfSale: endOfSaleCount,
-          endOfSWVuln: endOfSWVulnCount,
-          lastDaySupport: lastDaySupportCount,
-          total: categoryItems.length
-        };
-      });
-      
-      // Create summary
-      const uniqueCategories = [...new Set(normalizedData.map(item => item.category || 'Uncategorized'))];
-      const totalCategories = uniqueCategories.length;
-      const totalServiceContracts = activeSupport;
-      const totalManufacturers = [...new Set(normalizedData.map(item => item.mfg).filter(m => m && m !== '-'))].length;
-            // Add this BEFORE the exclusions are loaded
-      const originalItemCount = normalizedData.length;
-      const summary = {
-        total_items: totalRecords,
-        original_items: originalItemCount,  // <-- Add this
-        filtered_items: totalRecords,       // <-- Add this (totalRecords is after filtering)
-        items_excluded: originalItemCount - totalRecords,  // <-- Add this
-        total_quantity: totalQuantity,
-        total_value: 0,
-        total_manufacturers: totalManufacturers,
-        active_support: activeSupport,
-        expired_support: expiredSupport,
-        total_categories: totalCategories,
-        total_service_contracts: totalServiceContracts,
-        total_end_of_sale: totalEndOfSale,
-        total_end_of_sw_vuln: totalEndOfSWVuln,
-        total_last_day_support: totalLastDaySupport,
-        totalRecords,
-        supportCoverage: totalRecords > 0 ? Math.round((activeSupport / totalRecords) * 100) : 0,
-        categoryBreakdown,
-        manufacturerBreakdown,
-        fieldCompleteness,
-        lifecycleByCategory,
-        // Add filter information
-        appliedFilter,
-        filterStats
-      };
-      
-      // Right before storing job data
-      console.log('STORING DATA - First 5 items:');
-      normalizedData.slice(0, 5).forEach(item => {
-        console.log(`  ${item.product_id}`);
-      });
-
-
-
-      // LOAD EXCLUSIONS FROM FILE
-      let exclusions = {
-        productIdPatterns: [],
-        descriptionKeywords: [],
-        productTypes: []
-      };
-      
-      try {
-        const exclusionsPath = path.join(__dirname, '../../data/exclusions.json');
-        const exclusionsData = fs.readFileSync(exclusionsPath, 'utf8');
-        const loadedExclusions = JSON.parse(exclusionsData);
-        exclusions = loadedExclusions.exclusions || exclusions;
-        console.log('Loaded exclusions from file');
-        console.log(`  - ${exclusions.productIdPatterns.length} product ID patterns`);
-        console.log(`  - ${exclusions.descriptionKeywords.length} description keywords`);
-        console.log(`  - ${exclusions.productTypes.length} product types`);
-      } catch (error) {
-        console.log('No exclusions file found, using defaults');
-        // Fallback to basic exclusions if file doesn't exist
-        exclusions = {
-          productIdPatterns: ['PWR', 'CAB', 'FAN', 'CON-', 'LIC-'],
-          descriptionKeywords: ['POWER SUPPLY', 'CABLE', 'LICENSE', 'SERVICE'],
-          productTypes: ['SERVICE', 'SOFTWARE', 'LICENSE']
-        };
       }
-      
-      normalizedData = normalizedData.filter(item => {
-        const pid = (item.product_id || '').toUpperCase();
-        const desc = (item.description || '').toUpperCase();
-        const type = (item.type || '').toUpperCase();
-        
-        // Skip empty values
-        if (pid === '-' || pid === '') {
-          // Don't check product ID patterns for empty values
-        } else {
-          // Check product ID against all patterns
-          for (const pattern of exclusions.productIdPatterns) {
-            if (pid.includes(pattern.toUpperCase())) {
-              console.log(`  Excluding by Product ID: ${item.product_id} (matched pattern: ${pattern})`);
-              return false;
-            }
-          }
-        }
-        
-        // Check description against all keywords
-        if (desc !== '-' && desc !== '') {
-          for (const keyword of exclusions.descriptionKeywords) {
-            if (desc.includes(keyword.toUpperCase())) {
-              console.log(`  Excluding by Description: ${item.product_id} (matched keyword: ${keyword})`);
-              return false;
-            }
-          }
-        }
-        
-        // Check type against excluded types
-        for (const excludedType of exclusions.productTypes) {
-          if (type === excludedType.toUpperCase()) {
-            console.log(`  Excluding by Type: ${item.product_id} (type: ${item.type})`);
-            return false;
-          }
-        }
-        
-        return true; // Keep this item
+
+      // Calculate analytics
+      const phase1Analytics = new Phase1Analytics();
+      phase1Analytics.add(normalizedData);
+      const { summary, analytics } = phase1Analytics.build({
+        originalCount,
+        excludedCount: excludedData.length,
+        appliedFilter,
+        filterStats,
+        validation
       });
       
-      // Re-index after filtering
-      normalizedData = normalizedData.map((item, index) => ({
-        ...item,
-        id: index + 1
-      }));
-      
-      const excludedByFile = originalItemCount - normalizedData.length;
-      console.log(`\nExclusions applied: ${originalItemCount} → ${normalizedData.length} items`);
-      console.log(`Removed ${excludedByFile} items based on exclusions file\n`);
-      console.log(`FINAL COUNT BEFORE STORAGE: ${normalizedData.length} items`);
-
-      // Update summary with actual filtered counts
-      summary.filtered_items = normalizedData.length;
-      summary.items_excluded = originalItemCount - normalizedData.length;
-
-      // Also update total_items to reflect filtered count
-      summary.total_items = normalizedData.length;
-
-      // Update other counts that depend on filtered data
-      summary.active_support = normalizedData.filter(item => item.support_coverage === 'Active').length;
-      summary.expired_support = normalizedData.filter(item => item.support_coverage === 'Expired').length;
-
       // Store job data using shared jobStorage
       const jobData = {
         jobId,
@@ -644,23 +455,25 @@ const uploadFile = async (req, res) => {
         filename: req.file.originalname,
         status: 'completed',
         data: normalizedData,
+        excludedData,
+        validationIssues,
         summary,
-        analytics: {
-          categories: categoryBreakdown,
-          manufacturerBreakdown,
-          completeness: fieldCompleteness,
-          lifecycle: lifecycleByCategory,
-          totalCategories,
-          totalServiceContracts,
-          totalEndOfSale,
-          totalEndOfSWVuln,
-          totalLastDaySupport
+        analytics,
+        sourceSheets: workbook ? workbook.selectedSheets : null,
+        headerRows: workbook ? workbook.headerRows : null,
+        columnMapping: {
+          source: columnMapping.source,
+          profile: columnMapping.profile,
+          mapping: columnMapping.mapping,
+          unmappedColumns: columnMapping.unmappedColumns
         },
+        dateLocale,
+        dateFormats: dateOptions.dateFormats,
         timestamp: new Date(),
         rows_processed: normalizedData.length
       };
       
-      jobStorage.set(jobId, jobData);
+      await jobStorage.set(jobId, jobData);
       
       console.log('Job stored with ID:', jobId);
       console.log('Summary:', summary);
@@ -669,13 +482,26 @@ const uploadFile = async (req, res) => {
         job_id: jobId,
         status: 'processing',
         rows_uploaded: normalizedData.length,
+        rows_excluded: excludedData.length,
+        filter_stats: filterStats,
+        validation,
+        column_mapping: {
+          source: columnMapping.source,
+          profile: columnMapping.profile,
+          suggested_profile: columnMapping.suggestedProfile,
+          mapping: columnMapping.mapping,
+          missing_fields: columnMapping.missingFields
+        },
+        unmapped_columns: columnMapping.unmappedColumns,
+        source_sheets: workbook ? workbook.selectedSheets : null,
+        header_rows: workbook ? workbook.headerRows : null,
         message: 'File uploaded successfully'
       });
       
     } catch (parseError) {
       console.error('File parsing error:', parseError);
-      res.status(500).json({ 
-        error: 'Failed to parse file', 
+      res.status(parseError.statusCode || 500).json({ 
+        error: parseError.statusCode ? parseError.message : 'Failed to parse file', 
         details: parseError.message,
         fileType: fileExt
       });
@@ -687,66 +513,440 @@ const uploadFile = async (req, res) => {
   }
 };
 
+// Fold a processed upload into an existing Phase 1 job and update the Phase 2
+// and Phase 3 jobs built from it. Validation reflects the latest file only
+async function syncIntoJob(res, targetJob, upload) {
+  const { file, mode, data, excludedData, validation, appliedFilter, filterStats, columnMapping, dateOptions } = upload;
+  const sync = inventorySyncService.mergeInventory(targetJob, { data, excludedData }, { mode, keyFields: upload.keyFields });
+  const changes = inventorySyncService.summarizeChanges(sync);
+  console.log(`🔄 ${mode} upload into job ${targetJob.jobId}: ${changes.added} added, ${changes.changed} changed, ${changes.removed} removed, ${changes.unchanged} unchanged`);
+
+  const phase1Analytics = new Phase1Analytics();
+  phase1Analytics.add(sync.data);
+  const { summary, analytics } = phase1Analytics.build({
+    originalCount: sync.data.length + sync.excludedData.length,
+    excludedCount: sync.excludedData.length,
+    appliedFilter,
+    filterStats,
+    validation
+  });
+
+  // The first upload is not in the history yet
+  const uploadHistory = targetJob.uploadHistory || [{
+    filename: targetJob.filename,
+    mode: 'new',
+    timestamp: targetJob.timestamp,
+    rows_uploaded: targetJob.data.length
+  }];
+
+  await jobStorage.set(targetJob.jobId, {
+    ...targetJob,
+    filename: file.originalname,
+    data: sync.data,
+    excludedData: sync.excludedData,
+    validationIssues: upload.validationIssues,
+    summary,
+    analytics,
+    columnMapping: {
+      source: columnMapping.source,
+      profile: columnMapping.profile,
+      mapping: columnMapping.mapping,
+      unmappedColumns: columnMapping.unmappedColumns
+    },
+    dateLocale: dateOptions.locale,
+    dateFormats: dateOptions.dateFormats,
+    uploadHistory: uploadHistory.concat({
+      filename: file.originalname,
+      mode,
+      timestamp: new Date(),
+      rows_uploaded: data.length,
+      added: changes.added,
+      changed: changes.changed,
+      removed: changes.removed
+    }),
+    rows_processed: sync.data.length
+  });
+
+  const downstream = await inventorySyncService.syncDownstream(targetJob.jobId, sync);
+
+  res.json({
+    job_id: targetJob.jobId,
+    status: 'completed',
+    mode,
+    rows_uploaded: data.length,
+    rows_excluded: excludedData.length,
+    total_items: sync.data.length,
+    changes,
+    phase2: downstream.phase2,
+    phase3: downstream.phase3,
+    filter_stats: filterStats,
+    validation,
+    message: 'Inventory updated successfully'
+  });
+}
+
+// Parse, normalize, filter and store a file from temp storage chunk by chunk
+// Runs after the upload request has returned; progress and the outcome are
+// written to the job record for /status/:jobId
+async function ingestStreamedFile(jobId, file, body) {
+  const startedAt = Date.now();
+  const progress = {
+    stage: 'parsing',
+    rows_read: 0,
+    rows_kept: 0,
+    rows_excluded: 0,
+    bytes_read: 0,
+    total_bytes: file.size,
+    percent: 0
+  };
+  let lastProgressWrite = 0;
+  const saveProgress = async (force = false) => {
+    if (!force && Date.now() - lastProgressWrite < PROGRESS_INTERVAL_MS) return;
+    lastProgressWrite = Date.now();
+    await jobStorage.update(jobId, { progress: { ...progress } });
+  };
+
+  try {
+    const requester = requesterOf({ body });
+    const filterSet = await resolveFilterSet(body.filterSetId, requester);
+    const applyFilter = filterSet && filterSet.id !== 'no-filter';
+    if (applyFilter) {
+      console.log(`\nApplying Phase 1 filter: ${filterSet.name} (streamed)`);
+    }
+
+    const phase1Analytics = new Phase1Analytics();
+    const { locale: dateLocale, dayFirst } = parseDateOptions(body);
+    const dateOptions = { locale: dateLocale, dateFormats: {} };
+    let validator = null;
+    let columnMapping = null;
+    let filterStats = null;
+    let issueCount = 0;
+    // Rows read before the date formats were fixed; null once they are
+    let sampleRows = [];
+
+    const processRows = async (rows) => {
+      let kept = columnMapper.processData(rows, columnMapping.mapping, progress.rows_read + 1, dateOptions);
+      let excluded = [];
+
+      const issues = validator.add(rows, kept);
+      await jobStorage.appendItems(jobId, 'validationIssues', issues, issueCount);
+      issueCount += issues.length;
+
+      if (applyFilter) {
+        const filterResult = filterService.evaluate(kept, filterSet);
+        kept = filterResult.kept;
+        excluded = filterResult.excluded;
+        filterStats = filterService.mergeStats(filterStats, filterResult.stats);
+      }
+
+      // Re-index kept items across chunks, as the in-memory upload does after filtering
+      kept = kept.map((item, index) => ({ ...item, id: progress.rows_kept + index + 1 }));
+
+      await jobStorage.appendItems(jobId, 'data', kept, progress.rows_kept);
+      await jobStorage.appendItems(jobId, 'excludedData', excluded, progress.rows_excluded);
+      phase1Analytics.add(kept);
+
+      progress.rows_read += rows.length;
+      progress.rows_kept += kept.length;
+      progress.rows_excluded += excluded.length;
+      await saveProgress();
+    };
+
+    // Fix the date formats from the rows held back so far, then process them;
+    // columns the sample leaves undecided follow the locale for the whole file
+    const processSample = async () => {
+      const held = sampleRows;
+      sampleRows = null;
+      if (held.length === 0) return;
+
+      dateOptions.dateFormats = columnMapper.detectDateFormats(held, columnMapping.mapping, dayFirst);
+      for (let start = 0; start < held.length; start += STREAM_CHUNK_SIZE) {
+        await processRows(held.slice(start, start + STREAM_CHUNK_SIZE));
+      }
+    };
+
+    const { workbook } = await streamingFileParser.streamFile(file.path, {
+      extension: path.extname(file.originalname),
+      sheetOptions: parseSheetOptions(body),
+      chunkSize: STREAM_CHUNK_SIZE,
+      onProgress: (bytesRead) => {
+        progress.bytes_read = bytesRead;
+        progress.percent = file.size > 0 ? Math.min(99, Math.round((bytesRead / file.size) * 100)) : 0;
+      },
+      onHeaders: async (headers) => {
+        columnMapping = await resolveColumnMapping(headers, body);
+        if (columnMapping.errors.length > 0) {
+          throw new Error(`Invalid column mapping: ${columnMapping.errors.join('; ')}`);
+        }
+        console.log(`Column mapping (${columnMapping.source}${columnMapping.profile ? `: ${columnMapping.profile.name}` : ''}):`, columnMapping.mapping);
+        if (columnMapping.profile) {
+          columnMappingService.recordUsage(columnMapping.profile.id).catch(() => {});
+        }
+        validator = new InventoryValidator(columnMapping.mapping, dateOptions);
+        await jobStorage.update(jobId, {
+          columnMapping: {
+            source: columnMapping.source,
+            profile: columnMapping.profile,
+            mapping: columnMapping.mapping,
+            unmappedColumns: columnMapping.unmappedColumns
+          }
+        });
+      },
+      onChunk: async (rows) => {
+        if (sampleRows === null) {
+          await processRows(rows);
+          return;
+        }
+
+        // Hold rows back until the date formats are known, so every row of the
+        // file reads 03/04/2022 the same way
+        sampleRows = sampleRows.concat(rows);
+        const detected = columnMapper.detectDateFormats(sampleRows, columnMapping.mapping, dayFirst);
+        const settled = Object.values(detected).every(format => format !== null);
+        if (settled || sampleRows.length >= DATE_SAMPLE_ROWS) {
+          await processSample();
+        }
+      }
+    });
+
+    // Files shorter than the sample
+    if (sampleRows !== null) {
+      await processSample();
+    }
+
+    if (progress.rows_read === 0) {
+      throw new Error('No data rows found in the file');
+    }
+
+    if (applyFilter) {
+      filterService.recordUse(filterSet.id, {
+        user: requester.user,
+        phase: 'phase1',
+        itemCount: progress.rows_read,
+        excludedCount: progress.rows_excluded
+      });
+    }
+
+    const { summary, analytics } = phase1Analytics.build({
+      originalCount: progress.rows_read,
+      excludedCount: progress.rows_excluded,
+      appliedFilter: applyFilter ? { id: filterSet.id, name: filterSet.name, description: filterSet.description } : null,
+      filterStats,
+      validation: validator.build()
+    });
+
+    await jobStorage.update(jobId, {
+      status: 'completed',
+      summary,
+      analytics,
+      progress: { ...progress, stage: 'completed', percent: 100 },
+      sourceSheets: workbook ? workbook.selectedSheets : null,
+      headerRows: workbook ? workbook.headerRows : null,
+      dateLocale,
+      dateFormats: dateOptions.dateFormats,
+      rows_processed: progress.rows_kept
+    });
+
+    console.log(`✅ Streamed upload ${jobId}: ${progress.rows_read} rows read, ${progress.rows_kept} kept, ${progress.rows_excluded} excluded in ${Math.round((Date.now() - startedAt) / 1000)}s`);
+  } catch (error) {
+    console.error(`❌ Streamed upload ${jobId} failed:`, error);
+    await jobStorage.update(jobId, {
+      status: 'failed',
+      error: error.message,
+      progress: { ...progress, stage: 'failed' }
+    }).catch(updateError => console.error('Failed to record upload failure:', updateError.message));
+  } finally {
+    fs.unlink(file.path).catch(() => {});
+  }
+}
+
+// Streamed upload handler for files over the in-memory limit
+// Returns the job ID straight away; poll /status/:jobId for progress
+const uploadFileStreaming = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  const jobId = uuidv4();
+  const { customerName } = req.body;
+
+  try {
+    console.log('Streaming file:', req.file.originalname, `(${req.file.size} bytes)`);
+
+    // Validate the sheet options before accepting the job
+    parseSheetOptions(req.body);
+
+    await jobStorage.set(jobId, {
+      jobId,
+      customerName: customerName || 'Unknown',
+      filename: req.file.originalname,
+      status: 'processing',
+      data: [],
+      excludedData: [],
+      validationIssues: [],
+      summary: null,
+      streamed: true,
+      progress: {
+        stage: 'parsing',
+        rows_read: 0,
+        rows_kept: 0,
+        rows_excluded: 0,
+        bytes_read: 0,
+        total_bytes: req.file.size,
+        percent: 0
+      },
+      timestamp: new Date(),
+      rows_processed: 0
+    });
+  } catch (error) {
+    fs.unlink(req.file.path).catch(() => {});
+    console.error('Streaming upload error:', error);
+    return res.status(400).json({ error: 'Failed to start upload', details: error.message });
+  }
+
+  ingestStreamedFile(jobId, req.file, req.body);
+
+  res.status(202).json({
+    job_id: jobId,
+    status: 'processing',
+    streamed: true,
+    message: 'File uploaded, processing in the background'
+  });
+};
+
+// Preview the column mapping of a large file from its first rows
+const previewUploadStreaming = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+
+  try {
+    const sampleRows = [];
+    let headers = [];
+    const { workbook } = await streamingFileParser.streamFile(req.file.path, {
+      extension: path.extname(req.file.originalname),
+      sheetOptions: parseSheetOptions(req.body),
+      maxRows: 5,
+      onHeaders: async (fileHeaders) => { headers = fileHeaders; },
+      onChunk: async (rows) => { sampleRows.push(...rows); }
+    });
+    const columnMapping = await resolveColumnMapping(headers, req.body);
+    const { locale: dateLocale, dayFirst } = parseDateOptions(req.body);
+    const dateFormats = columnMapper.detectDateFormats(sampleRows, columnMapping.mapping, dayFirst);
+
+    let profiles = [];
+    try {
+      profiles = await columnMappingService.getProfiles();
+    } catch (error) {
+      console.error('Failed to load column mapping profiles:', error.message);
+    }
+
+    res.json({
+      filename: req.file.originalname,
+      total_rows: null,
+      streamed: true,
+      // Sheets after the first selected one are not read for a preview
+      workbook: workbook ? { ...workbook, sheets: workbook.sheets.filter(sheet => workbook.selectedSheets.includes(sheet.name)) } : null,
+      fields: columnMapper.CANONICAL_FIELDS.map(({ field, label, required }) => ({ field, label, required: !!required })),
+      column_mapping: columnMapping,
+      profiles: profiles.map(profile => ({
+        id: profile.id,
+        name: profile.name,
+        description: profile.description,
+        mappings: profile.mappings,
+        usage_count: profile.usage_count
+      })),
+      sample_rows: sampleRows,
+      date_locale: dateLocale,
+      date_formats: dateFormats,
+      preview: columnMapper.processData(sampleRows, columnMapping.mapping, 1, { locale: dateLocale, dateFormats })
+    });
+  } catch (error) {
+    console.error('Streaming preview error:', error);
+    res.status(error.statusCode || 500).json({
+      error: error.statusCode ? error.message : 'Failed to preview file',
+      details: error.message
+    });
+  } finally {
+    fs.unlink(req.file.path).catch(() => {});
+  }
+};
+
 // Status handler
 const getJobStatus = async (req, res) => {
   const { jobId } = req.params;
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
-  
-  res.json({
-    status: job.status,
-    job_id: jobId,
-    customer_name: job.customerName,
-    filename: job.filename,
-    rows_processed: job.rows_processed,
-    timestamp: job.timestamp,
-    results: {
-      findings: [
-        `Processed ${job.rows_processed} items`,
-        `${job.summary.active_support} items with active support`,
-        `${job.summary.expired_support} items with expired support`
-      ]
+
+  try {
+    const job = await jobStorage.getHeader(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-  });
+    
+    res.json({
+      status: job.status,
+      job_id: jobId,
+      customer_name: job.customerName,
+      filename: job.filename,
+      rows_processed: job.rows_processed,
+      timestamp: job.timestamp,
+      progress: job.progress || null,
+      error: job.error || null,
+      results: job.summary ? {
+        findings: [
+          `Processed ${job.rows_processed} items`,
+          `${job.summary.active_support} items with active support`,
+          `${job.summary.expired_support} items with expired support`
+        ]
+      } : null
+    });
+  } catch (error) {
+    console.error('Get job status error:', error);
+    res.status(500).json({ error: 'Failed to get job status', details: error.message });
+  }
 };
 
 // Results handler
 const getResults = async (req, res) => {
   const { jobId } = req.params;
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
-  
-  const limit = parseInt(req.query.limit) || job.data.length;
-  const offset = parseInt(req.query.offset) || 0;
-  
-  res.json({
-    products: job.data.slice(offset, offset + limit),
-    summary: job.summary,
-    analytics: job.analytics,
-    pagination: {
-      total: job.data.length,
-      limit: limit,
-      offset: offset
+
+  try {
+    const job = await jobStorage.get(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
-  });
+    
+    const limit = parseInt(req.query.limit) || job.data.length;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    res.json({
+      products: job.data.slice(offset, offset + limit),
+      summary: job.summary,
+      analytics: job.analytics,
+      pagination: {
+        total: job.data.length,
+        limit: limit,
+        offset: offset
+      }
+    });
+  } catch (error) {
+    console.error('Get results error:', error);
+    res.status(500).json({ error: 'Failed to get results', details: error.message });
+  }
 };
 
 // Export handler
 const exportResults = async (req, res) => {
   const { jobId } = req.params;
-  const job = jobStorage.get(jobId);
-  
-  if (!job) {
-    return res.status(404).json({ error: 'Job not found' });
-  }
   
   try {
+    const job = await jobStorage.get(jobId);
+    
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
     const format = req.query.format || 'csv';
     
     if (format === 'excel' || format === 'xlsx') {
@@ -763,12 +963,23 @@ const exportResults = async (req, res) => {
         { header: 'Type', key: 'type', width: 15 },
         { header: 'Product ID', key: 'product_id', width: 20 },
         { header: 'Description', key: 'description', width: 40 },
+        { header: 'Serial Number', key: 'serial_number', width: 20 },
+        { header: 'Site', key: 'site', width: 20 },
+        { header: 'Location', key: 'location', width: 30 },
+        { header: 'Hostname', key: 'hostname', width: 20 },
+        { header: 'IP Address', key: 'ip_address', width: 16 },
         { header: 'Ship Date', key: 'ship_date', width: 12 },
         { header: 'Quantity', key: 'qty', width: 10 },
         { header: 'Total Value', key: 'total_value', width: 15 },
         { header: 'Support Coverage', key: 'support_coverage', width: 15 },
+        { header: 'Contract Start', key: 'contract_start', width: 12 },
+        { header: 'Contract End', key: 'contract_end', width: 12 },
+        { header: 'Contract Number', key: 'contract_number', width: 18 },
+        { header: 'Service Level', key: 'service_level', width: 18 },
         { header: 'End of Sale', key: 'end_of_sale', width: 12 },
-        { header: 'Last Support', key: 'last_day_support', width: 12 }
+        { header: 'Last Support', key: 'last_day_support', width: 12 },
+        { header: 'Source Sheet', key: 'source_sheet', width: 15 },
+        { header: 'Source Row', key: 'source_row', width: 10 }
       ];
       
       // Add data
@@ -807,35 +1018,146 @@ const exportResults = async (req, res) => {
   }
 };
 
+// Excluded items handler - rows removed by the Phase 1 filter, for auditing
+const exportExcluded = async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await jobStorage.get(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const excluded = job.excludedData || [];
+
+    if (req.query.format === 'json') {
+      return res.json({
+        excluded,
+        total: excluded.length,
+        appliedFilter: job.summary?.appliedFilter || null,
+        filterStats: job.summary?.filterStats || null
+      });
+    }
+
+    const csv = Papa.unparse(excluded.length > 0 ? excluded : [{ excluded_by: '' }]);
+    const filename = `excluded_${job.customerName.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    console.error('Export excluded error:', error);
+    res.status(500).json({ error: 'Failed to export excluded items', details: error.message });
+  }
+};
+
+// Row-level validation report for an upload (JSON, or ?format=csv for the customer worklist)
+// Narrow it with ?severity=error,warning and ?rule=invalid_date; JSON supports limit/offset
+const getValidationReport = async (req, res) => {
+  const { jobId } = req.params;
+
+  try {
+    const job = await jobStorage.getHeader(jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const validation = job.summary ? job.summary.validation || null : null;
+    let issues = (await jobStorage.getItems(jobId, 'validationIssues')) || [];
+
+    const severities = req.query.severity ? String(req.query.severity).split(',').map(s => s.trim()) : null;
+    const rules = req.query.rule ? String(req.query.rule).split(',').map(r => r.trim()) : null;
+    if (severities) issues = issues.filter(issue => severities.includes(issue.severity));
+    if (rules) issues = issues.filter(issue => rules.includes(issue.rule));
+
+    if (req.query.format === 'csv') {
+      const csv = Papa.unparse({
+        fields: ['Sheet', 'Row', 'Column', 'Value', 'Severity', 'Issue', 'Message', 'Suggested Value', 'Product ID'],
+        data: issues.map(issue => [
+          issue.sheet || '',
+          issue.row,
+          issue.column,
+          issue.value,
+          issue.severity,
+          InventoryValidator.VALIDATION_RULES[issue.rule] ? InventoryValidator.VALIDATION_RULES[issue.rule].label : issue.rule,
+          issue.message,
+          issue.suggestion || '',
+          issue.product_id || ''
+        ])
+      });
+      const filename = `validation_${job.customerName.replace(/[^a-z0-9]/gi, '_')}_${new Date().toISOString().split('T')[0]}.csv`;
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      return res.send(csv);
+    }
+
+    const limit = parseInt(req.query.limit) || issues.length;
+    const offset = parseInt(req.query.offset) || 0;
+
+    res.json({
+      job_id: jobId,
+      filename: job.filename,
+      validation,
+      issues: issues.slice(offset, offset + limit),
+      pagination: {
+        total: issues.length,
+        limit,
+        offset
+      }
+    });
+  } catch (error) {
+    console.error('Validation report error:', error);
+    res.status(500).json({ error: 'Failed to get validation report', details: error.message });
+  }
+};
+
 // Filter management handlers
+// Phase 1 filter sets are the saved filters with pattern rules (services/filterService.js);
+// they were shared by everyone before filters had owners, so new ones default to global
+const sendFilterError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({ error: error.statusCode ? error.message : message });
+};
+
 const getFilterSets = async (req, res) => {
   try {
-    const filterSets = await phase1FilterService.getAllFilterSets();
-    const activeFilter = await phase1FilterService.getActiveFilter();
+    const requester = requesterOf(req);
+    const filters = await filterService.list(requester, { kind: 'rules' });
+    let activeFilter = null;
+    let activeFilterError = null;
+    try {
+      activeFilter = await filterService.getDefault(filterService.PHASE1_SCOPE, requester);
+    } catch (error) {
+      if (error.statusCode !== 409) throw error;
+      activeFilterError = error.message;
+    }
     
     res.json({
-      filterSets,
-      activeFilterId: activeFilter?.id || null
+      filterSets: filters.map(filter => filterService.toFilterSet(filter)),
+      activeFilterId: activeFilter?.id || null,
+      activeFilterError
     });
   } catch (error) {
     console.error('Error getting filter sets:', error);
-    res.status(500).json({ error: 'Failed to get filter sets' });
+    sendFilterError(res, error, 'Failed to get filter sets');
   }
 };
 
 const getFilterSet = async (req, res) => {
   try {
     const { filterId } = req.params;
-    const filterSet = await phase1FilterService.getFilterSet(filterId);
+    const filter = await filterService.get(filterId, requesterOf(req));
     
-    if (!filterSet) {
+    if (!filter) {
       return res.status(404).json({ error: 'Filter set not found' });
     }
     
-    res.json(filterSet);
+    res.json(filterService.toFilterSet(filter));
   } catch (error) {
     console.error('Error getting filter set:', error);
-    res.status(500).json({ error: 'Failed to get filter set' });
+    sendFilterError(res, error, 'Failed to get filter set');
   }
 };
 
@@ -847,16 +1169,18 @@ const createFilterSet = async (req, res) => {
       return res.status(400).json({ error: 'Filter name is required' });
     }
     
-    const result = await phase1FilterService.createFilterSet(filterData);
+    const filter = await filterService.create({
+      name: filterData.name,
+      description: filterData.description,
+      definition: { rules: filterData.filters || filterRules.EMPTY_RULES },
+      visibility: filterData.visibility || 'global',
+      team: filterData.team
+    }, requesterOf(req));
     
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json({ error: result.error });
-    }
+    res.json({ success: true, filterSet: filterService.toFilterSet(filter) });
   } catch (error) {
     console.error('Error creating filter set:', error);
-    res.status(500).json({ error: 'Failed to create filter set' });
+    sendFilterError(res, error, 'Failed to create filter set');
   }
 };
 
@@ -864,17 +1188,26 @@ const updateFilterSet = async (req, res) => {
   try {
     const { filterId } = req.params;
     const updates = req.body;
+    const requester = requesterOf(req);
+
+    const existing = await filterService.get(filterId, requester);
+    if (!existing) {
+      return res.status(404).json({ error: 'Filter set not found' });
+    }
     
-    const result = await phase1FilterService.updateFilterSet(filterId, updates);
+    const filter = await filterService.update(filterId, {
+      name: updates.name,
+      description: updates.description,
+      visibility: updates.visibility,
+      team: updates.team,
+      // Column criteria saved from Phase 2 are kept when the rules change
+      definition: updates.filters ? { ...existing.definition, rules: updates.filters } : undefined
+    }, requester);
     
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json({ error: result.error });
-    }
+    res.json({ success: true, filterSet: filterService.toFilterSet(filter) });
   } catch (error) {
     console.error('Error updating filter set:', error);
-    res.status(500).json({ error: 'Failed to update filter set' });
+    sendFilterError(res, error, 'Failed to update filter set');
   }
 };
 
@@ -882,33 +1215,29 @@ const deleteFilterSet = async (req, res) => {
   try {
     const { filterId } = req.params;
     
-    const result = await phase1FilterService.deleteFilterSet(filterId);
+    await filterService.remove(filterId, requesterOf(req));
     
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json({ error: result.error });
-    }
+    res.json({ success: true });
   } catch (error) {
     console.error('Error deleting filter set:', error);
-    res.status(500).json({ error: 'Failed to delete filter set' });
+    sendFilterError(res, error, 'Failed to delete filter set');
   }
 };
 
 const setActiveFilter = async (req, res) => {
   try {
     const { filterId } = req.body;
+    const requester = requesterOf(req);
     
-    const result = await phase1FilterService.setActiveFilter(filterId);
-    
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(400).json({ error: result.error });
+    await filterService.setDefault(filterService.PHASE1_SCOPE, filterId || null, requester);
+    if (filterId) {
+      filterService.recordUse(filterId, { user: requester.user, phase: 'phase1' });
     }
+    
+    res.json({ success: true, activeFilterId: filterId || null });
   } catch (error) {
     console.error('Error setting active filter:', error);
-    res.status(500).json({ error: 'Failed to set active filter' });
+    sendFilterError(res, error, 'Failed to set active filter');
   }
 };
 
@@ -920,32 +1249,118 @@ const previewFilter = async (req, res) => {
       return res.status(400).json({ error: 'Filter ID and sample data are required' });
     }
     
-    const filterSet = await phase1FilterService.getFilterSet(filterId);
+    const filter = await filterService.get(filterId, requesterOf(req));
     
-    if (!filterSet) {
+    if (!filter) {
       return res.status(404).json({ error: 'Filter set not found' });
     }
     
     // Apply filter to sample data
-    const filtered = phase1FilterService.applyFilters(sampleData, filterSet);
-    const stats = await phase1FilterService.getFilterStats(filterId, sampleData);
+    const { kept, stats } = filterService.evaluate(sampleData, filter);
     
     res.json({
-      filtered,
+      filtered: kept,
       stats
     });
   } catch (error) {
     console.error('Error previewing filter:', error);
-    res.status(500).json({ error: 'Failed to preview filter' });
+    sendFilterError(res, error, 'Failed to preview filter');
+  }
+};
+
+// Column mapping profile handlers
+const getMappingProfiles = async (req, res) => {
+  try {
+    const profiles = await columnMappingService.getProfiles();
+    res.json({ profiles, fields: columnMapper.CANONICAL_FIELDS });
+  } catch (error) {
+    console.error('Error getting mapping profiles:', error);
+    res.status(500).json({ error: 'Failed to get mapping profiles', details: error.message });
+  }
+};
+
+const getMappingProfile = async (req, res) => {
+  try {
+    const profile = await columnMappingService.getProfile(req.params.profileId);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Error getting mapping profile:', error);
+    res.status(500).json({ error: 'Failed to get mapping profile', details: error.message });
+  }
+};
+
+const createMappingProfile = async (req, res) => {
+  try {
+    const { name, mappings } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Profile name is required' });
+    }
+    if (!mappings || Object.keys(mappings).length === 0) {
+      return res.status(400).json({ error: 'Profile must map at least one column' });
+    }
+
+    const profile = await columnMappingService.createProfile(req.body);
+    res.status(201).json({ success: true, profile });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A mapping profile named "${req.body.name}" already exists` });
+    }
+    console.error('Error creating mapping profile:', error);
+    res.status(500).json({ error: 'Failed to create mapping profile', details: error.message });
+  }
+};
+
+const updateMappingProfile = async (req, res) => {
+  try {
+    const profile = await columnMappingService.updateProfile(req.params.profileId, req.body);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json({ success: true, profile });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: `A mapping profile named "${req.body.name}" already exists` });
+    }
+    console.error('Error updating mapping profile:', error);
+    res.status(500).json({ error: 'Failed to update mapping profile', details: error.message });
+  }
+};
+
+const deleteMappingProfile = async (req, res) => {
+  try {
+    const deleted = await columnMappingService.deleteProfile(req.params.profileId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Mapping profile not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting mapping profile:', error);
+    res.status(500).json({ error: 'Failed to delete mapping profile', details: error.message });
   }
 };
 
 module.exports = {
   upload: upload.single('file'),
+  streamUpload: streamUpload.single('file'),
   uploadFile,
+  uploadFileStreaming,
+  previewUpload,
+  previewUploadStreaming,
   getJobStatus,
   getResults,
   exportResults,
+  exportExcluded,
+  getValidationReport,
   // Filter management
   getFilterSets,
   getFilterSet,
@@ -954,5 +1369,11 @@ module.exports = {
   deleteFilterSet,
   setActiveFilter,
   previewFilter,
+  // Column mapping profiles
+  getMappingProfiles,
+  getMappingProfile,
+  createMappingProfile,
+  updateMappingProfile,
+  deleteMappingProfile,
   jobStorage  // Export for shared access
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+// backend/src/controllers/vendorBulletinController.js
+
+const multer = require('multer');
+const path = require('path');
+const vendorBulletinService = require('../services/vendorBulletinService');
+const lifecycleDataProviders = require('../services/lifecycleDataProviders');
+
+// Bulletin exports are kept in memory while they are parsed
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // Full vendor EoX exports can be large
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = ['.csv', '.txt', '.xml', '.xlsx', '.xlsm', '.xls', '.xlsb'];
+    const ext = path.extname(file.originalname).toLowerCase();
+    if (allowedTypes.includes(ext)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type'), false);
+    }
+  }
+});
+
+const vendorBulletinController = {
+  upload: upload.single('file'),
+
+  // Import a downloaded Cisco EoX, HPE or Dell EOL bulletin file
+  async importBulletins(req, res) {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const { vendor, replace, dateLocale } = req.body;
+
+    try {
+      let removed = 0;
+      if (replace === 'true' || replace === true) {
+        removed = await vendorBulletinService.clearVendor(vendor);
+      }
+
+      const summary = await vendorBulletinService.importFile(req.file.buffer, {
+        fileName: req.file.originalname,
+        vendor,
+        locale: dateLocale
+      });
+
+      res.json({ success: true, removed, ...summary });
+    } catch (error) {
+      console.error('Vendor bulletin import error:', error);
+      res.status(400).json({ error: 'Failed to import vendor bulletin', details: error.message });
+    }
+  },
+
+  // Imported bulletin counts and the active provider order
+  async getBulletinSummary(req, res) {
+    try {
+      const summary = await vendorBulletinService.getSummary();
+      res.json({ ...summary, providers: lifecycleDataProviders.list() });
+    } catch (error) {
+      console.error('Vendor bulletin summary error:', error);
+      res.status(500).json({ error: 'Failed to get vendor bulletin summary', details: error.message });
+    }
+  },
+
+  // Look up a single product in the imported bulletins
+  async lookupBulletin(req, res) {
+    const { productId } = req.params;
+
+    try {
+      const bulletin = await vendorBulletinService.findBulletin({
+        product_id: productId,
+        manufacturer: req.query.manufacturer
+      });
+
+      if (!bulletin) {
+        return res.status(404).json({ error: 'No vendor bulletin found for product' });
+      }
+
+      res.json({ bulletin, result: vendorBulletinService.toResearchResult(bulletin) });
+    } catch (error) {
+      console.error('Vendor bulletin lookup error:', error);
+      res.status(500).json({ error: 'Failed to look up vendor bulletin', details: error.message });
+    }
+  }
+};
+
+module.exports = vendorBulletinController;
@@ -0,0 +1,24 @@
+// backend/src/database/migrationRunner.js
+
+// Applies SQL files from ./migrations the first time a service needs them.
+// Migrations are written with IF NOT EXISTS, so running them again is harmless.
+const fs = require('fs');
+const path = require('path');
+const db = require('./dbConnection');
+
+const applied = new Map();
+
+const ensureMigration = (fileName) => {
+  if (!applied.has(fileName)) {
+    const sql = fs.readFileSync(path.join(__dirname, 'migrations', fileName), 'utf8');
+    const pending = db.query(sql).catch(error => {
+      applied.delete(fileName);
+      console.error(`Failed to apply migration ${fileName}:`, error.message);
+      throw error;
+    });
+    applied.set(fileName, pending);
+  }
+  return applied.get(fileName);
+};
+
+module.exports = { ensureMigration };
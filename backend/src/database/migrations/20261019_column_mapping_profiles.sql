@@ -0,0 +1,19 @@
+-- Column Mapping Profiles Migration
+-- Saved, named mappings from a customer's spreadsheet headers to the canonical
+-- Phase 1 fields, so recurring export formats are recognized on upload.
+-- Applied automatically by services/columnMappingService.js on first use.
+
+CREATE TABLE IF NOT EXISTS column_mapping_profiles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL UNIQUE,
+  description TEXT,
+  mappings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  source_headers JSONB NOT NULL DEFAULT '[]'::jsonb,
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON COLUMN column_mapping_profiles.mappings IS 'Canonical field -> source header, e.g. {"product_id": "Part #", "qty": "Units"}';
+COMMENT ON COLUMN column_mapping_profiles.source_headers IS 'All headers of the file the profile was created from';
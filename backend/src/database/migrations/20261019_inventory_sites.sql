@@ -0,0 +1,19 @@
+-- Inventory Sites Migration
+-- raw_inventory keeps one row per Phase 2 item of a Phase 3 job, with the
+-- serial number and where the item is installed, for the site breakdown and
+-- site filter of the lifecycle report.
+-- Applied automatically by utils/rawInventory.js on first use.
+
+ALTER TABLE raw_inventory
+ADD COLUMN IF NOT EXISTS item_id VARCHAR(255),
+ADD COLUMN IF NOT EXISTS serial_number VARCHAR(255),
+ADD COLUMN IF NOT EXISTS site VARCHAR(255),
+ADD COLUMN IF NOT EXISTS location VARCHAR(500),
+ADD COLUMN IF NOT EXISTS hostname VARCHAR(255),
+ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+
+CREATE INDEX IF NOT EXISTS idx_raw_inventory_job_site ON raw_inventory(job_id, site);
+
+COMMENT ON COLUMN raw_inventory.item_id IS 'Phase 2 item the row was taken from';
+COMMENT ON COLUMN raw_inventory.site IS 'Site as uploaded; NULL rows are reported as Unassigned';
+COMMENT ON COLUMN raw_inventory.location IS 'Address, building, room or rack within the site';
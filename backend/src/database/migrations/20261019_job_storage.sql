@@ -0,0 +1,62 @@
+-- Job Storage Schema Migration
+-- Persists Phase 1 uploads and Phase 2 enhanced inventories in PostgreSQL
+-- so jobs survive Cloud Run restarts and are shared across instances.
+-- Applied automatically by utils/jobStorage.js on first use.
+
+-- 1. Job header: one row per Phase 1 or Phase 2 job
+CREATE TABLE IF NOT EXISTS inventory_jobs (
+  job_id VARCHAR(255) PRIMARY KEY,
+  phase1_reference VARCHAR(255),
+  customer_name VARCHAR(255),
+  filename VARCHAR(255),
+  status VARCHAR(50),
+  summary JSONB,
+  analytics JSONB,
+  attributes JSONB DEFAULT '{}',
+  collections TEXT[] DEFAULT '{}',
+  job_timestamp TIMESTAMP,
+  version INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON COLUMN inventory_jobs.attributes IS 'Remaining job fields (phase3Ready, phase3FilterName, savedFilters, ...)';
+COMMENT ON COLUMN inventory_jobs.collections IS 'Array fields present on the job object (data, items, phase3FilteredItems, modificationHistory)';
+
+-- Tables created before optimistic locking
+ALTER TABLE inventory_jobs ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN inventory_jobs.version IS 'Incremented on every write; a write based on an older version is rejected';
+
+-- 2. Normalized inventory items, grouped by the job field they belong to
+CREATE TABLE IF NOT EXISTS inventory_job_items (
+  job_id VARCHAR(255) NOT NULL REFERENCES inventory_jobs(job_id) ON DELETE CASCADE,
+  collection VARCHAR(50) NOT NULL,
+  position INTEGER NOT NULL,
+  item_id VARCHAR(255),
+  product_id VARCHAR(255),
+  item JSONB NOT NULL,
+  PRIMARY KEY (job_id, collection, position)
+);
+
+COMMENT ON COLUMN inventory_job_items.collection IS 'data (Phase 1), items (Phase 2) or phase3FilteredItems';
+
+-- 3. Phase 2 modification history
+CREATE TABLE IF NOT EXISTS inventory_job_history (
+  id SERIAL PRIMARY KEY,
+  job_id VARCHAR(255) NOT NULL REFERENCES inventory_jobs(job_id) ON DELETE CASCADE,
+  position INTEGER NOT NULL,
+  item_id VARCHAR(255),
+  changed_at TIMESTAMP,
+  changed_by VARCHAR(255),
+  updates JSONB,
+  previous_values JSONB,
+  details JSONB DEFAULT '{}',
+  UNIQUE (job_id, position)
+);
+
+-- 4. Indexes for lookups
+CREATE INDEX IF NOT EXISTS idx_inventory_jobs_customer ON inventory_jobs(customer_name);
+CREATE INDEX IF NOT EXISTS idx_inventory_jobs_phase1_ref ON inventory_jobs(phase1_reference);
+CREATE INDEX IF NOT EXISTS idx_inventory_job_items_product ON inventory_job_items(job_id, product_id);
+CREATE INDEX IF NOT EXISTS idx_inventory_job_history_item ON inventory_job_history(job_id, item_id);
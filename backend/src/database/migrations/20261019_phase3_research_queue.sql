@@ -0,0 +1,40 @@
+-- Phase 3 Research Queue Migration
+-- Turns phase3_jobs into a job queue so AI research runs in a background worker
+-- instead of inside the HTTP request, and can resume after a restart.
+-- Applied automatically by services/phase3ResearchQueue.js on first use.
+
+-- 1. Job state and worker ownership
+-- status: initialized -> queued -> running -> paused/cancelled/completed (or failed)
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS use_cache BOOLEAN DEFAULT true;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS queued_at TIMESTAMP;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS research_started_at TIMESTAMP;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS paused_at TIMESTAMP;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS worker_id VARCHAR(255);
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS error_message TEXT;
+
+COMMENT ON COLUMN phase3_jobs.worker_id IS 'Process currently running the job (hostname-pid)';
+COMMENT ON COLUMN phase3_jobs.heartbeat_at IS 'Refreshed by the worker after every product; stale heartbeats let another worker take over';
+
+-- 2. Progress counters (checkpointed after every product)
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS processed_products INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS successful_products INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS failed_products INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS dates_found INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS products_researched INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS products_enhanced INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS products_no_data_found INTEGER DEFAULT 0;
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS avg_confidence_score DECIMAL(5,2);
+
+-- 3. Per-product checkpoints
+ALTER TABLE phase3_analysis ADD COLUMN IF NOT EXISTS research_status VARCHAR(20) DEFAULT 'pending';
+ALTER TABLE phase3_analysis ADD COLUMN IF NOT EXISTS research_error TEXT;
+ALTER TABLE phase3_analysis ADD COLUMN IF NOT EXISTS researched_at TIMESTAMP;
+
+COMMENT ON COLUMN phase3_analysis.research_status IS 'pending/completed/failed - the worker only picks up pending products';
+
+-- 4. Indexes for the worker
+CREATE INDEX IF NOT EXISTS idx_phase3_jobs_status ON phase3_jobs(status);
+CREATE INDEX IF NOT EXISTS idx_phase3_analysis_research_status ON phase3_analysis(job_id, research_status);
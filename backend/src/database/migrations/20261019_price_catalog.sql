@@ -0,0 +1,22 @@
+-- Price Catalog Migration
+-- Replacement unit prices per product ID or per category, and the product each
+-- product is replaced with, for the budget forecast in the lifecycle report.
+-- Applied automatically by services/budgetForecastService.js on first use.
+
+CREATE TABLE IF NOT EXISTS price_catalog (
+  id SERIAL PRIMARY KEY,
+  match_type VARCHAR(20) NOT NULL CHECK (match_type IN ('product', 'category')),
+  match_value VARCHAR(255) NOT NULL,
+  unit_price NUMERIC(14, 2),
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  replacement_product_id VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (match_type, match_value),
+  CHECK (unit_price IS NOT NULL OR replacement_product_id IS NOT NULL)
+);
+
+COMMENT ON COLUMN price_catalog.match_value IS 'Upper-cased product ID, or category name as it appears in Phase 3 results';
+COMMENT ON COLUMN price_catalog.unit_price IS 'Cost to replace one unit; NULL for a mapping-only row';
+COMMENT ON COLUMN price_catalog.replacement_product_id IS 'Product that replaces this one; its own catalog price is used when present';
@@ -0,0 +1,22 @@
+-- Product Successors Migration
+-- Maintained catalog of the products that replace end-of-life products.
+-- A product can have several successors (chassis plus modules) and several
+-- products can share a successor (consolidation onto one platform).
+-- Applied automatically by services/productSuccessorService.js on first use.
+
+CREATE TABLE IF NOT EXISTS product_successors (
+  id SERIAL PRIMARY KEY,
+  product_id VARCHAR(255) NOT NULL,
+  successor_product_id VARCHAR(255) NOT NULL,
+  quantity_ratio NUMERIC(8, 3) NOT NULL DEFAULT 1 CHECK (quantity_ratio > 0),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (product_id, successor_product_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_successors_successor ON product_successors(successor_product_id);
+
+COMMENT ON COLUMN product_successors.product_id IS 'Upper-cased product ID being replaced';
+COMMENT ON COLUMN product_successors.quantity_ratio IS 'Successor units per installed unit, e.g. 0.5 when two units consolidate into one';
+COMMENT ON COLUMN product_successors.notes IS 'Licensing, optics or configuration changes to plan for';
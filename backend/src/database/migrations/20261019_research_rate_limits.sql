@@ -0,0 +1,27 @@
+-- Research Concurrency and Rate Limit Migration
+-- Lets each Phase 3 job research several products in parallel and counts
+-- Google Custom Search usage in the database, so the daily quota and the
+-- QPS limit hold across restarts and instances.
+-- Applied automatically by services/phase3ResearchQueue.js and
+-- services/searchRateLimiter.js on first use.
+
+-- 1. Number of products researched in parallel for a job
+ALTER TABLE phase3_jobs ADD COLUMN IF NOT EXISTS research_concurrency INTEGER DEFAULT 3;
+
+-- 2. Search API calls per quota day
+CREATE TABLE IF NOT EXISTS search_api_usage (
+  api VARCHAR(50) NOT NULL,
+  usage_date DATE NOT NULL,
+  calls INTEGER DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (api, usage_date)
+);
+
+COMMENT ON COLUMN search_api_usage.usage_date IS 'Quota day in Pacific time, matching when Google resets the daily quota';
+
+-- 3. Token bucket shared by every instance for the per-second limit
+CREATE TABLE IF NOT EXISTS search_api_buckets (
+  api VARCHAR(50) PRIMARY KEY,
+  tokens DOUBLE PRECISION NOT NULL,
+  refilled_at TIMESTAMPTZ NOT NULL DEFAULT clock_timestamp()
+);
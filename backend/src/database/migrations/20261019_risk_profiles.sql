@@ -0,0 +1,40 @@
+-- Risk Profiles Migration
+-- Named, versioned scoring profiles for services/riskEngine.js. Saving a profile
+-- always creates a new version, so jobs scored with an older version can be
+-- reproduced exactly.
+-- Applied automatically by services/riskEngine.js on first use.
+
+CREATE TABLE IF NOT EXISTS risk_profiles (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  version INTEGER NOT NULL DEFAULT 1,
+  description TEXT,
+  config JSONB NOT NULL DEFAULT '{}'::jsonb,
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (name, version)
+);
+
+COMMENT ON COLUMN risk_profiles.config IS 'Factor weights and windows, level thresholds and criticality multipliers';
+COMMENT ON COLUMN risk_profiles.is_default IS 'Profile used when a job does not select one; at most one row is set';
+
+-- Phase 3 results keep the score, the contributing factors and the profile used
+ALTER TABLE phase3_analysis
+ADD COLUMN IF NOT EXISTS risk_score INTEGER;
+
+ALTER TABLE phase3_analysis
+ADD COLUMN IF NOT EXISTS risk_factors JSONB DEFAULT '[]';
+
+COMMENT ON COLUMN phase3_analysis.risk_factors IS 'Factors that contributed to risk_level: [{factor, label, points, detail}]';
+
+ALTER TABLE phase3_analysis
+ADD COLUMN IF NOT EXISTS risk_profile VARCHAR(300);
+
+COMMENT ON COLUMN phase3_analysis.risk_profile IS 'Risk profile the row was scored with, as name@version';
+
+-- Profile selected for a Phase 3 job (copied from its Phase 2 job)
+ALTER TABLE phase3_jobs
+ADD COLUMN IF NOT EXISTS risk_profile_name VARCHAR(255);
+
+ALTER TABLE phase3_jobs
+ADD COLUMN IF NOT EXISTS risk_profile_version INTEGER;
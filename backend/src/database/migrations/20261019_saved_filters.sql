@@ -0,0 +1,78 @@
+-- Saved Filters Migration
+-- One store for the filters of every phase, replacing data/phase1_filters.json,
+-- backend/data/global_filters.json and data/filters/phase2_filters.json.
+-- A filter definition holds pattern rules (Phase 1 exclusions) and column
+-- criteria (the Phase 2 results grid); either part works on the items of any phase.
+-- Applied automatically by services/filterService.js on first use, which then
+-- imports the old JSON files once.
+
+CREATE TABLE IF NOT EXISTS saved_filters (
+  id VARCHAR(64) PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  definition JSONB NOT NULL DEFAULT '{}'::jsonb,
+  owner VARCHAR(255) NOT NULL DEFAULT 'user',
+  visibility VARCHAR(20) NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'team', 'global')),
+  team VARCHAR(255),
+  is_system BOOLEAN NOT NULL DEFAULT false,
+  version INTEGER NOT NULL DEFAULT 1,
+  customer_name VARCHAR(255),
+  job_id VARCHAR(255),
+  usage_count INTEGER NOT NULL DEFAULT 0,
+  last_used_at TIMESTAMP,
+  last_used_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON COLUMN saved_filters.definition IS '{ rules: { productIds, descriptions, productTypes, include }, columns: { product_id, description, type, category, mfg, risk_level, support_status, selectionMode, selectedProductIds, display } }';
+COMMENT ON COLUMN saved_filters.visibility IS 'private (owner only), team (owner''s team) or global (everyone)';
+COMMENT ON COLUMN saved_filters.is_system IS 'Built-in filter sets; cannot be changed or deleted';
+COMMENT ON COLUMN saved_filters.job_id IS 'Job the filter was saved from, when it was saved for one job';
+
+CREATE INDEX IF NOT EXISTS idx_saved_filters_owner ON saved_filters(owner);
+CREATE INDEX IF NOT EXISTS idx_saved_filters_name ON saved_filters(LOWER(name));
+
+-- Every saved state of a filter; version 1 is the filter as created
+CREATE TABLE IF NOT EXISTS saved_filter_versions (
+  id SERIAL PRIMARY KEY,
+  filter_id VARCHAR(64) NOT NULL REFERENCES saved_filters(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  definition JSONB NOT NULL,
+  visibility VARCHAR(20) NOT NULL,
+  team VARCHAR(255),
+  changed_by VARCHAR(255),
+  change_note TEXT,
+  changed_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (filter_id, version)
+);
+
+-- One row per time a filter was applied
+CREATE TABLE IF NOT EXISTS saved_filter_usage (
+  id SERIAL PRIMARY KEY,
+  filter_id VARCHAR(64) NOT NULL REFERENCES saved_filters(id) ON DELETE CASCADE,
+  used_by VARCHAR(255),
+  phase VARCHAR(20),
+  item_count INTEGER,
+  excluded_count INTEGER,
+  used_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_filter_usage_filter ON saved_filter_usage(filter_id, used_at);
+
+-- Filter applied when a request does not name one (scope 'phase1' is the
+-- Phase 1 upload filter); a NULL filter_id means no filter
+CREATE TABLE IF NOT EXISTS saved_filter_defaults (
+  scope VARCHAR(255) PRIMARY KEY,
+  filter_id VARCHAR(64) REFERENCES saved_filters(id) ON DELETE SET NULL,
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+-- JSON files already imported, so a restart does not import them again
+CREATE TABLE IF NOT EXISTS saved_filter_imports (
+  source VARCHAR(500) PRIMARY KEY,
+  filter_count INTEGER NOT NULL DEFAULT 0,
+  imported_at TIMESTAMP DEFAULT NOW()
+);
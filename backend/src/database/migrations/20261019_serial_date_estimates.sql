@@ -0,0 +1,14 @@
+-- Serial Date Estimates Migration
+-- Manufacture date read from the serial number of raw_inventory rows that have
+-- no ship or purchase date, so they still appear in the year distribution of
+-- the lifecycle report, flagged as estimated.
+-- Applied automatically by utils/rawInventory.js on first use.
+
+ALTER TABLE raw_inventory
+ADD COLUMN IF NOT EXISTS estimated_date DATE,
+ADD COLUMN IF NOT EXISTS estimated_date_confidence INTEGER,
+ADD COLUMN IF NOT EXISTS estimated_date_source VARCHAR(50);
+
+COMMENT ON COLUMN raw_inventory.estimated_date IS 'Manufacture date decoded from the serial number; only set when ship_date and purchase_date are missing';
+COMMENT ON COLUMN raw_inventory.estimated_date_confidence IS 'Confidence (0-100) of estimated_date';
+COMMENT ON COLUMN raw_inventory.estimated_date_source IS 'Decoder that produced estimated_date, e.g. serial:cisco';
@@ -0,0 +1,35 @@
+-- Support Contracts Migration
+-- Service contracts of a Phase 2 job and the items each one covers. Contracts
+-- are taken from the contract columns of the upload or imported from a separate
+-- contracts file; file contracts are not overwritten by later uploads.
+-- Applied automatically by services/supportContractService.js on first use.
+
+CREATE TABLE IF NOT EXISTS support_contracts (
+  id SERIAL PRIMARY KEY,
+  job_id VARCHAR(255) NOT NULL,
+  contract_number VARCHAR(255) NOT NULL,
+  service_level VARCHAR(255),
+  start_date DATE,
+  end_date DATE,
+  source VARCHAR(20) NOT NULL DEFAULT 'upload' CHECK (source IN ('upload', 'file')),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (job_id, contract_number)
+);
+
+CREATE TABLE IF NOT EXISTS support_contract_items (
+  contract_id INTEGER NOT NULL REFERENCES support_contracts(id) ON DELETE CASCADE,
+  job_id VARCHAR(255) NOT NULL,
+  item_id VARCHAR(255) NOT NULL,
+  source VARCHAR(20) NOT NULL DEFAULT 'upload' CHECK (source IN ('upload', 'file')),
+  PRIMARY KEY (contract_id, item_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_support_contracts_end_date ON support_contracts(job_id, end_date);
+CREATE INDEX IF NOT EXISTS idx_support_contract_items_job ON support_contract_items(job_id, item_id);
+
+COMMENT ON COLUMN support_contracts.job_id IS 'Phase 2 job the contract belongs to';
+COMMENT ON COLUMN support_contracts.source IS 'upload: built from the contract columns of the inventory; file: imported contracts file';
+COMMENT ON COLUMN support_contract_items.item_id IS 'Phase 2 item ID';
+COMMENT ON COLUMN support_contract_items.source IS 'How the item was linked; upload links are rebuilt on every sync';
@@ -0,0 +1,9 @@
+-- Support Coverage Migration
+-- Installed quantity per support coverage state (utils/supportCoverage.js) for
+-- each Phase 3 product, taken from the Phase 2 items it was built from.
+-- Applied automatically when a Phase 3 job is initialized or synced.
+
+ALTER TABLE phase3_analysis
+ADD COLUMN IF NOT EXISTS support_coverage_states JSONB DEFAULT '{}';
+
+COMMENT ON COLUMN phase3_analysis.support_coverage_states IS 'Quantity per coverage state: {Active, Expiring, Expired, Not Covered, Unknown}';
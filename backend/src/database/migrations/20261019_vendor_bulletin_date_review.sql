@@ -0,0 +1,9 @@
+-- Vendor Bulletin Date Review Migration
+-- Keeps the bulletin dates the shared date parser read with low confidence or
+-- an ambiguous day/month order, so they can be checked after an import.
+-- Applied automatically by services/vendorBulletinService.js on first use.
+
+ALTER TABLE vendor_eol_bulletins
+ADD COLUMN IF NOT EXISTS date_review JSONB;
+
+COMMENT ON COLUMN vendor_eol_bulletins.date_review IS 'Dates read with low confidence or an ambiguous day/month order: { field: { original, confidence, format, ambiguous } }';
@@ -0,0 +1,30 @@
+-- Vendor EOL Bulletin Migration
+-- Local copy of vendor end-of-life bulletins (Cisco EoX exports, HPE and Dell
+-- EOL spreadsheets) so products can be resolved without any network access.
+-- Applied automatically by services/vendorBulletinService.js on first use.
+
+CREATE TABLE IF NOT EXISTS vendor_eol_bulletins (
+  id SERIAL PRIMARY KEY,
+  vendor VARCHAR(100) NOT NULL,
+  product_id VARCHAR(255) NOT NULL,
+  description TEXT,
+  eol_announcement_date DATE,
+  end_of_sale_date DATE,
+  end_of_sw_maintenance_date DATE,
+  end_of_sw_vulnerability_maintenance_date DATE,
+  last_day_of_support_date DATE,
+  end_of_life_date DATE,
+  replacement_product_id VARCHAR(255),
+  bulletin_number VARCHAR(255),
+  bulletin_url TEXT,
+  source_format VARCHAR(50),
+  source_file VARCHAR(500),
+  imported_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE (vendor, product_id)
+);
+
+COMMENT ON COLUMN vendor_eol_bulletins.vendor IS 'Normalized vendor name (Cisco, HPE, Dell)';
+COMMENT ON COLUMN vendor_eol_bulletins.product_id IS 'Upper-cased product ID / part number as published by the vendor';
+COMMENT ON COLUMN vendor_eol_bulletins.source_format IS 'cisco_eox_csv, cisco_eox_xml, hpe_spreadsheet or dell_spreadsheet';
+
+CREATE INDEX IF NOT EXISTS idx_vendor_eol_bulletins_product ON vendor_eol_bulletins(product_id);
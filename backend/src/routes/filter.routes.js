@@ -0,0 +1,19 @@
+// backend/src/routes/filter.routes.js
+const express = require('express');
+const router = express.Router();
+const filterController = require('../controllers/filterController');
+
+// Saved filters shared by Phase 1, Phase 2 and Phase 3
+router.get('/', filterController.listFilters);
+router.post('/', filterController.createFilter);
+router.get('/:filterId', filterController.getFilter);
+router.put('/:filterId', filterController.updateFilter);
+router.delete('/:filterId', filterController.deleteFilter);
+router.post('/:filterId/preview', filterController.previewFilter);
+
+// Version history and usage stats
+router.get('/:filterId/versions', filterController.getVersions);
+router.post('/:filterId/versions/:version/restore', filterController.restoreVersion);
+router.get('/:filterId/usage', filterController.getUsage);
+
+module.exports = router;
@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const phase2Controller = require('../controllers/phase2Controller');
+const supportContractController = require('../controllers/supportContractController');
 
 // Phase 2 Enhanced Inventory endpoints
 router.post('/analyze', phase2Controller.processPhase2Analysis);
@@ -11,12 +12,28 @@ router.get('/results/:jobId', phase2Controller.getPhase2Results);
 router.get('/status/:jobId', phase2Controller.getPhase2Status);
 router.put('/item/:jobId/:itemId', phase2Controller.updateInventoryItem);
 router.post('/bulk-update/:jobId', phase2Controller.bulkUpdateItems);
+router.post('/bulk-edit/:jobId', phase2Controller.bulkEditByQuery);
 router.get('/changes/:jobId', phase2Controller.getModificationHistory);
+router.get('/schema', phase2Controller.getFieldSchema);
+
+// Undo, redo and point-in-time revert of item edits
+router.post('/undo/:jobId', phase2Controller.undoChange);
+router.post('/redo/:jobId', phase2Controller.redoChange);
+router.post('/revert/:jobId', phase2Controller.revertChanges);
 
 // Analysis and Phase 3 preparation
 router.post('/analyze-fields/:jobId', phase2Controller.analyzeAndFillFields);
 router.post('/save-for-phase3/:jobId', phase2Controller.saveForPhase3);
 
+// Rescore a job with another risk profile
+router.put('/risk-profile/:jobId', phase2Controller.setRiskProfile);
+
+// Support contracts, renewal calendar and coverage gaps
+router.get('/contracts/:jobId', supportContractController.getContracts);
+router.post('/contracts/:jobId/import', supportContractController.upload, supportContractController.importContracts);
+router.post('/contracts/:jobId/sync', supportContractController.syncContracts);
+router.delete('/contracts/:jobId/:contractId', supportContractController.deleteContract);
+
 // Export functionality
 router.get('/export/:jobId', phase2Controller.exportPhase2Results);
 
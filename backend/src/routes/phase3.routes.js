@@ -4,18 +4,49 @@ const express = require('express');
 const router = express.Router();
 const phase3Controller = require('../controllers/phase3Controller');
 const lifecycleReportController = require('../controllers/lifecycleReportController');
+const vendorBulletinController = require('../controllers/vendorBulletinController');
+const priceCatalogController = require('../controllers/priceCatalogController');
+const productSuccessorController = require('../controllers/productSuccessorController');
 
 // Phase 3 initialization and research
 router.post('/initialize', phase3Controller.initializePhase3.bind(phase3Controller));
 router.post('/run-research', phase3Controller.runAIResearch.bind(phase3Controller));
 router.get('/research-progress/:jobId', phase3Controller.getResearchProgress.bind(phase3Controller));
+router.get('/research-status/:jobId', phase3Controller.getResearchStatus.bind(phase3Controller));
+router.post('/research/:jobId/pause', phase3Controller.pauseResearch.bind(phase3Controller));
+router.post('/research/:jobId/resume', phase3Controller.resumeResearch.bind(phase3Controller));
+router.post('/research/:jobId/cancel', phase3Controller.cancelResearch.bind(phase3Controller));
 router.get('/results/:jobId', phase3Controller.getResults.bind(phase3Controller));
+router.put('/risk-profile/:jobId', phase3Controller.setRiskProfile.bind(phase3Controller));
+
+// Offline vendor EOL bulletins (Cisco EoX, HPE, Dell)
+router.post('/vendor-bulletins/import', vendorBulletinController.upload, vendorBulletinController.importBulletins);
+router.get('/vendor-bulletins', vendorBulletinController.getBulletinSummary);
+router.get('/vendor-bulletins/:productId', vendorBulletinController.lookupBulletin);
+
+// Unit prices and replacement products for the budget forecast
+router.get('/price-catalog', priceCatalogController.getCatalog);
+router.put('/price-catalog', priceCatalogController.saveEntries);
+router.post('/price-catalog/import', priceCatalogController.upload, priceCatalogController.importCatalog);
+router.delete('/price-catalog/:id', priceCatalogController.deleteEntry);
+
+// Successor catalog for EOL products
+router.get('/successors', productSuccessorController.listSuccessors);
+router.put('/successors', productSuccessorController.saveSuccessors);
+router.post('/successors/import', productSuccessorController.upload, productSuccessorController.importSuccessors);
+router.delete('/successors/:id', productSuccessorController.deleteSuccessor);
 
 // Report endpoints
 // Add these routes if not already present
 router.post('/reports/generate', (req, res) => lifecycleReportController.generateLifecycleReport(req, res));
+router.post('/reports/budget-forecast', (req, res) => lifecycleReportController.generateBudgetForecast(req, res));
 router.post('/reports/export/lifecycle-report-excel', (req, res) => lifecycleReportController.exportLifecycleReportExcel(req, res));
 
+// Compare two runs (Phase 2 or Phase 3 jobs) for the same customer
+router.get('/reports/snapshots', (req, res) => lifecycleReportController.listSnapshots(req, res));
+router.post('/reports/compare', (req, res) => lifecycleReportController.compareSnapshots(req, res));
+router.post('/reports/compare/export', (req, res) => lifecycleReportController.exportSnapshotComparison(req, res));
+
 // Simple Phase 3 results export
 router.post('/export-results', phase3Controller.exportPhase3Results);
 
@@ -0,0 +1,12 @@
+// backend/src/routes/risk.routes.js
+const express = require('express');
+const router = express.Router();
+const riskProfileController = require('../controllers/riskProfileController');
+
+// Risk scoring profiles shared by Phase 2, Phase 3 and the lifecycle reports
+router.get('/', riskProfileController.listProfiles);
+router.post('/', riskProfileController.createProfile);
+router.get('/:name', riskProfileController.getProfile);
+router.put('/:name/default', riskProfileController.setDefaultProfile);
+
+module.exports = router;
@@ -6,6 +6,18 @@ const uploadController = require('../controllers/uploadController');
 // File upload endpoint
 router.post('/upload', uploadController.upload, uploadController.uploadFile);
 
+// Column mapping preview - parse the file and suggest a mapping without processing it
+router.post('/preview', uploadController.upload, uploadController.previewUpload);
+
+// Streamed upload for files over the in-memory limit - processed in the background,
+// progress is reported by the status endpoint
+router.post('/upload/stream', uploadController.streamUpload, uploadController.uploadFileStreaming);
+router.post('/preview/stream', uploadController.streamUpload, uploadController.previewUploadStreaming);
+
+// Upload into an existing job (mode: append, merge or replace) - Phase 2 edits
+// and Phase 3 research on unchanged items are kept
+router.post('/jobs/:jobId/upload', uploadController.upload, uploadController.uploadFile);
+
 // Status check endpoint
 router.get('/status/:jobId', uploadController.getJobStatus);
 
@@ -15,6 +27,12 @@ router.get('/results/:jobId', uploadController.getResults);
 // Export endpoint
 router.get('/export/:jobId', uploadController.exportResults);
 
+// Items removed by the Phase 1 filter (CSV, or ?format=json)
+router.get('/excluded/:jobId', uploadController.exportExcluded);
+
+// Row-level validation issues found in the upload (JSON, or ?format=csv worklist)
+router.get('/validation/:jobId', uploadController.getValidationReport);
+
 // Filter management endpoints
 router.get('/filters', uploadController.getFilterSets);
 router.get('/filters/:filterId', uploadController.getFilterSet);
@@ -24,4 +42,11 @@ router.delete('/filters/:filterId', uploadController.deleteFilterSet);
 router.post('/filters/active', uploadController.setActiveFilter);
 router.post('/filters/preview', uploadController.previewFilter);
 
+// Column mapping profile endpoints
+router.get('/mapping-profiles', uploadController.getMappingProfiles);
+router.get('/mapping-profiles/:profileId', uploadController.getMappingProfile);
+router.post('/mapping-profiles', uploadController.createMappingProfile);
+router.put('/mapping-profiles/:profileId', uploadController.updateMappingProfile);
+router.delete('/mapping-profiles/:profileId', uploadController.deleteMappingProfile);
+
 module.exports = router;
\ No newline at end of file
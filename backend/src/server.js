@@ -1,6 +1,8 @@
 ﻿// backend/src/server.js
 const app = require('./app');
 const logger = require('./config/logger');
+const phase3ResearchQueue = require('./services/phase3ResearchQueue');
+const filterService = require('./services/filterService');
 
 // Use PORT from environment or default to 8080 for Cloud Run
 const PORT = process.env.PORT || 8080;  // CHANGE to 8080!
@@ -14,15 +16,30 @@ const server = app.listen(PORT, () => {
   console.log(`   - Phase 2: http://localhost:${PORT}/api/phase2`);
   console.log(`   - Phase 3: http://localhost:${PORT}/api/phase3`);
   logger.info(`Server started on port ${PORT}`);
+
+  // Pick up Phase 3 research that was queued or interrupted by a restart
+  phase3ResearchQueue.start().catch(error => {
+    logger.error(`Failed to start Phase 3 research queue: ${error.message}`);
+  });
+
+  // Create the saved filter tables and import the old filter JSON files
+  filterService.ensureReady().catch(error => {
+    logger.error(`Failed to prepare saved filters: ${error.message}`);
+  });
 });
 
 // Handle shutdown gracefully
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    logger.info('HTTP server closed');
-    process.exit(0);
-  });
+  // Hand running research back to the queue so the next instance resumes it
+  phase3ResearchQueue.stop()
+    .catch(error => logger.error(`Failed to release Phase 3 research jobs: ${error.message}`))
+    .finally(() => {
+      server.close(() => {
+        logger.info('HTTP server closed');
+        process.exit(0);
+      });
+    });
 });
 
 module.exports = server;
\ No newline at end of file
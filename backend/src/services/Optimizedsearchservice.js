@@ -10,6 +10,7 @@
  */
 
 const axios = require('axios');
+const dateParser = require('../utils/dateParser');
 require('dotenv').config({ path: 'C:/development/lifecycle-analysis/backend/.env' });
 
 class OptimizedSearchService {
@@ -395,40 +396,8 @@ class OptimizedSearchService {
    * Normalize various date formats to YYYY-MM-DD
    */
   normalizeDate(dateStr) {
-    try {
-      // Handle ISO format (already normalized)
-      if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) {
-        return dateStr;
-      }
-      
-      // Handle slash format (MM/DD/YYYY or DD/MM/YYYY)
-      if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(dateStr)) {
-        const parts = dateStr.split('/');
-        const month = parts[0].padStart(2, '0');
-        const day = parts[1].padStart(2, '0');
-        const year = parts[2];
-        return `${year}-${month}-${day}`;
-      }
-      
-      // Handle written format (Jan 15, 2024)
-      const monthMap = {
-        'jan': '01', 'feb': '02', 'mar': '03', 'apr': '04',
-        'may': '05', 'jun': '06', 'jul': '07', 'aug': '08',
-        'sep': '09', 'oct': '10', 'nov': '11', 'dec': '12'
-      };
-      
-      const writtenMatch = dateStr.match(/(Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+(\d{1,2}),?\s+(\d{4})/i);
-      if (writtenMatch) {
-        const month = monthMap[writtenMatch[1].toLowerCase().substring(0, 3)];
-        const day = writtenMatch[2].padStart(2, '0');
-        const year = writtenMatch[3];
-        return `${year}-${month}-${day}`;
-      }
-      
-      return null;
-    } catch (error) {
-      return null;
-    }
+    // Vendor pages write numeric dates US style (MM/DD/YYYY)
+    return dateParser.formatDate(dateStr, { dayFirst: false });
   }
 
   /**
@@ -0,0 +1,36 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../../database/migrationRunner', () => ({ ensureMigration: jest.fn().mockResolvedValue() }));
+
+const budgetForecastService = require('../budgetForecastService');
+
+const catalog = [{ match_type: 'product', match_value: 'WS-C2960X-48', unit_price: 1000, currency: 'USD' }];
+
+describe('resolveInflationRate', () => {
+  test('uses the default when no rate is given', () => {
+    expect(budgetForecastService.resolveInflationRate(undefined)).toBe(budgetForecastService.DEFAULT_INFLATION_RATE);
+    expect(budgetForecastService.resolveInflationRate('')).toBe(budgetForecastService.DEFAULT_INFLATION_RATE);
+  });
+
+  test('keeps an explicit rate of 0', () => {
+    expect(budgetForecastService.resolveInflationRate(0)).toBe(0);
+    expect(budgetForecastService.resolveInflationRate('0')).toBe(0);
+  });
+
+  test.each([[3], [-0.6], ['fast']])('rejects %p with a 400', (rate) => {
+    expect(() => budgetForecastService.resolveInflationRate(rate)).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('buildForecast', () => {
+  test('schedules products by their basis date read with the shared date parser', () => {
+    const forecast = budgetForecastService.buildForecast([
+      { product_id: 'WS-C2960X-48', total_quantity: 2, last_day_of_support_date: '31/01/2028' },
+      { product_id: 'WS-C2960X-48', total_quantity: 1, last_day_of_support_date: 'not announced' }
+    ], { catalog, baseYear: 2026, inflationRate: 0 });
+
+    expect(forecast.items).toHaveLength(1);
+    expect(forecast.items[0]).toMatchObject({ replacement_year: 2028, cost: 2000 });
+    expect(forecast.unscheduled).toHaveLength(1);
+    expect(forecast.settings.inflationRate).toBe(0);
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+
+const db = require('../../database/dbConnection');
+const filterService = require('../filterService');
+
+// saved_filters and saved_filter_defaults rows the mocked queries answer from
+let filters;
+let defaults;
+
+const visibleTo = (filter, [user, team]) =>
+  filter.visibility === 'global' || filter.owner === user || (filter.visibility === 'team' && filter.team === team);
+
+beforeEach(() => {
+  jest.spyOn(filterService, 'ensureReady').mockResolvedValue();
+  filters = {
+    shared: { id: 'shared', name: 'Shared', owner: 'ann', visibility: 'global', definition: { columns: { mfg: { include: ['Cisco'] } } }, version: 1 },
+    mine: { id: 'mine', name: 'Mine', owner: 'ann', visibility: 'private', definition: {}, version: 1 }
+  };
+  defaults = {};
+
+  db.query.mockImplementation(async (sql, params) => {
+    if (/SELECT filter_id FROM saved_filter_defaults/.test(sql)) {
+      return { rows: params[0] in defaults ? [{ filter_id: defaults[params[0]] }] : [] };
+    }
+    if (/SELECT scope FROM saved_filter_defaults/.test(sql)) {
+      return { rows: Object.keys(defaults).filter(scope => defaults[scope] === params[0]).map(scope => ({ scope })) };
+    }
+    if (/INSERT INTO saved_filter_defaults/.test(sql)) {
+      defaults[params[0]] = params[1];
+      return { rows: [] };
+    }
+    if (/SELECT \* FROM saved_filters WHERE id = \$3/.test(sql)) {
+      const filter = filters[params[2]];
+      return { rows: filter && visibleTo(filter, params) ? [filter] : [] };
+    }
+    throw new Error(`Unexpected query: ${sql}`);
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('filterService default filters', () => {
+  const ann = { user: 'ann', team: null };
+  const bob = { user: 'bob', team: null };
+
+  test('a global filter can be the shared default and everyone gets it', async () => {
+    await filterService.setDefault('phase1', 'shared', ann);
+    expect((await filterService.getDefault('phase1', bob)).id).toBe('shared');
+  });
+
+  test('a private filter cannot be the shared default', async () => {
+    await expect(filterService.setDefault('phase1', 'mine', ann)).rejects.toMatchObject({ statusCode: 400 });
+    expect(defaults.phase1).toBeUndefined();
+  });
+
+  test('a default the requester cannot see is reported, not skipped', async () => {
+    defaults.phase1 = 'mine';
+    await expect(filterService.getDefault('phase1', bob)).rejects.toMatchObject({ statusCode: 409 });
+    expect((await filterService.getDefault('phase1', ann)).id).toBe('mine');
+  });
+
+  test('no default is null', async () => {
+    expect(await filterService.getDefault('phase1', bob)).toBeNull();
+    defaults.phase1 = null;
+    expect(await filterService.getDefault('phase1', bob)).toBeNull();
+  });
+
+  test('a default filter cannot be made private', async () => {
+    defaults.phase1 = 'shared';
+    await expect(filterService.update('shared', { visibility: 'private' }, ann)).rejects.toMatchObject({ statusCode: 409 });
+    expect(db.pool.connect).not.toHaveBeenCalled();
+  });
+});
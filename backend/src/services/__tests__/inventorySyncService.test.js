@@ -0,0 +1,117 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../../database/migrationRunner', () => ({ ensureMigration: jest.fn().mockResolvedValue() }));
+jest.mock('../../utils/jobStorage', () => ({ get: jest.fn(), set: jest.fn().mockResolvedValue() }));
+jest.mock('../supportContractService', () => ({ syncFromItems: jest.fn().mockResolvedValue() }));
+
+const db = require('../../database/dbConnection');
+const riskEngine = require('../riskEngine');
+const editHistory = require('../../utils/editHistory');
+const inventorySyncService = require('../inventorySyncService');
+
+const item = (id, fields = {}) => ({ id, product_id: 'WS-C2960X-48', serial_number: `FOC${id}`, site: 'HQ', qty: 1, ...fields });
+
+describe('compare', () => {
+  const keyFields = ['product_id', 'serial_number'];
+
+  it('sorts incoming items into added, changed and unchanged, and lists unmatched ones', () => {
+    const existing = [item(1), item(2, { qty: 4 }), item(3)];
+    const incoming = [item(undefined, { serial_number: 'FOC1' }), item(undefined, { serial_number: 'FOC2', qty: 6 }), item(undefined, { serial_number: 'FOC9' })];
+
+    const result = inventorySyncService.compare(existing, incoming, keyFields);
+
+    expect(result.unchanged.map(match => match.existing.id)).toEqual([1]);
+    expect(result.changed).toHaveLength(1);
+    expect(result.changed[0].existing.id).toBe(2);
+    expect(result.changed[0].changes).toEqual([{ field: 'qty', from: 4, to: 6 }]);
+    expect(result.added.map(added => added.serial_number)).toEqual(['FOC9']);
+    expect(result.unmatched.map(unmatched => unmatched.id)).toEqual([3]);
+  });
+
+  it('matches keys regardless of case and surrounding spaces', () => {
+    const result = inventorySyncService.compare([item(1)], [item(undefined, { product_id: ' ws-c2960x-48 ', serial_number: 'foc1' })], keyFields);
+    expect(result.added).toHaveLength(0);
+    expect(result.unmatched).toHaveLength(0);
+  });
+
+  it('pairs repeated keys with an identical row first', () => {
+    const existing = [item(1, { serial_number: '', qty: 2 }), item(2, { serial_number: '', qty: 5 })];
+    const result = inventorySyncService.compare(existing, [item(undefined, { serial_number: '', qty: 5 })], keyFields);
+
+    expect(result.unchanged.map(match => match.existing.id)).toEqual([2]);
+    expect(result.unmatched.map(unmatched => unmatched.id)).toEqual([1]);
+  });
+
+  it('treats empty cells and dashes as the same value', () => {
+    const result = inventorySyncService.compare([item(1, { ship_date: '-' })], [item(undefined, { serial_number: 'FOC1', ship_date: '' })], keyFields);
+    expect(result.unchanged).toHaveLength(1);
+  });
+});
+
+describe('mergeInventory', () => {
+  it('leaves out a key field only the new file has values for', () => {
+    const job = { data: [item(1, { product_id: 'A', serial_number: '' }), item(2, { product_id: 'B', serial_number: '' })] };
+    const data = [item(undefined, { product_id: 'A', serial_number: 'FOC1' }), item(undefined, { product_id: 'B', serial_number: 'FOC2' })];
+
+    const sync = inventorySyncService.mergeInventory(job, { data }, { mode: 'merge' });
+
+    expect(sync.keyFields).toEqual(['product_id', 'site']);
+    expect(sync.added).toHaveLength(0);
+    expect(sync.changed).toHaveLength(2);
+    expect(sync.data.map(merged => [merged.id, merged.serial_number])).toEqual([[1, 'FOC1'], [2, 'FOC2']]);
+  });
+});
+
+describe('syncPhase2Job', () => {
+  beforeEach(() => {
+    jest.spyOn(riskEngine, 'getProfile').mockResolvedValue(riskEngine.BUILT_IN_PROFILE);
+  });
+
+  it('records updated, added and removed items in one changeset that undo reverses', async () => {
+    const job = {
+      jobId: 'job-1',
+      items: [item('1', { qty: 2 }), item('2')],
+      modificationHistory: [],
+      summary: {}
+    };
+
+    await inventorySyncService.syncPhase2Job(job, {
+      changed: [{ existing: item('1', { qty: 2 }), incoming: item('1', { qty: 3 }), changes: [{ field: 'qty' }] }],
+      added: [item(3)],
+      removed: [item('2')]
+    });
+
+    expect(job.items.map(synced => synced.id)).toEqual(['1', '3']);
+    expect(new Set(job.modificationHistory.map(entry => entry.changesetId)).size).toBe(1);
+    expect(job.modificationHistory.find(entry => entry.removed).itemId).toBe('2');
+    expect(job.modificationHistory.find(entry => entry.inserted).itemId).toBe('3');
+
+    editHistory.undo(job, 'ann');
+    expect(job.items.map(restored => restored.id).sort()).toEqual(['1', '2']);
+    expect(job.items.find(restored => restored.id === '1').qty).toBe(2);
+
+    editHistory.redo(job, 'ann');
+    expect(job.items.map(redone => redone.id).sort()).toEqual(['1', '3']);
+  });
+});
+
+describe('syncPhase3Jobs', () => {
+  it('rolls back a Phase 3 job whose update fails', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/DELETE FROM raw_inventory/.test(sql)) throw new Error('connection lost');
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    db.query.mockResolvedValue({ rows: [{ job_id: 7 }] });
+    db.pool.connect.mockResolvedValue(client);
+
+    await expect(inventorySyncService.syncPhase3Jobs({ jobId: 'job-1', items: [item('1')] })).rejects.toThrow('connection lost');
+
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements[0]).toBe('BEGIN');
+    expect(statements).toContain('ROLLBACK');
+    expect(statements).not.toContain('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,58 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../../database/migrationRunner', () => ({ ensureMigration: jest.fn().mockResolvedValue() }));
+jest.mock('../../controllers/phase3Controller', () => ({ sendProgressUpdate: jest.fn() }));
+
+const db = require('../../database/dbConnection');
+const phase3ResearchQueue = require('../phase3ResearchQueue');
+
+const heartbeats = () => db.query.mock.calls.filter(([sql]) => /SET heartbeat_at = NOW\(\)\s+WHERE job_id/.test(sql));
+
+// Let awaited promises settle between timer steps
+const settle = async () => {
+  for (let step = 0; step < 10; step++) await Promise.resolve();
+};
+
+describe('processJob', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    db.query.mockReset();
+    db.query.mockResolvedValue({ rows: [{ product_id: 'WS-C2960X-48' }] });
+    jest.spyOn(phase3ResearchQueue, 'claim').mockResolvedValue({ job_id: 7, research_concurrency: 1 });
+    jest.spyOn(phase3ResearchQueue, 'getStatus').mockResolvedValue({ total: 1, processed: 0, successful: 0, failed: 0, datesFound: 0 });
+    jest.spyOn(phase3ResearchQueue, 'complete').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  it('refreshes the heartbeat while a slow product is researched and stops once the job ends', async () => {
+    let finishProduct;
+    jest.spyOn(phase3ResearchQueue, 'runWorker').mockImplementation(() => new Promise(resolve => { finishProduct = resolve; }));
+
+    const processing = phase3ResearchQueue.processJob(7);
+    await settle();
+
+    // Longer than STALE_HEARTBEAT_SECONDS without a checkpoint
+    jest.advanceTimersByTime(phase3ResearchQueue.STALE_HEARTBEAT_SECONDS * 1000 + phase3ResearchQueue.HEARTBEAT_INTERVAL_MS);
+    expect(heartbeats().length).toBeGreaterThanOrEqual(phase3ResearchQueue.STALE_HEARTBEAT_SECONDS * 1000 / phase3ResearchQueue.HEARTBEAT_INTERVAL_MS);
+    expect(heartbeats()[0][1]).toEqual([7, phase3ResearchQueue.workerId]);
+
+    finishProduct();
+    await processing;
+    const count = heartbeats().length;
+    jest.advanceTimersByTime(phase3ResearchQueue.HEARTBEAT_INTERVAL_MS * 3);
+    expect(heartbeats()).toHaveLength(count);
+  });
+
+  it('starts no heartbeat for a job another worker holds', async () => {
+    phase3ResearchQueue.claim.mockResolvedValue(null);
+
+    await phase3ResearchQueue.processJob(8);
+    jest.advanceTimersByTime(phase3ResearchQueue.HEARTBEAT_INTERVAL_MS * 3);
+
+    expect(heartbeats()).toHaveLength(0);
+  });
+});
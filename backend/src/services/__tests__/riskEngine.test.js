@@ -0,0 +1,116 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../../database/migrationRunner', () => ({ ensureMigration: jest.fn().mockResolvedValue() }));
+
+const riskEngine = require('../riskEngine');
+
+const factorNames = (risk) => risk.factors.map(factor => factor.factor);
+
+beforeEach(() => {
+  jest.useFakeTimers({ now: new Date('2026-06-15T12:00:00') });
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('riskEngine.assess', () => {
+  test('scores an item without lifecycle or coverage data as none', () => {
+    expect(riskEngine.assess({ product_id: 'CAB-CONSOLE' })).toEqual({
+      score: 0,
+      level: 'none',
+      factors: [],
+      explanation: '',
+      profile: 'standard@1'
+    });
+  });
+
+  test('adds the full weight of a passed date and raises the level to its minimum', () => {
+    const risk = riskEngine.assess({ last_day_support: '2025-01-31' });
+
+    expect(risk.score).toBe(35);
+    expect(risk.level).toBe('critical');
+    expect(risk.factors[0]).toMatchObject({ factor: 'last_day_of_support', points: 35, detail: 'Last day of support passed on 2025-01-31' });
+    expect(risk.factors[1]).toMatchObject({ factor: 'minimum_level', detail: 'Raised from medium to critical by Last day of support' });
+    expect(risk.explanation).toMatch(/^Last day of support passed on 2025-01-31 \(\+35\); Raised from medium/);
+  });
+
+  test('adds the share of the smallest window a coming date falls in', () => {
+    const risk = riskEngine.assess({ last_day_support: '2026-09-22' });
+
+    expect(risk.factors[0]).toMatchObject({ factor: 'last_day_of_support', points: 26.3 });
+    expect(risk.factors[0].detail).toMatch(/^Last day of support in 9\d days \(2026-09-2\d\)$/);
+    expect(risk.score).toBe(26);
+    expect(risk.level).toBe('high');
+  });
+
+  test('ignores dates past every window', () => {
+    expect(riskEngine.assess({ end_of_sale: '2030-01-01' })).toMatchObject({ score: 0, level: 'none', factors: [] });
+  });
+
+  test('reads the Phase 3 product date fields', () => {
+    const risk = riskEngine.assess({ end_of_sale_date: '2020-01-01', end_of_sw_vulnerability_maintenance_date: '2021-01-01' });
+
+    expect(factorNames(risk)).toEqual(['end_of_sale', 'end_of_sw_vulnerability', 'minimum_level']);
+    expect(risk.score).toBe(25);
+    expect(risk.level).toBe('high');
+  });
+
+  test.each([
+    ['Expired', 30, 'medium'],
+    ['Not Covered', 30, 'medium'],
+    ['Expiring', 15, 'low'],
+    ['Unknown', 8, 'none'],
+    ['Active', 0, 'none']
+  ])('scores %s support coverage as %p points', (state, score, level) => {
+    expect(riskEngine.assess({ support_coverage: state })).toMatchObject({ score, level });
+  });
+
+  test('reads the coverage state from the contract end date', () => {
+    const risk = riskEngine.assess({ support_coverage: 'Active', contract_end: '2026-01-31' });
+
+    expect(risk.factors[0]).toMatchObject({ factor: 'support_coverage', points: 30, detail: 'Support contract ended on 2026-01-31' });
+  });
+
+  test('scores unknown lifecycle only without dates and below the confidence limit', () => {
+    expect(riskEngine.assess({ overall_confidence: '30' })).toMatchObject({ score: 15, level: 'medium' });
+    expect(factorNames(riskEngine.assess({ overall_confidence: 30, end_of_sale: '2030-01-01' }))).toEqual([]);
+    expect(factorNames(riskEngine.assess({ overall_confidence: 80 }))).toEqual([]);
+  });
+
+  test('multiplies the points by the largest matching criticality and caps the score at 100', () => {
+    const firewall = riskEngine.assess({ category: 'Next-Gen Firewall', support_coverage: 'Expired' });
+    expect(firewall.score).toBe(38);
+    expect(firewall.factors).toContainEqual(expect.objectContaining({ factor: 'criticality', multiplier: 1.25, detail: 'Category "firewall" ×1.25' }));
+
+    const everything = riskEngine.assess({
+      category: 'Security appliance',
+      support_coverage: 'Expired',
+      end_of_sale: '2019-01-01',
+      last_day_support: '2021-01-01',
+      end_of_sw_support: '2020-01-01',
+      end_of_sw_vulnerability: '2020-06-01'
+    });
+    expect(everything.score).toBe(100);
+    expect(everything.level).toBe('critical');
+  });
+
+  test('does not list a criticality multiplier for an item without points', () => {
+    expect(riskEngine.assess({ category: 'Firewall' }).factors).toEqual([]);
+  });
+
+  test('scores with the factors, thresholds and name of a given profile', () => {
+    const profile = {
+      name: 'strict',
+      version: 3,
+      config: {
+        factors: { end_of_sale: { label: 'EoS', weight: 50, past: { share: 1 } } },
+        thresholds: { critical: 40, high: 30, medium: 20, low: 10 },
+        criticality: {}
+      }
+    };
+
+    const risk = riskEngine.assess({ end_of_sale: '2020-01-01', last_day_support: '2020-01-01' }, profile);
+    expect(risk).toMatchObject({ score: 50, level: 'critical', profile: 'strict@3' });
+    expect(factorNames(risk)).toEqual(['end_of_sale']);
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../../database/migrationRunner', () => ({ ensureMigration: jest.fn().mockResolvedValue() }));
+
+const db = require('../../database/dbConnection');
+const searchRateLimiter = require('../searchRateLimiter');
+
+// Shared counts the mocked statements answer from, as another instance would see them
+let calls;
+let bucketAnswers;
+
+beforeEach(() => {
+  calls = 0;
+  bucketAnswers = [];
+  searchRateLimiter.QPS = 1000;
+  searchRateLimiter.DAILY_QUOTA = 2;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  db.query.mockReset();
+  db.query.mockImplementation(async (sql, params) => {
+    if (/INSERT INTO search_api_usage/.test(sql)) {
+      if (calls >= params[2]) return { rows: [] };
+      calls++;
+      return { rows: [{ calls }] };
+    }
+    if (/UPDATE search_api_buckets/.test(sql)) {
+      const hasToken = bucketAnswers.length > 0 ? bucketAnswers.shift() : true;
+      return { rows: hasToken ? [{ tokens: 0 }] : [] };
+    }
+    if (/SELECT calls FROM search_api_usage/.test(sql)) {
+      return { rows: [{ calls }] };
+    }
+    return { rows: [] };
+  });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('acquire', () => {
+  it('counts each call in the shared usage row and stops at the daily quota', async () => {
+    await searchRateLimiter.acquire();
+    await searchRateLimiter.acquire();
+    await expect(searchRateLimiter.acquire()).rejects.toMatchObject({ code: 'DAILY_QUOTA_EXCEEDED' });
+
+    expect(calls).toBe(2);
+    const reserve = db.query.mock.calls.find(([sql]) => /INSERT INTO search_api_usage/.test(sql));
+    expect(reserve[0]).toMatch(/WHERE search_api_usage\.calls < \$3/);
+  });
+
+  it('waits until the shared bucket has a token', async () => {
+    bucketAnswers = [false, false, true];
+
+    await searchRateLimiter.acquire();
+
+    const takes = db.query.mock.calls.filter(([sql]) => /UPDATE search_api_buckets/.test(sql));
+    expect(takes).toHaveLength(3);
+  });
+
+  it('does not take a token once the quota is used up', async () => {
+    calls = 2;
+    await expect(searchRateLimiter.acquire()).rejects.toMatchObject({ code: 'DAILY_QUOTA_EXCEEDED' });
+    expect(db.query.mock.calls.some(([sql]) => /UPDATE search_api_buckets/.test(sql))).toBe(false);
+  });
+});
+
+describe('getStatus', () => {
+  it('reports the usage stored for today', async () => {
+    calls = 1;
+    await expect(searchRateLimiter.getStatus()).resolves.toMatchObject({ dailyQuota: 2, usedToday: 1, remainingToday: 1 });
+  });
+});
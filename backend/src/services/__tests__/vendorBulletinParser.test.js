@@ -0,0 +1,45 @@
+const vendorBulletinParser = require('../vendorBulletinParser');
+
+const csv = (lines) => Buffer.from(lines.join('\n'));
+
+describe('vendorBulletinParser.parse', () => {
+  test('reads a date column in the order its unambiguous rows settle', () => {
+    const { records } = vendorBulletinParser.parse(csv([
+      'Product ID,End of Sale Date,Last Date of Support',
+      'WS-C2960-24,03/04/2022,31/03/2027',
+      'WS-C2960-48,25/12/2021,13/02/2026'
+    ]), { fileName: 'eox.csv', vendor: 'cisco' });
+
+    expect(records[0]).toMatchObject({ product_id: 'WS-C2960-24', end_of_sale_date: '2022-04-03', last_day_of_support_date: '2027-03-31' });
+    expect(records[1].last_day_of_support_date).toBe('2026-02-13');
+    expect(records[0].date_review.end_of_sale_date).toMatchObject({ ambiguous: true, confidence: 0.85 });
+    expect(records[1].date_review).toBeNull();
+  });
+
+  test('flags dates a column cannot settle and reads vendor phrases', () => {
+    const result = vendorBulletinParser.parse(csv([
+      'Part Number,End of Sale,End of Support',
+      'J9773A,03/04/2022,Q3 FY2024',
+      'J9774A,TBD,2027-10-31'
+    ]), { fileName: 'hpe.csv', vendor: 'hpe', locale: 'en-GB' });
+
+    const [first, second] = result.records;
+    expect(first.end_of_sale_date).toBe('2022-04-03');
+    expect(first.last_day_of_support_date).toBe('2024-09-30');
+    expect(first.date_review.end_of_sale_date).toMatchObject({ original: '03/04/2022', ambiguous: true });
+    expect(first.date_review.last_day_of_support_date).toMatchObject({ format: 'fiscal_quarter' });
+    expect(second).toMatchObject({ end_of_sale_date: null, last_day_of_support_date: '2027-10-31', date_review: null });
+    expect(result.needsReview).toBe(1);
+  });
+
+  test('skips rows without a usable date', () => {
+    const result = vendorBulletinParser.parse(csv([
+      'Product ID,End of Sale Date',
+      'A-1,N/A',
+      'A-2,1970-01-01'
+    ]), { fileName: 'eox.csv', vendor: 'dell' });
+
+    expect(result.records).toHaveLength(0);
+    expect(result.skipped).toBe(2);
+  });
+});
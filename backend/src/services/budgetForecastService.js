@@ -0,0 +1,401 @@
+// budgetForecastService.js
+// Replacement cost model for the lifecycle report
+// Prices come from the price catalog (per product ID or per category) or from the
+// values in the uploaded inventory; each product is budgeted in the year its
+// eolYearBasis date falls in, inflated from today's prices
+
+const Papa = require('papaparse');
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const productSuccessorService = require('./productSuccessorService');
+const dateParser = require('../utils/dateParser');
+
+const ensureSchema = () => ensureMigration('20261019_price_catalog.sql');
+
+// Date each eolYearBasis schedules a replacement on, first usable field wins
+const BASIS_FIELDS = {
+  lastDayOfSupport: { label: 'Last Day of Support', fields: ['last_day_of_support_date', 'end_of_life_date'] },
+  endOfSale: { label: 'End of Sale', fields: ['end_of_sale_date'] },
+  endOfSwMaintenance: { label: 'End of SW Maintenance', fields: ['end_of_sw_maintenance_date'] },
+  endOfSwVulnerability: { label: 'End of Security Fixes', fields: ['end_of_sw_vulnerability_maintenance_date'] },
+  endOfLife: { label: 'End of Life', fields: ['end_of_life_date', 'last_day_of_support_date'] }
+};
+
+// Catalog CSV headers, compared after lower-casing and removing non-alphanumerics
+const CSV_COLUMNS = {
+  product_id: ['productid', 'pid', 'partnumber', 'sku'],
+  category: ['category', 'productcategory'],
+  unit_price: ['unitprice', 'price', 'listprice', 'cost'],
+  currency: ['currency'],
+  replacement_product_id: ['replacementproductid', 'replacement', 'replacementpid', 'successor'],
+  notes: ['notes', 'note', 'comment']
+};
+
+// Yearly inflation rates a forecast accepts; 0.03 is 3%, so 3 is a mistake
+const MIN_INFLATION_RATE = -0.5;
+const MAX_INFLATION_RATE = 1;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  const number = parseFloat(String(value).replace(/[$,\s]/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+class BudgetForecastService {
+  constructor() {
+    // Yearly price increase used when a report does not ask for another one
+    const envRate = parseFloat(process.env.BUDGET_INFLATION_RATE);
+    this.DEFAULT_INFLATION_RATE = Number.isNaN(envRate) ? 0.03 : envRate;
+    this.DEFAULT_CURRENCY = 'USD';
+    this.BASIS_FIELDS = BASIS_FIELDS;
+  }
+
+  /**
+   * All catalog entries, products first
+   */
+  async getCatalog() {
+    await ensureSchema();
+    const result = await db.query(
+      `SELECT * FROM price_catalog
+       ORDER BY match_type DESC, match_value ASC`
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add or replace catalog entries
+   * @param {Array<Object>} entries - { product_id | category, unit_price, currency, replacement_product_id, notes }
+   * @returns {Object} { saved, errors }
+   */
+  async upsertEntries(entries) {
+    await ensureSchema();
+    const saved = [];
+    const errors = [];
+
+    for (const [index, entry] of (entries || []).entries()) {
+      const normalized = this.normalizeEntry(entry);
+      if (normalized.error) {
+        errors.push({ index, error: normalized.error });
+        continue;
+      }
+
+      const result = await db.query(
+        `INSERT INTO price_catalog (match_type, match_value, unit_price, currency, replacement_product_id, notes)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (match_type, match_value)
+         DO UPDATE SET
+           unit_price = EXCLUDED.unit_price,
+           currency = EXCLUDED.currency,
+           replacement_product_id = EXCLUDED.replacement_product_id,
+           notes = EXCLUDED.notes,
+           updated_at = NOW()
+         RETURNING *`,
+        [
+          normalized.match_type,
+          normalized.match_value,
+          normalized.unit_price,
+          normalized.currency,
+          normalized.replacement_product_id,
+          normalized.notes
+        ]
+      );
+      saved.push(result.rows[0]);
+    }
+
+    if (saved.length > 0) {
+      console.log(`💲 Saved ${saved.length} price catalog entries`);
+    }
+    return { saved, errors };
+  }
+
+  /**
+   * Import catalog entries from a CSV file
+   * Columns: product_id or category, unit_price, and optionally currency,
+   * replacement_product_id and notes
+   */
+  async importCsv(buffer) {
+    const parsed = Papa.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+      header: true,
+      skipEmptyLines: true
+    });
+
+    const columnFor = {};
+    (parsed.meta.fields || []).forEach(header => {
+      const field = Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(normalizeHeader(header)));
+      if (field && !columnFor[field]) {
+        columnFor[field] = header;
+      }
+    });
+
+    if (!columnFor.product_id && !columnFor.category) {
+      throw new Error('CSV needs a product_id or category column');
+    }
+
+    const entries = parsed.data.map(row => {
+      const entry = {};
+      Object.entries(columnFor).forEach(([field, header]) => {
+        entry[field] = row[header];
+      });
+      return entry;
+    });
+
+    const { saved, errors } = await this.upsertEntries(entries);
+    return {
+      imported: saved.length,
+      // CSV row numbers count the header row
+      errors: errors.map(({ index, error }) => ({ row: index + 2, error }))
+    };
+  }
+
+  async deleteEntry(entryId) {
+    await ensureSchema();
+    const result = await db.query('DELETE FROM price_catalog WHERE id = $1', [entryId]);
+    return result.rowCount > 0;
+  }
+
+  // Validate one catalog entry and convert it to table columns
+  normalizeEntry(entry) {
+    const productId = String(entry.product_id || '').trim().toUpperCase();
+    const category = String(entry.category || '').trim();
+    const unitPrice = toNumber(entry.unit_price);
+    const replacement = String(entry.replacement_product_id || '').trim().toUpperCase() || null;
+
+    if (!productId && !category) {
+      return { error: 'product_id or category is required' };
+    }
+    if (unitPrice !== null && unitPrice < 0) {
+      return { error: 'unit_price must not be negative' };
+    }
+    if (unitPrice === null && !replacement) {
+      return { error: 'unit_price or replacement_product_id is required' };
+    }
+
+    return {
+      match_type: productId ? 'product' : 'category',
+      match_value: productId || category,
+      unit_price: unitPrice,
+      currency: String(entry.currency || this.DEFAULT_CURRENCY).trim().toUpperCase().slice(0, 3),
+      replacement_product_id: replacement,
+      notes: entry.notes ? String(entry.notes) : null
+    };
+  }
+
+  /**
+   * Inflation rate a report asked for, or the default when it asked for none
+   * @throws {Error} statusCode 400 when the rate is not a number between
+   *   MIN_INFLATION_RATE and MAX_INFLATION_RATE
+   */
+  resolveInflationRate(value) {
+    if (value === null || value === undefined || value === '') {
+      return this.DEFAULT_INFLATION_RATE;
+    }
+    const rate = toNumber(value);
+    if (rate === null || rate < MIN_INFLATION_RATE || rate > MAX_INFLATION_RATE) {
+      const error = new Error(`inflationRate must be a yearly rate between ${MIN_INFLATION_RATE} and ${MAX_INFLATION_RATE} (0.03 for 3%)`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return rate;
+  }
+
+  /**
+   * Year-by-year replacement budget for a report's products
+   * @param {Array<Object>} products - Phase 3 products (total_quantity, total_value, lifecycle dates)
+   * @param {Object} options - { eolYearBasis, inflationRate, catalog, baseYear }
+   * @returns {Object} { settings, years, items, unscheduled, unpriced, totals }
+   */
+  buildForecast(products, options = {}) {
+    const eolYearBasis = BASIS_FIELDS[options.eolYearBasis] ? options.eolYearBasis : 'lastDayOfSupport';
+    const inflationRate = this.resolveInflationRate(options.inflationRate);
+    const baseYear = parseInt(options.baseYear) || new Date().getFullYear();
+    const prices = this.indexCatalog(options.catalog || []);
+
+    const items = [];
+    const unscheduled = [];
+    const unpriced = [];
+
+    products.forEach(product => {
+      const quantity = parseInt(product.total_quantity) || 0;
+      if (quantity <= 0) return;
+
+      const price = this.resolvePrice(product, prices);
+      const basisDate = BASIS_FIELDS[eolYearBasis].fields
+        .map(field => product[field])
+        .map(value => dateParser.toDate(value))
+        .find(Boolean);
+
+      const item = {
+        product_id: product.product_id,
+        description: product.description || null,
+        manufacturer: product.manufacturer || null,
+        product_category: product.product_category || null,
+        quantity,
+        replacement_product_id: price.replacementProductId,
+        unit_price: price.unitPrice,
+        price_source: price.source,
+        currency: price.currency || this.DEFAULT_CURRENCY,
+        replacement_year: null,
+        overdue: false,
+        cost: null
+      };
+
+      if (price.unitPrice === null) {
+        unpriced.push(product.product_id);
+      }
+
+      if (!basisDate) {
+        item.cost = price.unitPrice === null ? null : roundMoney(quantity * price.unitPrice);
+        unscheduled.push(item);
+        return;
+      }
+
+      // Products already past their date are budgeted now
+      const dueYear = basisDate.getUTCFullYear();
+      item.overdue = dueYear < baseYear;
+      item.replacement_year = Math.max(dueYear, baseYear);
+      if (price.unitPrice !== null) {
+        const inflation = Math.pow(1 + inflationRate, item.replacement_year - baseYear);
+        item.cost = roundMoney(quantity * price.unitPrice * inflation);
+      }
+      items.push(item);
+    });
+
+    items.sort((a, b) => a.replacement_year - b.replacement_year || (b.cost || 0) - (a.cost || 0));
+
+    return {
+      settings: {
+        eolYearBasis,
+        basisLabel: BASIS_FIELDS[eolYearBasis].label,
+        inflationRate,
+        baseYear,
+        currency: this.DEFAULT_CURRENCY
+      },
+      years: this.summarizeYears(items, baseYear),
+      items,
+      unscheduled,
+      unpriced,
+      totals: {
+        scheduledCost: roundMoney(items.reduce((sum, item) => sum + (item.cost || 0), 0)),
+        scheduledQuantity: items.reduce((sum, item) => sum + item.quantity, 0),
+        overdueCost: roundMoney(items.filter(item => item.overdue).reduce((sum, item) => sum + (item.cost || 0), 0)),
+        unscheduledCost: roundMoney(unscheduled.reduce((sum, item) => sum + (item.cost || 0), 0)),
+        unscheduledQuantity: unscheduled.reduce((sum, item) => sum + item.quantity, 0),
+        unpricedProducts: unpriced.length
+      }
+    };
+  }
+
+  // One row per year from the base year to the last scheduled year, gaps included
+  summarizeYears(items, baseYear) {
+    if (items.length === 0) return [];
+
+    const lastYear = Math.max(...items.map(item => item.replacement_year));
+    const years = [];
+    let cumulativeCost = 0;
+
+    for (let year = baseYear; year <= lastYear; year++) {
+      const yearItems = items.filter(item => item.replacement_year === year);
+      const cost = roundMoney(yearItems.reduce((sum, item) => sum + (item.cost || 0), 0));
+      cumulativeCost = roundMoney(cumulativeCost + cost);
+      years.push({
+        year,
+        productCount: yearItems.length,
+        quantity: yearItems.reduce((sum, item) => sum + item.quantity, 0),
+        cost,
+        overdueCost: roundMoney(yearItems.filter(item => item.overdue).reduce((sum, item) => sum + (item.cost || 0), 0)),
+        unpricedCount: yearItems.filter(item => item.unit_price === null).length,
+        cumulativeCost
+      });
+    }
+
+    return years;
+  }
+
+  indexCatalog(catalog) {
+    const byProduct = new Map();
+    const byCategory = new Map();
+    catalog.forEach(entry => {
+      if (entry.match_type === 'product') {
+        byProduct.set(String(entry.match_value).toUpperCase(), entry);
+      } else {
+        byCategory.set(String(entry.match_value).toLowerCase(), entry);
+      }
+    });
+    return { byProduct, byCategory };
+  }
+
+  /**
+   * Unit price for replacing one unit of a product
+   * Order: catalog price of the replacement product, catalog prices of the
+   * successors from the successor catalog, catalog price of the product,
+   * average unit value from the upload, catalog price of the category
+   * @returns {Object} { unitPrice, source, currency, replacementProductId }
+   */
+  resolvePrice(product, prices) {
+    const productId = String(product.product_id || '').toUpperCase();
+    const entry = prices.byProduct.get(productId);
+    const successors = product.successors || [];
+    let replacementProductId = (entry && entry.replacement_product_id) || null;
+    if (!replacementProductId && successors.length > 0) {
+      replacementProductId = successors.map(successor => successor.successor_product_id).join(' + ');
+    }
+    const price = (unitPrice, source, currency) => ({
+      unitPrice: roundMoney(parseFloat(unitPrice)),
+      source,
+      currency: currency || null,
+      replacementProductId
+    });
+
+    const replacement = entry && entry.replacement_product_id ? prices.byProduct.get(entry.replacement_product_id) : null;
+    if (replacement && replacement.unit_price !== null) {
+      return price(replacement.unit_price, 'catalog_replacement', replacement.currency);
+    }
+
+    // Every successor needs a price, otherwise part of the replacement would be free
+    const successorPrices = successors.map(successor => {
+      const successorEntry = prices.byProduct.get(successor.successor_product_id);
+      return successorEntry && successorEntry.unit_price !== null
+        ? parseFloat(successorEntry.unit_price) * successor.quantity_ratio
+        : null;
+    });
+    if (successorPrices.length > 0 && successorPrices.every(successorPrice => successorPrice !== null)) {
+      return price(successorPrices.reduce((sum, successorPrice) => sum + successorPrice, 0), 'catalog_successor');
+    }
+
+    if (entry && entry.unit_price !== null) {
+      return price(entry.unit_price, 'catalog_product', entry.currency);
+    }
+
+    const totalValue = parseFloat(product.total_value) || 0;
+    const quantity = parseInt(product.total_quantity) || 0;
+    if (totalValue > 0 && quantity > 0) {
+      return price(totalValue / quantity, 'upload');
+    }
+
+    const categoryEntry = product.product_category
+      ? prices.byCategory.get(String(product.product_category).toLowerCase())
+      : null;
+    if (categoryEntry && categoryEntry.unit_price !== null) {
+      return price(categoryEntry.unit_price, 'catalog_category', categoryEntry.currency);
+    }
+
+    return { unitPrice: null, source: null, currency: null, replacementProductId };
+  }
+
+  /**
+   * Forecast with the current price and successor catalogs
+   */
+  async forecast(products, options = {}) {
+    const catalog = await this.getCatalog();
+    const withSuccessors = products.every(product => Array.isArray(product.successors))
+      ? products
+      : await productSuccessorService.attachSuccessors(products);
+    return this.buildForecast(withSuccessors, { ...options, catalog });
+  }
+}
+
+module.exports = new BudgetForecastService();
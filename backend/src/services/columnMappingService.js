@@ -0,0 +1,157 @@
+// columnMappingService.js
+// Saved column mapping profiles for Phase 1 uploads
+// A profile maps one customer's export headers to the canonical fields in utils/columnMapper
+
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const columnMapper = require('../utils/columnMapper');
+
+const ensureSchema = () => ensureMigration('20261019_column_mapping_profiles.sql');
+
+class ColumnMappingService {
+  constructor() {
+    // Share of a profile's mapped headers that must be present for it to be suggested
+    this.SUGGEST_THRESHOLD = 0.8;
+  }
+
+  /**
+   * All saved profiles, most used first
+   */
+  async getProfiles() {
+    await ensureSchema();
+    const result = await db.query(
+      `SELECT * FROM column_mapping_profiles
+       ORDER BY usage_count DESC, name ASC`
+    );
+    return result.rows;
+  }
+
+  async getProfile(profileId) {
+    await ensureSchema();
+    const result = await db.query('SELECT * FROM column_mapping_profiles WHERE id = $1', [profileId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Save a new profile
+   * @param {Object} profile - { name, description, mappings, sourceHeaders }
+   */
+  async createProfile({ name, description, mappings, sourceHeaders }) {
+    await ensureSchema();
+    const result = await db.query(
+      `INSERT INTO column_mapping_profiles (name, description, mappings, source_headers)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [
+        name.trim(),
+        description || null,
+        JSON.stringify(this._cleanMappings(mappings)),
+        JSON.stringify(sourceHeaders || Object.values(this._cleanMappings(mappings)))
+      ]
+    );
+    console.log(`🗂️ Saved column mapping profile "${result.rows[0].name}"`);
+    return result.rows[0];
+  }
+
+  async updateProfile(profileId, { name, description, mappings, sourceHeaders }) {
+    await ensureSchema();
+    const result = await db.query(
+      `UPDATE column_mapping_profiles
+       SET name = COALESCE($2, name),
+           description = COALESCE($3, description),
+           mappings = COALESCE($4, mappings),
+           source_headers = COALESCE($5, source_headers),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        profileId,
+        name ? name.trim() : null,
+        description === undefined ? null : description,
+        mappings ? JSON.stringify(this._cleanMappings(mappings)) : null,
+        sourceHeaders ? JSON.stringify(sourceHeaders) : null
+      ]
+    );
+    return result.rows[0] || null;
+  }
+
+  async deleteProfile(profileId) {
+    await ensureSchema();
+    const result = await db.query('DELETE FROM column_mapping_profiles WHERE id = $1', [profileId]);
+    return result.rowCount > 0;
+  }
+
+  async recordUsage(profileId) {
+    await ensureSchema();
+    await db.query(
+      `UPDATE column_mapping_profiles
+       SET usage_count = usage_count + 1, last_used_at = NOW()
+       WHERE id = $1`,
+      [profileId]
+    );
+  }
+
+  /**
+   * Resolve a profile's headers against a file's headers
+   * Headers are compared normalized, so "Part #" and "PART#" are the same column
+   * @returns {Object} { mapping, missingHeaders, matchScore }
+   */
+  matchProfile(profile, headers) {
+    const byNormalized = new Map(headers.map(header => [columnMapper.normalizeHeader(header), header]));
+    const entries = Object.entries(profile.mappings || {});
+
+    const mapping = {};
+    const missingHeaders = [];
+    entries.forEach(([field, header]) => {
+      const match = byNormalized.get(columnMapper.normalizeHeader(header));
+      if (match) {
+        mapping[field] = match;
+      } else {
+        missingHeaders.push(header);
+      }
+    });
+
+    const matchScore = entries.length > 0
+      ? Math.round((Object.keys(mapping).length / entries.length) * 100) / 100
+      : 0;
+
+    return { mapping, missingHeaders, matchScore };
+  }
+
+  /**
+   * Pick the saved profile that best fits a file's headers
+   * @param {Array<string>} headers - Source file headers
+   * @returns {Object|null} { profile, matchScore, mapping, missingHeaders }
+   */
+  async suggestProfile(headers) {
+    const profiles = await this.getProfiles();
+
+    let best = null;
+    profiles.forEach(profile => {
+      const match = this.matchProfile(profile, headers);
+      if (match.matchScore < this.SUGGEST_THRESHOLD) return;
+
+      // Prefer the better fit, then the profile covering more fields
+      if (!best || match.matchScore > best.matchScore ||
+          (match.matchScore === best.matchScore && Object.keys(match.mapping).length > Object.keys(best.mapping).length)) {
+        best = { profile, ...match };
+      }
+    });
+
+    return best;
+  }
+
+  // Keep only canonical fields with a header
+  _cleanMappings(mappings) {
+    const fields = columnMapper.CANONICAL_FIELDS.map(definition => definition.field);
+    const cleaned = {};
+    Object.entries(mappings || {}).forEach(([field, header]) => {
+      if (fields.includes(field) && header) {
+        cleaned[field] = String(header);
+      }
+    });
+    return cleaned;
+  }
+}
+
+module.exports = new ColumnMappingService();
@@ -2,7 +2,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const Papa = require('papaparse');
 const ExcelJS = require('exceljs');
+const XLSX = require('xlsx');
 const logger = require('../config/logger');
+const columnMapper = require('../utils/columnMapper');
 
 // Parse CSV files
 const parseCsv = async (filePath) => {
@@ -30,138 +32,309 @@ const parseCsv = async (filePath) => {
   }
 };
 
-// Parse Excel files including XLSB
-const parseExcel = async (filePath, fileExtension) => {
-  try {
-    const workbook = new ExcelJS.Workbook();
-    
-    console.log(`Parsing Excel file: ${filePath}, Extension: ${fileExtension}`);
-    
-    // Read the file
-    await workbook.xlsx.readFile(filePath);
-    
-    // Debug: List all worksheets
-    console.log('Worksheets found:', workbook.worksheets.length);
-    workbook.eachSheet((worksheet, id) => {
-      console.log(`Worksheet ${id}: ${worksheet.name}, State: ${worksheet.state}`);
+// How many leading rows to scan for the header row (title banners, notes, blank rows)
+const HEADER_SCAN_ROWS = 25;
+
+// Convert an ExcelJS cell value to a plain value
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0]; // Format date as YYYY-MM-DD
+  }
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(t => t.text).join(''); // Rich text
+    if (value.result !== undefined) return cellValue(value.result); // Formula
+    if (value.text !== undefined) return value.text; // Hyperlink
+    if (value.error) return null; // #N/A, #REF! ...
+    return String(value);
+  }
+  return value;
+};
+
+// Read a worksheet into [{ rowNumber, cells }] skipping empty rows
+const readGrid = (worksheet) => {
+  const grid = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+      cells[colNumber - 1] = cellValue(cell.value);
     });
-    
-    // Try different methods to get worksheet
-    let worksheet = null;
-    
-    // Method 1: Get first worksheet by index
-    worksheet = workbook.getWorksheet(1);
-    
-    // Method 2: If that fails, get first worksheet from array
-    if (!worksheet && workbook.worksheets.length > 0) {
-      worksheet = workbook.worksheets[0];
-      console.log('Using first worksheet from array');
+    if (cells.some(value => value !== null && value !== undefined && String(value).trim() !== '')) {
+      grid.push({ rowNumber, cells });
     }
-    
-    // Method 3: Get first visible worksheet
-    if (!worksheet) {
-      workbook.eachSheet((ws) => {
-        if (!worksheet && ws.state === 'visible') {
-          worksheet = ws;
-          console.log(`Using visible worksheet: ${ws.name}`);
-        }
-      });
+  });
+  return grid;
+};
+
+// Compound File signature of BIFF .xls workbooks
+const CFB_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1];
+
+// .xls (BIFF) and .xlsb workbooks are read with SheetJS; ExcelJS only reads xlsx.
+// Checked on the contents so mislabelled files still go to the right reader
+const isLegacyWorkbook = (buffer) => {
+  if (CFB_SIGNATURE.every((byte, index) => buffer[index] === byte)) {
+    return true;
+  }
+  // xlsb is a zip like xlsx; its part names are stored uncompressed
+  return buffer[0] === 0x50 && buffer[1] === 0x4b && buffer.indexOf('xl/workbook.bin') !== -1;
+};
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Convert a SheetJS cell to the same plain value cellValue gives for ExcelJS
+const legacyCellValue = (cell) => {
+  if (!cell || cell.t === 'z' || cell.t === 'e') return null; // Blank, #N/A, #REF! ...
+  // Dates are serial numbers with a date format; decode them without going
+  // through a local-time Date so the day never shifts
+  if (cell.t === 'n' && cell.z && XLSX.SSF.is_date(cell.z)) {
+    const date = XLSX.SSF.parse_date_code(cell.v);
+    if (date) return `${date.y}-${pad(date.m)}-${pad(date.d)}`;
+  }
+  if (cell.v instanceof Date) return cellValue(cell.v);
+  return cell.v === undefined ? null : cell.v;
+};
+
+// Read a SheetJS worksheet into [{ rowNumber, cells }] skipping empty rows
+const readLegacyGrid = (worksheet) => {
+  const grid = [];
+  if (!worksheet || !worksheet['!ref']) return grid;
+  const range = XLSX.utils.decode_range(worksheet['!ref']);
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const cells = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const value = legacyCellValue(worksheet[XLSX.utils.encode_cell({ r, c })]);
+      if (value !== null) cells[c] = value;
     }
-    
-    // Method 4: Get any worksheet
-    if (!worksheet) {
-      workbook.eachSheet((ws) => {
-        if (!worksheet) {
-          worksheet = ws;
-          console.log(`Using any worksheet: ${ws.name}`);
-        }
-      });
+    if (cells.some(value => value !== null && value !== undefined && String(value).trim() !== '')) {
+      grid.push({ rowNumber: r + 1, cells });
     }
-    
-    if (!worksheet) {
-      console.error('No worksheet could be accessed');
-      throw new Error('Cannot read worksheet from this XLSB file. Please save as XLSX format in Excel.');
+  }
+  return grid;
+};
+
+// SheetJS Hidden flag to ExcelJS worksheet state
+const LEGACY_SHEET_STATES = { 0: 'visible', 1: 'hidden', 2: 'veryHidden' };
+
+/**
+ * Load every worksheet of a workbook as { name, state, grid }
+ * xlsx goes through ExcelJS, .xls and .xlsb through SheetJS
+ */
+const loadWorksheets = async (buffer) => {
+  if (isLegacyWorkbook(buffer)) {
+    const workbook = XLSX.read(buffer, { type: 'buffer', cellNF: true, cellDates: false });
+    const sheetInfo = (workbook.Workbook && workbook.Workbook.Sheets) || [];
+    return workbook.SheetNames.map((name, index) => ({
+      name,
+      state: LEGACY_SHEET_STATES[(sheetInfo[index] || {}).Hidden] || 'visible',
+      grid: readLegacyGrid(workbook.Sheets[name])
+    }));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  return workbook.worksheets.map(worksheet => ({
+    name: worksheet.name,
+    state: worksheet.state || 'visible',
+    grid: readGrid(worksheet)
+  }));
+};
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '' && isNaN(Number(value));
+
+/**
+ * Find the header row in the first rows of a sheet
+ * A header row has several text cells, and cells that look like known inventory
+ * columns ("Product ID", "Qty") count extra so a title banner or notes row loses
+ * @param {Array} grid - Rows from readGrid
+ * @returns {number|null} 1-based worksheet row number
+ */
+const detectHeaderRow = (grid) => {
+  let best = null;
+
+  grid.slice(0, HEADER_SCAN_ROWS).forEach(({ rowNumber, cells }) => {
+    const textCells = cells.filter(isText).map(value => value.trim());
+    if (textCells.length < 2) return;
+
+    const knownColumns = Object.keys(columnMapper.detectMapping(textCells).mapping).length;
+    const score = knownColumns * 3 + textCells.length;
+    if (!best || score > best.score) {
+      best = { rowNumber, score };
     }
-    
-    // Check if worksheet has any data
-    const rowCount = worksheet.rowCount;
-    console.log(`Worksheet has ${rowCount} rows`);
-    
-    if (rowCount === 0) {
-      throw new Error('Worksheet appears to be empty');
+  });
+
+  return best ? best.rowNumber : (grid[0] ? grid[0].rowNumber : null);
+};
+
+// Header names by column; blank headers are skipped and duplicates numbered
+const buildHeaders = (cells) => {
+  const seen = {};
+  return cells.map(value => {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const header = String(value).trim();
+    seen[header] = (seen[header] || 0) + 1;
+    return seen[header] > 1 ? `${header} (${seen[header]})` : header;
+  });
+};
+
+// One data row as an object tagged with its source sheet and row; null when it has no values
+const cellsToRow = (headers, cells, sheetName, rowNumber) => {
+  const rowData = {};
+  let hasValidData = false;
+  headers.forEach((header, index) => {
+    if (!header) return;
+    const value = cells[index];
+    if (value !== null && value !== undefined && value !== '') {
+      rowData[header] = value;
+      hasValidData = true;
     }
-    
-    const data = [];
-    let headers = [];
-    let hasData = false;
-    
-    // Try to read rows
-    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
-      console.log(`Processing row ${rowNumber}`);
-      
-      if (rowNumber === 1) {
-        // Extract headers
-        headers = [];
-        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-          const value = cell.value;
-          if (value) {
-            headers[colNumber - 1] = String(value).trim();
-          }
-        });
-        console.log('Headers found:', headers);
-      } else {
-        const rowData = {};
-        let hasValidData = false;
-        
-        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
-          const header = headers[colNumber - 1];
-          if (header) {
-            let value = cell.value;
-            
-            // Handle different cell value types
-            if (value && typeof value === 'object') {
-              if (value.result !== undefined) {
-                value = value.result; // Formula
-              } else if (value.richText) {
-                value = value.richText.map(t => t.text).join(''); // Rich text
-              }
-            }
-            
-            rowData[header] = value;
-            if (value !== null && value !== undefined && value !== '') {
-              hasValidData = true;
-            }
-          }
-        });
-        
-        if (hasValidData) {
-          data.push(rowData);
-          hasData = true;
-        }
+  });
+  if (!hasValidData) return null;
+
+  rowData[columnMapper.SOURCE_SHEET_KEY] = sheetName;
+  rowData[columnMapper.SOURCE_ROW_KEY] = rowNumber;
+  return rowData;
+};
+
+// Turn the rows below the header into objects tagged with their source sheet and row
+const gridToRows = (grid, headerRowNumber, sheetName) => {
+  const headerEntry = grid.find(entry => entry.rowNumber === headerRowNumber);
+  if (!headerEntry) return { headers: [], rows: [] };
+
+  const headers = buildHeaders(headerEntry.cells);
+  const rows = grid
+    .filter(entry => entry.rowNumber > headerRowNumber)
+    .map(({ rowNumber, cells }) => cellsToRow(headers, cells, sheetName, rowNumber))
+    .filter(Boolean);
+
+  return { headers: headers.filter(Boolean), rows };
+};
+
+// Combined sheets often name the same column differently ("Manufacturer" on
+// one tab, "Vendor" on another); work out the renames to the first sheet's
+// header so one column mapping covers every sheet
+const alignColumns = (fieldHeaders, headers) => {
+  const renames = {};
+  Object.entries(columnMapper.detectMapping(headers).mapping).forEach(([field, header]) => {
+    const target = fieldHeaders[field];
+    if (target && target !== header && !headers.includes(target)) {
+      renames[header] = target;
+    }
+  });
+  return renames;
+};
+
+const renameColumns = (row, renames) => {
+  Object.entries(renames).forEach(([from, to]) => {
+    if (from in row) {
+      row[to] = row[from];
+      delete row[from];
+    }
+  });
+  return row;
+};
+
+/**
+ * Parse an Excel workbook buffer (xlsx, BIFF8 .xls or binary .xlsb)
+ * By default the first visible sheet with data is used; pass sheets to pick
+ * others (hidden sheets included) or 'all' to combine every visible sheet
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { sheets: Array<string>|'all', headerRow, headerRows: { sheetName: rowNumber } }
+ * @returns {Object} { rows, sheets, selectedSheets, headerRows, alignedColumns }
+ */
+const parseExcelBuffer = async (buffer, options = {}) => {
+  const worksheets = await loadWorksheets(buffer);
+
+  if (worksheets.length === 0) {
+    throw new Error('No worksheet found in Excel file');
+  }
+
+  const grids = new Map();
+  const sheets = worksheets.map(({ name, state, grid }) => {
+    grids.set(name, grid);
+    const headerRow = detectHeaderRow(grid);
+    const headerEntry = grid.find(entry => entry.rowNumber === headerRow);
+    return {
+      name,
+      state,
+      rowCount: grid.length,
+      detectedHeaderRow: headerRow,
+      headers: headerEntry ? buildHeaders(headerEntry.cells).filter(Boolean) : []
+    };
+  });
+
+  const withData = sheets.filter(sheet => sheet.rowCount > 0);
+  let selectedSheets;
+  if (options.sheets === 'all') {
+    selectedSheets = withData.filter(sheet => sheet.state === 'visible').map(sheet => sheet.name);
+  } else if (Array.isArray(options.sheets) && options.sheets.length > 0) {
+    const unknown = options.sheets.filter(name => !grids.has(name));
+    if (unknown.length > 0) {
+      const error = new Error(`Worksheet not found: ${unknown.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    selectedSheets = options.sheets;
+  } else {
+    const first = withData.find(sheet => sheet.state === 'visible') || withData[0];
+    selectedSheets = first ? [first.name] : [];
+  }
+
+  if (selectedSheets.length === 0) {
+    throw new Error('No data found in the Excel file');
+  }
+
+  const headerRows = {};
+  const alignedColumns = {};
+  let rows = [];
+  let fieldHeaders = null;
+
+  selectedSheets.forEach(name => {
+    const sheet = sheets.find(s => s.name === name);
+    const override = (options.headerRows && options.headerRows[name]) || options.headerRow;
+    headerRows[name] = parseInt(override) || sheet.detectedHeaderRow;
+
+    const parsed = gridToRows(grids.get(name), headerRows[name], name);
+    console.log(`Sheet "${name}": header row ${headerRows[name]}, ${parsed.rows.length} data rows`);
+
+    if (!fieldHeaders) {
+      fieldHeaders = columnMapper.detectMapping(parsed.headers).mapping;
+    } else {
+      const renames = alignColumns(fieldHeaders, parsed.headers);
+      if (Object.keys(renames).length > 0) {
+        alignedColumns[name] = renames;
+        parsed.rows.forEach(row => renameColumns(row, renames));
       }
-    });
-    
-    if (!hasData) {
+    }
+
+    rows = rows.concat(parsed.rows);
+  });
+
+  return { rows, sheets, selectedSheets, headerRows, alignedColumns };
+};
+
+// Parse Excel files (xlsx, xls and xlsb)
+const parseExcel = async (filePath, fileExtension, options = {}) => {
+  try {
+    console.log(`Parsing Excel file: ${filePath}, Extension: ${fileExtension}`);
+
+    const buffer = await fs.readFile(filePath);
+    const { rows } = await parseExcelBuffer(buffer, options);
+
+    if (rows.length === 0) {
       throw new Error('No data found in the Excel file');
     }
-    
-    console.log(`Successfully parsed ${data.length} rows from Excel file`);
-    return data;
+
+    console.log(`Successfully parsed ${rows.length} rows from Excel file`);
+    return rows;
     
   } catch (error) {
     console.error('Excel parsing detailed error:', error);
-    
-    // If it's a XLSB file that failed, provide specific guidance
-    if (fileExtension === '.xlsb') {
-      throw new Error('XLSB file could not be processed. Please open in Excel and save as XLSX format (File → Save As → Excel Workbook).');
-    }
-    
     throw error;
   }
 };
 
 // Main parse function - THIS WAS MISSING!
-const parseFile = async (filePath, fileExtension) => {
+const parseFile = async (filePath, fileExtension, options = {}) => {
   try {
     const ext = fileExtension.toLowerCase();
     
@@ -170,7 +343,7 @@ const parseFile = async (filePath, fileExtension) => {
     if (ext === '.csv') {
       return await parseCsv(filePath);
     } else if (ext === '.xlsx' || ext === '.xls' || ext === '.xlsb') {
-      return await parseExcel(filePath, ext);
+      return await parseExcel(filePath, ext, options);
     } else {
       throw new Error(`Unsupported file type: ${ext}`);
     }
@@ -184,5 +357,14 @@ const parseFile = async (filePath, fileExtension) => {
 module.exports = {
   parseFile,
   parseCsv,
-  parseExcel
+  parseExcel,
+  parseExcelBuffer,
+  isLegacyWorkbook,
+  detectHeaderRow,
+  HEADER_SCAN_ROWS,
+  cellValue,
+  buildHeaders,
+  cellsToRow,
+  alignColumns,
+  renameColumns
 };
\ No newline at end of file
@@ -0,0 +1,810 @@
+// filterService.js
+// Saved filters of every phase in one PostgreSQL store
+// A filter has an owner and a visibility (private, team or global), keeps every
+// saved state as a version and counts where and by whom it is applied. The JSON
+// files the earlier filter services wrote are imported once, on first use.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const filterRules = require('../utils/filterRules');
+
+const VISIBILITIES = ['private', 'team', 'global'];
+
+// Owner of filters saved before filters had owners; also the requester when a
+// caller does not name itself, so those filters stay editable
+const DEFAULT_OWNER = 'user';
+
+const SYSTEM_OWNER = 'system';
+
+// Default scope of the filter Phase 1 uploads apply when none is selected
+const PHASE1_SCOPE = 'phase1';
+
+const REPO_DATA_DIR = path.join(__dirname, '../../../data');
+const BACKEND_DATA_DIR = path.join(__dirname, '../../data');
+
+// JSON files of the earlier filter services, imported in this order
+const LEGACY_FILES = [
+  { type: 'phase1', file: path.join(REPO_DATA_DIR, 'phase1_filters.json') },
+  { type: 'exclusions', file: path.join(BACKEND_DATA_DIR, 'exclusions.json') },
+  { type: 'global', file: path.join(BACKEND_DATA_DIR, 'global_filters.json') },
+  { type: 'global', file: path.join(REPO_DATA_DIR, 'global_filters.json') },
+  { type: 'phase2', file: path.join(REPO_DATA_DIR, 'filters', 'phase2_filters.json') }
+];
+
+// Recent applications returned with usage stats
+const RECENT_USES = 20;
+
+const SYSTEM_FILTERS = [
+  {
+    id: 'default-exclude-common',
+    name: 'Exclude Common Accessories',
+    description: 'Excludes power supplies, cables, fans, memory modules, and common accessories',
+    definition: {
+      rules: {
+        productIds: {
+          patterns: ['*PWR*', '*POWER*', '*FAN*', '*MEM-*', '*CAB-*', '*CABLE*', '*BRACKET*', '*SCREW*', '*NUT*', '*RAIL*'],
+          regexPatterns: []
+        },
+        descriptions: {
+          patterns: [
+            '*power supply*', '*power cord*', '*fan module*', '*fan tray*', '*memory*', '*RAM*',
+            '*cable*', '*bracket*', '*mounting*', '*screw*', '*accessory kit*', '*rail kit*'
+          ],
+          regexPatterns: []
+        },
+        productTypes: {
+          exact: ['Software', 'License', 'Service', 'Accessory', 'Cable', 'Memory', 'Power Supply', 'Fan', 'Documentation'],
+          patterns: ['*Software*', '*License*', '*Service*', '*Subscription*']
+        }
+      }
+    }
+  },
+  {
+    id: 'no-filter',
+    name: 'No Exclusions',
+    description: 'Process all items without any exclusions',
+    definition: { rules: filterRules.EMPTY_RULES }
+  }
+];
+
+const requestError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const toTimestamp = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !isNaN(date.getTime()) ? date : null;
+};
+
+// Row of saved_filters as returned to callers
+const toFilter = (row) => ({
+  id: row.id,
+  name: row.name,
+  description: row.description || '',
+  definition: row.definition || {},
+  owner: row.owner,
+  visibility: row.visibility,
+  team: row.team,
+  isSystem: row.is_system,
+  version: row.version,
+  customerName: row.customer_name,
+  jobId: row.job_id,
+  stats: {
+    usageCount: row.usage_count,
+    lastUsed: row.last_used_at,
+    lastUsedBy: row.last_used_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  }
+});
+
+// SQL condition for the filters a requester may see; $1 is the user, $2 the team
+const VISIBLE_SQL = `(visibility = 'global' OR owner = $1 OR (visibility = 'team' AND team IS NOT NULL AND team = $2))`;
+
+class FilterService {
+  constructor() {
+    this.VISIBILITIES = VISIBILITIES;
+    this.PHASE1_SCOPE = PHASE1_SCOPE;
+    this.ready = null;
+  }
+
+  /**
+   * Create the tables, add the built-in filters and import the old JSON files,
+   * once per process
+   */
+  ensureReady() {
+    if (!this.ready) {
+      this.ready = ensureMigration('20261019_saved_filters.sql')
+        .then(() => this.seedSystemFilters())
+        .then(() => this.importLegacyFiles())
+        .then(() => this.seedDefaults())
+        .catch(error => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+
+  async seedSystemFilters() {
+    for (const filter of SYSTEM_FILTERS) {
+      const result = await db.query(
+        `INSERT INTO saved_filters (id, name, description, definition, owner, visibility, is_system)
+         VALUES ($1, $2, $3, $4, $5, 'global', true)
+         ON CONFLICT (id) DO NOTHING
+         RETURNING *`,
+        [filter.id, filter.name, filter.description, JSON.stringify(filter.definition), SYSTEM_OWNER]
+      );
+      if (result.rows.length > 0) {
+        await this.addVersion(db, result.rows[0], SYSTEM_OWNER, 'Built-in filter');
+      }
+    }
+  }
+
+  async seedDefaults() {
+    // A fresh install excludes common accessories until another filter is chosen
+    await db.query(
+      `INSERT INTO saved_filter_defaults (scope, filter_id)
+       VALUES ($1, 'default-exclude-common')
+       ON CONFLICT (scope) DO NOTHING`,
+      [PHASE1_SCOPE]
+    );
+  }
+
+  // ---------------------------------------------------------------------------
+  // Import of the earlier JSON stores
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Import each old JSON file the first time it is seen; the files are left in
+   * place but no longer written
+   */
+  async importLegacyFiles() {
+    for (const { type, file } of LEGACY_FILES) {
+      const source = path.relative(path.join(REPO_DATA_DIR, '..'), file);
+      const imported = await db.query('SELECT 1 FROM saved_filter_imports WHERE source = $1', [source]);
+      if (imported.rows.length > 0) continue;
+
+      let data;
+      try {
+        data = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.warn(`⚠️ Could not read filter file ${source}:`, error.message);
+        }
+        continue;
+      }
+
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+        const count = await this.importLegacyData(client, type, data, source);
+        await client.query(
+          'INSERT INTO saved_filter_imports (source, filter_count) VALUES ($1, $2)',
+          [source, count]
+        );
+        await client.query('COMMIT');
+        console.log(`🗂️ Imported ${count} saved filters from ${source}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`Failed to import saved filters from ${source}:`, error.message);
+      } finally {
+        client.release();
+      }
+    }
+  }
+
+  // Insert the filters of one old file; returns the number imported
+  async importLegacyData(client, type, data, source) {
+    const filters = [];
+    const defaults = [];
+
+    if (type === 'phase1') {
+      (data.filterSets || []).forEach(filterSet => {
+        filters.push({
+          id: filterSet.id,
+          name: filterSet.name,
+          description: filterSet.description,
+          definition: { rules: filterSet.filters || filterRules.EMPTY_RULES },
+          owner: filterSet.isSystem ? SYSTEM_OWNER : DEFAULT_OWNER,
+          visibility: 'global',
+          isSystem: Boolean(filterSet.isSystem),
+          stats: filterSet.stats || {}
+        });
+      });
+      if ('activeFilterId' in data) {
+        defaults.push({ scope: PHASE1_SCOPE, filterId: data.activeFilterId || null });
+      }
+    } else if (type === 'exclusions') {
+      // The exclusion lists the upload handler used to apply on every upload
+      const exclusions = data.exclusions || {};
+      const contains = (values) => (values || []).map(value => `*${value}*`);
+      filters.push({
+        id: 'legacy-exclusions-file',
+        name: 'Legacy Exclusions (exclusions.json)',
+        description: 'Exclusion lists previously applied to every upload',
+        definition: {
+          rules: {
+            productIds: { patterns: contains(exclusions.productIdPatterns), regexPatterns: [] },
+            descriptions: { patterns: contains(exclusions.descriptionKeywords), regexPatterns: [] },
+            productTypes: { exact: exclusions.productTypes || [], patterns: [] }
+          }
+        },
+        owner: DEFAULT_OWNER,
+        visibility: 'global',
+        stats: {}
+      });
+    } else if (type === 'global') {
+      Object.values(data).forEach(filter => {
+        filters.push({
+          name: filter.name,
+          description: filter.description,
+          definition: { columns: filter.config || {} },
+          owner: DEFAULT_OWNER,
+          visibility: 'global',
+          stats: {
+            usageCount: filter.usageCount,
+            lastUsed: filter.lastUsed,
+            createdAt: filter.createdAt,
+            updatedAt: filter.updatedAt
+          }
+        });
+      });
+    } else if (type === 'phase2') {
+      Object.values(data).forEach(group => {
+        (group.filters || []).forEach(filter => {
+          filters.push({
+            id: filter.id,
+            name: filter.name,
+            description: filter.description,
+            definition: { columns: filter.filters || {} },
+            owner: filter.createdBy || DEFAULT_OWNER,
+            visibility: filter.settings && filter.settings.is_shared === false ? 'private' : 'global',
+            customerName: group.customerName,
+            jobId: group.jobId,
+            stats: {
+              usageCount: filter.usageCount,
+              lastUsed: filter.lastUsed,
+              createdAt: filter.createdAt,
+              updatedAt: filter.updatedAt
+            }
+          });
+        });
+        if (group.defaultFilterId && group.jobId) {
+          defaults.push({ scope: `phase2:${group.jobId}`, filterId: group.defaultFilterId });
+        }
+      });
+    }
+
+    let count = 0;
+    for (const filter of filters) {
+      if (!filter.name) continue;
+      const stats = filter.stats || {};
+
+      // Built-in filters seeded from code keep that definition; only their usage carries over
+      if (filter.isSystem && SYSTEM_FILTERS.some(({ id }) => id === filter.id)) {
+        await client.query(
+          `UPDATE saved_filters
+           SET usage_count = usage_count + $2, last_used_at = GREATEST(last_used_at, $3)
+           WHERE id = $1`,
+          [filter.id, parseInt(stats.usageCount) || 0, toTimestamp(stats.lastUsed)]
+        );
+        continue;
+      }
+
+      // The same filter saved in both global files is imported once
+      const duplicate = await client.query(
+        'SELECT 1 FROM saved_filters WHERE name = $1 AND owner = $2 AND definition = $3::jsonb',
+        [filter.name, filter.owner, JSON.stringify(filter.definition)]
+      );
+      if (duplicate.rows.length > 0) continue;
+
+      const result = await client.query(
+        `INSERT INTO saved_filters
+         (id, name, description, definition, owner, visibility, is_system, customer_name, job_id,
+          usage_count, last_used_at, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, COALESCE($12, NOW()), COALESCE($13, NOW()))
+         ON CONFLICT (id) DO NOTHING
+         RETURNING *`,
+        [
+          filter.id || uuidv4(),
+          String(filter.name).slice(0, 255),
+          filter.description || null,
+          JSON.stringify(filter.definition),
+          filter.owner,
+          filter.visibility,
+          Boolean(filter.isSystem),
+          filter.customerName || null,
+          filter.jobId || null,
+          parseInt(stats.usageCount) || 0,
+          toTimestamp(stats.lastUsed),
+          toTimestamp(stats.createdAt),
+          toTimestamp(stats.updatedAt)
+        ]
+      );
+      if (result.rows.length > 0) {
+        await this.addVersion(client, result.rows[0], 'import', `Imported from ${source}`);
+        count++;
+      }
+    }
+
+    for (const { scope, filterId } of defaults) {
+      await client.query(
+        `INSERT INTO saved_filter_defaults (scope, filter_id)
+         SELECT $1::varchar, $2::varchar
+         WHERE $2::varchar IS NULL
+            OR EXISTS (SELECT 1 FROM saved_filters WHERE id = $2::varchar AND visibility = 'global')
+         ON CONFLICT (scope) DO NOTHING`,
+        [scope, filterId]
+      );
+    }
+
+    return count;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Filters
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Filters a requester may see, built-in ones first
+   * @param {Object} requester - { user, team }
+   * @param {Object} options - { kind: 'rules' | 'columns' } to list only filters with that part
+   */
+  async list(requester, { kind } = {}) {
+    await this.ensureReady();
+    const params = [requester.user, requester.team];
+    let kindSql = '';
+    if (kind) {
+      params.push(kind);
+      kindSql = 'AND definition ? $3';
+    }
+
+    const result = await db.query(
+      `SELECT * FROM saved_filters
+       WHERE ${VISIBLE_SQL} ${kindSql}
+       ORDER BY is_system DESC, LOWER(name) ASC, updated_at DESC`,
+      params
+    );
+    return result.rows.map(toFilter);
+  }
+
+  /**
+   * One filter, or null when it does not exist or the requester may not see it
+   */
+  async get(filterId, requester) {
+    await this.ensureReady();
+    const result = await db.query(
+      `SELECT * FROM saved_filters WHERE id = $3 AND ${VISIBLE_SQL}`,
+      [requester.user, requester.team, String(filterId)]
+    );
+    return result.rows.length > 0 ? toFilter(result.rows[0]) : null;
+  }
+
+  /**
+   * Filter by name, preferring the requester's own and then the latest saved
+   */
+  async findByName(name, requester, { kind } = {}) {
+    await this.ensureReady();
+    const params = [requester.user, requester.team, String(name)];
+    let kindSql = '';
+    if (kind) {
+      params.push(kind);
+      kindSql = 'AND definition ? $4';
+    }
+
+    const result = await db.query(
+      `SELECT * FROM saved_filters
+       WHERE LOWER(name) = LOWER($3) AND ${VISIBLE_SQL} ${kindSql}
+       ORDER BY (owner = $1) DESC, updated_at DESC
+       LIMIT 1`,
+      params
+    );
+    return result.rows.length > 0 ? toFilter(result.rows[0]) : null;
+  }
+
+  // Check and normalize the editable attributes of a filter
+  normalizeInput(input, requester, existing = null) {
+    const name = input.name !== undefined ? String(input.name).trim() : existing && existing.name;
+    if (!name) {
+      throw requestError('Filter name is required', 400);
+    }
+
+    let definition = existing ? existing.definition : {};
+    if (input.definition !== undefined) {
+      definition = filterRules.normalizeDefinition(input.definition);
+    }
+    const errors = filterRules.validateDefinition(definition);
+    if (errors.length > 0) {
+      throw requestError(errors.join('; '), 400);
+    }
+
+    const visibility = input.visibility !== undefined ? String(input.visibility) : (existing ? existing.visibility : 'private');
+    if (!VISIBILITIES.includes(visibility)) {
+      throw requestError(`Visibility must be one of ${VISIBILITIES.join(', ')}`, 400);
+    }
+    const team = input.team !== undefined ? (input.team || null) : (existing ? existing.team : requester.team);
+    if (visibility === 'team' && !team) {
+      throw requestError('A team is required to share a filter with a team', 400);
+    }
+
+    return {
+      name: name.slice(0, 255),
+      description: input.description !== undefined ? String(input.description || '') : (existing ? existing.description : ''),
+      definition,
+      visibility,
+      team
+    };
+  }
+
+  // Record the current state of a filter row as a version
+  addVersion(client, row, changedBy, note = null) {
+    return client.query(
+      `INSERT INTO saved_filter_versions
+       (filter_id, version, name, description, definition, visibility, team, changed_by, change_note)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [row.id, row.version, row.name, row.description, JSON.stringify(row.definition), row.visibility, row.team, changedBy, note]
+    );
+  }
+
+  /**
+   * Save a new filter owned by the requester
+   * @param {Object} input - { name, description, definition, visibility, team, customerName, jobId }
+   */
+  async create(input, requester) {
+    await this.ensureReady();
+    const values = this.normalizeInput(input, requester);
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `INSERT INTO saved_filters (id, name, description, definition, owner, visibility, team, customer_name, job_id)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [
+          uuidv4(), values.name, values.description, JSON.stringify(values.definition),
+          requester.user, values.visibility, values.team, input.customerName || null, input.jobId || null
+        ]
+      );
+      await this.addVersion(client, result.rows[0], requester.user, 'Created');
+      await client.query('COMMIT');
+
+      console.log(`🗂️ Saved filter "${values.name}" (${values.visibility}) for ${requester.user}`);
+      return toFilter(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  // A filter the requester may change; throws 404, 403 or 400 otherwise
+  async getEditable(filterId, requester) {
+    const filter = await this.get(filterId, requester);
+    if (!filter) {
+      throw requestError('Filter not found', 404);
+    }
+    if (filter.isSystem) {
+      throw requestError('Built-in filters cannot be changed', 400);
+    }
+    if (filter.owner !== requester.user) {
+      throw requestError(`Only ${filter.owner} can change this filter`, 403);
+    }
+    return filter;
+  }
+
+  /**
+   * Change a filter; every change is saved as a new version
+   * @param {Object} changes - Any of name, description, definition, visibility, team
+   */
+  async update(filterId, changes, requester, note = null) {
+    await this.ensureReady();
+    const existing = await this.getEditable(filterId, requester);
+    const values = this.normalizeInput(changes, requester, existing);
+
+    if (values.visibility !== 'global') {
+      const defaults = await db.query('SELECT scope FROM saved_filter_defaults WHERE filter_id = $1', [existing.id]);
+      if (defaults.rows.length > 0) {
+        const scopes = defaults.rows.map(row => row.scope).join(', ');
+        throw requestError(`"${existing.name}" is the default filter of ${scopes} and has to stay global; choose another default first`, 409);
+      }
+    }
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE saved_filters
+         SET name = $2, description = $3, definition = $4, visibility = $5, team = $6,
+             version = version + 1, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [existing.id, values.name, values.description, JSON.stringify(values.definition), values.visibility, values.team]
+      );
+      await this.addVersion(client, result.rows[0], requester.user, note || 'Updated');
+      await client.query('COMMIT');
+      return toFilter(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async remove(filterId, requester) {
+    await this.ensureReady();
+    const filter = await this.getEditable(filterId, requester);
+    await db.query('DELETE FROM saved_filters WHERE id = $1', [filter.id]);
+    console.log(`🗑️ Deleted filter "${filter.name}"`);
+    return filter;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Versions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Saved states of a filter, newest first
+   */
+  async listVersions(filterId, requester) {
+    const filter = await this.get(filterId, requester);
+    if (!filter) {
+      throw requestError('Filter not found', 404);
+    }
+
+    const result = await db.query(
+      `SELECT version, name, description, definition, visibility, team, changed_by, change_note, changed_at
+       FROM saved_filter_versions
+       WHERE filter_id = $1
+       ORDER BY version DESC`,
+      [filter.id]
+    );
+    return result.rows.map(row => ({
+      version: row.version,
+      name: row.name,
+      description: row.description || '',
+      definition: row.definition,
+      visibility: row.visibility,
+      team: row.team,
+      changedBy: row.changed_by,
+      note: row.change_note,
+      changedAt: row.changed_at,
+      current: row.version === filter.version
+    }));
+  }
+
+  /**
+   * Bring back an earlier version; it is saved as the newest version
+   */
+  async restoreVersion(filterId, version, requester) {
+    await this.ensureReady();
+    const filter = await this.getEditable(filterId, requester);
+    const result = await db.query(
+      'SELECT * FROM saved_filter_versions WHERE filter_id = $1 AND version = $2',
+      [filter.id, parseInt(version)]
+    );
+    if (result.rows.length === 0) {
+      throw requestError(`Version ${version} of filter "${filter.name}" not found`, 404);
+    }
+
+    const saved = result.rows[0];
+    return this.update(filter.id, {
+      name: saved.name,
+      description: saved.description,
+      definition: saved.definition,
+      visibility: saved.visibility,
+      team: saved.team
+    }, requester, `Restored version ${saved.version}`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Usage
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Count one application of a filter; never fails the caller
+   * @param {Object} use - { user, phase, itemCount, excludedCount }
+   */
+  async recordUse(filterId, { user = DEFAULT_OWNER, phase = null, itemCount = null, excludedCount = null } = {}) {
+    try {
+      await this.ensureReady();
+      await db.query(
+        `UPDATE saved_filters
+         SET usage_count = usage_count + 1, last_used_at = NOW(), last_used_by = $2
+         WHERE id = $1`,
+        [filterId, user]
+      );
+      await db.query(
+        `INSERT INTO saved_filter_usage (filter_id, used_by, phase, item_count, excluded_count)
+         SELECT $1::varchar, $2::varchar, $3::varchar, $4::int, $5::int
+         WHERE EXISTS (SELECT 1 FROM saved_filters WHERE id = $1::varchar)`,
+        [filterId, user, phase, itemCount, excludedCount]
+      );
+    } catch (error) {
+      console.warn(`⚠️ Could not record use of filter ${filterId}:`, error.message);
+    }
+  }
+
+  /**
+   * How often, where and by whom a filter is applied
+   * @returns {Object} { usageCount, lastUsed, lastUsedBy, byPhase, byUser, recent }
+   */
+  async usageStats(filterId, requester) {
+    const filter = await this.get(filterId, requester);
+    if (!filter) {
+      throw requestError('Filter not found', 404);
+    }
+
+    const [byPhase, byUser, recent] = await Promise.all([
+      db.query(
+        `SELECT COALESCE(phase, 'unknown') AS phase, COUNT(*)::int AS uses, MAX(used_at) AS last_used
+         FROM saved_filter_usage WHERE filter_id = $1
+         GROUP BY 1 ORDER BY uses DESC`,
+        [filter.id]
+      ),
+      db.query(
+        `SELECT COALESCE(used_by, 'unknown') AS user, COUNT(*)::int AS uses, MAX(used_at) AS last_used
+         FROM saved_filter_usage WHERE filter_id = $1
+         GROUP BY 1 ORDER BY uses DESC`,
+        [filter.id]
+      ),
+      db.query(
+        `SELECT used_by, phase, item_count, excluded_count, used_at
+         FROM saved_filter_usage WHERE filter_id = $1
+         ORDER BY used_at DESC LIMIT $2`,
+        [filter.id, RECENT_USES]
+      )
+    ]);
+
+    return {
+      // Uses counted before usage was logged per application are only in the total
+      usageCount: filter.stats.usageCount,
+      lastUsed: filter.stats.lastUsed,
+      lastUsedBy: filter.stats.lastUsedBy,
+      byPhase: byPhase.rows.map(row => ({ phase: row.phase, uses: row.uses, lastUsed: row.last_used })),
+      byUser: byUser.rows.map(row => ({ user: row.user, uses: row.uses, lastUsed: row.last_used })),
+      recent: recent.rows.map(row => ({
+        user: row.used_by,
+        phase: row.phase,
+        itemCount: row.item_count,
+        excludedCount: row.excluded_count,
+        usedAt: row.used_at
+      }))
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Default filters
+  // ---------------------------------------------------------------------------
+
+  // Default scopes are shared by every requester, so a default has to be a
+  // filter everyone can see: built-in or global
+
+  /**
+   * Filter applied in a scope when a request does not name one, or null when
+   * the scope has no default
+   * Throws 409 when the default is a filter the requester cannot see, so callers
+   * never run unfiltered by mistake
+   */
+  async getDefault(scope, requester) {
+    await this.ensureReady();
+    const result = await db.query('SELECT filter_id FROM saved_filter_defaults WHERE scope = $1', [scope]);
+    const filterId = result.rows.length > 0 ? result.rows[0].filter_id : null;
+    if (!filterId) return null;
+
+    const filter = await this.get(filterId, requester);
+    if (!filter) {
+      throw requestError(`The default filter of ${scope} (${filterId}) is not shared with ${requester.user}; choose a global filter as the default`, 409);
+    }
+    return filter;
+  }
+
+  /**
+   * Set (or with null clear) the default filter of a scope
+   */
+  async setDefault(scope, filterId, requester) {
+    await this.ensureReady();
+    if (filterId !== null) {
+      const filter = await this.get(filterId, requester);
+      if (!filter) {
+        throw requestError('Filter not found', 404);
+      }
+      if (filter.visibility !== 'global') {
+        throw requestError(`Only global filters can be the default of ${scope}; share "${filter.name}" globally first`, 400);
+      }
+    }
+    await db.query(
+      `INSERT INTO saved_filter_defaults (scope, filter_id, updated_at)
+       VALUES ($1, $2, NOW())
+       ON CONFLICT (scope) DO UPDATE SET filter_id = EXCLUDED.filter_id, updated_at = NOW()`,
+      [scope, filterId]
+    );
+    return filterId;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Evaluation and the response shapes of the Phase 1 and Phase 2 filter APIs
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Run a saved filter over items of any phase (see utils/filterRules.js)
+   * @returns {Object} { kept, excluded, stats }
+   */
+  evaluate(items, filter) {
+    return filterRules.evaluate(items, filter ? filter.definition : {}, filter ? filter.name : 'none');
+  }
+
+  mergeStats(total, stats) {
+    return filterRules.mergeStats(total, stats);
+  }
+
+  /**
+   * Narrow result rows of any phase with a saved filter and count the use
+   * @returns {Object} { kept, applied: { id, name, version, excludedCount } }
+   */
+  async applySaved(items, filterId, requester, phase) {
+    const filter = await this.get(filterId, requester);
+    if (!filter) {
+      throw requestError('Saved filter not found', 404);
+    }
+
+    const { kept, excluded } = this.evaluate(items, filter);
+    this.recordUse(filter.id, { user: requester.user, phase, itemCount: items.length, excludedCount: excluded.length });
+    return {
+      kept,
+      applied: { id: filter.id, name: filter.name, version: filter.version, excludedCount: excluded.length }
+    };
+  }
+
+  // Filter in the shape of a Phase 1 filter set
+  toFilterSet(filter) {
+    return {
+      id: filter.id,
+      name: filter.name,
+      description: filter.description,
+      isDefault: filter.isSystem,
+      isSystem: filter.isSystem,
+      filters: filter.definition.rules || filterRules.EMPTY_RULES,
+      owner: filter.owner,
+      visibility: filter.visibility,
+      team: filter.team,
+      version: filter.version,
+      stats: {
+        usageCount: filter.stats.usageCount,
+        lastUsed: filter.stats.lastUsed,
+        createdAt: filter.stats.createdAt,
+        updatedAt: filter.stats.updatedAt
+      }
+    };
+  }
+
+  // Filter in the shape of a Phase 2 saved filter
+  toSavedFilter(filter) {
+    return {
+      id: filter.id,
+      name: filter.name,
+      value: filter.name,
+      description: filter.description,
+      config: filter.definition.columns || {},
+      owner: filter.owner,
+      visibility: filter.visibility,
+      team: filter.team,
+      version: filter.version,
+      createdAt: filter.stats.createdAt,
+      updatedAt: filter.stats.updatedAt,
+      usageCount: filter.stats.usageCount,
+      lastUsed: filter.stats.lastUsed
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FilterService();
@@ -4,6 +4,8 @@
 // - Cisco table extraction improvements (WS-C3560X-24P-L fix)
 // - Enhanced confidence calculation (50% base + 10%/5% incremental)
 const axios = require('axios');
+const searchRateLimiter = require('./searchRateLimiter');
+const dateParser = require('../utils/dateParser');
 
 class GoogleAIResearchService {
     constructor() {
@@ -68,6 +70,8 @@ class GoogleAIResearchService {
             };
             
         } catch (error) {
+            // Quota errors must reach the caller so the product is retried later
+            if (error.code === 'DAILY_QUOTA_EXCEEDED') throw error;
             console.error(`❌ Research failed for ${product.product_id}:`, error.message);
             return this._getDefaultResult();
         }
@@ -121,6 +125,7 @@ class GoogleAIResearchService {
             return thirdPartyResult;
             
         } catch (error) {
+            if (error.code === 'DAILY_QUOTA_EXCEEDED') throw error;
             console.error('❌ Research error:', error.message);
             return this._createErrorResult(record, error.message);
         }
@@ -226,6 +231,7 @@ class GoogleAIResearchService {
                     }
                 }
             } catch (searchError) {
+                if (searchError.code === 'DAILY_QUOTA_EXCEEDED') throw searchError;
                 console.warn(`   ⚠️ Search failed: ${searchError.message}`);
             }
         }
@@ -305,6 +311,7 @@ class GoogleAIResearchService {
                     }
                 }
             } catch (searchError) {
+                if (searchError.code === 'DAILY_QUOTA_EXCEEDED') throw searchError;
                 console.warn(`   ⚠️ Search failed: ${searchError.message}`);
             }
         }
@@ -1299,61 +1306,13 @@ class GoogleAIResearchService {
     // HELPER METHODS - DATE UTILITIES
     // =====================================================
     _parseDate(dateStr) {
-        if (!dateStr) return null;
-        
-        try {
-            dateStr = dateStr.trim().replace(/\s+/g, ' ');
-            
-            const patterns = [
-                /(\w+)\s+(\d{1,2}),?\s+(\d{4})/,  // Month DD, YYYY (e.g., "May 27, 2021")
-                /(\d{1,2})\s+(\w+)\s+(\d{4})/,     // DD Month YYYY
-                /(\d{4})[-\/](\d{2})[-\/](\d{2})/,  // YYYY-MM-DD or YYYY/MM/DD
-                /(\d{1,2})[-\/](\d{1,2})[-\/](\d{4})/  // MM-DD-YYYY or MM/DD/YYYY
-            ];
-            
-            for (const pattern of patterns) {
-                const match = dateStr.match(pattern);
-                if (match) {
-                    let date = null;
-                    
-                    if (pattern === patterns[0]) {
-                        // Month name first (e.g., "May 27, 2021")
-                        date = new Date(`${match[1]} ${match[2]}, ${match[3]}`);
-                    } else if (pattern === patterns[1]) {
-                        // Day first with month name
-                        date = new Date(`${match[2]} ${match[1]}, ${match[3]}`);
-                    } else if (pattern === patterns[2]) {
-                        // YYYY-MM-DD
-                        date = new Date(match[0]);
-                    } else if (pattern === patterns[3]) {
-                        // MM/DD/YYYY
-                        date = new Date(`${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`);
-                    }
-                    
-                    if (date && !isNaN(date.getTime())) {
-                        // Validate year is reasonable (1990-2040)
-                        const year = date.getFullYear();
-                        if (year >= 1990 && year <= 2040) {
-                            return date.toISOString().split('T')[0];
-                        }
-                    }
-                }
-            }
-            
-            // Last resort: try native Date parsing
-            const date = new Date(dateStr);
-            if (!isNaN(date.getTime())) {
-                const year = date.getFullYear();
-                if (year >= 1990 && year <= 2040) {
-                    return date.toISOString().split('T')[0];
-                }
-            }
-            
-        } catch (error) {
-            console.warn(`Failed to parse date: ${dateStr}`);
-        }
-        
-        return null;
+        // Vendor pages write numeric dates US style (MM/DD/YYYY)
+        const date = dateParser.formatDate(dateStr, { dayFirst: false });
+        if (!date) return null;
+
+        // Validate year is reasonable (1990-2040)
+        const year = parseInt(date.slice(0, 4));
+        return year >= 1990 && year <= 2040 ? date : null;
     }
 
     _addYears(dateString, years) {
@@ -1449,6 +1408,9 @@ class GoogleAIResearchService {
         let lastError;
         
         for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            // Every attempt counts against the shared QPS limit and daily quota
+            await searchRateLimiter.acquire();
+            
             try {
                 const response = await axios.get(url, {
                     params,
@@ -7,6 +7,10 @@
  * 4. PDF content handling
  * 5. Specific Cisco EOL page patterns
  */
+const dateParser = require('../utils/dateParser');
+
+// Cisco's fiscal year starts in August (FY2024 ran from August 2023 to July 2024)
+const CISCO_FISCAL_YEAR_START_MONTH = 8;
 
 class ImprovedCiscoDateExtractor {
   constructor() {
@@ -75,21 +79,6 @@ class ImprovedCiscoDateExtractor {
         'End of Contract Renewal'
       ]
     };
-
-    this.monthMap = {
-      'jan': '01', 'january': '01',
-      'feb': '02', 'february': '02',
-      'mar': '03', 'march': '03',
-      'apr': '04', 'april': '04',
-      'may': '05',
-      'jun': '06', 'june': '06',
-      'jul': '07', 'july': '07',
-      'aug': '08', 'august': '08',
-      'sep': '09', 'september': '09', 'sept': '09',
-      'oct': '10', 'october': '10',
-      'nov': '11', 'november': '11',
-      'dec': '12', 'december': '12'
-    };
   }
 
   /**
@@ -378,86 +367,13 @@ class ImprovedCiscoDateExtractor {
 
   /**
    * Normalize various date formats to YYYY-MM-DD
+   * Slashed dates on Cisco pages are US style and dotted ones European style
    */
-  normalizeDate(dateStr, patternName, matchGroups) {
-    try {
-      let year, month, day;
-      
-      switch (patternName) {
-        case 'ciscoFormat':
-          // "31-Jan-2015"
-          day = matchGroups[1].padStart(2, '0');
-          month = this.monthMap[matchGroups[2].toLowerCase()] || matchGroups[2];
-          year = matchGroups[3];
-          break;
-          
-        case 'monthDayYear':
-          // "January 31, 2015"
-          month = this.monthMap[matchGroups[1].toLowerCase()];
-          day = matchGroups[2].padStart(2, '0');
-          year = matchGroups[3];
-          break;
-          
-        case 'isoFormat':
-          // Already in correct format
-          return dateStr;
-          
-        case 'slashFormat':
-          // "01/31/2015" - assuming MM/DD/YYYY
-          month = matchGroups[1].padStart(2, '0');
-          day = matchGroups[2].padStart(2, '0');
-          year = matchGroups[3];
-          break;
-          
-        case 'dotFormat':
-          // "31.01.2015" - assuming DD.MM.YYYY
-          day = matchGroups[1].padStart(2, '0');
-          month = matchGroups[2].padStart(2, '0');
-          year = matchGroups[3];
-          break;
-          
-        case 'quarterFormat':
-          // "Q1 2015" - use last day of quarter
-          const quarter = parseInt(matchGroups[1]);
-          year = matchGroups[2].length === 2 ? '20' + matchGroups[2] : matchGroups[2];
-          month = String(quarter * 3).padStart(2, '0');
-          // Get last day of the quarter month
-          const tempDate = new Date(year, quarter * 3, 0);
-          day = tempDate.getDate().toString().padStart(2, '0');
-          break;
-          
-        case 'monthYear':
-          // "October 2016" - use last day of month
-          month = this.monthMap[matchGroups[1].toLowerCase()];
-          year = matchGroups[2];
-          // Get last day of the month
-          const lastDay = new Date(year, parseInt(month), 0);
-          day = lastDay.getDate().toString().padStart(2, '0');
-          break;
-          
-        default:
-          return null;
-      }
-      
-      if (year && month && day) {
-        // Validate the date components
-        if (parseInt(month) > 12 || parseInt(day) > 31) {
-          return null;
-        }
-        
-        // Handle 2-digit years
-        if (year.length === 2) {
-          year = parseInt(year) > 50 ? '19' + year : '20' + year;
-        }
-        
-        return `${year}-${month}-${day}`;
-      }
-      
-    } catch (error) {
-      console.error(`Error normalizing date "${dateStr}":`, error.message);
-    }
-    
-    return null;
+  normalizeDate(dateStr, patternName) {
+    return dateParser.formatDate(dateStr, {
+      dayFirst: patternName === 'dotFormat' ? true : patternName === 'slashFormat' ? false : null,
+      fiscalYearStartMonth: CISCO_FISCAL_YEAR_START_MONTH
+    });
   }
 
   /**
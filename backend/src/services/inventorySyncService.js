@@ -0,0 +1,456 @@
+// backend/src/services/inventorySyncService.js
+
+// Incremental uploads into an existing Phase 1 job. The new file is matched
+// against the job's items by key, the differences are summarized, and the
+// Phase 2 and Phase 3 jobs built from the job are brought up to date without
+// losing edits or research on the items that did not change.
+const { v4: uuidv4 } = require('uuid');
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const jobStorage = require('../utils/jobStorage');
+const columnMapper = require('../utils/columnMapper');
+const riskEngine = require('./riskEngine');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+const rawInventory = require('../utils/rawInventory');
+const supportContractService = require('./supportContractService');
+
+// append: every row of the file is a new item
+// merge: matching items are updated, new ones added, the rest kept
+// replace: like merge, but items missing from the file are removed
+const SYNC_MODES = ['append', 'merge', 'replace'];
+
+// Items match on these fields. Fields no item has a value for are skipped,
+// so files without serials or sites match on product ID alone
+const DEFAULT_KEY_FIELDS = ['product_id', 'serial_number', 'site'];
+
+// Items listed per change type in the response; the counts cover all of them
+const CHANGE_SAMPLE_SIZE = 50;
+
+// History user for Phase 2 values that came from a file
+const SYNC_USER = 'inventory upload';
+
+const hasValue = (value) => value !== null && value !== undefined && value !== '' && value !== '-';
+
+const normalizeKeyValue = (value) => (hasValue(value) ? String(value).trim().toUpperCase() : '');
+
+// '-' and empty cells are the same "no value"
+const sameValue = (a, b) => (hasValue(a) ? String(a) : '') === (hasValue(b) ? String(b) : '');
+
+const describeItem = (item) => ({ id: item.id, product_id: item.product_id });
+
+// Score an item and keep the factors that explain its risk level
+const scoreItem = (item, profile) => {
+  const risk = riskEngine.assess(item, profile);
+  item.risk_score = risk.score;
+  item.risk_level = risk.level;
+  item.risk_factors = risk.factors;
+  item.risk_explanation = risk.explanation;
+  return item;
+};
+
+// Same shape and scoring as the items of a new Phase 2 job
+const toPhase2Item = (item, profile) => scoreItem({
+  ...item,
+  id: String(item.id),
+  end_of_sw_support: item.end_of_sw_support || '-',
+  end_of_sw_vulnerability: item.end_of_sw_vulnerability || '-',
+  last_modified: null,
+  modified_by: null
+}, profile);
+
+// Unique products of a Phase 2 selection, keyed like phase3_analysis rows
+const aggregateProducts = (items) => {
+  const products = new Map();
+  items.forEach(item => {
+    const productId = (item.product_id || '').toUpperCase().trim();
+    if (!productId || productId === '-') return;
+
+    if (!products.has(productId)) {
+      products.set(productId, {
+        product_id: productId,
+        manufacturer: item.mfg || item.manufacturer || null,
+        product_category: item.category || null,
+        product_type: item.type || null,
+        description: item.description || null,
+        total_quantity: 0,
+        total_value: 0,
+        end_of_sale_date: item.end_of_sale || null,
+        last_day_of_support_date: item.last_day_support || null,
+        support_coverage_states: {}
+      });
+    }
+    const product = products.get(productId);
+    product.total_quantity += parseInt(item.qty) || 0;
+    product.total_value += parseFloat(item.total_value) || 0;
+    supportCoverage.addQuantity(product.support_coverage_states, item);
+  });
+  return products;
+};
+
+class InventorySyncService {
+  constructor() {
+    this.modes = SYNC_MODES;
+    this.compareFields = columnMapper.CANONICAL_FIELDS.map(definition => definition.field);
+  }
+
+  /**
+   * Key fields to match on: the requested ones (array or comma-separated),
+   * else the defaults, minus fields that are empty in every item of any list.
+   * A field only one side has would match nothing, so a file that adds serial
+   * numbers to a job without them would add every row again
+   */
+  resolveKeyFields(requested, ...itemLists) {
+    let fields = DEFAULT_KEY_FIELDS;
+    if (Array.isArray(requested) && requested.length > 0) {
+      fields = requested;
+    } else if (typeof requested === 'string' && requested.trim()) {
+      fields = requested.split(',').map(field => field.trim()).filter(Boolean);
+    }
+
+    const used = fields.filter(field =>
+      itemLists.every(items => items.some(item => hasValue(item[field])))
+    );
+    return used.length > 0 ? used : ['product_id'];
+  }
+
+  keyOf(item, keyFields) {
+    return keyFields.map(field => normalizeKeyValue(item[field])).join('|');
+  }
+
+  // Canonical fields whose value differs between two versions of an item
+  fieldChanges(existing, incoming) {
+    return this.compareFields
+      .filter(field => !sameValue(existing[field], incoming[field]))
+      .map(field => ({ field, from: existing[field], to: incoming[field] }));
+  }
+
+  /**
+   * Match incoming items to existing ones by key
+   * Repeated keys pair up in file order, preferring identical rows
+   * @returns {Object} { added, changed, unchanged, unmatched }
+   */
+  compare(existingItems, incomingItems, keyFields) {
+    const candidates = new Map();
+    existingItems.forEach(item => {
+      const key = this.keyOf(item, keyFields);
+      if (!candidates.has(key)) candidates.set(key, []);
+      candidates.get(key).push(item);
+    });
+
+    const added = [];
+    const changed = [];
+    const unchanged = [];
+    const matched = new Set();
+
+    incomingItems.forEach(incoming => {
+      const pool = candidates.get(this.keyOf(incoming, keyFields));
+      if (!pool || pool.length === 0) {
+        added.push(incoming);
+        return;
+      }
+
+      let index = pool.findIndex(existing => this.fieldChanges(existing, incoming).length === 0);
+      if (index === -1) index = 0;
+      const [existing] = pool.splice(index, 1);
+      matched.add(existing);
+
+      const changes = this.fieldChanges(existing, incoming);
+      (changes.length > 0 ? changed : unchanged).push({ existing, incoming, changes });
+    });
+
+    return {
+      added,
+      changed,
+      unchanged,
+      unmatched: existingItems.filter(item => !matched.has(item))
+    };
+  }
+
+  /**
+   * Combine a job's Phase 1 items with a new upload
+   * @param {Object} job - Stored Phase 1 job with data and excludedData
+   * @param {Object} upload - { data, excludedData } normalized and filtered from the new file
+   * @param {Object} options - { mode, keyFields }
+   * @returns {Object} Merged data and excludedData plus what changed, for summarizeChanges and syncDownstream
+   */
+  mergeInventory(job, { data, excludedData = [] }, { mode, keyFields: requestedKeys } = {}) {
+    const existingData = job.data || [];
+    const keyFields = this.resolveKeyFields(requestedKeys, existingData, data);
+    const comparison = mode === 'append'
+      ? { added: data, changed: [], unchanged: [], unmatched: [] }
+      : this.compare(existingData, data, keyFields);
+
+    // Matched items keep their ID so Phase 2 edits stay attached to them
+    let nextId = existingData.reduce((max, item) => Math.max(max, parseInt(item.id) || 0), 0) + 1;
+    const added = comparison.added.map(item => ({ ...item, id: nextId++ }));
+    const matched = new Map();
+    comparison.changed.concat(comparison.unchanged).forEach(({ existing, incoming }) => {
+      matched.set(String(existing.id), { ...incoming, id: existing.id });
+    });
+
+    const removed = mode === 'replace' ? comparison.unmatched : [];
+    const removedIds = new Set(removed.map(item => String(item.id)));
+    const merged = existingData
+      .filter(item => !removedIds.has(String(item.id)))
+      .map(item => matched.get(String(item.id)) || item)
+      .concat(added);
+
+    // Excluded rows follow the same rule; in merge mode a row the new file
+    // has again replaces its old copy
+    let mergedExcluded = excludedData;
+    if (mode === 'append') {
+      mergedExcluded = (job.excludedData || []).concat(excludedData);
+    } else if (mode === 'merge') {
+      const newKeys = new Set(data.concat(excludedData).map(item => this.keyOf(item, keyFields)));
+      mergedExcluded = (job.excludedData || [])
+        .filter(item => !newKeys.has(this.keyOf(item, keyFields)))
+        .concat(excludedData);
+    }
+
+    return {
+      mode,
+      keyFields,
+      data: merged,
+      excludedData: mergedExcluded,
+      added,
+      changed: comparison.changed,
+      unchanged: comparison.unchanged,
+      removed,
+      retained: mode === 'merge' ? comparison.unmatched : []
+    };
+  }
+
+  /**
+   * Counts and samples of a mergeInventory result for the upload response
+   */
+  summarizeChanges(sync) {
+    return {
+      mode: sync.mode,
+      key_fields: sync.keyFields,
+      added: sync.added.length,
+      changed: sync.changed.length,
+      unchanged: sync.unchanged.length,
+      removed: sync.removed.length,
+      retained: sync.retained.length,
+      added_items: sync.added.slice(0, CHANGE_SAMPLE_SIZE).map(describeItem),
+      removed_items: sync.removed.slice(0, CHANGE_SAMPLE_SIZE).map(describeItem),
+      changed_items: sync.changed.slice(0, CHANGE_SAMPLE_SIZE).map(({ existing, changes }) => ({
+        ...describeItem(existing),
+        changes
+      }))
+    };
+  }
+
+  /**
+   * Apply a mergeInventory result to the Phase 2 jobs of a Phase 1 job and
+   * to the Phase 3 jobs initialized from them
+   * @returns {Object} { phase2: [...], phase3: [...] } per-job results
+   */
+  async syncDownstream(phase1JobId, sync) {
+    const phase2Jobs = await jobStorage.getByPhase1Reference(phase1JobId);
+    const results = { phase2: [], phase3: [] };
+
+    for (const job of phase2Jobs) {
+      const phase2Result = await this.syncPhase2Job(job, sync);
+      results.phase2.push(phase2Result);
+
+      const touched = phase2Result.updated + phase2Result.added + phase2Result.removed > 0;
+      if (touched && job.phase3Ready) {
+        results.phase3.push(...await this.syncPhase3Jobs(job));
+      }
+    }
+
+    if (phase2Jobs.length > 0) {
+      console.log(`🔄 Synced upload into ${results.phase2.length} Phase 2 and ${results.phase3.length} Phase 3 jobs`);
+    }
+    return results;
+  }
+
+  /**
+   * Bring one Phase 2 job in line with the new upload
+   * A changed field only takes the file's value when the Phase 2 item still
+   * has the old file's value; anything else is a user edit and is kept.
+   * Added and removed items are recorded with a copy of the item, so undoing
+   * the sync takes them out or puts them back (editHistory)
+   */
+  async syncPhase2Job(job, { added, changed, removed }) {
+    const profile = (job.riskProfile && await riskEngine.getProfile(job.riskProfile)) ||
+      await riskEngine.getProfile();
+    const timestamp = new Date().toISOString();
+    const history = job.modificationHistory || [];
+    // The upload's changes are one changeset, undone together
+    const changesetId = uuidv4();
+    const itemsById = new Map(job.items.map(item => [String(item.id), item]));
+    const removedIds = new Set(removed.map(item => String(item.id)));
+    const result = { job_id: job.jobId, updated: 0, added: 0, removed: 0, kept_edits: [] };
+
+    changed.forEach(({ existing, incoming, changes }) => {
+      const item = itemsById.get(String(existing.id));
+      if (!item) return;
+
+      const updates = {};
+      const previousValues = {};
+      changes.forEach(({ field }) => {
+        if (!sameValue(item[field], existing[field])) {
+          result.kept_edits.push({ id: item.id, product_id: item.product_id, field, value: item[field], file_value: incoming[field] });
+          return;
+        }
+        previousValues[field] = item[field];
+        updates[field] = incoming[field];
+      });
+      if (Object.keys(updates).length === 0) return;
+
+      Object.assign(item, updates);
+      scoreItem(item, profile);
+      history.push({ itemId: String(item.id), timestamp, updates, previousValues, user: SYNC_USER, source: 'upload', changesetId, action: 'sync' });
+      result.updated++;
+    });
+
+    const newItems = added.map(item => toPhase2Item(item, profile));
+    const items = [];
+    job.items.forEach(item => {
+      if (removedIds.has(String(item.id))) {
+        history.push({ itemId: String(item.id), timestamp, updates: {}, previousValues: {}, removed: item, user: SYNC_USER, source: 'upload', changesetId, action: 'sync' });
+        result.removed++;
+      } else {
+        items.push(item);
+      }
+    });
+    newItems.forEach(item => {
+      history.push({ itemId: String(item.id), timestamp, updates: {}, previousValues: {}, inserted: { ...item }, user: SYNC_USER, source: 'upload', changesetId, action: 'sync' });
+      items.push(item);
+    });
+    result.added = newItems.length;
+
+    // The Phase 3 selection loses removed items and picks up the updated
+    // copies; new items only join it when the whole inventory was sent
+    if (job.phase3FilteredItems) {
+      const sentEverything = job.phase3FilteredItems.length === job.items.length;
+      job.phase3FilteredItems = job.phase3FilteredItems
+        .filter(item => !removedIds.has(String(item.id)))
+        .map(item => itemsById.get(String(item.id)) || item)
+        .concat(sentEverything ? newItems : []);
+      job.phase3Stats = {
+        ...(job.phase3Stats || {}),
+        filtered: job.phase3FilteredItems.length,
+        original: items.length,
+        filterPercentage: items.length > 0 ? Math.round((job.phase3FilteredItems.length / items.length) * 100) : 0
+      };
+    }
+
+    const counts = riskEngine.countLevels(items);
+    job.items = items;
+    job.modificationHistory = history;
+    job.summary = {
+      ...job.summary,
+      totalItems: items.length,
+      criticalRiskItems: counts.critical,
+      highRiskItems: counts.high,
+      mediumRiskItems: counts.medium,
+      lowRiskItems: counts.low,
+      noRiskItems: counts.none,
+      supportCoverage: supportCoverage.countStates(items).items
+    };
+    job.lastInventorySync = { timestamp, updated: result.updated, added: result.added, removed: result.removed };
+
+    await jobStorage.set(job.jobId, job);
+    // Contracts only feed reporting; a failure must not undo the sync
+    try {
+      await supportContractService.syncFromItems(job);
+    } catch (error) {
+      console.warn(`⚠️ Could not sync support contracts for job ${job.jobId}:`, error.message);
+    }
+    return result;
+  }
+
+  /**
+   * Update the installed base of the Phase 3 jobs initialized from a Phase 2
+   * job. Research columns of surviving products are left alone. Each job is
+   * updated in one transaction, so a failure leaves it as it was
+   */
+  async syncPhase3Jobs(phase2Job) {
+    const jobsResult = await db.query('SELECT job_id FROM phase3_jobs WHERE phase2_job_id = $1', [phase2Job.jobId]);
+    const items = phase2Job.phase3FilteredItems || phase2Job.items;
+    const products = aggregateProducts(items);
+    const results = [];
+    if (jobsResult.rows.length > 0) {
+      // Schema changes take table locks; run them before any transaction opens
+      await ensureMigration('20261019_support_coverage.sql');
+      await rawInventory.ensureSchema();
+    }
+
+    for (const { job_id: phase3JobId } of jobsResult.rows) {
+      const client = await db.pool.connect();
+      try {
+        await client.query('BEGIN');
+        results.push(await this.syncPhase3Job(client, phase3JobId, phase2Job, items, products));
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+
+    return results;
+  }
+
+  // Apply a Phase 2 job's items to one Phase 3 job, inside the caller's transaction
+  async syncPhase3Job(client, phase3JobId, phase2Job, items, products) {
+    const existingResult = await client.query('SELECT product_id FROM phase3_analysis WHERE job_id = $1 FOR UPDATE', [phase3JobId]);
+    const existingIds = new Set(existingResult.rows.map(row => row.product_id));
+    const result = { job_id: phase3JobId, updated: 0, added: 0, removed: 0 };
+
+    for (const product of products.values()) {
+      if (existingIds.has(product.product_id)) {
+        await client.query(
+          `UPDATE phase3_analysis SET total_quantity = $1, total_value = $2, support_coverage_states = $3, updated_at = NOW()
+           WHERE job_id = $4 AND product_id = $5`,
+          [product.total_quantity, product.total_value, JSON.stringify(product.support_coverage_states), phase3JobId, product.product_id]
+        );
+        result.updated++;
+      } else {
+        await client.query(
+          `INSERT INTO phase3_analysis
+           (job_id, product_id, manufacturer, product_category, product_type, description,
+            total_quantity, end_of_sale_date, last_day_of_support_date, total_value, support_coverage_states)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          [
+            phase3JobId,
+            product.product_id,
+            product.manufacturer,
+            product.product_category,
+            product.product_type,
+            product.description,
+            product.total_quantity,
+            dateParser.formatDate(product.end_of_sale_date),
+            dateParser.formatDate(product.last_day_of_support_date),
+            product.total_value,
+            JSON.stringify(product.support_coverage_states)
+          ]
+        );
+        result.added++;
+      }
+    }
+
+    const goneIds = [...existingIds].filter(productId => !products.has(productId));
+    if (goneIds.length > 0) {
+      await client.query('DELETE FROM phase3_analysis WHERE job_id = $1 AND product_id = ANY($2)', [phase3JobId, goneIds]);
+      result.removed = goneIds.length;
+    }
+
+    // Year distribution and sites are rebuilt from the new selection
+    await client.query('DELETE FROM raw_inventory WHERE job_id = $1', [phase3JobId]);
+    await rawInventory.insertItems(phase3JobId, items, client);
+
+    await client.query(
+      'UPDATE phase3_jobs SET product_count = $1, filtered_count = $2, original_count = $3 WHERE job_id = $4',
+      [products.size, items.length, phase2Job.items.length, phase3JobId]
+    );
+    return result;
+  }
+}
+
+module.exports = new InventorySyncService();
@@ -0,0 +1,253 @@
+// backend/src/services/inventoryValidator.js
+
+// Row-level validation of Phase 1 uploads. processData turns bad cells into
+// placeholders (0 quantities, 'Unknown' coverage, raw date strings), so this
+// pass compares each normalized item with the cells it came from and records
+// what was wrong, for the customer to fix at the source.
+const columnMapper = require('../utils/columnMapper');
+const manufacturerIdentifier = require('../utils/manufacturerIdentifier');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+const VALIDATION_RULES = {
+  missing_product_id: { severity: 'error', label: 'Missing product ID' },
+  invalid_quantity: { severity: 'error', label: 'Non-numeric quantity' },
+  negative_quantity: { severity: 'error', label: 'Negative quantity' },
+  missing_quantity: { severity: 'warning', label: 'Missing quantity' },
+  fractional_quantity: { severity: 'warning', label: 'Fractional quantity' },
+  invalid_date: { severity: 'error', label: 'Invalid date' },
+  implausible_date: { severity: 'warning', label: 'Implausible date' },
+  ambiguous_date: { severity: 'warning', label: 'Ambiguous or approximate date' },
+  invalid_value: { severity: 'warning', label: 'Invalid total value' },
+  missing_coverage: { severity: 'warning', label: 'Missing support coverage' },
+  unrecognized_coverage: { severity: 'info', label: 'Unrecognized support coverage' },
+  missing_manufacturer: { severity: 'warning', label: 'Missing manufacturer' },
+  unknown_manufacturer: { severity: 'warning', label: 'Unknown manufacturer' },
+  duplicate_row: { severity: 'warning', label: 'Duplicate row' }
+};
+
+// Dates outside this range are almost always typos or mis-read serial numbers
+const MIN_PLAUSIBLE_YEAR = 1980;
+const MAX_PLAUSIBLE_YEAR = 2100;
+
+// Cells that stand for "no value" in customer exports
+const PLACEHOLDERS = ['', '-', '.', '?', 'n/a', 'na', 'tbd', 'unknown', 'null'];
+
+const isBlank = (value) =>
+  value === null || value === undefined || PLACEHOLDERS.includes(String(value).trim().toLowerCase());
+
+const displayValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString().split('T')[0];
+  return String(value);
+};
+
+const normalizeName = (name) => String(name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+class InventoryValidator {
+  /**
+   * @param {Object} mapping - { canonicalField: sourceHeader } used to normalize the rows
+   * @param {Object} dateOptions - { locale, dateFormats } used to normalize the rows
+   */
+  constructor(mapping = {}, dateOptions = {}) {
+    this.mapping = mapping;
+    this.dateOptions = dateOptions;
+    this.labels = Object.fromEntries(columnMapper.CANONICAL_FIELDS.map(({ field, label }) => [field, label]));
+    this.knownManufacturers = manufacturerIdentifier.getManufacturerNames().map(normalizeName).filter(Boolean);
+    this.manufacturerChecks = new Map();
+    this.seenRows = new Map();
+    this.rowsChecked = 0;
+    this.rowsWithIssues = 0;
+    this.rowsWithErrors = 0;
+    this.bySeverity = Object.fromEntries(SEVERITIES.map(severity => [severity, 0]));
+    this.byRule = {};
+    this.byColumn = {};
+  }
+
+  // Source header for a field, or its label when the field is not mapped
+  column(field) {
+    return this.mapping[field] || this.labels[field] || field;
+  }
+
+  isKnownManufacturer(name) {
+    const normalized = normalizeName(name);
+    if (!normalized) return false;
+    if (!this.manufacturerChecks.has(normalized)) {
+      // "Cisco Systems, Inc." and "HP" both count
+      const known = this.knownManufacturers.some(entry => normalized.includes(entry) || entry.includes(normalized)) ||
+        manufacturerIdentifier.identifyManufacturer({ product_id: '', description: String(name) }) !== 'Unknown';
+      this.manufacturerChecks.set(normalized, known);
+    }
+    return this.manufacturerChecks.get(normalized);
+  }
+
+  /**
+   * Check one chunk of rows against the items normalized from them
+   * @param {Array<Object>} rows - Parsed rows keyed by source header
+   * @param {Array<Object>} items - processData output for the same rows, in the same order
+   * @returns {Array<Object>} Issues for this chunk
+   */
+  add(rows, items) {
+    const issues = [];
+
+    items.forEach((item, index) => {
+      const row = rows[index] || {};
+      const raw = (field) => (this.mapping[field] ? row[this.mapping[field]] : undefined);
+      const rowIssues = [];
+      const report = (rule, field, value, message, suggestion = null) => {
+        rowIssues.push({
+          row: item.source_row,
+          sheet: item.source_sheet,
+          column: this.column(field),
+          field,
+          value: displayValue(value),
+          severity: VALIDATION_RULES[rule].severity,
+          rule,
+          message,
+          suggestion,
+          product_id: item.product_id !== '-' ? item.product_id : null
+        });
+      };
+
+      // Product ID
+      if (isBlank(raw('product_id'))) {
+        report('missing_product_id', 'product_id', raw('product_id'), 'Product ID is missing');
+      }
+
+      // Quantity
+      const qty = raw('qty');
+      if (this.mapping.qty) {
+        if (isBlank(qty)) {
+          report('missing_quantity', 'qty', qty, 'Quantity is missing and was counted as 0');
+        } else {
+          const number = Number(String(qty).replace(/,/g, '').trim());
+          if (isNaN(number)) {
+            report('invalid_quantity', 'qty', qty, `Quantity "${displayValue(qty)}" is not a number and was counted as ${item.qty}`);
+          } else if (number < 0) {
+            report('negative_quantity', 'qty', qty, 'Quantity is negative');
+          } else if (!Number.isInteger(number)) {
+            report('fractional_quantity', 'qty', qty, `Quantity was truncated to ${item.qty}`, String(Math.round(number)));
+          }
+        }
+      }
+
+      // Total value
+      const value = raw('total_value');
+      if (!isBlank(value)) {
+        const number = Number(String(value).replace(/[$,\s]/g, ''));
+        if (isNaN(number)) {
+          report('invalid_value', 'total_value', value, 'Total value is not a number and was counted as 0');
+        } else if (number < 0) {
+          report('invalid_value', 'total_value', value, 'Total value is negative');
+        }
+      }
+
+      // Lifecycle and ship dates
+      columnMapper.DATE_FIELDS.forEach(field => {
+        const dateValue = raw(field);
+        if (isBlank(dateValue)) return;
+        const parsed = dateParser.parseDate(dateValue, {
+          locale: this.dateOptions.locale,
+          dayFirst: (this.dateOptions.dateFormats || {})[field]
+        });
+        if (parsed.status === 'pending' || parsed.status === 'not_applicable') return;
+
+        const year = parsed.date ? parseInt(parsed.date.slice(0, 4)) : null;
+        if (!parsed.date) {
+          report('invalid_date', field, dateValue, `${this.labels[field]} is not a recognizable date`);
+        } else if (year < MIN_PLAUSIBLE_YEAR || year > MAX_PLAUSIBLE_YEAR) {
+          report('implausible_date', field, dateValue, `${this.labels[field]} falls in ${year}`);
+        } else if (parsed.needsReview) {
+          const reading = parsed.ambiguous
+            ? `could be day or month first; read as ${parsed.date}`
+            : `was read as ${parsed.date} (${parsed.format.replace(/_/g, ' ')})`;
+          report('ambiguous_date', field, dateValue, `${this.labels[field]} ${reading}`, parsed.date);
+        }
+      });
+
+      // Support coverage
+      // Only reported when nothing else (contract end date, number or service
+      // level) settled the item's coverage state
+      if (this.mapping.support_coverage && item.support_coverage === 'Unknown') {
+        const coverage = raw('support_coverage');
+        if (isBlank(coverage)) {
+          report('missing_coverage', 'support_coverage', coverage, 'Support coverage is missing and was treated as Unknown');
+        } else if (supportCoverage.classifyStatus(coverage) === null) {
+          report('unrecognized_coverage', 'support_coverage', coverage, `"${displayValue(coverage)}" was treated as Unknown`);
+        }
+      }
+
+      // Manufacturer, with the one its product ID or description points to as a suggestion
+      const mfg = raw('mfg');
+      const suggestManufacturer = () => {
+        const identified = manufacturerIdentifier.identifyManufacturer({
+          product_id: item.product_id !== '-' ? String(item.product_id) : '',
+          description: item.description !== '-' ? String(item.description) : ''
+        });
+        return identified !== 'Unknown' ? identified : null;
+      };
+      if (this.mapping.mfg) {
+        if (isBlank(mfg)) {
+          report('missing_manufacturer', 'mfg', mfg, 'Manufacturer is missing', suggestManufacturer());
+        } else if (!this.isKnownManufacturer(mfg)) {
+          report('unknown_manufacturer', 'mfg', mfg, `"${displayValue(mfg)}" is not a known manufacturer`, suggestManufacturer());
+        }
+      }
+
+      // Duplicates compare every mapped cell, so repeated line items with
+      // different serials or ship dates are not flagged
+      const key = JSON.stringify(Object.keys(this.mapping).sort().map(field => displayValue(raw(field)).trim().toLowerCase()));
+      const firstRow = this.seenRows.get(key);
+      if (firstRow !== undefined) {
+        const location = firstRow.sheet && firstRow.sheet !== item.source_sheet
+          ? `row ${firstRow.row} of ${firstRow.sheet}`
+          : `row ${firstRow.row}`;
+        report('duplicate_row', 'product_id', raw('product_id'), `Same values as ${location}`);
+      } else {
+        this.seenRows.set(key, { row: item.source_row, sheet: item.source_sheet });
+      }
+
+      this.count(rowIssues);
+      issues.push(...rowIssues);
+    });
+
+    return issues;
+  }
+
+  count(rowIssues) {
+    this.rowsChecked++;
+    if (rowIssues.length === 0) return;
+
+    this.rowsWithIssues++;
+    if (rowIssues.some(issue => issue.severity === 'error')) this.rowsWithErrors++;
+    rowIssues.forEach(issue => {
+      this.bySeverity[issue.severity]++;
+      this.byRule[issue.rule] = (this.byRule[issue.rule] || 0) + 1;
+      this.byColumn[issue.column] = (this.byColumn[issue.column] || 0) + 1;
+    });
+  }
+
+  /**
+   * Totals for everything checked so far, stored as summary.validation
+   */
+  build() {
+    return {
+      rows_checked: this.rowsChecked,
+      rows_with_issues: this.rowsWithIssues,
+      rows_with_errors: this.rowsWithErrors,
+      total_issues: SEVERITIES.reduce((sum, severity) => sum + this.bySeverity[severity], 0),
+      by_severity: { ...this.bySeverity },
+      by_rule: Object.entries(this.byRule)
+        .map(([rule, count]) => ({ rule, label: VALIDATION_RULES[rule].label, severity: VALIDATION_RULES[rule].severity, count }))
+        .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.count - a.count),
+      by_column: { ...this.byColumn }
+    };
+  }
+}
+
+InventoryValidator.SEVERITIES = SEVERITIES;
+InventoryValidator.VALIDATION_RULES = VALIDATION_RULES;
+
+module.exports = InventoryValidator;
@@ -1,6 +1,8 @@
 // Lifecycle Analysis Service
 // Handles analysis logic and calculations for Phase 3
 
+const riskEngine = require('./riskEngine');
+
 class LifecycleAnalysisService {
   
   // Calculate support coverage percentage based on lifecycle dates
@@ -21,44 +23,9 @@ class LifecycleAnalysisService {
     return Math.round((monthsRemaining / 36) * 100);
   }
   
-  // Calculate risk score based on lifecycle status
-  calculateRiskScore(product) {
-    const currentDate = new Date();
-    let riskScore = 0;
-    
-    // Check End of Sale
-    if (product.end_of_sale_date) {
-      const eosDate = new Date(product.end_of_sale_date);
-      if (eosDate <= currentDate) {
-        riskScore += 25;
-      }
-    }
-    
-    // Check Last Day of Support
-    if (product.last_day_of_support_date) {
-      const ldosDate = new Date(product.last_day_of_support_date);
-      const monthsRemaining = Math.floor((ldosDate - currentDate) / (1000 * 60 * 60 * 24 * 30));
-      
-      if (monthsRemaining <= 0) {
-        riskScore += 50;
-      } else if (monthsRemaining <= 6) {
-        riskScore += 35;
-      } else if (monthsRemaining <= 12) {
-        riskScore += 20;
-      } else if (monthsRemaining <= 24) {
-        riskScore += 10;
-      }
-    }
-    
-    // Check SW Vulnerability Support
-    if (product.end_of_sw_vulnerability_maintenance_date) {
-      const vulnDate = new Date(product.end_of_sw_vulnerability_maintenance_date);
-      if (vulnDate <= currentDate) {
-        riskScore += 25;
-      }
-    }
-    
-    return Math.min(100, riskScore);
+  // Calculate risk score (0-100) with the shared risk engine
+  calculateRiskScore(product, riskProfile) {
+    return riskEngine.assess(product, riskProfile).score;
   }
   
   // Determine lifecycle status
@@ -87,7 +54,7 @@ class LifecycleAnalysisService {
   }
   
   // Aggregate statistics for reporting
-  aggregateStatistics(products) {
+  aggregateStatistics(products, riskProfile) {
     const stats = {
       total: products.length,
       current: 0,
@@ -107,7 +74,8 @@ class LifecycleAnalysisService {
     
     products.forEach(product => {
       const status = this.getLifecycleStatus(product);
-      const riskScore = this.calculateRiskScore(product);
+      const risk = riskEngine.assess(product, riskProfile);
+      const riskScore = risk.score;
       const coverage = this.calculateSupportCoverage(product);
       
       // Status counts
@@ -126,11 +94,11 @@ class LifecycleAnalysisService {
       }
       
       // Risk categories
-      if (riskScore >= 75) {
+      if (risk.level === 'critical') {
         stats.criticalRisk++;
-      } else if (riskScore >= 50) {
+      } else if (risk.level === 'high') {
         stats.highRisk++;
-      } else if (riskScore >= 25) {
+      } else if (risk.level === 'medium') {
         stats.mediumRisk++;
       } else {
         stats.lowRisk++;
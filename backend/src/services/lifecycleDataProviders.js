@@ -0,0 +1,152 @@
+// lifecycleDataProviders.js
+// Resolves lifecycle dates for a product by asking data providers in priority order
+// Built-in order: research cache, local vendor bulletins, then Google web search
+//
+// A provider is an object with:
+//   name      - unique name, recorded on the result as data_provider
+//   priority  - lower runs first
+//   isEnabled - optional (options) => boolean
+//   lookup    - async (product, options) => research result, or null to fall through
+// Results use the shape of googleAIResearchService.performResearch
+
+const aiResearchCacheService = require('./aiResearchCacheService');
+const vendorBulletinService = require('./vendorBulletinService');
+const googleAIResearchService = require('./googleAIResearchService');
+
+const DATE_FIELDS = [
+  'end_of_sale_date',
+  'end_of_sw_maintenance_date',
+  'end_of_sw_vulnerability_maintenance_date',
+  'last_day_of_support_date'
+];
+
+const hasAnyDate = (result) => DATE_FIELDS.some(field => result && result[field]);
+
+const cacheProvider = {
+  name: 'cache',
+  priority: 10,
+  isEnabled: (options) => options.useCache !== false,
+  async lookup(product) {
+    const cached = await aiResearchCacheService.getCachedResearch(product.manufacturer, product.product_id);
+    if (!cached || cached.isExpired) {
+      return null;
+    }
+
+    console.log(`📦 Cache hit: ${product.product_id}`);
+    return {
+      date_introduced: cached.date_introduced,
+      end_of_sale_date: cached.end_of_sale_date,
+      end_of_sw_maintenance_date: cached.end_of_sw_maintenance_date,
+      end_of_sw_vulnerability_maintenance_date: cached.end_of_sw_vulnerability_maintenance_date,
+      last_day_of_support_date: cached.last_day_of_support_date,
+      dates_found: 1,
+      data_sources: cached.data_sources,
+      overall_confidence: (cached.confidence_score || 90) + aiResearchCacheService.CACHED_CONFIDENCE_BOOST,
+      fromCache: true
+    };
+  }
+};
+
+const vendorBulletinProvider = {
+  name: 'vendor_bulletin',
+  priority: 20,
+  async lookup(product) {
+    const bulletin = await vendorBulletinService.findBulletin(product);
+    if (!bulletin) {
+      return null;
+    }
+
+    console.log(`📘 Vendor bulletin hit: ${product.product_id} (${bulletin.vendor} ${bulletin.bulletin_number || bulletin.source_format})`);
+    return vendorBulletinService.toResearchResult(bulletin);
+  }
+};
+
+const webSearchProvider = {
+  name: 'web_search',
+  priority: 100,
+  // LIFECYCLE_OFFLINE_MODE=true resolves products from local data only
+  isEnabled: () => process.env.LIFECYCLE_OFFLINE_MODE !== 'true',
+  async lookup(product, options) {
+    const result = await googleAIResearchService.performResearch(product);
+
+    if (options.useCache !== false && hasAnyDate(result)) {
+      aiResearchCacheService.saveToCache({ ...result, ...product }).catch(() => {});
+    }
+
+    return result;
+  }
+};
+
+class LifecycleDataProviders {
+  constructor() {
+    this.providers = [];
+    [cacheProvider, vendorBulletinProvider, webSearchProvider].forEach(provider => this.register(provider));
+  }
+
+  /**
+   * Add a provider (replaces an existing provider with the same name)
+   */
+  register(provider) {
+    if (!provider || !provider.name || typeof provider.lookup !== 'function') {
+      throw new Error('A lifecycle data provider needs a name and a lookup function');
+    }
+
+    this.providers = this.providers
+      .filter(existing => existing.name !== provider.name)
+      .concat({ priority: 50, ...provider })
+      .sort((a, b) => a.priority - b.priority);
+  }
+
+  unregister(name) {
+    this.providers = this.providers.filter(provider => provider.name !== name);
+  }
+
+  list() {
+    return this.providers.map(({ name, priority }) => ({ name, priority }));
+  }
+
+  /**
+   * Research a product with the first provider that has an answer
+   * @param {Object} product - { product_id, manufacturer, description, product_category }
+   * @param {Object} options - { useCache }
+   * @returns {Object} Research result with data_provider set
+   */
+  async research(product, options = {}) {
+    for (const provider of this.providers) {
+      if (provider.isEnabled && !provider.isEnabled(options)) {
+        continue;
+      }
+
+      try {
+        const result = await provider.lookup(product, options);
+        if (result) {
+          return {
+            ...result,
+            fromCache: !!result.fromCache,
+            data_provider: provider.name
+          };
+        }
+      } catch (error) {
+        // Quota errors must reach the research queue so the product is retried later
+        if (error.code === 'DAILY_QUOTA_EXCEEDED') throw error;
+        console.error(`Lifecycle provider ${provider.name} failed for ${product.product_id}:`, error.message);
+      }
+    }
+
+    return {
+      date_introduced: null,
+      end_of_sale_date: null,
+      end_of_sw_maintenance_date: null,
+      end_of_sw_vulnerability_maintenance_date: null,
+      last_day_of_support_date: null,
+      is_current_product: false,
+      lifecycle_confidence: 0,
+      overall_confidence: 0,
+      data_sources: { vendor_site: 0, third_party: 0, manual_entry: 0 },
+      fromCache: false,
+      data_provider: null
+    };
+  }
+}
+
+module.exports = new LifecycleDataProviders();
@@ -2,6 +2,8 @@
 // Comprehensive Excel workbook builder for lifecycle reports
 
 const ExcelJS = require('exceljs');
+const riskEngine = require('./riskEngine');
+const { UNASSIGNED_SITE } = require('../utils/rawInventory');
 
 class LifecycleExcelBuilder {
   constructor() {
@@ -36,7 +38,7 @@ class LifecycleExcelBuilder {
     workbook.properties.company = options.customerName || 'Organization';
     
     // Create all worksheets
-    // NOTE: The following 4 sheets have been removed: Executive Summary, Risk Assessment, Data Quality, Recommendations
+    // NOTE: The following 3 sheets have been removed: Executive Summary, Risk Assessment, Data Quality
     //     await this.createExecutiveSummary(workbook, statistics, recommendations, options);
     await this.createDetailedAnalysis(workbook, data.products, statistics);
     //     await this.createRiskAssessment(workbook, riskAnalysis, data.products);
@@ -44,8 +46,20 @@ class LifecycleExcelBuilder {
     await this.createEOLProducts(workbook, data.products);
     await this.createCategoryAnalysis(workbook, data.categoryStats, statistics);
     await this.createManufacturerAnalysis(workbook, data.manufacturerStats, statistics);
+    // Only when the upload said where items are installed
+    const siteBreakdown = reportData.siteBreakdown || [];
+    if (siteBreakdown.some(entry => entry.site !== UNASSIGNED_SITE)) {
+      await this.createSiteAnalysis(workbook, siteBreakdown, options);
+    }
+    if (reportData.budgetForecast) {
+      await this.createBudgetForecast(workbook, reportData.budgetForecast);
+    }
+    if (reportData.supportContracts) {
+      await this.createSupportContracts(workbook, reportData.supportContracts);
+      await this.createCoverageGaps(workbook, reportData.supportContracts);
+    }
     //     await this.createDataQuality(workbook, data.products, statistics);
-    //     await this.createRecommendations(workbook, recommendations);
+    await this.createRecommendations(workbook, recommendations);
     
     return workbook;
   }
@@ -115,6 +129,20 @@ class LifecycleExcelBuilder {
       ['Average Confidence', `${statistics.confidenceAnalysis.average}%`, ''],
       ['Support Coverage', `${statistics.supportCoverage.averageCoverage}%`, '']
     ];
+
+    // Contract coverage by state, when the inventory had coverage data
+    const contracts = statistics.supportCoverage.contracts;
+    if (contracts && contracts.coveragePercentage !== null) {
+      metrics.push(
+        ['', '', ''],
+        ['Contract Coverage', `${contracts.coveragePercentage}%`, 'of units with a known state'],
+        ['Units Active', contracts.quantity.Active, ''],
+        ['Units Expiring', contracts.quantity.Expiring, `within ${contracts.expiringDays} days`],
+        ['Units Expired', contracts.quantity.Expired, ''],
+        ['Units Not Covered', contracts.quantity['Not Covered'], ''],
+        ['Units Unknown Coverage', contracts.quantity.Unknown, '']
+      );
+    }
     
     metrics.forEach(([label, value, percentage]) => {
       if (label) {
@@ -198,7 +226,10 @@ class LifecycleExcelBuilder {
       'Support Coverage %',
       'AI Enhanced',
       'Confidence Score',
-      'Requires Review'
+      'Requires Review',
+      'Risk Score',
+      'Risk Factors',
+      'Risk Profile'
     ];
     
     const headerRow = sheet.addRow(headers);
@@ -221,8 +252,12 @@ class LifecycleExcelBuilder {
         product.support_coverage_percentage || 0,
         product.ai_enhanced ? 'Yes' : 'No',
         product.overall_confidence || 0,
-        product.requires_review ? 'Yes' : 'No'
+        product.requires_review ? 'Yes' : 'No',
+        product.risk_score === null || product.risk_score === undefined ? '-' : product.risk_score,
+        product.risk_explanation || riskEngine.explain(product.risk_factors) || '-',
+        product.risk_profile || '-'
       ]);
+      row.getCell(17).alignment = { wrapText: true, vertical: 'top' };
       
       // Apply conditional formatting
       // Risk level coloring
@@ -266,14 +301,14 @@ class LifecycleExcelBuilder {
     // Auto-filter
     sheet.autoFilter = {
       from: 'A1',
-      to: `O${products.length + 1}`
+      to: `R${products.length + 1}`
     };
     
     // Freeze header row
     sheet.views = [{ state: 'frozen', xSplit: 0, ySplit: 1 }];
     
     // Set column widths
-    const columnWidths = [15, 40, 20, 20, 12, 15, 10, 12, 12, 12, 12, 15, 10, 12, 12];
+    const columnWidths = [15, 40, 20, 20, 12, 15, 10, 12, 12, 12, 12, 15, 10, 12, 12, 10, 60, 15];
     columnWidths.forEach((width, index) => {
       sheet.getColumn(index + 1).width = width;
     });
@@ -569,6 +604,16 @@ class LifecycleExcelBuilder {
           cell.alignment = { horizontal: 'center' };
         }
         
+        // Quantities dated from serial numbers are italic with a note
+        const estimatedQty = product.estimated_year_quantities?.[yearStr] || 0;
+        if (yearQty > 0 && estimatedQty > 0) {
+          cell.note = `${estimatedQty.toLocaleString()} of ${yearQty.toLocaleString()} dated from serial numbers` +
+            (product.estimated_date_confidence ? ` (${product.estimated_date_confidence}% confidence)` : '');
+          if (!ldosDateInYear) {
+            cell.font = { ...cell.font, italic: true };
+          }
+        }
+        
         // Apply background color based on lifecycle status
         let bgColor = 'FFFFFFFF'; // Default white
         if (ldosYear !== '-' && year >= ldosYear) {
@@ -663,6 +708,9 @@ class LifecycleExcelBuilder {
     sheet.getCell(legendRow1, 4).value = 'MON DD = Last Day of Support Date';
     sheet.getCell(legendRow1, 4).font = { color: { argb: 'FFDC3545' }, bold: true };
     
+    sheet.getCell(legendRow1, 5).value = 'Italic = includes dates estimated from serial numbers';
+    sheet.getCell(legendRow1, 5).font = { italic: true };
+    
     // Format columns
     sheet.getColumn('A').width = 20;  // Manufacturer
     sheet.getColumn('B').width = 20;  // Category
@@ -1013,6 +1061,32 @@ class LifecycleExcelBuilder {
             sheet.getCell(`B${row}`).font = { italic: true };
             row++;
           }
+
+          // Successors from the product successor catalog
+          if (rec.replacements && rec.replacements.length > 0) {
+            row++;
+            const replacementHeader = sheet.getRow(row);
+            ['', 'Product ID', 'Installed Qty', 'Replace With', 'Est. Qty', 'Notes'].forEach((label, col) => {
+              if (!label) return;
+              const cell = replacementHeader.getCell(col + 1);
+              cell.value = label;
+              cell.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+              cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: this.colors.subheader } };
+            });
+            row++;
+
+            rec.replacements.forEach(replacement => {
+              sheet.getCell(`B${row}`).value = replacement.product_id;
+              sheet.getCell(`C${row}`).value = replacement.quantity;
+              sheet.getCell(`D${row}`).value = replacement.successor_product_id || 'No successor in catalog';
+              sheet.getCell(`E${row}`).value = replacement.estimated_quantity !== null ? replacement.estimated_quantity : '-';
+              sheet.getCell(`F${row}`).value = replacement.notes || '';
+              if (!replacement.successor_product_id) {
+                sheet.getCell(`D${row}`).font = { italic: true, color: { argb: this.colors.none } };
+              }
+              row++;
+            });
+          }
           
           row++; // Extra space between recommendations
         });
@@ -1027,7 +1101,434 @@ class LifecycleExcelBuilder {
     sheet.getColumn('C').width = 30;
     sheet.getColumn('D').width = 30;
     sheet.getColumn('E').width = 20;
-    sheet.getColumn('F').width = 20;
+    sheet.getColumn('F').width = 40;
+  }
+
+  /**
+   * Sheet 7b: Site Analysis
+   * Risk and EOL quantities per site from LifecycleStatisticsCalculator.calculateSiteBreakdown
+   */
+  async createSiteAnalysis(workbook, siteBreakdown, options = {}) {
+    const sheet = workbook.addWorksheet('Site Analysis');
+    let row = 1;
+
+    sheet.mergeCells(`A${row}:K${row}`);
+    const titleCell = sheet.getCell(`A${row}`);
+    titleCell.value = 'SITE ANALYSIS';
+    titleCell.font = { size: 16, bold: true, color: { argb: this.colors.navy } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    row += 2;
+
+    if (options.site) {
+      sheet.getCell(`A${row}`).value = `Other sheets of this report cover site "${options.site}" only`;
+      sheet.getCell(`A${row}`).font = { italic: true, color: { argb: this.colors.subheader } };
+      row += 2;
+    }
+
+    this.formatHeaderRow(sheet.getRow(row));
+    sheet.getRow(row).values = ['Site', 'Locations', 'Serials', 'Products', 'Quantity', 'Critical', 'High', 'Medium', 'Low', 'EOL Quantity', 'EOL %'];
+    row++;
+
+    siteBreakdown.forEach(entry => {
+      sheet.getRow(row).values = [
+        entry.site,
+        entry.locations,
+        entry.serials,
+        entry.productCount,
+        entry.quantity,
+        entry.riskQuantity.critical,
+        entry.riskQuantity.high,
+        entry.riskQuantity.medium,
+        entry.riskQuantity.low,
+        entry.eolQuantity,
+        `${entry.eolPercentage}%`
+      ];
+      if (entry.site === options.site) {
+        sheet.getRow(row).font = { bold: true };
+      }
+      if (entry.riskQuantity.critical > 0) {
+        sheet.getRow(row).getCell(6).font = { bold: true, color: { argb: this.colors.critical } };
+      }
+      if (entry.eolQuantity > 0) {
+        sheet.getRow(row).getCell(10).font = { bold: true, color: { argb: this.colors.eol } };
+      }
+      row++;
+    });
+
+    sheet.columns = [
+      { width: 30 }, { width: 12 }, { width: 12 }, { width: 12 }, { width: 12 },
+      { width: 10 }, { width: 10 }, { width: 10 }, { width: 10 }, { width: 14 }, { width: 10 }
+    ];
+  }
+
+  /**
+   * Sheet 10: Budget Forecast
+   * Replacement cost per year from services/budgetForecastService.js
+   */
+  async createBudgetForecast(workbook, forecast) {
+    const sheet = workbook.addWorksheet('Budget Forecast');
+    const { settings, years, items, unscheduled, totals } = forecast;
+    const moneyFormat = '"$"#,##0.00';
+    let row = 1;
+
+    sheet.mergeCells(`A${row}:H${row}`);
+    const titleCell = sheet.getCell(`A${row}`);
+    titleCell.value = 'REPLACEMENT BUDGET FORECAST';
+    titleCell.font = { size: 16, bold: true, color: { argb: this.colors.navy } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    row += 2;
+
+    [
+      ['EOL Basis:', settings.basisLabel],
+      ['Annual Inflation:', `${(settings.inflationRate * 100).toFixed(1)}%`],
+      ['Prices As Of:', settings.baseYear],
+      ['Scheduled Budget:', totals.scheduledCost],
+      ['Overdue Replacements:', totals.overdueCost],
+      ['Products Without Price:', totals.unpricedProducts]
+    ].forEach(([label, value]) => {
+      sheet.getCell(`A${row}`).value = label;
+      sheet.getCell(`A${row}`).font = { bold: true };
+      sheet.getCell(`B${row}`).value = value;
+      if (label === 'Scheduled Budget:' || label === 'Overdue Replacements:') {
+        sheet.getCell(`B${row}`).numFmt = moneyFormat;
+      }
+      row++;
+    });
+    row++;
+
+    // Yearly totals
+    this.addSectionHeader(sheet, row, 'BUDGET BY YEAR', 8);
+    row += 2;
+    this.formatHeaderRow(sheet.getRow(row));
+    sheet.getRow(row).values = ['Year', 'Products', 'Quantity', 'Cost', 'Overdue Cost', 'Unpriced Products', 'Cumulative Cost'];
+    row++;
+
+    years.forEach(year => {
+      sheet.getRow(row).values = [
+        year.year,
+        year.productCount,
+        year.quantity,
+        year.cost,
+        year.overdueCost,
+        year.unpricedCount,
+        year.cumulativeCost
+      ];
+      [4, 5, 7].forEach(col => { sheet.getRow(row).getCell(col).numFmt = moneyFormat; });
+      row++;
+    });
+    row++;
+
+    // Per product detail
+    this.addSectionHeader(sheet, row, 'REPLACEMENTS', 8);
+    row += 2;
+    this.formatHeaderRow(sheet.getRow(row));
+    sheet.getRow(row).values = ['Year', 'Product ID', 'Replacement', 'Manufacturer', 'Quantity', 'Unit Price', 'Price Source', 'Cost'];
+    row++;
+
+    [...items, ...unscheduled].forEach(item => {
+      sheet.getRow(row).values = [
+        item.replacement_year ? `${item.replacement_year}${item.overdue ? ' (overdue)' : ''}` : 'No date',
+        item.product_id,
+        item.replacement_product_id || '-',
+        item.manufacturer || '-',
+        item.quantity,
+        item.unit_price !== null ? item.unit_price : 'No price',
+        item.price_source || '-',
+        item.cost !== null ? item.cost : '-'
+      ];
+      [6, 8].forEach(col => { sheet.getRow(row).getCell(col).numFmt = moneyFormat; });
+      if (item.overdue) {
+        sheet.getRow(row).getCell(1).font = { bold: true, color: { argb: this.colors.critical } };
+      }
+      row++;
+    });
+
+    sheet.columns = [
+      { width: 22 }, { width: 25 }, { width: 25 }, { width: 20 },
+      { width: 15 }, { width: 18 }, { width: 20 }, { width: 18 }
+    ];
+  }
+
+  /**
+   * Sheet 11: Support Contracts
+   * Contracts and renewal calendar from services/supportContractService.js
+   */
+  async createSupportContracts(workbook, analysis) {
+    const sheet = workbook.addWorksheet('Support Contracts');
+    const { contracts, calendar, summary } = analysis;
+    let row = 1;
+
+    sheet.mergeCells(`A${row}:H${row}`);
+    const titleCell = sheet.getCell(`A${row}`);
+    titleCell.value = 'SUPPORT CONTRACTS';
+    titleCell.font = { size: 16, bold: true, color: { argb: this.colors.navy } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    row += 2;
+
+    [
+      ['Contracts:', summary.totalContracts],
+      ['Active:', summary.activeContracts],
+      [`Expiring (${analysis.expiringDays} days):`, summary.expiringContracts],
+      ['Expired:', summary.expiredContracts],
+      ['Without End Date:', summary.undatedContracts],
+      ['Items Under Contract:', summary.coveredItems]
+    ].forEach(([label, value]) => {
+      sheet.getCell(`A${row}`).value = label;
+      sheet.getCell(`A${row}`).font = { bold: true };
+      sheet.getCell(`B${row}`).value = value;
+      row++;
+    });
+    row++;
+
+    // Renewals per month
+    this.addSectionHeader(sheet, row, 'RENEWAL CALENDAR', 8);
+    row += 2;
+    this.formatHeaderRow(sheet.getRow(row));
+    sheet.getRow(row).values = ['Month', 'Contract', 'Service Level', 'End Date', 'Days Left', 'Items', 'Quantity'];
+    row++;
+
+    const renewalRow = (label, contract) => {
+      sheet.getRow(row).values = [
+        label,
+        contract.contract_number,
+        contract.service_level || '-',
+        this.formatDate(`${contract.end_date}T00:00:00`),
+        contract.days_remaining,
+        contract.item_count,
+        contract.quantity
+      ];
+      if (contract.state === 'Expired') {
+        sheet.getRow(row).getCell(5).font = { bold: true, color: { argb: this.colors.critical } };
+      } else if (contract.state === 'Expiring') {
+        sheet.getRow(row).getCell(5).font = { bold: true, color: { argb: this.colors.high } };
+      }
+      row++;
+    };
+
+    calendar.expired.forEach(contract => renewalRow('Expired', contract));
+    calendar.months.forEach(month => {
+      if (month.contracts.length === 0) {
+        sheet.getRow(row).values = [month.label, 'No renewals'];
+        sheet.getRow(row).getCell(2).font = { italic: true, color: { argb: this.colors.none } };
+        row++;
+        return;
+      }
+      month.contracts.forEach(contract => renewalRow(month.label, contract));
+    });
+    calendar.later.forEach(contract => renewalRow('Later', contract));
+    row++;
+
+    // Every contract on record
+    this.addSectionHeader(sheet, row, 'CONTRACTS', 8);
+    row += 2;
+    this.formatHeaderRow(sheet.getRow(row));
+    sheet.getRow(row).values = ['Contract', 'Service Level', 'Start Date', 'End Date', 'State', 'Items', 'Quantity', 'Source'];
+    row++;
+
+    contracts.forEach(contract => {
+      sheet.getRow(row).values = [
+        contract.contract_number,
+        contract.service_level || '-',
+        contract.start_date ? this.formatDate(`${contract.start_date}T00:00:00`) : '-',
+        contract.end_date ? this.formatDate(`${contract.end_date}T00:00:00`) : '-',
+        contract.state,
+        contract.item_count,
+        contract.quantity,
+        contract.source === 'file' ? 'Contracts file' : 'Inventory upload'
+      ];
+      row++;
+    });
+
+    sheet.columns = [
+      { width: 24 }, { width: 24 }, { width: 20 }, { width: 16 },
+      { width: 12 }, { width: 10 }, { width: 12 }, { width: 18 }
+    ];
+  }
+
+  /**
+   * Sheet 12: Coverage Gaps
+   * Support paid past LDOS and supportable items without a contract
+   */
+  async createCoverageGaps(workbook, analysis) {
+    const sheet = workbook.addWorksheet('Coverage Gaps');
+    const { gaps, summary } = analysis;
+    let row = 1;
+
+    sheet.mergeCells(`A${row}:H${row}`);
+    const titleCell = sheet.getCell(`A${row}`);
+    titleCell.value = 'SUPPORT COVERAGE GAPS';
+    titleCell.font = { size: 16, bold: true, color: { argb: this.colors.navy } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    row += 2;
+
+    [
+      ['Covered Past LDOS:', `${summary.deadGearItems} items (${summary.deadGearQuantity} units)`],
+      ['Uncovered Before LDOS:', `${summary.uncoveredItems} items (${summary.uncoveredQuantity} units)`]
+    ].forEach(([label, value]) => {
+      sheet.getCell(`A${row}`).value = label;
+      sheet.getCell(`A${row}`).font = { bold: true };
+      sheet.getCell(`B${row}`).value = value;
+      row++;
+    });
+    row++;
+
+    const addTable = (title, headers, entries, format) => {
+      this.addSectionHeader(sheet, row, `${title} (${entries.length})`, 8);
+      row += 2;
+      if (entries.length === 0) {
+        sheet.getCell(`A${row}`).value = 'None found';
+        sheet.getCell(`A${row}`).font = { italic: true, color: { argb: this.colors.none } };
+        row += 2;
+        return;
+      }
+      this.formatHeaderRow(sheet.getRow(row));
+      sheet.getRow(row).values = headers;
+      row++;
+      entries.forEach(entry => {
+        sheet.getRow(row).values = format(entry);
+        row++;
+      });
+      row++;
+    };
+
+    // Paying for support on gear the manufacturer no longer supports
+    addTable('CONTRACTS RUNNING PAST LAST DAY OF SUPPORT',
+      ['Product ID', 'Description', 'Quantity', 'Last Day of Support', 'Contract', 'Contract End', 'Days Past LDOS'],
+      gaps.deadGear,
+      entry => [
+        entry.product_id,
+        entry.description || '-',
+        entry.quantity,
+        this.formatDate(`${entry.last_day_support}T00:00:00`),
+        entry.contract_number || '-',
+        this.formatDate(`${entry.contract_end}T00:00:00`),
+        entry.days_past_ldos
+      ]);
+
+    // Still supportable but not under contract
+    addTable('SUPPORTABLE ITEMS WITHOUT A CONTRACT',
+      ['Product ID', 'Description', 'Quantity', 'Coverage', 'Last Day of Support', 'Days of Support Left'],
+      gaps.uncovered,
+      entry => [
+        entry.product_id,
+        entry.description || '-',
+        entry.quantity,
+        entry.support_coverage,
+        this.formatDate(`${entry.last_day_support}T00:00:00`),
+        entry.days_of_support_left
+      ]);
+
+    sheet.columns = [
+      { width: 26 }, { width: 40 }, { width: 12 }, { width: 20 },
+      { width: 20 }, { width: 18 }, { width: 16 }, { width: 12 }
+    ];
+  }
+
+  /**
+   * Workbook comparing two snapshots of a customer's inventory
+   * (SnapshotComparisonService.compare output)
+   */
+  async buildSnapshotComparison(comparison) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Lifecycle Analysis System';
+    workbook.created = new Date();
+    workbook.modified = new Date();
+    workbook.properties.subject = 'Inventory Snapshot Comparison';
+    workbook.properties.company = comparison.current.customer_name || 'Organization';
+
+    await this.createSnapshotComparison(workbook, comparison);
+    return workbook;
+  }
+
+  async createSnapshotComparison(workbook, comparison) {
+    const sheet = workbook.addWorksheet('Snapshot Comparison');
+    const { baseline, current, summary } = comparison;
+    let row = 1;
+
+    sheet.mergeCells(`A${row}:G${row}`);
+    const titleCell = sheet.getCell(`A${row}`);
+    titleCell.value = 'INVENTORY SNAPSHOT COMPARISON';
+    titleCell.font = { size: 16, bold: true, color: { argb: this.colors.navy } };
+    titleCell.alignment = { horizontal: 'center', vertical: 'middle' };
+    row += 2;
+
+    // Side by side totals
+    this.formatHeaderRow(sheet.getRow(row));
+    sheet.getRow(row).values = ['Metric', 'Baseline', 'Current', 'Change'];
+    row++;
+    const formatDelta = (value) => (value === null ? '-' : value > 0 ? `+${value}` : value);
+    [
+      ['Customer', baseline.customer_name, current.customer_name, ''],
+      ['Job', `Phase ${baseline.phase} - ${baseline.job_id}`, `Phase ${current.phase} - ${current.job_id}`, ''],
+      ['Date', this.formatDate(baseline.created_at), this.formatDate(current.created_at), ''],
+      ['Products', baseline.product_count, current.product_count, formatDelta(current.product_count - baseline.product_count)],
+      ['Total Quantity', baseline.total_quantity, current.total_quantity, formatDelta(summary.quantity_delta)],
+      ['Health Score', baseline.health_score ?? '-', current.health_score ?? '-', formatDelta(summary.health_score_delta)],
+      ...riskEngine.LEVELS.map(level => [
+        level === 'none' ? 'No Risk Products' : `${level.charAt(0).toUpperCase() + level.slice(1)} Risk Products`,
+        baseline.risk_distribution[level],
+        current.risk_distribution[level],
+        formatDelta(current.risk_distribution[level] - baseline.risk_distribution[level])
+      ])
+    ].forEach(values => {
+      sheet.getRow(row).values = values;
+      sheet.getRow(row).getCell(1).font = { bold: true };
+      row++;
+    });
+    if (baseline.health_score !== null && current.health_score !== null) {
+      const healthRow = sheet.getRow(row - riskEngine.LEVELS.length - 1);
+      [2, 3].forEach(col => {
+        const score = healthRow.getCell(col).value;
+        healthRow.getCell(col).font = { bold: true, color: { argb: this.getScoreColor(score) } };
+      });
+    }
+    row++;
+
+    const addTable = (title, headers, rows, format) => {
+      this.addSectionHeader(sheet, row, `${title} (${rows.length})`, 7);
+      row += 2;
+      if (rows.length === 0) {
+        sheet.getCell(`A${row}`).value = 'No changes';
+        sheet.getCell(`A${row}`).font = { italic: true, color: { argb: this.colors.none } };
+        row += 2;
+        return;
+      }
+      this.formatHeaderRow(sheet.getRow(row));
+      sheet.getRow(row).values = headers;
+      row++;
+      rows.forEach(entry => {
+        sheet.getRow(row).values = format(entry);
+        row++;
+      });
+      row++;
+    };
+
+    addTable('PRODUCTS ADDED', ['Product ID', 'Manufacturer', 'Description', 'Quantity', 'Risk Level'], comparison.added,
+      product => [product.product_id, product.manufacturer || '-', product.description || '-', product.quantity, product.risk_level]);
+
+    addTable('PRODUCTS RETIRED', ['Product ID', 'Manufacturer', 'Description', 'Quantity', 'Risk Level'], comparison.retired,
+      product => [product.product_id, product.manufacturer || '-', product.description || '-', product.quantity, product.risk_level]);
+
+    addTable('QUANTITY CHANGES', ['Product ID', 'Description', 'Baseline', 'Current', 'Change'], comparison.quantity_changes,
+      change => [change.product_id, change.description || '-', change.from, change.to, formatDelta(change.delta)]);
+
+    addTable('LIFECYCLE DATES MOVED', ['Product ID', 'Date', 'Baseline', 'Current', 'Days Moved'], comparison.date_changes,
+      change => [change.product_id, change.label, this.formatDate(change.from), this.formatDate(change.to), formatDelta(change.days)]);
+
+    const transitionStart = row + 3;
+    addTable('RISK LEVEL TRANSITIONS', ['Product ID', 'Description', 'Quantity', 'Baseline Risk', 'Current Risk', 'Direction'], comparison.risk_transitions,
+      transition => [transition.product_id, transition.description || '-', transition.quantity, transition.from, transition.to, transition.direction]);
+    comparison.risk_transitions.forEach((transition, index) => {
+      const transitionRow = sheet.getRow(transitionStart + index);
+      transitionRow.getCell(4).font = { color: { argb: this.getRiskColor(transition.from) } };
+      transitionRow.getCell(5).font = { bold: true, color: { argb: this.getRiskColor(transition.to) } };
+      transitionRow.getCell(6).font = { color: { argb: transition.direction === 'worse' ? this.colors.critical : this.colors.low } };
+    });
+
+    sheet.columns = [
+      { width: 28 }, { width: 40 }, { width: 40 }, { width: 16 },
+      { width: 16 }, { width: 14 }, { width: 14 }
+    ];
   }
 
   /**
@@ -6,6 +6,9 @@ const ExcelJS = require('exceljs');
 const LifecycleStatisticsCalculator = require('./lifecycleStatisticsCalculator');
 const LifecycleChartGenerator = require('./lifecycleChartGenerator');
 const LifecycleExcelBuilder = require('./lifecycleExcelBuilder');
+const riskEngine = require('./riskEngine');
+const budgetForecastService = require('./budgetForecastService');
+const productSuccessorService = require('./productSuccessorService');
 const { v4: uuidv4 } = require('uuid');
 
 class LifecycleReportOrchestrator {
@@ -58,6 +61,10 @@ class LifecycleReportOrchestrator {
       // Step 5: Generate recommendations
       await this.updateProgress(reportId, 70, 'Generating recommendations...');
       const recommendations = await this.generateRecommendations(data, statistics, riskAnalysis);
+      const budgetForecast = await budgetForecastService.forecast(data.products, {
+        eolYearBasis: options.eolYearBasis,
+        inflationRate: options.inflationRate
+      });
       
       // Step 6: Create Excel workbook
       await this.updateProgress(reportId, 85, 'Building Excel report...');
@@ -69,7 +76,8 @@ class LifecycleReportOrchestrator {
         charts,
         riskAnalysis,
         recommendations,
-        options
+        budgetForecast,
+        options: { ...options, riskProfile: riskEngine.profileLabel(data.riskProfile) }
       });
       
       // Step 7: Save and finalize
@@ -210,10 +218,12 @@ class LifecycleReportOrchestrator {
       yearQuantityMap.set(item.product_id, item.year_quantities);
     });
     
-    results.products = results.products.map(product => ({
+    // Score as of today with the job's risk profile and add catalog successors
+    results.riskProfile = await riskEngine.getPhase3JobProfile(jobId);
+    results.products = await productSuccessorService.attachSuccessors(riskEngine.scoreAll(results.products.map(product => ({
       ...product,
       year_quantities: yearQuantityMap.get(product.product_id) || {}
-    }));
+    })), results.riskProfile));
     
     return results;
   }
@@ -314,6 +324,7 @@ class LifecycleReportOrchestrator {
         title: 'Immediate EOL Product Replacement',
         description: `${riskAnalysis.summary.critical.length} products are at or past End of Life and require immediate attention`,
         products: riskAnalysis.summary.critical.map(p => p.product_id),
+        replacements: productSuccessorService.toReplacements(riskAnalysis.summary.critical),
         estimatedCost: riskAnalysis.financialImpact.criticalValue,
         timeline: '0-3 months'
       });
@@ -326,6 +337,7 @@ class LifecycleReportOrchestrator {
         title: 'Plan for High-Risk Product Migration',
         description: `${riskAnalysis.summary.high.length} products approaching EOL within 6-12 months`,
         products: riskAnalysis.summary.high.slice(0, 10).map(p => p.product_id),
+        replacements: productSuccessorService.toReplacements(riskAnalysis.summary.high),
         timeline: '3-6 months'
       });
     }
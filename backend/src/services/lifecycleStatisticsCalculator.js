@@ -1,6 +1,8 @@
 // lifecycleStatisticsCalculator.js
 // Comprehensive statistics calculation for lifecycle reports
 
+const supportCoverage = require('../utils/supportCoverage');
+
 class LifecycleStatisticsCalculator {
   /**
    * Calculate all statistics for the report
@@ -49,7 +51,8 @@ class LifecycleStatisticsCalculator {
         fullyCovered: products.filter(p => p.support_coverage_percentage >= 100).length,
         partiallyCovered: products.filter(p => p.support_coverage_percentage > 0 && p.support_coverage_percentage < 100).length,
         notCovered: products.filter(p => !p.support_coverage_percentage || p.support_coverage_percentage === 0).length,
-        averageCoverage: this.calculateAverage(products, 'support_coverage_percentage')
+        averageCoverage: this.calculateAverage(products, 'support_coverage_percentage'),
+        contracts: this.calculateContractCoverage(products)
       },
       
       // AI enhancement stats
@@ -204,6 +207,92 @@ class LifecycleStatisticsCalculator {
     return Math.round(sum / items.length);
   }
   
+  /**
+   * Installed quantity per support contract state, from the coverage states
+   * kept for each Phase 3 product (products stored before them have none)
+   */
+  calculateContractCoverage(products) {
+    const quantity = Object.fromEntries(supportCoverage.STATES.map(state => [state, 0]));
+    let productsWithData = 0;
+    let productsWithGaps = 0;
+    let productsExpiring = 0;
+
+    products.forEach(p => {
+      const states = p.support_coverage_states || {};
+      if (Object.keys(states).length === 0) return;
+      productsWithData++;
+      supportCoverage.STATES.forEach(state => {
+        quantity[state] += parseInt(states[state]) || 0;
+      });
+      if ((parseInt(states.Expired) || 0) + (parseInt(states['Not Covered']) || 0) > 0) productsWithGaps++;
+      if ((parseInt(states.Expiring) || 0) > 0) productsExpiring++;
+    });
+
+    const covered = supportCoverage.COVERED_STATES.reduce((sum, state) => sum + quantity[state], 0);
+    const known = covered + quantity.Expired + quantity['Not Covered'];
+    return {
+      quantity,
+      uncoveredQuantity: quantity.Expired + quantity['Not Covered'],
+      productsWithData,
+      productsWithGaps,
+      productsExpiring,
+      expiringDays: supportCoverage.DEFAULT_EXPIRING_DAYS,
+      // Share of the units with a known state that are under contract
+      coveragePercentage: known > 0 ? Math.round((covered / known) * 100) : null
+    };
+  }
+
+  /**
+   * Risk and EOL quantities per site
+   * @param {Array<Object>} products - Scored Phase 3 products
+   * @param {Array<Object>} siteRows - { site, product_id, quantity } from raw_inventory
+   * @param {Array<Object>} siteDetails - { site, items, locations, serials } from raw_inventory
+   */
+  calculateSiteBreakdown(products, siteRows, siteDetails = []) {
+    const productsById = new Map(products.map(p => [String(p.product_id || '').toUpperCase().trim(), p]));
+    const detailsBySite = new Map(siteDetails.map(detail => [detail.site, detail]));
+    const currentDate = new Date();
+    const sites = new Map();
+
+    siteRows.forEach(row => {
+      const product = productsById.get(row.product_id);
+      if (!product) return;
+
+      if (!sites.has(row.site)) {
+        const detail = detailsBySite.get(row.site) || {};
+        sites.set(row.site, {
+          site: row.site,
+          items: detail.items || 0,
+          locations: detail.locations || 0,
+          serials: detail.serials || 0,
+          productCount: 0,
+          quantity: 0,
+          riskQuantity: { critical: 0, high: 0, medium: 0, low: 0, none: 0 },
+          eolQuantity: 0
+        });
+      }
+
+      const entry = sites.get(row.site);
+      const qty = parseInt(row.quantity) || 0;
+      const level = entry.riskQuantity[product.risk_level] !== undefined ? product.risk_level : 'none';
+      const ldos = product.last_day_of_support_date ? new Date(product.last_day_of_support_date) : null;
+      const eol = ['EOL', 'End of Life', 'End of Support'].includes(product.lifecycle_status) ||
+        (ldos !== null && ldos <= currentDate);
+
+      entry.productCount++;
+      entry.quantity += qty;
+      entry.riskQuantity[level] += qty;
+      if (eol) entry.eolQuantity += qty;
+    });
+
+    return [...sites.values()]
+      .map(entry => ({
+        ...entry,
+        eolPercentage: entry.quantity > 0 ? Math.round((entry.eolQuantity / entry.quantity) * 100) : 0
+      }))
+      .sort((a, b) => b.eolQuantity - a.eolQuantity || b.quantity - a.quantity);
+  }
+
   /**
    * Calculate days until a date
    */
@@ -251,6 +340,25 @@ class LifecycleStatisticsCalculator {
       });
     }
     
+    // Support contract insights, when the inventory had coverage data
+    const contracts = statistics.supportCoverage.contracts;
+    if (contracts.uncoveredQuantity > 0) {
+      insights.push({
+        type: 'warning',
+        title: 'Support Contract Gap',
+        message: `${contracts.uncoveredQuantity} units across ${contracts.productsWithGaps} products have expired or no support contracts`,
+        priority: 3
+      });
+    }
+    if (contracts.quantity.Expiring > 0) {
+      insights.push({
+        type: 'info',
+        title: 'Support Contracts Expiring',
+        message: `${contracts.quantity.Expiring} units across ${contracts.productsExpiring} products have support contracts ending within ${contracts.expiringDays} days`,
+        priority: 3
+      });
+    }
+    
     // Data quality insight
     if (statistics.confidenceAnalysis.low > statistics.totalProducts * 0.3) {
       insights.push({
@@ -287,8 +395,12 @@ class LifecycleStatisticsCalculator {
     // Deduct for EOL products
     score -= (statistics.percentages.eolProducts * 1.5);
     
-    // Deduct for poor support coverage
-    const uncoveredPercentage = (statistics.supportCoverage.notCovered / statistics.totalProducts * 100);
+    // Deduct for poor support coverage; contract states are used when the
+    // inventory had them, else the lifecycle-based coverage
+    const contracts = statistics.supportCoverage.contracts;
+    const uncoveredPercentage = contracts.coveragePercentage !== null
+      ? 100 - contracts.coveragePercentage
+      : (statistics.supportCoverage.notCovered / statistics.totalProducts * 100);
     score -= (uncoveredPercentage * 0.5);
     
     // Bonus for AI enhancement
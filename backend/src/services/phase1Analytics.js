@@ -0,0 +1,187 @@
+// backend/src/services/phase1Analytics.js
+
+// Phase 1 summary and analytics for an upload. Items are added in one go or
+// chunk by chunk (streamed uploads), so every figure is kept as a running count.
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+
+// Fields reported in fieldCompleteness
+const COMPLETENESS_FIELDS = [
+  'mfg',
+  'category',
+  'product_id',
+  'description',
+  'support_coverage',
+  'contract_end',
+  'end_of_sale',
+  'last_day_support',
+  'asset_type',
+  'ship_date'
+];
+
+const isFilled = (value) => value && value !== '-' && value !== '' && value !== 'N/A';
+
+class Phase1Analytics {
+  constructor(currentDate = new Date()) {
+    this.currentDate = currentDate;
+    this.totalRecords = 0;
+    this.totalQuantity = 0;
+    this.activeSupport = 0;
+    this.expiredSupport = 0;
+    this.supportStates = Object.fromEntries(supportCoverage.STATES.map(state => [state, { count: 0, quantity: 0 }]));
+    this.contractNumbers = new Set();
+    this.totalEndOfSale = 0;
+    this.totalEndOfSWVuln = 0;
+    this.totalLastDaySupport = 0;
+    this.manufacturerBreakdown = {};
+    this.categoryBreakdown = {};
+    this.lifecycleByCategory = {};
+    this.manufacturers = new Set();
+    this.filledFields = Object.fromEntries(COMPLETENESS_FIELDS.map(field => [field, 0]));
+  }
+
+  // Whether a lifecycle date has passed; '-' and unparseable values count as no date
+  isPast(value) {
+    const date = dateParser.toDate(value);
+    return date !== null && date <= this.currentDate;
+  }
+
+  vulnerabilityDate(item) {
+    return item['End of Vulnerability/Security Support'] ||
+      item.end_of_vulnerability_support ||
+      item['End of Security Support'] || '-';
+  }
+
+  /**
+   * Count a batch of normalized (and filtered) items
+   */
+  add(items) {
+    items.forEach(item => {
+      const qty = parseInt(item.qty) || 0;
+      const endOfSale = this.isPast(item.end_of_sale);
+      const endOfSWVuln = this.isPast(this.vulnerabilityDate(item));
+      const lastDaySupport = this.isPast(item.last_day_support);
+
+      this.totalRecords++;
+      this.totalQuantity += qty;
+      const coverage = supportCoverage.currentState(item, { asOf: this.currentDate });
+      this.supportStates[coverage].count++;
+      this.supportStates[coverage].quantity += qty;
+      if (coverage === 'Active') this.activeSupport++;
+      if (coverage === 'Expired') this.expiredSupport++;
+      if (isFilled(item.contract_number)) this.contractNumbers.add(String(item.contract_number).trim());
+      if (endOfSale) this.totalEndOfSale++;
+      if (endOfSWVuln) this.totalEndOfSWVuln++;
+      if (lastDaySupport) this.totalLastDaySupport++;
+
+      if (item.mfg && item.mfg !== '-') {
+        this.manufacturers.add(item.mfg);
+      }
+
+      const mfg = item.mfg && item.mfg !== '-' ? item.mfg : 'Unknown';
+      this.countBreakdown(this.manufacturerBreakdown, mfg, coverage, qty);
+
+      const category = item.category || 'Uncategorized';
+      this.countBreakdown(this.categoryBreakdown, category, coverage, qty);
+
+      if (!this.lifecycleByCategory[category]) {
+        this.lifecycleByCategory[category] = { totalQty: 0, endOfSale: 0, endOfSWVuln: 0, lastDaySupport: 0, total: 0 };
+      }
+      const lifecycle = this.lifecycleByCategory[category];
+      lifecycle.totalQty += qty;
+      lifecycle.total++;
+      if (endOfSale) lifecycle.endOfSale++;
+      if (endOfSWVuln) lifecycle.endOfSWVuln++;
+      if (lastDaySupport) lifecycle.lastDaySupport++;
+
+      COMPLETENESS_FIELDS.forEach(field => {
+        if (isFilled(item[field])) this.filledFields[field]++;
+      });
+    });
+  }
+
+  countBreakdown(breakdown, key, coverage, qty) {
+    if (!breakdown[key]) {
+      breakdown[key] = { count: 0, quantity: 0, activeCount: 0, expiringCount: 0, expiredCount: 0, notCoveredCount: 0, unknownCount: 0 };
+    }
+    breakdown[key].count++;
+    breakdown[key].quantity += qty;
+    const counter = {
+      Active: 'activeCount',
+      Expiring: 'expiringCount',
+      Expired: 'expiredCount',
+      'Not Covered': 'notCoveredCount',
+      Unknown: 'unknownCount'
+    }[coverage];
+    breakdown[key][counter]++;
+  }
+
+  /**
+   * Job summary and analytics for everything added so far
+   * @param {Object} context - { originalCount, excludedCount, appliedFilter, filterStats, validation }
+   * @returns {Object} { summary, analytics }
+   */
+  build({ originalCount, excludedCount = 0, appliedFilter = null, filterStats = null, validation = null } = {}) {
+    const fieldCompleteness = {};
+    COMPLETENESS_FIELDS.forEach(field => {
+      fieldCompleteness[field] = Math.round((this.filledFields[field] / this.totalRecords) * 100);
+    });
+
+    const totalCategories = Object.keys(this.categoryBreakdown).length;
+    // Distinct contract numbers when the file has them, else items under contract
+    const coveredItems = supportCoverage.COVERED_STATES.reduce((sum, state) => sum + this.supportStates[state].count, 0);
+    const totalServiceContracts = this.contractNumbers.size > 0 ? this.contractNumbers.size : coveredItems;
+    // Coverage is measured against the items whose state is known
+    const knownItems = this.totalRecords - this.supportStates.Unknown.count;
+
+    const summary = {
+      total_items: this.totalRecords,
+      original_items: originalCount !== undefined ? originalCount : this.totalRecords,
+      filtered_items: this.totalRecords,
+      items_excluded: excludedCount,
+      total_quantity: this.totalQuantity,
+      total_value: 0,
+      total_manufacturers: this.manufacturers.size,
+      active_support: this.activeSupport,
+      expiring_support: this.supportStates.Expiring.count,
+      expired_support: this.expiredSupport,
+      not_covered_support: this.supportStates['Not Covered'].count,
+      unknown_support: this.supportStates.Unknown.count,
+      supportStates: this.supportStates,
+      supportExpiringDays: supportCoverage.DEFAULT_EXPIRING_DAYS,
+      total_categories: totalCategories,
+      total_service_contracts: totalServiceContracts,
+      total_end_of_sale: this.totalEndOfSale,
+      total_end_of_sw_vuln: this.totalEndOfSWVuln,
+      total_last_day_support: this.totalLastDaySupport,
+      totalRecords: this.totalRecords,
+      supportCoverage: knownItems > 0 ? Math.round((coveredItems / knownItems) * 100) : 0,
+      categoryBreakdown: this.categoryBreakdown,
+      manufacturerBreakdown: this.manufacturerBreakdown,
+      fieldCompleteness,
+      lifecycleByCategory: this.lifecycleByCategory,
+      // Add filter information
+      appliedFilter,
+      filterStats,
+      // Row-level problems found in the upload (InventoryValidator totals)
+      validation
+    };
+
+    const analytics = {
+      categories: this.categoryBreakdown,
+      manufacturerBreakdown: this.manufacturerBreakdown,
+      completeness: fieldCompleteness,
+      lifecycle: this.lifecycleByCategory,
+      totalCategories,
+      totalServiceContracts,
+      supportStates: this.supportStates,
+      totalEndOfSale: this.totalEndOfSale,
+      totalEndOfSWVuln: this.totalEndOfSWVuln,
+      totalLastDaySupport: this.totalLastDaySupport
+    };
+
+    return { summary, analytics };
+  }
+}
+
+module.exports = Phase1Analytics;
@@ -4,11 +4,14 @@
  * Fills in missing fields and calculates derived values
  */
 
+const riskEngine = require('./riskEngine');
+
 class Phase3DataProcessor {
   /**
    * Process Phase 3 results to ensure all report fields are present
+   * @param {Object} riskProfile - Risk profile of the job; the built-in profile when omitted
    */
-  processForReport(phase3Results) {
+  processForReport(phase3Results, riskProfile) {
     if (!Array.isArray(phase3Results)) {
       phase3Results = [phase3Results];
     }
@@ -23,8 +26,13 @@ class Phase3DataProcessor {
       // 2. Calculate lifecycle status
       processed.lifecycle_status = this.calculateLifecycleStatus(processed);
 
-      // 3. Calculate risk level
-      processed.risk_level = this.calculateRiskLevel(processed);
+      // 3. Calculate risk level and the factors behind it
+      const risk = riskEngine.assess(processed, riskProfile);
+      processed.risk_level = risk.level;
+      processed.risk_score = risk.score;
+      processed.risk_factors = risk.factors;
+      processed.risk_explanation = risk.explanation;
+      processed.risk_profile = risk.profile;
 
       // 4. Set Phase 3 specific flags
       processed.ai_enhanced = true; // All Phase 3 results are AI-enhanced
@@ -118,60 +126,10 @@ class Phase3DataProcessor {
   }
 
   /**
-   * Calculate risk level based on lifecycle dates and status
+   * Calculate risk level with the shared risk engine
    */
-  calculateRiskLevel(item) {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-
-    // Critical risk: Already End of Life
-    if (item.lifecycle_status === 'End of Life') {
-      return 'critical';
-    }
-
-    // Check time until End of Life
-    if (item.end_of_life_date || item.last_day_of_support_date) {
-      const eolDate = new Date(item.end_of_life_date || item.last_day_of_support_date);
-      const daysUntilEOL = Math.floor((eolDate - today) / (1000 * 60 * 60 * 24));
-
-      if (daysUntilEOL < 0) {
-        return 'critical'; // Past EOL
-      } else if (daysUntilEOL <= 180) {
-        return 'high'; // EOL within 6 months
-      } else if (daysUntilEOL <= 365) {
-        return 'medium'; // EOL within 1 year
-      } else if (daysUntilEOL <= 730) {
-        return 'low'; // EOL within 2 years
-      }
-    }
-
-    // Check time until End of Sale
-    if (item.end_of_sale_date) {
-      const eosDate = new Date(item.end_of_sale_date);
-      const daysUntilEOS = Math.floor((eosDate - today) / (1000 * 60 * 60 * 24));
-
-      if (daysUntilEOS < 0) {
-        return 'medium'; // Past EOS but no EOL date
-      } else if (daysUntilEOS <= 90) {
-        return 'low'; // EOS within 3 months
-      }
-    }
-
-    // Current products with good support
-    if (item.lifecycle_status === 'Current') {
-      return 'none';
-    }
-
-    // Unknown or insufficient data
-    if (!item.end_of_sale_date && !item.end_of_life_date) {
-      // If we have low confidence, consider it medium risk
-      if (item.overall_confidence < 50) {
-        return 'medium';
-      }
-      return 'low';
-    }
-
-    return 'none';
+  calculateRiskLevel(item, riskProfile) {
+    return riskEngine.assess(item, riskProfile).level;
   }
 
   /**
@@ -368,15 +326,12 @@ class Phase3DataProcessor {
       // Risk levels
       if (item.risk_level === 'critical') {
         stats.products_critical_risk++;
-        riskScoreSum += 100;
       } else if (item.risk_level === 'high') {
         stats.products_high_risk++;
-        riskScoreSum += 75;
-      } else if (item.risk_level === 'medium') {
-        riskScoreSum += 50;
-      } else if (item.risk_level === 'low') {
-        riskScoreSum += 25;
       }
+      riskScoreSum += item.risk_score !== undefined && item.risk_score !== null
+        ? Number(item.risk_score) || 0
+        : riskEngine.assess(item).score;
       
       // Confidence scores
       totalConfidence += item.overall_confidence || 0;
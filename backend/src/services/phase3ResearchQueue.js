@@ -0,0 +1,689 @@
+// phase3ResearchQueue.js
+// Background worker for Phase 3 AI research
+// Jobs are queued in phase3_jobs and their products researched by a small pool of
+// workers, with a checkpoint in phase3_analysis after each product so a restart
+// resumes where it stopped
+
+const os = require('os');
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+
+const ensureSchema = async () => {
+  await ensureMigration('20261019_phase3_research_queue.sql');
+  await ensureMigration('20261019_research_rate_limits.sql');
+};
+
+// Statuses in which a job still has work for a worker
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// Statuses that start over from the first product when research is requested again
+const RESTART_STATUSES = ['completed', 'cancelled', 'failed', 'research_complete', 'research_failed'];
+
+class Phase3ResearchQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}-${process.pid}`;
+
+    // How often to look for queued or orphaned jobs
+    this.POLL_INTERVAL_MS = 30 * 1000;
+
+    // A running job whose heartbeat is older than this belongs to a dead worker
+    this.STALE_HEARTBEAT_SECONDS = 5 * 60;
+
+    // How often a worker refreshes the heartbeat of a job it is running; a
+    // single product can take longer than STALE_HEARTBEAT_SECONDS when the
+    // search API is rate limited, so checkpoints alone are not enough
+    this.HEARTBEAT_INTERVAL_MS = 60 * 1000;
+
+    // Number of recent results included in progress updates
+    this.HISTORY_SIZE = 5;
+
+    // Products researched in parallel per job, unless the job asks for another value
+    this.DEFAULT_CONCURRENCY = parseInt(process.env.PHASE3_RESEARCH_CONCURRENCY) || 3;
+    this.MAX_CONCURRENCY = 10;
+
+    this.activeJobs = new Set();
+    this.pollTimer = null;
+  }
+
+  /**
+   * Start polling for queued jobs and pick up jobs interrupted by a restart
+   */
+  async start() {
+    await ensureSchema();
+
+    if (!this.pollTimer) {
+      this.pollTimer = setInterval(() => {
+        this.poll().catch(error => console.error('Phase 3 queue poll failed:', error.message));
+      }, this.POLL_INTERVAL_MS);
+      this.pollTimer.unref();
+    }
+
+    await this.poll();
+  }
+
+  /**
+   * Stop polling and hand running jobs back to the queue for the next worker
+   */
+  async stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+
+    await db.query(
+      `UPDATE phase3_jobs
+       SET status = 'queued', worker_id = NULL, queued_at = NOW()
+       WHERE worker_id = $1 AND status = 'running'`,
+      [this.workerId]
+    );
+  }
+
+  /**
+   * Claim every queued job and every running job whose worker stopped sending heartbeats
+   */
+  async poll() {
+    await ensureSchema();
+
+    const result = await db.query(
+      `SELECT job_id FROM phase3_jobs
+       WHERE status = 'queued'
+          OR (status = 'running'
+              AND (heartbeat_at IS NULL OR heartbeat_at < NOW() - make_interval(secs => $1)))
+       ORDER BY queued_at NULLS LAST`,
+      [this.STALE_HEARTBEAT_SECONDS]
+    );
+
+    result.rows.forEach(row => this.runInBackground(row.job_id));
+  }
+
+  /**
+   * Queue a job for research
+   * @param {string} jobId - Phase 3 job ID
+   * @param {Object} options - { useCache, concurrency }
+   * @returns {Object|null} Job progress, or null if the job does not exist
+   */
+  async enqueue(jobId, { useCache = true, concurrency } = {}) {
+    await ensureSchema();
+
+    const jobResult = await db.query('SELECT status FROM phase3_jobs WHERE job_id = $1', [jobId]);
+    if (jobResult.rows.length === 0) {
+      return null;
+    }
+
+    const { status } = jobResult.rows[0];
+
+    if (ACTIVE_STATUSES.includes(status)) {
+      console.log(`Phase 3 job ${jobId} is already ${status}`);
+      return this.getStatus(jobId);
+    }
+
+    if (RESTART_STATUSES.includes(status)) {
+      await db.query(
+        `UPDATE phase3_analysis
+         SET research_status = 'pending', research_error = NULL, researched_at = NULL
+         WHERE job_id = $1`,
+        [jobId]
+      );
+    }
+
+    await db.query(
+      `UPDATE phase3_jobs
+       SET status = 'queued',
+           use_cache = $2,
+           research_concurrency = $3,
+           queued_at = NOW(),
+           paused_at = NULL,
+           cancelled_at = NULL,
+           completed_at = NULL,
+           error_message = NULL
+       WHERE job_id = $1`,
+      [jobId, useCache, this.normalizeConcurrency(concurrency)]
+    );
+
+    console.log(`Phase 3 job ${jobId} queued (cache ${useCache ? 'enabled' : 'disabled'}, ${this.normalizeConcurrency(concurrency)} in parallel)`);
+    this.runInBackground(jobId);
+
+    return this.getStatus(jobId);
+  }
+
+  /**
+   * Pause a queued or running job; the worker stops after the current product
+   * @returns {boolean} True if the job was paused
+   */
+  async pause(jobId) {
+    await ensureSchema();
+    const result = await db.query(
+      `UPDATE phase3_jobs SET status = 'paused', paused_at = NOW()
+       WHERE job_id = $1 AND status = ANY($2)`,
+      [jobId, ACTIVE_STATUSES]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Resume a paused job from its last checkpoint
+   * @returns {boolean} True if the job was queued again
+   */
+  async resume(jobId) {
+    await ensureSchema();
+    const result = await db.query(
+      `UPDATE phase3_jobs SET status = 'queued', queued_at = NOW(), paused_at = NULL, error_message = NULL
+       WHERE job_id = $1 AND status = 'paused'`,
+      [jobId]
+    );
+
+    if (result.rowCount === 0) {
+      return false;
+    }
+
+    this.runInBackground(jobId);
+    return true;
+  }
+
+  /**
+   * Cancel a job; products already researched keep their results
+   * @returns {boolean} True if the job was cancelled
+   */
+  async cancel(jobId) {
+    await ensureSchema();
+    const result = await db.query(
+      `UPDATE phase3_jobs SET status = 'cancelled', cancelled_at = NOW()
+       WHERE job_id = $1 AND status = ANY($2)`,
+      [jobId, [...ACTIVE_STATUSES, 'paused']]
+    );
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Whether this process is currently researching the job
+   */
+  isActive(jobId) {
+    return this.activeJobs.has(jobId);
+  }
+
+  /**
+   * Build a progress snapshot from the checkpoints stored in the database
+   * @returns {Object|null} Progress in the same shape as the SSE updates
+   */
+  async getStatus(jobId) {
+    await ensureSchema();
+
+    const result = await db.query(
+      `SELECT
+         j.status,
+         j.error_message,
+         j.research_concurrency,
+         COUNT(a.product_id)::int AS total,
+         COUNT(a.product_id) FILTER (WHERE a.research_status <> 'pending')::int AS processed,
+         COUNT(a.product_id) FILTER (WHERE a.research_status = 'completed')::int AS successful,
+         COUNT(a.product_id) FILTER (WHERE a.research_status = 'failed')::int AS failed,
+         COUNT(a.product_id) FILTER (
+           WHERE a.research_status = 'completed'
+             AND (a.end_of_sale_date IS NOT NULL
+               OR a.end_of_sw_maintenance_date IS NOT NULL
+               OR a.end_of_sw_vulnerability_maintenance_date IS NOT NULL
+               OR a.last_day_of_support_date IS NOT NULL)
+         )::int AS dates_found
+       FROM phase3_jobs j
+       LEFT JOIN phase3_analysis a ON a.job_id = j.job_id
+       WHERE j.job_id = $1
+       GROUP BY j.job_id, j.status, j.error_message, j.research_concurrency`,
+      [jobId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const row = result.rows[0];
+    return {
+      jobId,
+      status: row.status,
+      total: row.total,
+      processed: row.processed,
+      successful: row.successful,
+      failed: row.failed,
+      datesFound: row.dates_found,
+      concurrency: this.normalizeConcurrency(row.research_concurrency),
+      current: row.processed,
+      currentProduct: this.describeStatus(row.status),
+      researchingProduct: null,
+      message: row.error_message || `${this.describeStatus(row.status)}: ${row.processed} of ${row.total} products researched`,
+      updateHistory: [],
+      completed: row.status === 'completed'
+    };
+  }
+
+  describeStatus(status) {
+    const labels = {
+      initialized: 'Waiting...',
+      queued: 'Queued',
+      running: 'Researching',
+      paused: 'Paused',
+      cancelled: 'Cancelled',
+      completed: 'Complete',
+      failed: 'Failed'
+    };
+    return labels[status] || status;
+  }
+
+  runInBackground(jobId) {
+    this.processJob(jobId).catch(error => {
+      console.error(`Phase 3 worker crashed on job ${jobId}:`, error.message);
+    });
+  }
+
+  /**
+   * Take ownership of a job if it is queued or its previous worker is gone
+   * @returns {Object|null} The claimed job row
+   */
+  async claim(jobId) {
+    const result = await db.query(
+      `UPDATE phase3_jobs
+       SET status = 'running',
+           worker_id = $2,
+           heartbeat_at = NOW(),
+           research_started_at = COALESCE(research_started_at, NOW())
+       WHERE job_id = $1
+         AND (status = 'queued'
+              OR (status = 'running'
+                  AND (worker_id = $2 OR heartbeat_at IS NULL
+                       OR heartbeat_at < NOW() - make_interval(secs => $3))))
+       RETURNING *`,
+      [jobId, this.workerId, this.STALE_HEARTBEAT_SECONDS]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Record the outcome of one product and refresh the job heartbeat
+   * Parallel workers may finish out of order, so counters only move forward
+   */
+  async checkpoint(jobId, productId, outcome, progress) {
+    await db.query(
+      `UPDATE phase3_analysis
+       SET research_status = $3, research_error = $4, researched_at = NOW()
+       WHERE job_id = $1 AND product_id = $2`,
+      [jobId, productId, outcome.status, outcome.error || null]
+    );
+
+    await db.query(
+      `UPDATE phase3_jobs
+       SET processed_products = GREATEST(processed_products, $2),
+           successful_products = GREATEST(successful_products, $3),
+           failed_products = GREATEST(failed_products, $4),
+           dates_found = GREATEST(dates_found, $5),
+           heartbeat_at = NOW(),
+           updated_at = NOW()
+       WHERE job_id = $1 AND worker_id = $6`,
+      [jobId, progress.processed, progress.successful, progress.failed, progress.datesFound, this.workerId]
+    );
+  }
+
+  /**
+   * Refresh the heartbeat of a job this worker is running
+   */
+  async heartbeat(jobId) {
+    await db.query(
+      `UPDATE phase3_jobs SET heartbeat_at = NOW()
+       WHERE job_id = $1 AND worker_id = $2 AND status = 'running'`,
+      [jobId, this.workerId]
+    );
+  }
+
+  /**
+   * Research every pending product of a job until it is done, paused or cancelled
+   * Up to research_concurrency products are researched at the same time
+   */
+  async processJob(jobId) {
+    if (this.activeJobs.has(jobId)) {
+      return;
+    }
+    this.activeJobs.add(jobId);
+
+    // Loaded lazily: the controller owns research and SSE, and requires this module
+    const phase3Controller = require('../controllers/phase3Controller');
+    let heartbeatTimer = null;
+
+    try {
+      await ensureSchema();
+
+      const job = await this.claim(jobId);
+      if (!job) {
+        return;
+      }
+
+      // Keep the job ours while products are researched, however long each takes
+      heartbeatTimer = setInterval(() => {
+        this.heartbeat(jobId).catch(error => console.error(`Phase 3 heartbeat failed for job ${jobId}:`, error.message));
+      }, this.HEARTBEAT_INTERVAL_MS);
+      heartbeatTimer.unref();
+
+      const snapshot = await this.getStatus(jobId);
+      const pendingResult = await db.query(
+        `SELECT product_id, description, manufacturer, product_category, product_type, total_quantity, total_value
+         FROM phase3_analysis
+         WHERE job_id = $1 AND research_status = 'pending'
+         ORDER BY total_quantity DESC, product_id`,
+        [jobId]
+      );
+      const products = pendingResult.rows;
+      const concurrency = this.normalizeConcurrency(job.research_concurrency);
+
+      // Shared by all workers of this job; updates happen between awaits so counts stay consistent
+      const run = {
+        jobId,
+        useCache: job.use_cache !== false,
+        pending: [...products],
+        inFlight: new Set(),
+        started: snapshot.processed,
+        progress: {
+          total: snapshot.total,
+          processed: snapshot.processed,
+          successful: snapshot.successful,
+          failed: snapshot.failed,
+          datesFound: snapshot.datesFound
+        },
+        updateHistory: [],
+        cacheStats: { hits: 0, misses: 0, hitRate: 0 },
+        stoppedStatus: null
+      };
+
+      const resuming = run.progress.processed > 0;
+      console.log(`🚀 Phase 3 worker ${resuming ? 'resuming' : 'starting'} job ${jobId}: ${products.length} of ${run.progress.total} products pending, ${concurrency} in parallel`);
+
+      phase3Controller.sendProgressUpdate(jobId, {
+        ...run.progress,
+        status: 'running',
+        concurrency,
+        current: run.progress.processed,
+        currentProduct: resuming ? 'Resuming...' : 'Starting...',
+        researchingProduct: null,
+        researchingProducts: [],
+        message: resuming
+          ? `Resuming research: ${products.length} of ${run.progress.total} products remaining`
+          : `Starting research for ${run.progress.total} products`,
+        updateHistory: []
+      });
+
+      const workers = Array.from(
+        { length: Math.min(concurrency, products.length) },
+        () => this.runWorker(run, phase3Controller)
+      );
+      await Promise.all(workers);
+
+      const { progress, stoppedStatus } = run;
+
+      if (stoppedStatus) {
+        console.log(`⏸️ Phase 3 job ${jobId} stopped (${stoppedStatus}) after ${progress.processed} of ${progress.total} products`);
+        phase3Controller.sendProgressUpdate(jobId, {
+          ...progress,
+          status: stoppedStatus,
+          current: progress.processed,
+          currentProduct: this.describeStatus(stoppedStatus),
+          researchingProduct: null,
+          researchingProducts: [],
+          message: run.stopReason || `Research ${stoppedStatus}: ${progress.processed} of ${progress.total} products researched`,
+          updateHistory: run.updateHistory.slice(-this.HISTORY_SIZE),
+          [stoppedStatus]: true
+        });
+        return;
+      }
+
+      await this.complete(jobId, progress);
+
+      console.log(`✅ AI research completed for job ${jobId}`);
+      console.log(`   Processed: ${progress.processed}, Successful: ${progress.successful}, Failed: ${progress.failed}`);
+      console.log(`   Products with dates found: ${progress.datesFound}`);
+
+      phase3Controller.sendProgressUpdate(jobId, {
+        ...progress,
+        type: 'RESEARCH_COMPLETE',
+        status: 'completed',
+        current: progress.total,
+        currentProduct: 'Complete',
+        researchingProduct: null,
+        researchingProducts: [],
+        message: `Research completed: ${progress.successful} successful, ${progress.failed} failed, ${progress.datesFound} products with dates`,
+        updateHistory: run.updateHistory.slice(-this.HISTORY_SIZE),
+        cacheStats: run.useCache ? { ...run.cacheStats } : undefined,
+        completed: true
+      });
+
+    } catch (error) {
+      console.error(`Phase 3 research failed for job ${jobId}:`, error);
+
+      try {
+        await db.query(
+          `UPDATE phase3_jobs SET status = 'failed', error_message = $2
+           WHERE job_id = $1 AND worker_id = $3`,
+          [jobId, error.message, this.workerId]
+        );
+      } catch (updateError) {
+        console.error('Failed to update job status:', updateError);
+      }
+
+      phase3Controller.sendProgressUpdate(jobId, {
+        status: 'failed',
+        researchingProduct: null,
+        message: `Research failed: ${error.message}`,
+        error: error.message
+      });
+
+    } finally {
+      if (heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+      }
+      this.activeJobs.delete(jobId);
+    }
+  }
+
+  /**
+   * One worker of a job: takes pending products until none are left or the job stops
+   */
+  async runWorker(run, phase3Controller) {
+    const { jobId } = run;
+
+    while (run.pending.length > 0 && !run.stoppedStatus) {
+      // Pause and cancel requests are picked up between products
+      const stateResult = await db.query('SELECT status, worker_id FROM phase3_jobs WHERE job_id = $1', [jobId]);
+      const state = stateResult.rows[0];
+      if (!state || state.status !== 'running' || state.worker_id !== this.workerId) {
+        run.stoppedStatus = run.stoppedStatus || (state ? state.status : 'cancelled');
+        break;
+      }
+
+      // Another worker may have taken the last product while we were checking
+      const product = run.pending.shift();
+      if (!product) {
+        break;
+      }
+
+      await this.researchOne(run, product, phase3Controller);
+    }
+  }
+
+  /**
+   * Research one product, checkpoint it and report progress
+   */
+  async researchOne(run, product, phase3Controller) {
+    const { jobId, progress, updateHistory, cacheStats } = run;
+
+    run.started++;
+    const productNumber = run.started;
+    run.inFlight.add(product.product_id);
+
+    console.log(`🔍 Starting research for ${product.product_id} (${productNumber}/${progress.total})`);
+
+    phase3Controller.sendProgressUpdate(jobId, {
+      ...progress,
+      status: 'running',
+      current: productNumber,
+      currentProduct: product.product_id,
+      researchingProduct: product.product_id,
+      researchingProducts: [...run.inFlight],
+      message: `Researching ${product.product_id} (${productNumber} of ${progress.total})`,
+      updateHistory: updateHistory.slice(-this.HISTORY_SIZE),
+      cacheStats: run.useCache ? { ...cacheStats } : undefined
+    });
+
+    try {
+      const result = await phase3Controller.researchProduct(product, jobId, run.useCache);
+      run.inFlight.delete(product.product_id);
+
+      if (run.useCache) {
+        if (result.fromCache) cacheStats.hits++;
+        else cacheStats.misses++;
+        cacheStats.hitRate = Math.round((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100);
+      }
+
+      const foundDates = {
+        end_of_sale: !!result.end_of_sale_date,
+        end_of_sw_maintenance: !!result.end_of_sw_maintenance_date,
+        end_of_sw_vulnerability: !!result.end_of_sw_vulnerability_maintenance_date,
+        last_day_of_support: !!result.last_day_of_support_date
+      };
+      const datesFoundForProduct = Object.values(foundDates).filter(v => v).length;
+
+      progress.processed++;
+      progress.successful++;
+      if (datesFoundForProduct > 0) {
+        progress.datesFound++;
+      }
+
+      console.log(`✅ Successfully researched ${product.product_id} - Found ${datesFoundForProduct} dates`);
+
+      updateHistory.push({
+        product_id: product.product_id,
+        success: true,
+        datesFound: datesFoundForProduct,
+        timestamp: new Date().toISOString()
+      });
+
+      phase3Controller.sendProgressUpdate(jobId, {
+        ...progress,
+        status: 'running',
+        current: productNumber,
+        currentProduct: product.product_id,
+        researchingProduct: null,
+        researchingProducts: [...run.inFlight],
+        message: `Completed ${product.product_id} (${progress.processed} done, ${progress.datesFound} with dates)`,
+        updateHistory: updateHistory.slice(-this.HISTORY_SIZE),
+        cacheStats: run.useCache ? { ...cacheStats } : undefined,
+        updatedProduct: {
+          product_id: result.product_id,
+          end_of_sale_date: result.end_of_sale_date,
+          end_of_sw_maintenance_date: result.end_of_sw_maintenance_date,
+          end_of_sw_vulnerability_maintenance_date: result.end_of_sw_vulnerability_maintenance_date,
+          last_day_of_support_date: result.last_day_of_support_date,
+          end_of_life_date: result.end_of_life_date,
+          date_introduced: result.date_introduced,
+          lifecycle_status: result.lifecycle_status,
+          risk_level: result.risk_level,
+          ai_enhanced: true,
+          overall_confidence: result.overall_confidence,
+          lifecycle_confidence: result.lifecycle_confidence,
+          requires_review: result.requires_review,
+          data_sources: result.data_sources,
+          foundDates
+        }
+      });
+
+      await this.checkpoint(jobId, product.product_id, { status: 'completed' }, progress);
+
+    } catch (error) {
+      run.inFlight.delete(product.product_id);
+
+      // Out of search quota: leave the product pending and pause until the quota resets
+      if (error.code === 'DAILY_QUOTA_EXCEEDED') {
+        await this.pauseForQuota(run, error);
+        return;
+      }
+
+      console.error(`❌ Failed to research ${product.product_id}:`, error.message);
+
+      await phase3Controller.storeFailedResult(product, jobId);
+
+      progress.processed++;
+      progress.failed++;
+
+      updateHistory.push({
+        product_id: product.product_id,
+        success: false,
+        datesFound: 0,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      phase3Controller.sendProgressUpdate(jobId, {
+        ...progress,
+        status: 'running',
+        current: productNumber,
+        currentProduct: product.product_id,
+        researchingProduct: null,
+        researchingProducts: [...run.inFlight],
+        message: `Failed ${product.product_id} - continuing...`,
+        updateHistory: updateHistory.slice(-this.HISTORY_SIZE),
+        failedProduct: {
+          product_id: product.product_id,
+          error: error.message
+        }
+      });
+
+      await this.checkpoint(jobId, product.product_id, { status: 'failed', error: error.message }, progress);
+    }
+  }
+
+  async pauseForQuota(run, error) {
+    if (run.stoppedStatus) {
+      return;
+    }
+    run.stoppedStatus = 'paused';
+    run.stopReason = `${error.message}. Resume the job after the quota resets.`;
+    console.warn(`⏸️ Pausing job ${run.jobId}: ${error.message}`);
+
+    await db.query(
+      `UPDATE phase3_jobs SET status = 'paused', paused_at = NOW(), error_message = $2
+       WHERE job_id = $1 AND worker_id = $3`,
+      [run.jobId, run.stopReason, this.workerId]
+    );
+  }
+
+  normalizeConcurrency(value) {
+    const concurrency = parseInt(value) || this.DEFAULT_CONCURRENCY;
+    return Math.min(Math.max(concurrency, 1), this.MAX_CONCURRENCY);
+  }
+
+  /**
+   * Mark a job completed and store its final statistics
+   */
+  async complete(jobId, progress) {
+    const confidenceResult = await db.query(
+      `SELECT ROUND(AVG(overall_confidence)) AS avg_confidence
+       FROM phase3_analysis
+       WHERE job_id = $1 AND research_status = 'completed'`,
+      [jobId]
+    );
+    const avgConfidence = parseInt(confidenceResult.rows[0].avg_confidence) || 0;
+
+    await db.query(
+      `UPDATE phase3_jobs
+       SET status = 'completed',
+           processed_products = $2,
+           successful_products = $3,
+           failed_products = $4,
+           dates_found = $5,
+           products_researched = $6,
+           products_enhanced = $3,
+           products_no_data_found = $4,
+           avg_confidence_score = $7,
+           research_completed_at = NOW(),
+           completed_at = NOW()
+       WHERE job_id = $1 AND worker_id = $8`,
+      [jobId, progress.processed, progress.successful, progress.failed, progress.datesFound,
+        progress.total, avgConfidence, this.workerId]
+    );
+  }
+}
+
+module.exports = new Phase3ResearchQueue();
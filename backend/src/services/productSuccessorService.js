@@ -0,0 +1,231 @@
+// productSuccessorService.js
+// Catalog of replacement products for end-of-life products
+// Enriches Phase 3 results and the lifecycle report with a concrete successor
+// part and the quantity needed to replace the installed base
+
+const Papa = require('papaparse');
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+
+const ensureSchema = () => ensureMigration('20261019_product_successors.sql');
+
+// Catalog CSV headers, compared after lower-casing and removing non-alphanumerics
+const CSV_COLUMNS = {
+  product_id: ['productid', 'pid', 'partnumber', 'eolproduct', 'eolproductid'],
+  successor_product_id: ['successorproductid', 'successor', 'replacementproductid', 'replacement', 'replacementpid'],
+  quantity_ratio: ['quantityratio', 'ratio', 'quantityperunit', 'qtyratio'],
+  notes: ['notes', 'note', 'comment', 'comments']
+};
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeProductId = (productId) => String(productId || '').trim().toUpperCase();
+
+class ProductSuccessorService {
+  /**
+   * Catalog entries, optionally for one product
+   * @param {Object} filters - { productId }
+   */
+  async list({ productId } = {}) {
+    await ensureSchema();
+    const params = [];
+    let where = '';
+    if (productId) {
+      params.push(normalizeProductId(productId));
+      where = 'WHERE product_id = $1 OR successor_product_id = $1';
+    }
+
+    const result = await db.query(
+      `SELECT * FROM product_successors
+       ${where}
+       ORDER BY product_id ASC, successor_product_id ASC`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Add or replace successor mappings
+   * @param {Array<Object>} entries - { product_id, successor_product_id, quantity_ratio, notes }
+   * @returns {Object} { saved, errors }
+   */
+  async upsertEntries(entries) {
+    await ensureSchema();
+    const saved = [];
+    const errors = [];
+
+    for (const [index, entry] of (entries || []).entries()) {
+      const normalized = this.normalizeEntry(entry);
+      if (normalized.error) {
+        errors.push({ index, error: normalized.error });
+        continue;
+      }
+
+      const result = await db.query(
+        `INSERT INTO product_successors (product_id, successor_product_id, quantity_ratio, notes)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (product_id, successor_product_id)
+         DO UPDATE SET
+           quantity_ratio = EXCLUDED.quantity_ratio,
+           notes = EXCLUDED.notes,
+           updated_at = NOW()
+         RETURNING *`,
+        [normalized.product_id, normalized.successor_product_id, normalized.quantity_ratio, normalized.notes]
+      );
+      saved.push(result.rows[0]);
+    }
+
+    if (saved.length > 0) {
+      console.log(`🔁 Saved ${saved.length} product successor mappings`);
+    }
+    return { saved, errors };
+  }
+
+  /**
+   * Import successor mappings from a CSV file, one row per product/successor pair
+   * Columns: product_id, successor_product_id, and optionally quantity_ratio and notes
+   */
+  async importCsv(buffer) {
+    const parsed = Papa.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+      header: true,
+      skipEmptyLines: true
+    });
+
+    const columnFor = {};
+    (parsed.meta.fields || []).forEach(header => {
+      const field = Object.keys(CSV_COLUMNS).find(key => CSV_COLUMNS[key].includes(normalizeHeader(header)));
+      if (field && !columnFor[field]) {
+        columnFor[field] = header;
+      }
+    });
+
+    if (!columnFor.product_id || !columnFor.successor_product_id) {
+      throw new Error('CSV needs product_id and successor_product_id columns');
+    }
+
+    const entries = parsed.data.map(row => {
+      const entry = {};
+      Object.entries(columnFor).forEach(([field, header]) => {
+        entry[field] = row[header];
+      });
+      return entry;
+    });
+
+    const { saved, errors } = await this.upsertEntries(entries);
+    return {
+      imported: saved.length,
+      // CSV row numbers count the header row
+      errors: errors.map(({ index, error }) => ({ row: index + 2, error }))
+    };
+  }
+
+  async deleteEntry(entryId) {
+    await ensureSchema();
+    const result = await db.query('DELETE FROM product_successors WHERE id = $1', [entryId]);
+    return result.rowCount > 0;
+  }
+
+  // Validate one mapping and convert it to table columns
+  normalizeEntry(entry) {
+    const productId = normalizeProductId(entry.product_id);
+    const successorId = normalizeProductId(entry.successor_product_id);
+    const hasRatio = entry.quantity_ratio !== undefined && entry.quantity_ratio !== null && entry.quantity_ratio !== '';
+    const ratio = hasRatio ? parseFloat(entry.quantity_ratio) : 1;
+
+    if (!productId || !successorId) {
+      return { error: 'product_id and successor_product_id are required' };
+    }
+    if (productId === successorId) {
+      return { error: 'A product cannot be its own successor' };
+    }
+    if (!Number.isFinite(ratio) || ratio <= 0) {
+      return { error: 'quantity_ratio must be a positive number' };
+    }
+
+    return {
+      product_id: productId,
+      successor_product_id: successorId,
+      quantity_ratio: ratio,
+      notes: entry.notes ? String(entry.notes) : null
+    };
+  }
+
+  /**
+   * Successor mappings for a set of products
+   * @param {Array<string>} productIds
+   * @returns {Map<string, Array<Object>>} Upper-cased product ID -> catalog rows
+   */
+  async findForProducts(productIds) {
+    await ensureSchema();
+    const ids = [...new Set(productIds.map(normalizeProductId).filter(Boolean))];
+    const successors = new Map();
+    if (ids.length === 0) return successors;
+
+    const result = await db.query(
+      `SELECT * FROM product_successors
+       WHERE product_id = ANY($1)
+       ORDER BY successor_product_id ASC`,
+      [ids]
+    );
+
+    result.rows.forEach(row => {
+      if (!successors.has(row.product_id)) {
+        successors.set(row.product_id, []);
+      }
+      successors.get(row.product_id).push(row);
+    });
+    return successors;
+  }
+
+  /**
+   * Successors for one product with the quantity needed for its installed base
+   * @returns {Array<Object>} [{ successor_product_id, quantity_ratio, estimated_quantity, notes }]
+   */
+  describe(product, successorMap) {
+    const quantity = parseInt(product.total_quantity) || 0;
+    return (successorMap.get(normalizeProductId(product.product_id)) || []).map(row => {
+      const ratio = parseFloat(row.quantity_ratio);
+      return {
+        successor_product_id: row.successor_product_id,
+        quantity_ratio: ratio,
+        estimated_quantity: Math.ceil(quantity * ratio),
+        notes: row.notes
+      };
+    });
+  }
+
+  /**
+   * Add a successors array to each product
+   */
+  async attachSuccessors(products) {
+    const successorMap = await this.findForProducts(products.map(product => product.product_id));
+    return products.map(product => ({
+      ...product,
+      successors: this.describe(product, successorMap)
+    }));
+  }
+
+  /**
+   * Replacement lines for a recommendation, one per successor
+   * Products without a catalog entry are listed with a null successor
+   */
+  toReplacements(products) {
+    return products.flatMap(product => {
+      const base = {
+        product_id: product.product_id,
+        quantity: parseInt(product.total_quantity) || 0
+      };
+      if (!product.successors || product.successors.length === 0) {
+        return [{ ...base, successor_product_id: null, estimated_quantity: null, notes: null }];
+      }
+      return product.successors.map(successor => ({
+        ...base,
+        successor_product_id: successor.successor_product_id,
+        estimated_quantity: successor.estimated_quantity,
+        notes: successor.notes
+      }));
+    });
+  }
+}
+
+module.exports = new ProductSuccessorService();
@@ -0,0 +1,567 @@
+// riskEngine.js
+// Single risk scoring model for Phase 2 items, Phase 3 products and the lifecycle reports
+// Scoring is driven by named, versioned profiles; saving a profile creates a new
+// version so a job scored with name@version can always be scored the same way again
+
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+
+const ensureSchema = () => ensureMigration('20261019_risk_profiles.sql');
+
+// Most to least severe
+const LEVELS = ['critical', 'high', 'medium', 'low', 'none'];
+
+// Item fields read for each date factor, first usable value wins
+// Covers both the Phase 2 item shape and the Phase 3 product shape
+const DATE_FIELDS = {
+  end_of_sale: ['end_of_sale_date', 'end_of_sale'],
+  last_day_of_support: ['last_day_of_support_date', 'last_day_support', 'last_day_support_date', 'end_of_life_date', 'end_of_life'],
+  end_of_sw_maintenance: ['end_of_sw_maintenance_date', 'end_of_sw_support'],
+  end_of_sw_vulnerability: ['end_of_sw_vulnerability_maintenance_date', 'end_of_sw_vulnerability']
+};
+
+// Item fields matched against the criticality multiplier keys
+const CRITICALITY_FIELDS = {
+  category: ['category', 'product_category'],
+  asset_type: ['asset_type', 'type', 'product_type']
+};
+
+/**
+ * Built-in profile, used when no saved profile is marked as default
+ *
+ * factors: each factor adds up to `weight` points. A passed date adds
+ *   weight * past.share; a date inside a window adds weight * share of the
+ *   first (smallest) matching window. `minLevel` raises the level to at
+ *   least that value whatever the score. Support coverage states listed in
+ *   expiredValues add the full weight, those in stateShares their share.
+ * thresholds: minimum score for each level; below `low` the level is none
+ * criticality: multipliers applied to the summed points; keys are matched
+ *   case-insensitively as substrings of the item's category or asset type,
+ *   and the largest matching multiplier is used
+ */
+const BUILT_IN_PROFILE = {
+  name: 'standard',
+  version: 1,
+  description: 'Built-in profile',
+  builtIn: true,
+  config: {
+    factors: {
+      support_coverage: {
+        label: 'Support coverage',
+        weight: 30,
+        expiredValues: ['Expired', 'Not Covered'],
+        stateShares: { Expiring: 0.5, Unknown: 0.25 }
+      },
+      end_of_sale: {
+        label: 'End of sale',
+        weight: 10,
+        past: { share: 1 },
+        windows: [{ withinDays: 90, share: 0.5 }]
+      },
+      last_day_of_support: {
+        label: 'Last day of support',
+        weight: 35,
+        past: { share: 1, minLevel: 'critical' },
+        windows: [
+          { withinDays: 180, share: 0.75, minLevel: 'high' },
+          { withinDays: 365, share: 0.5, minLevel: 'medium' },
+          { withinDays: 730, share: 0.25, minLevel: 'low' }
+        ]
+      },
+      end_of_sw_maintenance: {
+        label: 'End of SW maintenance',
+        weight: 10,
+        past: { share: 1 },
+        windows: [
+          { withinDays: 90, share: 0.67 },
+          { withinDays: 180, share: 0.33 }
+        ]
+      },
+      end_of_sw_vulnerability: {
+        label: 'End of security fixes',
+        weight: 15,
+        past: { share: 1, minLevel: 'high' },
+        windows: [
+          { withinDays: 90, share: 0.7 },
+          { withinDays: 180, share: 0.3 }
+        ]
+      },
+      unknown_lifecycle: {
+        label: 'Unknown lifecycle',
+        weight: 15,
+        confidenceBelow: 50,
+        minLevel: 'medium'
+      }
+    },
+    thresholds: { critical: 70, high: 45, medium: 25, low: 10 },
+    criticality: {
+      category: { security: 1.25, firewall: 1.25, router: 1.1, switch: 1.1 },
+      asset_type: {}
+    }
+  }
+};
+
+const DATE_FACTORS = Object.keys(DATE_FIELDS);
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const formatDay = (date) => date.toISOString().split('T')[0];
+
+// Profiles saved before coverage states scored every state but Active as Expired
+const LEGACY_STATE_SHARES = { Expiring: 1, 'Not Covered': 1, Unknown: 1 };
+
+const maxLevel = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return LEVELS.indexOf(a) <= LEVELS.indexOf(b) ? a : b;
+};
+
+class RiskEngine {
+  constructor() {
+    this.LEVELS = LEVELS;
+    this.BUILT_IN_PROFILE = BUILT_IN_PROFILE;
+
+    // Saved versions never change, so lookups by name@version are cached
+    this.versionCache = new Map();
+  }
+
+  // Make sure the profile table and the Phase 3 risk columns exist before writing them
+  ensureSchema() {
+    return ensureSchema();
+  }
+
+  /**
+   * Score one item
+   * @param {Object} item - Phase 2 item or Phase 3 product
+   * @param {Object} profile - Resolved profile ({ name, version, config }); built-in when omitted
+   * @returns {Object} { score, level, factors, explanation, profile }
+   */
+  assess(item, profile = BUILT_IN_PROFILE) {
+    const config = (profile && profile.config) || BUILT_IN_PROFILE.config;
+    const factorConfig = config.factors || {};
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const factors = [];
+    let points = 0;
+    let floorLevel = null;
+    let floorFactor = null;
+
+    const addFactor = (factor, share, detail, minLevel) => {
+      const definition = factorConfig[factor];
+      const factorPoints = Math.round((definition.weight || 0) * share * 10) / 10;
+      factors.push({ factor, label: definition.label || factor, points: factorPoints, detail });
+      points += factorPoints;
+      if (minLevel && maxLevel(floorLevel, minLevel) !== floorLevel) {
+        floorLevel = minLevel;
+        floorFactor = definition.label || factor;
+      }
+    };
+
+    // Support coverage
+    const coverage = factorConfig.support_coverage;
+    if (coverage && (item.support_coverage || item.contract_end)) {
+      const state = supportCoverage.currentState(item, { asOf: today });
+      const expired = (coverage.expiredValues || [])
+        .some(value => String(value).toLowerCase() === state.toLowerCase());
+      const share = expired ? 1 : (coverage.stateShares || LEGACY_STATE_SHARES)[state];
+      if (share) {
+        const contractEnd = dateParser.toDate(item.contract_end);
+        let detail = `Support coverage is ${state}`;
+        if (contractEnd && state === 'Expired') {
+          detail = `Support contract ended on ${formatDay(contractEnd)}`;
+        } else if (contractEnd && state === 'Expiring') {
+          detail = `Support contract ends in ${Math.round((contractEnd - today) / MS_PER_DAY)} days (${formatDay(contractEnd)})`;
+        }
+        addFactor('support_coverage', share, detail, expired ? coverage.minLevel : undefined);
+      }
+    }
+
+    // Lifecycle dates
+    let knownDates = 0;
+    DATE_FACTORS.forEach(factor => {
+      const definition = factorConfig[factor];
+      const date = DATE_FIELDS[factor].map(field => dateParser.toDate(item[field])).find(Boolean);
+      if (!date) return;
+      knownDates++;
+      if (!definition) return;
+
+      const days = Math.floor((date - today) / MS_PER_DAY);
+      const label = definition.label || factor;
+      if (days < 0) {
+        if (definition.past) {
+          addFactor(factor, definition.past.share, `${label} passed on ${formatDay(date)}`, definition.past.minLevel);
+        }
+        return;
+      }
+
+      const window = (definition.windows || [])
+        .slice()
+        .sort((a, b) => a.withinDays - b.withinDays)
+        .find(candidate => days <= candidate.withinDays);
+      if (window) {
+        addFactor(factor, window.share, `${label} in ${days} days (${formatDay(date)})`, window.minLevel);
+      }
+    });
+
+    // No lifecycle dates and research was not confident about the product
+    const unknown = factorConfig.unknown_lifecycle;
+    const confidence = parseFloat(item.overall_confidence);
+    if (unknown && knownDates === 0 && !isNaN(confidence) && confidence < unknown.confidenceBelow) {
+      addFactor('unknown_lifecycle', 1, `No lifecycle dates found (confidence ${Math.round(confidence)}%)`, unknown.minLevel);
+    }
+
+    // Criticality multiplier
+    const multiplier = this.getCriticalityMultiplier(item, config.criticality);
+    if (multiplier.value !== 1 && points > 0) {
+      factors.push({
+        factor: 'criticality',
+        label: 'Criticality',
+        multiplier: multiplier.value,
+        detail: `${multiplier.match} ×${multiplier.value}`
+      });
+    }
+
+    const score = Math.min(100, Math.round(points * multiplier.value));
+    const scoredLevel = this.levelForScore(score, config.thresholds);
+    const level = maxLevel(scoredLevel, floorLevel) || 'none';
+
+    if (level !== scoredLevel) {
+      factors.push({
+        factor: 'minimum_level',
+        label: 'Minimum level',
+        points: 0,
+        detail: `Raised from ${scoredLevel} to ${level} by ${floorFactor}`
+      });
+    }
+
+    return {
+      score,
+      level,
+      factors,
+      explanation: this.explain(factors),
+      profile: this.profileLabel(profile)
+    };
+  }
+
+  /**
+   * Score items and copy the result onto each of them
+   * Sets risk_score, risk_level, risk_factors, risk_explanation and risk_profile
+   */
+  scoreAll(items, profile = BUILT_IN_PROFILE) {
+    return items.map(item => {
+      const risk = this.assess(item, profile);
+      return {
+        ...item,
+        risk_score: risk.score,
+        risk_level: risk.level,
+        risk_factors: risk.factors,
+        risk_explanation: risk.explanation,
+        risk_profile: risk.profile
+      };
+    });
+  }
+
+  /**
+   * Count items per risk level
+   * @returns {Object} { critical, high, medium, low, none }
+   */
+  countLevels(items) {
+    const counts = { critical: 0, high: 0, medium: 0, low: 0, none: 0 };
+    items.forEach(item => {
+      counts[LEVELS.includes(item.risk_level) ? item.risk_level : 'none']++;
+    });
+    return counts;
+  }
+
+  levelForScore(score, thresholds = BUILT_IN_PROFILE.config.thresholds) {
+    return LEVELS.find(level => level !== 'none' && isNumber(thresholds[level]) && score >= thresholds[level]) || 'none';
+  }
+
+  /**
+   * One line describing the factors, e.g.
+   * "Last day of support passed on 2024-01-31 (+35); Security ×1.25"
+   */
+  explain(factors) {
+    if (typeof factors === 'string') {
+      try {
+        factors = JSON.parse(factors);
+      } catch {
+        return '';
+      }
+    }
+    if (!Array.isArray(factors) || factors.length === 0) return '';
+
+    return factors
+      .map(factor => (factor.points ? `${factor.detail} (+${factor.points})` : factor.detail))
+      .join('; ');
+  }
+
+  getCriticalityMultiplier(item, criticality = {}) {
+    let best = { value: 1, match: null };
+
+    Object.entries(CRITICALITY_FIELDS).forEach(([group, fields]) => {
+      const multipliers = criticality[group] || {};
+      const text = fields.map(field => item[field]).filter(Boolean).join(' ').toLowerCase();
+      if (!text) return;
+
+      Object.entries(multipliers).forEach(([key, value]) => {
+        if (text.includes(key.toLowerCase()) && value > best.value) {
+          best = { value, match: `${group === 'category' ? 'Category' : 'Asset type'} "${key}"` };
+        }
+      });
+    });
+
+    return best;
+  }
+
+  profileLabel(profile) {
+    const resolved = profile || BUILT_IN_PROFILE;
+    return `${resolved.name}@${resolved.version}`;
+  }
+
+  // Reference stored on jobs
+  toSelection(profile) {
+    return { name: profile.name, version: profile.version };
+  }
+
+  /**
+   * Check a profile config before it is saved
+   * @returns {Array<string>} Errors; empty when the config is usable
+   */
+  validateConfig(config) {
+    const errors = [];
+    if (!isPlainObject(config)) {
+      return ['Profile config must be an object'];
+    }
+
+    const checkMinLevel = (minLevel, where) => {
+      if (minLevel !== undefined && !LEVELS.includes(minLevel)) {
+        errors.push(`${where}: minLevel must be one of ${LEVELS.join(', ')}`);
+      }
+    };
+
+    Object.entries(config.factors || {}).forEach(([factor, definition]) => {
+      if (!isPlainObject(BUILT_IN_PROFILE.config.factors[factor])) {
+        errors.push(`Unknown factor "${factor}"`);
+        return;
+      }
+      if (!isPlainObject(definition)) {
+        errors.push(`Factor "${factor}" must be an object`);
+        return;
+      }
+      if (definition.weight !== undefined && (!isNumber(definition.weight) || definition.weight < 0)) {
+        errors.push(`Factor "${factor}": weight must be a number of at least 0`);
+      }
+      checkMinLevel(definition.minLevel, `Factor "${factor}"`);
+      if (definition.past !== undefined) {
+        if (!isPlainObject(definition.past) || !isNumber(definition.past.share)) {
+          errors.push(`Factor "${factor}": past.share must be a number`);
+        } else {
+          checkMinLevel(definition.past.minLevel, `Factor "${factor}" past`);
+        }
+      }
+      if (definition.stateShares !== undefined) {
+        if (!isPlainObject(definition.stateShares) || Object.entries(definition.stateShares)
+          .some(([state, share]) => !supportCoverage.STATES.includes(state) || !isNumber(share) || share < 0 || share > 1)) {
+          errors.push(`Factor "${factor}": stateShares must map ${supportCoverage.STATES.join(', ')} to numbers from 0 to 1`);
+        }
+      }
+      if (definition.windows !== undefined) {
+        if (!Array.isArray(definition.windows)) {
+          errors.push(`Factor "${factor}": windows must be an array`);
+        } else {
+          definition.windows.forEach((window, index) => {
+            if (!isPlainObject(window) || !isNumber(window.withinDays) || window.withinDays < 0 || !isNumber(window.share)) {
+              errors.push(`Factor "${factor}" window ${index + 1}: withinDays and share must be numbers`);
+            } else {
+              checkMinLevel(window.minLevel, `Factor "${factor}" window ${index + 1}`);
+            }
+          });
+        }
+      }
+    });
+
+    if (config.thresholds !== undefined) {
+      const thresholds = config.thresholds;
+      const ordered = LEVELS.filter(level => level !== 'none');
+      if (!isPlainObject(thresholds) || ordered.some(level => thresholds[level] !== undefined && !isNumber(thresholds[level]))) {
+        errors.push('Thresholds must be numbers keyed by critical, high, medium and low');
+      } else {
+        const merged = { ...BUILT_IN_PROFILE.config.thresholds, ...thresholds };
+        for (let i = 1; i < ordered.length; i++) {
+          if (merged[ordered[i]] > merged[ordered[i - 1]]) {
+            errors.push(`Threshold for ${ordered[i]} must not be above the threshold for ${ordered[i - 1]}`);
+          }
+        }
+      }
+    }
+
+    Object.entries(config.criticality || {}).forEach(([group, multipliers]) => {
+      if (!CRITICALITY_FIELDS[group]) {
+        errors.push(`Unknown criticality group "${group}" (use category or asset_type)`);
+      } else if (!isPlainObject(multipliers) || Object.values(multipliers).some(value => !isNumber(value) || value <= 0)) {
+        errors.push(`Criticality multipliers for ${group} must be positive numbers`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Fill in everything a partial config leaves out from the built-in profile,
+   * so a saved version is complete and does not change if the built-in does
+   */
+  completeConfig(config = {}) {
+    const defaults = BUILT_IN_PROFILE.config;
+    const factors = {};
+    Object.entries(defaults.factors).forEach(([factor, definition]) => {
+      factors[factor] = { ...definition, ...((config.factors || {})[factor] || {}) };
+    });
+
+    return {
+      factors,
+      thresholds: { ...defaults.thresholds, ...(config.thresholds || {}) },
+      criticality: {
+        category: { ...((config.criticality || {}).category || defaults.criticality.category) },
+        asset_type: { ...((config.criticality || {}).asset_type || defaults.criticality.asset_type) }
+      }
+    };
+  }
+
+  /**
+   * Every saved version, newest first, after the built-in profile
+   */
+  async listProfiles() {
+    await ensureSchema();
+    const result = await db.query('SELECT * FROM risk_profiles ORDER BY name ASC, version DESC');
+    const hasDefault = result.rows.some(row => row.is_default);
+    return [
+      { ...BUILT_IN_PROFILE, is_default: !hasDefault },
+      ...result.rows
+    ];
+  }
+
+  /**
+   * Resolve a profile selection
+   * @param {Object} selection - { name, version }; latest version when version is omitted,
+   *   the default profile when name is omitted
+   * @returns {Object|null} Profile, or null when a named profile does not exist
+   */
+  async getProfile(selection = {}) {
+    await ensureSchema();
+    const { name, version } = selection || {};
+
+    if (!name) {
+      const result = await db.query(
+        'SELECT * FROM risk_profiles WHERE is_default = true ORDER BY version DESC LIMIT 1'
+      );
+      return result.rows[0] || BUILT_IN_PROFILE;
+    }
+
+    const requestedVersion = parseInt(version) || null;
+    const cacheKey = `${name}@${requestedVersion}`;
+    if (requestedVersion && this.versionCache.has(cacheKey)) {
+      return this.versionCache.get(cacheKey);
+    }
+
+    const result = requestedVersion
+      ? await db.query('SELECT * FROM risk_profiles WHERE name = $1 AND version = $2', [name, requestedVersion])
+      : await db.query('SELECT * FROM risk_profiles WHERE name = $1 ORDER BY version DESC LIMIT 1', [name]);
+
+    let profile = result.rows[0] || null;
+    if (!profile && name === BUILT_IN_PROFILE.name && (!requestedVersion || requestedVersion === BUILT_IN_PROFILE.version)) {
+      profile = BUILT_IN_PROFILE;
+    }
+
+    if (profile && requestedVersion) {
+      this.versionCache.set(cacheKey, profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Profile a Phase 3 job was set up with
+   */
+  async getPhase3JobProfile(jobId) {
+    await ensureSchema();
+    const result = await db.query(
+      'SELECT risk_profile_name, risk_profile_version FROM phase3_jobs WHERE job_id = $1',
+      [jobId]
+    );
+    const job = result.rows[0];
+    const profile = job && job.risk_profile_name
+      ? await this.getProfile({ name: job.risk_profile_name, version: job.risk_profile_version })
+      : null;
+    return profile || this.getProfile();
+  }
+
+  async setPhase3JobProfile(jobId, profile) {
+    await ensureSchema();
+    await db.query(
+      'UPDATE phase3_jobs SET risk_profile_name = $2, risk_profile_version = $3 WHERE job_id = $1',
+      [jobId, profile.name, profile.version]
+    );
+  }
+
+  /**
+   * Save a profile as the next version of its name
+   * @param {Object} profile - { name, description, config, isDefault }
+   */
+  async createProfile({ name, description, config, isDefault = false }) {
+    await ensureSchema();
+    const profileName = name.trim();
+
+    const current = await db.query(
+      'SELECT COALESCE(MAX(version), 0) AS version FROM risk_profiles WHERE name = $1',
+      [profileName]
+    );
+    // The built-in profile already uses standard@1
+    const floor = profileName === BUILT_IN_PROFILE.name ? BUILT_IN_PROFILE.version : 0;
+    const version = Math.max(parseInt(current.rows[0].version), floor) + 1;
+
+    const result = await db.query(
+      `INSERT INTO risk_profiles (name, version, description, config)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [profileName, version, description || null, JSON.stringify(this.completeConfig(config))]
+    );
+
+    console.log(`⚖️ Saved risk profile ${profileName}@${version}`);
+
+    if (isDefault) {
+      return this.setDefault(profileName, version);
+    }
+    return result.rows[0];
+  }
+
+  /**
+   * Make one version the default; the built-in profile becomes the default
+   * again when it is selected
+   */
+  async setDefault(name, version) {
+    await ensureSchema();
+
+    if (name === BUILT_IN_PROFILE.name && parseInt(version) === BUILT_IN_PROFILE.version) {
+      await db.query('UPDATE risk_profiles SET is_default = false WHERE is_default = true');
+      return { ...BUILT_IN_PROFILE, is_default: true };
+    }
+
+    const profile = await this.getProfile({ name, version });
+    if (!profile || profile.builtIn) return null;
+
+    await db.query(
+      'UPDATE risk_profiles SET is_default = (name = $1 AND version = $2)',
+      [profile.name, profile.version]
+    );
+    return { ...profile, is_default: true };
+  }
+}
+
+module.exports = new RiskEngine();
@@ -0,0 +1,137 @@
+// searchRateLimiter.js
+// Shared token-bucket limiter for Google Custom Search API calls
+// Every request made by googleAIResearchService takes a token first, so parallel
+// research workers together stay under the QPS limit and the daily quota.
+// The bucket and the day's usage live in the database and are only changed by
+// single conditional statements, so every instance draws from the same counts
+
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+
+const API_NAME = 'google_cse';
+
+class SearchRateLimiter {
+  constructor() {
+    // Sustained requests per second and the burst allowed on top of it
+    this.QPS = parseFloat(process.env.GOOGLE_CSE_QPS) || 5;
+    this.BURST = Math.max(1, parseInt(process.env.GOOGLE_CSE_BURST) || Math.floor(this.QPS));
+
+    // Queries per day; Google resets the quota at midnight Pacific time
+    this.DAILY_QUOTA = parseInt(process.env.GOOGLE_CSE_DAILY_QUOTA) || 10000;
+    this.QUOTA_TIMEZONE = 'America/Los_Angeles';
+
+    // Usage as of this instance's last call, for logging
+    this.quotaDay = null;
+    this.usedToday = 0;
+
+    // This instance's waiters are served in order so tokens are handed out fairly
+    this.waitQueue = Promise.resolve();
+    this.ready = null;
+  }
+
+  /**
+   * Wait for a token before making one API call
+   * @throws {Error} code DAILY_QUOTA_EXCEEDED when today's quota is used up
+   */
+  acquire() {
+    const turn = this.waitQueue.then(() => this._takeToken());
+    this.waitQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Current limiter state for status endpoints
+   */
+  async getStatus() {
+    await this._ensureSchema();
+    const today = this._currentQuotaDay();
+    const result = await db.query(
+      'SELECT calls FROM search_api_usage WHERE api = $1 AND usage_date = $2',
+      [API_NAME, today]
+    );
+    const usedToday = result.rows.length > 0 ? result.rows[0].calls : 0;
+    return {
+      qps: this.QPS,
+      burst: this.BURST,
+      dailyQuota: this.DAILY_QUOTA,
+      usedToday,
+      remainingToday: Math.max(0, this.DAILY_QUOTA - usedToday),
+      quotaDay: today
+    };
+  }
+
+  async _takeToken() {
+    await this._ensureSchema();
+    await this._reserveDailyCall();
+
+    while (!(await this._takeBucketToken())) {
+      await new Promise(resolve => setTimeout(resolve, Math.ceil(1000 / this.QPS)));
+    }
+  }
+
+  // Count one call against today's quota, unless the quota is used up
+  async _reserveDailyCall() {
+    const today = this._currentQuotaDay();
+    const result = await db.query(
+      `INSERT INTO search_api_usage (api, usage_date, calls)
+       VALUES ($1, $2, 1)
+       ON CONFLICT (api, usage_date)
+       DO UPDATE SET calls = search_api_usage.calls + 1, updated_at = NOW()
+       WHERE search_api_usage.calls < $3
+       RETURNING calls`,
+      [API_NAME, today, this.DAILY_QUOTA]
+    );
+
+    if (this.quotaDay !== today) {
+      console.log(`🔑 Search quota for ${today}: ${result.rows.length > 0 ? result.rows[0].calls : this.DAILY_QUOTA}/${this.DAILY_QUOTA} used`);
+    }
+    this.quotaDay = today;
+
+    if (result.rows.length === 0) {
+      this.usedToday = this.DAILY_QUOTA;
+      const error = new Error(`Daily search quota of ${this.DAILY_QUOTA} queries reached for ${today}`);
+      error.code = 'DAILY_QUOTA_EXCEEDED';
+      throw error;
+    }
+    this.usedToday = result.rows[0].calls;
+  }
+
+  // Refill the shared bucket for the time since it was last refilled and take
+  // a token if one is there; the row lock makes concurrent takers queue up
+  async _takeBucketToken() {
+    const result = await db.query(
+      `UPDATE search_api_buckets
+       SET tokens = LEAST($2::float8, tokens + EXTRACT(EPOCH FROM clock_timestamp() - refilled_at) * $3::float8) - 1,
+           refilled_at = clock_timestamp()
+       WHERE api = $1
+       AND LEAST($2::float8, tokens + EXTRACT(EPOCH FROM clock_timestamp() - refilled_at) * $3::float8) >= 1
+       RETURNING tokens`,
+      [API_NAME, this.BURST, this.QPS]
+    );
+    return result.rows.length > 0;
+  }
+
+  _currentQuotaDay() {
+    // en-CA formats as YYYY-MM-DD
+    return new Date().toLocaleDateString('en-CA', { timeZone: this.QUOTA_TIMEZONE });
+  }
+
+  // Create the usage tables and the shared bucket once per process
+  _ensureSchema() {
+    if (!this.ready) {
+      this.ready = ensureMigration('20261019_research_rate_limits.sql')
+        .then(() => db.query(
+          `INSERT INTO search_api_buckets (api, tokens) VALUES ($1, $2)
+           ON CONFLICT (api) DO NOTHING`,
+          [API_NAME, this.BURST]
+        ))
+        .catch(error => {
+          this.ready = null;
+          throw error;
+        });
+    }
+    return this.ready;
+  }
+}
+
+module.exports = new SearchRateLimiter();
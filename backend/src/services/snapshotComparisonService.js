@@ -0,0 +1,311 @@
+// snapshotComparisonService.js
+// Compares two analysis runs for the same customer (Phase 2 or Phase 3 jobs)
+// product by product: what was added or retired, quantities, lifecycle dates
+// that moved, risk level transitions and the change in overall health score
+
+const db = require('../database/dbConnection');
+const jobStorage = require('../utils/jobStorage');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+const riskEngine = require('./riskEngine');
+const lifecycleAnalysisService = require('./lifecycleAnalysisService');
+const LifecycleStatisticsCalculator = require('./lifecycleStatisticsCalculator');
+const LifecycleReportOrchestrator = require('./lifecycleReportOrchestrator');
+
+// Lifecycle dates compared between snapshots, as phase3_analysis columns
+const DATE_FIELDS = [
+  { field: 'end_of_sale_date', label: 'End of Sale' },
+  { field: 'end_of_sw_maintenance_date', label: 'End of SW Maintenance' },
+  { field: 'end_of_sw_vulnerability_maintenance_date', label: 'End of SW Vulnerability' },
+  { field: 'last_day_of_support_date', label: 'Last Day of Support' }
+];
+
+// Phase 2 item fields that feed the phase3_analysis date columns
+const PHASE2_DATE_FIELDS = {
+  end_of_sale_date: 'end_of_sale',
+  end_of_sw_maintenance_date: 'end_of_sw_support',
+  end_of_sw_vulnerability_maintenance_date: 'end_of_sw_vulnerability',
+  last_day_of_support_date: 'last_day_support'
+};
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const normalizeProductId = (productId) => String(productId || '').trim().toUpperCase();
+
+const normalizeCustomer = (name) => String(name || '').trim().toLowerCase();
+
+const toDay = (value) => dateParser.formatDate(value) || null;
+
+// Worse of two risk levels ('critical' first in riskEngine.LEVELS)
+const worseLevel = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  return riskEngine.LEVELS.indexOf(a) <= riskEngine.LEVELS.indexOf(b) ? a : b;
+};
+
+class SnapshotComparisonService {
+  constructor() {
+    this.statsCalculator = new LifecycleStatisticsCalculator();
+    this.orchestrator = new LifecycleReportOrchestrator();
+  }
+
+  /**
+   * Phase 2 and Phase 3 jobs that can be compared for a customer, newest first
+   */
+  async listSnapshots(customerName) {
+    const customer = normalizeCustomer(customerName);
+    const snapshots = [];
+
+    const phase2Jobs = await jobStorage.getAll({ includeItems: false });
+    phase2Jobs
+      .filter(job => job.phase1Reference && normalizeCustomer(job.customerName) === customer)
+      .forEach(job => {
+        snapshots.push({
+          job_id: job.jobId,
+          phase: 2,
+          customer_name: job.customerName,
+          created_at: job.timestamp,
+          item_count: job.summary ? job.summary.totalItems : null
+        });
+      });
+
+    const phase3Result = await db.query(
+      `SELECT job_id, customer_name, status, product_count, created_at
+       FROM phase3_jobs
+       WHERE LOWER(TRIM(customer_name)) = $1`,
+      [customer]
+    );
+    phase3Result.rows.forEach(row => {
+      snapshots.push({
+        job_id: row.job_id,
+        phase: 3,
+        customer_name: row.customer_name,
+        created_at: row.created_at,
+        status: row.status,
+        product_count: row.product_count
+      });
+    });
+
+    return snapshots.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+  }
+
+  /**
+   * Products of a Phase 3 job (scored like the lifecycle report) or a Phase 2
+   * job (items rolled up per product), with the job's customer and date
+   * @returns {Object|null} { job_id, phase, customer_name, created_at, products }
+   */
+  async loadSnapshot(jobId) {
+    const phase3Result = await db.query(
+      'SELECT job_id, customer_name, created_at FROM phase3_jobs WHERE job_id = $1',
+      [jobId]
+    );
+    if (phase3Result.rows.length > 0) {
+      const job = phase3Result.rows[0];
+      const data = await this.orchestrator.fetchComprehensiveData(jobId);
+      return {
+        job_id: job.job_id,
+        phase: 3,
+        customer_name: job.customer_name,
+        created_at: job.created_at,
+        products: data.products
+      };
+    }
+
+    const job = await jobStorage.get(jobId);
+    if (!job || !job.phase1Reference) return null;
+    return {
+      job_id: job.jobId,
+      phase: 2,
+      customer_name: job.customerName,
+      created_at: job.timestamp,
+      products: this.rollUpItems(job.items || [])
+    };
+  }
+
+  /**
+   * One product record per product ID from Phase 2 items, shaped like
+   * phase3_analysis rows so both phases compare and score the same way
+   */
+  rollUpItems(items) {
+    const products = new Map();
+
+    items.forEach(item => {
+      const productId = normalizeProductId(item.product_id);
+      if (!productId || productId === '-') return;
+
+      if (!products.has(productId)) {
+        products.set(productId, {
+          product_id: productId,
+          manufacturer: item.mfg && item.mfg !== '-' ? item.mfg : null,
+          product_category: item.category && item.category !== '-' ? item.category : null,
+          description: item.description && item.description !== '-' ? item.description : null,
+          total_quantity: 0,
+          risk_level: null,
+          support_coverage_states: {},
+          ...Object.fromEntries(DATE_FIELDS.map(({ field }) => [field, null]))
+        });
+      }
+
+      const product = products.get(productId);
+      product.total_quantity += parseInt(item.qty) || 0;
+      product.risk_level = worseLevel(product.risk_level, item.risk_level || 'none');
+      supportCoverage.addQuantity(product.support_coverage_states, item);
+      // Earliest date across the product's line items
+      DATE_FIELDS.forEach(({ field }) => {
+        const day = toDay(item[PHASE2_DATE_FIELDS[field]]);
+        if (day && (!product[field] || day < product[field])) {
+          product[field] = day;
+        }
+      });
+    });
+
+    return [...products.values()].map(product => {
+      const lifecycleStatus = lifecycleAnalysisService.getLifecycleStatus(product);
+      return {
+        ...product,
+        lifecycle_status: lifecycleStatus === 'End of Life' ? 'EOL' : lifecycleStatus,
+        support_coverage_percentage: lifecycleAnalysisService.calculateSupportCoverage(product)
+      };
+    });
+  }
+
+  // Overall health score of a snapshot, as in the lifecycle report
+  async healthScore(products) {
+    if (products.length === 0) return null;
+    const statistics = await this.statsCalculator.calculateAll({ products, categoryStats: [], manufacturerStats: [] });
+    return statistics.overallHealthScore;
+  }
+
+  /**
+   * Compare a baseline snapshot with a later one
+   * Both jobs must belong to the same customer
+   * @returns {Object} { baseline, current, summary, added, retired, quantity_changes, date_changes, risk_transitions }
+   */
+  async compare(baselineJobId, currentJobId) {
+    const [baseline, current] = await Promise.all([
+      this.loadSnapshot(baselineJobId),
+      this.loadSnapshot(currentJobId)
+    ]);
+
+    if (!baseline || !current) {
+      const error = new Error(`Job ${!baseline ? baselineJobId : currentJobId} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+    if (normalizeCustomer(baseline.customer_name) !== normalizeCustomer(current.customer_name)) {
+      const error = new Error(`Jobs belong to different customers (${baseline.customer_name} and ${current.customer_name})`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const before = new Map(baseline.products.map(product => [normalizeProductId(product.product_id), product]));
+    const after = new Map(current.products.map(product => [normalizeProductId(product.product_id), product]));
+
+    const describe = (product) => ({
+      product_id: normalizeProductId(product.product_id),
+      manufacturer: product.manufacturer || null,
+      description: product.description || null,
+      quantity: parseInt(product.total_quantity) || 0,
+      risk_level: product.risk_level || 'none'
+    });
+
+    const added = [];
+    const retired = [];
+    const quantityChanges = [];
+    const dateChanges = [];
+    const riskTransitions = [];
+
+    after.forEach((product, productId) => {
+      if (!before.has(productId)) added.push(describe(product));
+    });
+
+    before.forEach((previous, productId) => {
+      const product = after.get(productId);
+      if (!product) {
+        retired.push(describe(previous));
+        return;
+      }
+
+      const from = parseInt(previous.total_quantity) || 0;
+      const to = parseInt(product.total_quantity) || 0;
+      if (from !== to) {
+        quantityChanges.push({ product_id: productId, description: product.description || null, from, to, delta: to - from });
+      }
+
+      DATE_FIELDS.forEach(({ field, label }) => {
+        const fromDate = toDay(previous[field]);
+        const toDate = toDay(product[field]);
+        if (fromDate === toDate) return;
+        dateChanges.push({
+          product_id: productId,
+          field,
+          label,
+          from: fromDate,
+          to: toDate,
+          // Positive when the date moved later
+          days: fromDate && toDate ? Math.round((new Date(toDate) - new Date(fromDate)) / MS_PER_DAY) : null
+        });
+      });
+
+      const fromLevel = previous.risk_level || 'none';
+      const toLevel = product.risk_level || 'none';
+      if (fromLevel !== toLevel) {
+        riskTransitions.push({
+          product_id: productId,
+          description: product.description || null,
+          quantity: to,
+          from: fromLevel,
+          to: toLevel,
+          direction: riskEngine.LEVELS.indexOf(toLevel) < riskEngine.LEVELS.indexOf(fromLevel) ? 'worse' : 'better'
+        });
+      }
+    });
+
+    const [baselineHealth, currentHealth] = await Promise.all([
+      this.healthScore(baseline.products),
+      this.healthScore(current.products)
+    ]);
+
+    const totalQuantity = (products) => products.reduce((sum, product) => sum + (parseInt(product.total_quantity) || 0), 0);
+    const snapshotInfo = (snapshot, healthScore) => ({
+      job_id: snapshot.job_id,
+      phase: snapshot.phase,
+      customer_name: snapshot.customer_name,
+      created_at: snapshot.created_at,
+      product_count: snapshot.products.length,
+      total_quantity: totalQuantity(snapshot.products),
+      risk_distribution: riskEngine.countLevels(snapshot.products),
+      health_score: healthScore
+    });
+
+    const transitionCounts = {};
+    riskTransitions.forEach(({ from, to }) => {
+      const key = `${from}->${to}`;
+      transitionCounts[key] = (transitionCounts[key] || 0) + 1;
+    });
+
+    return {
+      baseline: snapshotInfo(baseline, baselineHealth),
+      current: snapshotInfo(current, currentHealth),
+      summary: {
+        products_added: added.length,
+        products_retired: retired.length,
+        quantity_changes: quantityChanges.length,
+        quantity_delta: totalQuantity(current.products) - totalQuantity(baseline.products),
+        dates_moved: dateChanges.length,
+        risk_worsened: riskTransitions.filter(transition => transition.direction === 'worse').length,
+        risk_improved: riskTransitions.filter(transition => transition.direction === 'better').length,
+        risk_transition_counts: transitionCounts,
+        health_score_delta: baselineHealth !== null && currentHealth !== null ? currentHealth - baselineHealth : null
+      },
+      added: added.sort((a, b) => b.quantity - a.quantity),
+      retired: retired.sort((a, b) => b.quantity - a.quantity),
+      quantity_changes: quantityChanges.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta)),
+      date_changes: dateChanges.sort((a, b) => a.product_id.localeCompare(b.product_id)),
+      risk_transitions: riskTransitions.sort((a, b) =>
+        riskEngine.LEVELS.indexOf(a.to) - riskEngine.LEVELS.indexOf(b.to) || b.quantity - a.quantity)
+    };
+  }
+}
+
+module.exports = SnapshotComparisonService;
@@ -0,0 +1,302 @@
+// backend/src/services/streamingFileParser.js
+
+// Row-by-row parsing for inventory files too large to hold in memory.
+// CSV files go through Papa Parse's Node stream and XLSX files through
+// ExcelJS's streaming workbook reader; rows are handed to the caller in
+// chunks and nothing but the current chunk is kept. Binary .xls and .xlsb
+// workbooks have no streaming reader and are parsed whole, then chunked.
+const fs = require('fs');
+const path = require('path');
+const Papa = require('papaparse');
+const ExcelJS = require('exceljs');
+const columnMapper = require('../utils/columnMapper');
+const fileParser = require('./fileParser');
+
+const DEFAULT_CHUNK_SIZE = 5000;
+
+// Binary workbooks that are read whole rather than streamed
+const LEGACY_EXCEL_EXTENSIONS = ['.xls', '.xlsb'];
+
+// Read the file while counting bytes for progress reporting
+const openTracked = (filePath, onProgress) => {
+  const input = fs.createReadStream(filePath);
+  let bytesRead = 0;
+  input.on('data', (chunk) => {
+    bytesRead += chunk.length;
+    if (onProgress) onProgress(bytesRead);
+  });
+  return input;
+};
+
+// Collects rows and flushes them to onChunk in fixed-size batches
+const createBatcher = (chunkSize, onChunk) => {
+  let batch = [];
+  return {
+    async push(row) {
+      batch.push(row);
+      if (batch.length >= chunkSize) {
+        const rows = batch;
+        batch = [];
+        await onChunk(rows);
+      }
+    },
+    async flush() {
+      if (batch.length > 0) {
+        const rows = batch;
+        batch = [];
+        await onChunk(rows);
+      }
+    }
+  };
+};
+
+// Header names as Papa Parse builds them in header mode: trimmed, with
+// repeated names suffixed _1, _2, ...
+const csvHeaders = (cells) => {
+  const seen = {};
+  return cells.map(cell => {
+    const header = String(cell === null || cell === undefined ? '' : cell).trim();
+    if (seen[header] === undefined) {
+      seen[header] = 0;
+      return header;
+    }
+    seen[header]++;
+    return `${header}_${seen[header]}`;
+  });
+};
+
+/**
+ * Stream a CSV file
+ * Rows are read as arrays and keyed by the first line; Papa's header mode re-runs
+ * transformHeader on later stream chunks. Source row numbers count the header line
+ * and blank lines, like the in-memory parser
+ */
+const streamCsv = async (filePath, { chunkSize, maxRows, onHeaders, onChunk, onProgress }) => {
+  const input = openTracked(filePath, onProgress);
+  const parser = input.pipe(Papa.parse(Papa.NODE_STREAM_INPUT, {
+    header: false,
+    dynamicTyping: true,
+    skipEmptyLines: false
+  }));
+
+  const batcher = createBatcher(chunkSize, onChunk);
+  let headers = null;
+  let lineIndex = 0;
+  let rowCount = 0;
+
+  try {
+    for await (const cells of parser) {
+      lineIndex++;
+      if (!headers) {
+        headers = csvHeaders(cells);
+        await onHeaders(headers.filter(Boolean));
+        continue;
+      }
+
+      const hasData = cells.some(value => value !== null && value !== undefined && value !== '');
+      if (!hasData) continue;
+
+      const row = {};
+      headers.forEach((header, index) => {
+        row[header] = cells[index] === undefined ? null : cells[index];
+      });
+      await batcher.push({ ...row, [columnMapper.SOURCE_ROW_KEY]: lineIndex });
+      rowCount++;
+      if (maxRows && rowCount >= maxRows) break;
+    }
+    await batcher.flush();
+  } finally {
+    input.destroy();
+  }
+
+  if (!headers) {
+    throw new Error('No data found in the CSV file');
+  }
+
+  return { rowCount, workbook: null };
+};
+
+// Which worksheets to read; the default is the first visible sheet with data
+const createSheetSelector = (sheetOptions = {}) => {
+  if (sheetOptions.sheets === 'all') {
+    return { wants: (sheet) => sheet.state === 'visible', firstOnly: false, requested: [] };
+  }
+  if (Array.isArray(sheetOptions.sheets) && sheetOptions.sheets.length > 0) {
+    return { wants: (sheet) => sheetOptions.sheets.includes(sheet.name), firstOnly: false, requested: sheetOptions.sheets };
+  }
+  return { wants: (sheet) => sheet.state === 'visible', firstOnly: true, requested: [] };
+};
+
+/**
+ * Stream an XLSX workbook
+ * Each selected sheet gets the same header row detection as fileParser.parseExcelBuffer,
+ * so only its first rows are buffered; later sheets are aligned to the first sheet's columns
+ */
+const streamExcel = async (filePath, { sheetOptions = {}, chunkSize, maxRows, onHeaders, onChunk, onProgress }) => {
+  const input = openTracked(filePath, onProgress);
+  const reader = new ExcelJS.stream.xlsx.WorkbookReader(input, {
+    worksheets: 'emit',
+    sharedStrings: 'cache',
+    styles: 'cache', // Needed to turn date-formatted numbers into dates
+    hyperlinks: 'ignore',
+    entries: 'ignore'
+  });
+
+  const selector = createSheetSelector(sheetOptions);
+  const batcher = createBatcher(chunkSize, onChunk);
+  const sheets = [];
+  const selectedSheets = [];
+  const headerRows = {};
+  const alignedColumns = {};
+  let fieldHeaders = null;
+  let rowCount = 0;
+  let done = false;
+
+  try {
+    for await (const worksheet of reader) {
+      const sheet = { name: worksheet.name, state: worksheet.state || 'visible', rowCount: 0 };
+      sheets.push(sheet);
+
+      // Unselected sheets still have to be read through to reach the next one
+      if (!selector.wants(sheet)) {
+        for await (const row of worksheet) { void row; }
+        continue;
+      }
+
+      const override = parseInt((sheetOptions.headerRows && sheetOptions.headerRows[sheet.name]) || sheetOptions.headerRow) || null;
+      const scanned = [];
+      let headers = null;
+      let renames = {};
+
+      const startSheet = async (headerRowNumber) => {
+        const headerEntry = scanned.find(entry => entry.rowNumber === headerRowNumber);
+        headers = fileParser.buildHeaders(headerEntry ? headerEntry.cells : []);
+        headerRows[sheet.name] = headerRowNumber;
+        selectedSheets.push(sheet.name);
+
+        const names = headers.filter(Boolean);
+        if (!fieldHeaders) {
+          fieldHeaders = columnMapper.detectMapping(names).mapping;
+          await onHeaders(names);
+        } else {
+          renames = fileParser.alignColumns(fieldHeaders, names);
+          if (Object.keys(renames).length > 0) {
+            alignedColumns[sheet.name] = renames;
+          }
+        }
+      };
+
+      const emit = async ({ rowNumber, cells }) => {
+        if (done || rowNumber <= headerRows[sheet.name]) return;
+        const row = fileParser.cellsToRow(headers, cells, sheet.name, rowNumber);
+        if (!row) return;
+        await batcher.push(fileParser.renameColumns(row, renames));
+        sheet.rowCount++;
+        rowCount++;
+        if (maxRows && rowCount >= maxRows) done = true;
+      };
+
+      for await (const row of worksheet) {
+        const cells = [];
+        row.eachCell({ includeEmpty: false }, (cell, colNumber) => {
+          cells[colNumber - 1] = fileParser.cellValue(cell.value);
+        });
+        if (!cells.some(value => value !== null && value !== undefined && String(value).trim() !== '')) continue;
+
+        const entry = { rowNumber: row.number, cells };
+        if (headers) {
+          await emit(entry);
+        } else {
+          scanned.push(entry);
+          if (override ? row.number >= override : scanned.length >= fileParser.HEADER_SCAN_ROWS) {
+            await startSheet(override || fileParser.detectHeaderRow(scanned));
+            for (const buffered of scanned) await emit(buffered);
+          }
+        }
+        if (done) break;
+      }
+
+      // Short sheets end before the scan window fills
+      if (!headers && scanned.length > 0) {
+        await startSheet(override || fileParser.detectHeaderRow(scanned));
+        for (const buffered of scanned) await emit(buffered);
+      }
+
+      console.log(`Sheet "${sheet.name}": header row ${headerRows[sheet.name]}, ${sheet.rowCount} data rows (streamed)`);
+      if (selector.firstOnly && sheet.rowCount > 0) done = true;
+      if (done) break;
+    }
+    await batcher.flush();
+  } finally {
+    input.destroy();
+  }
+
+  const missing = selector.requested.filter(name => !sheets.some(sheet => sheet.name === name));
+  if (missing.length > 0) {
+    const error = new Error(`Worksheet not found: ${missing.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  if (selectedSheets.length === 0) {
+    throw new Error('No data found in the Excel file');
+  }
+
+  return { rowCount, workbook: { sheets, selectedSheets, headerRows, alignedColumns } };
+};
+
+/**
+ * Read a .xls or .xlsb workbook from disk
+ * These formats cannot be read row by row, so the workbook is parsed in one go
+ * by fileParser and its rows are handed out in chunks like the streamed formats
+ */
+const readLegacyExcel = async (filePath, { sheetOptions = {}, chunkSize, maxRows, onHeaders, onChunk, onProgress }) => {
+  const buffer = await fs.promises.readFile(filePath);
+  if (onProgress) onProgress(buffer.length);
+
+  const { rows, ...workbook } = await fileParser.parseExcelBuffer(buffer, sheetOptions);
+  const firstSheet = workbook.sheets.find(sheet => sheet.name === workbook.selectedSheets[0]);
+  await onHeaders(firstSheet ? firstSheet.headers : []);
+
+  const limit = maxRows ? Math.min(maxRows, rows.length) : rows.length;
+  const batcher = createBatcher(chunkSize, onChunk);
+  for (let index = 0; index < limit; index++) {
+    await batcher.push(rows[index]);
+  }
+  await batcher.flush();
+
+  return { rowCount: limit, workbook };
+};
+
+/**
+ * Parse a CSV, XLSX, XLS or XLSB file from disk in chunks
+ * @param {string} filePath - Uploaded file on disk
+ * @param {Object} options - { extension, sheetOptions, chunkSize, maxRows,
+ *   onHeaders(headers), onChunk(rows), onProgress(bytesRead) }; the callbacks may be async
+ * @returns {Object} { rowCount, workbook }
+ */
+const streamFile = async (filePath, options = {}) => {
+  const extension = (options.extension || path.extname(filePath)).toLowerCase();
+  const streamOptions = {
+    chunkSize: DEFAULT_CHUNK_SIZE,
+    onHeaders: async () => {},
+    onChunk: async () => {},
+    ...options
+  };
+
+  if (extension === '.csv') {
+    return streamCsv(filePath, streamOptions);
+  }
+  if (extension === '.xlsx') {
+    return streamExcel(filePath, streamOptions);
+  }
+  if (LEGACY_EXCEL_EXTENSIONS.includes(extension)) {
+    return readLegacyExcel(filePath, streamOptions);
+  }
+  throw new Error(`Streaming is not supported for ${extension} files`);
+};
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE,
+  STREAMABLE_EXTENSIONS: ['.csv', '.xlsx', ...LEGACY_EXCEL_EXTENSIONS],
+  streamFile
+};
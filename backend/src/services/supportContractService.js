@@ -0,0 +1,474 @@
+// supportContractService.js
+// Service contracts of a Phase 2 job and the items they cover
+// Contracts are built from the contract columns of the upload or imported from a
+// separate contracts file, and feed the renewal calendar and the coverage-gap
+// sections of the lifecycle report
+
+const path = require('path');
+const Papa = require('papaparse');
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const jobStorage = require('../utils/jobStorage');
+const dateParser = require('../utils/dateParser');
+const supportCoverage = require('../utils/supportCoverage');
+const { UNASSIGNED_SITE } = require('../utils/rawInventory');
+const { parseExcelBuffer } = require('./fileParser');
+
+const ensureSchema = () => ensureMigration('20261019_support_contracts.sql');
+
+// Contracts file headers, compared after lower-casing and removing non-alphanumerics
+const FILE_COLUMNS = {
+  contract_number: ['contractnumber', 'contractno', 'contractid', 'contract', 'servicecontractnumber', 'agreementnumber', 'agreementid'],
+  service_level: ['servicelevel', 'sla', 'supportlevel', 'coveragelevel', 'servicetype', 'serviceprogram'],
+  start_date: ['startdate', 'contractstartdate', 'contractstart', 'coveragestartdate', 'effectivedate'],
+  end_date: ['enddate', 'contractenddate', 'contractend', 'coverageenddate', 'expirationdate', 'expirydate', 'renewaldate'],
+  product_id: ['productid', 'pid', 'partnumber', 'sku', 'model'],
+  serial_number: ['serialnumber', 'serial', 'serialno', 'sn'],
+  notes: ['notes', 'note', 'comment', 'comments']
+};
+
+const EXCEL_EXTENSIONS = ['.xlsx', '.xls', '.xlsb'];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeKey = (value) => String(value || '').trim().toUpperCase();
+
+const isFilled = (value) => value !== null && value !== undefined && String(value).trim() !== '' && String(value).trim() !== '-';
+
+// YYYY-MM-DD of a date in the server's time zone
+const localIso = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+// YYYY-MM-DD of a cell or column value; pg returns DATE columns as local midnight
+const isoDate = (value) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : localIso(value);
+  return isFilled(value) ? dateParser.formatDate(value) : null;
+};
+
+const daysBetween = (fromIso, toIso) => Math.round((Date.parse(toIso) - Date.parse(fromIso)) / MS_PER_DAY);
+
+class SupportContractService {
+  constructor() {
+    // Months shown in the renewal calendar when a caller does not ask for another span
+    this.RENEWAL_MONTHS = 12;
+  }
+
+  /**
+   * Contracts of a Phase 2 job with the IDs of the items they cover
+   */
+  async getContracts(jobId) {
+    await ensureSchema();
+    const result = await db.query(
+      `SELECT c.id, c.job_id, c.contract_number, c.service_level, c.source, c.notes,
+              TO_CHAR(c.start_date, 'YYYY-MM-DD') AS start_date,
+              TO_CHAR(c.end_date, 'YYYY-MM-DD') AS end_date,
+              c.created_at, c.updated_at,
+              COALESCE(ARRAY_AGG(l.item_id) FILTER (WHERE l.item_id IS NOT NULL), '{}') AS item_ids
+       FROM support_contracts c
+       LEFT JOIN support_contract_items l ON l.contract_id = c.id
+       WHERE c.job_id = $1
+       GROUP BY c.id
+       ORDER BY c.end_date ASC NULLS LAST, c.contract_number ASC`,
+      [jobId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * One contract per contract number in the items' contract columns,
+   * with the earliest start and the latest end date found on its items
+   */
+  contractsFromItems(items) {
+    const contracts = new Map();
+
+    (items || []).forEach(item => {
+      if (!isFilled(item.contract_number)) return;
+      const contractNumber = String(item.contract_number).trim();
+      if (!contracts.has(contractNumber)) {
+        contracts.set(contractNumber, {
+          contract_number: contractNumber,
+          service_level: null,
+          start_date: null,
+          end_date: null,
+          item_ids: []
+        });
+      }
+
+      const contract = contracts.get(contractNumber);
+      const start = isoDate(item.contract_start);
+      const end = isoDate(item.contract_end);
+      if (!contract.service_level && isFilled(item.service_level)) contract.service_level = String(item.service_level).trim();
+      if (start && (!contract.start_date || start < contract.start_date)) contract.start_date = start;
+      if (end && (!contract.end_date || end > contract.end_date)) contract.end_date = end;
+      contract.item_ids.push(String(item.id));
+    });
+
+    return [...contracts.values()];
+  }
+
+  /**
+   * Rebuild the upload contracts of a Phase 2 job from its items
+   * Contracts imported from a file keep their details; only their upload links
+   * are refreshed
+   * @returns {Object} { contracts, linkedItems }
+   */
+  async syncFromItems(job) {
+    await ensureSchema();
+    const contracts = this.contractsFromItems(job.items);
+
+    await db.query(`DELETE FROM support_contract_items WHERE job_id = $1 AND source = 'upload'`, [job.jobId]);
+    // Contracts no longer named by any item
+    await db.query(
+      `DELETE FROM support_contracts
+       WHERE job_id = $1 AND source = 'upload' AND NOT (contract_number = ANY($2::text[]))`,
+      [job.jobId, contracts.map(contract => contract.contract_number)]
+    );
+
+    let linkedItems = 0;
+    for (const contract of contracts) {
+      const result = await db.query(
+        `INSERT INTO support_contracts (job_id, contract_number, service_level, start_date, end_date, source)
+         VALUES ($1, $2, $3, $4, $5, 'upload')
+         ON CONFLICT (job_id, contract_number)
+         DO UPDATE SET
+           service_level = CASE WHEN support_contracts.source = 'upload' THEN EXCLUDED.service_level ELSE support_contracts.service_level END,
+           start_date = CASE WHEN support_contracts.source = 'upload' THEN EXCLUDED.start_date ELSE support_contracts.start_date END,
+           end_date = CASE WHEN support_contracts.source = 'upload' THEN EXCLUDED.end_date ELSE support_contracts.end_date END,
+           updated_at = NOW()
+         RETURNING id`,
+        [job.jobId, contract.contract_number, contract.service_level, contract.start_date, contract.end_date]
+      );
+      linkedItems += await this.linkItems(result.rows[0].id, job.jobId, contract.item_ids, 'upload');
+    }
+
+    if (contracts.length > 0) {
+      console.log(`📑 Synced ${contracts.length} support contracts from the upload of job ${job.jobId}`);
+    }
+    return { contracts: contracts.length, linkedItems };
+  }
+
+  /**
+   * Import contracts from a CSV or Excel file and link them to the job's items
+   * Rows of the same contract number make up one contract; items are linked by
+   * serial number, else by product ID, and always by their own contract number
+   * @returns {Object} { imported, linkedItems, unmatchedContracts, errors }
+   */
+  async importFile(job, buffer, fileName) {
+    const { headers, rows } = await this.readFile(buffer, fileName);
+
+    const columnFor = {};
+    headers.forEach(header => {
+      const field = Object.keys(FILE_COLUMNS).find(key => FILE_COLUMNS[key].includes(normalizeHeader(header)));
+      if (field && !columnFor[field]) {
+        columnFor[field] = header;
+      }
+    });
+
+    if (!columnFor.contract_number) {
+      throw new Error('Contracts file needs a contract number column');
+    }
+
+    const value = (row, field) => (columnFor[field] && isFilled(row[columnFor[field]]) ? String(row[columnFor[field]]).trim() : null);
+    const contracts = new Map();
+    const errors = [];
+
+    rows.forEach((row, index) => {
+      // File row numbers count the header row
+      const rowNumber = row._source_row || index + 2;
+      const contractNumber = value(row, 'contract_number');
+      if (!contractNumber) {
+        errors.push({ row: rowNumber, error: 'Contract number is missing' });
+        return;
+      }
+
+      const dates = {};
+      ['start_date', 'end_date'].forEach(field => {
+        const cell = columnFor[field] ? row[columnFor[field]] : null;
+        dates[field] = isoDate(cell);
+        if (isFilled(cell) && !dates[field]) {
+          errors.push({ row: rowNumber, error: `Could not read ${field.replace('_', ' ')} "${cell}"` });
+        }
+      });
+
+      if (!contracts.has(contractNumber)) {
+        contracts.set(contractNumber, {
+          contract_number: contractNumber,
+          service_level: null,
+          start_date: null,
+          end_date: null,
+          notes: null,
+          productIds: new Set(),
+          serialNumbers: new Set()
+        });
+      }
+
+      const contract = contracts.get(contractNumber);
+      if (!contract.service_level) contract.service_level = value(row, 'service_level');
+      if (!contract.notes) contract.notes = value(row, 'notes');
+      if (dates.start_date && (!contract.start_date || dates.start_date < contract.start_date)) contract.start_date = dates.start_date;
+      if (dates.end_date && (!contract.end_date || dates.end_date > contract.end_date)) contract.end_date = dates.end_date;
+      if (value(row, 'product_id')) contract.productIds.add(normalizeKey(value(row, 'product_id')));
+      if (value(row, 'serial_number')) contract.serialNumbers.add(normalizeKey(value(row, 'serial_number')));
+    });
+
+    await ensureSchema();
+    let linkedItems = 0;
+    let unmatchedContracts = 0;
+
+    for (const contract of contracts.values()) {
+      const itemIds = this.matchItems(job.items, contract);
+      if (itemIds.length === 0) unmatchedContracts++;
+
+      const result = await db.query(
+        `INSERT INTO support_contracts (job_id, contract_number, service_level, start_date, end_date, source, notes)
+         VALUES ($1, $2, $3, $4, $5, 'file', $6)
+         ON CONFLICT (job_id, contract_number)
+         DO UPDATE SET
+           service_level = EXCLUDED.service_level,
+           start_date = EXCLUDED.start_date,
+           end_date = EXCLUDED.end_date,
+           source = 'file',
+           notes = EXCLUDED.notes,
+           updated_at = NOW()
+         RETURNING id`,
+        [job.jobId, contract.contract_number, contract.service_level, contract.start_date, contract.end_date, contract.notes]
+      );
+      const contractId = result.rows[0].id;
+      await db.query(`DELETE FROM support_contract_items WHERE contract_id = $1 AND source = 'file'`, [contractId]);
+      linkedItems += await this.linkItems(contractId, job.jobId, itemIds, 'file');
+    }
+
+    console.log(`📑 Imported ${contracts.size} support contracts covering ${linkedItems} items into job ${job.jobId}`);
+    return { imported: contracts.size, linkedItems, unmatchedContracts, errors };
+  }
+
+  // Rows of a contracts file keyed by header
+  async readFile(buffer, fileName) {
+    if (EXCEL_EXTENSIONS.includes(path.extname(fileName || '').toLowerCase())) {
+      const { rows } = await parseExcelBuffer(buffer);
+      const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+      return { headers, rows };
+    }
+
+    const parsed = Papa.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+      header: true,
+      skipEmptyLines: true
+    });
+    return { headers: parsed.meta.fields || [], rows: parsed.data };
+  }
+
+  // IDs of the items a contracts file entry covers
+  matchItems(items, contract) {
+    const contractNumber = normalizeKey(contract.contract_number);
+    return (items || [])
+      .filter(item => {
+        if (normalizeKey(item.contract_number) === contractNumber) return true;
+        if (contract.serialNumbers.size > 0) {
+          return isFilled(item.serial_number) && contract.serialNumbers.has(normalizeKey(item.serial_number));
+        }
+        return contract.productIds.has(normalizeKey(item.product_id));
+      })
+      .map(item => String(item.id));
+  }
+
+  async linkItems(contractId, jobId, itemIds, source) {
+    if (itemIds.length === 0) return 0;
+    const result = await db.query(
+      `INSERT INTO support_contract_items (contract_id, job_id, item_id, source)
+       SELECT $1, $2, UNNEST($3::text[]), $4
+       ON CONFLICT (contract_id, item_id) DO UPDATE SET source = EXCLUDED.source`,
+      [contractId, jobId, itemIds, source]
+    );
+    return result.rowCount;
+  }
+
+  async deleteContract(jobId, contractId) {
+    await ensureSchema();
+    const result = await db.query('DELETE FROM support_contracts WHERE job_id = $1 AND id = $2', [jobId, contractId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Renewal calendar and coverage gaps of a Phase 2 job
+   * @param {Object} job - Phase 2 job with items
+   * @param {Object} options - { items, ldosByProduct, asOf, months }; items defaults to
+   *   the job's items and ldosByProduct (upper-cased product ID -> date) to the
+   *   items' own last_day_support
+   * @returns {Object} { asOf, contracts, calendar, gaps, summary }
+   */
+  async analyze(job, options = {}) {
+    let contracts = await this.getContracts(job.jobId);
+    // Jobs created before contracts were tracked
+    if (contracts.length === 0 && this.contractsFromItems(job.items).length > 0) {
+      await this.syncFromItems(job);
+      contracts = await this.getContracts(job.jobId);
+    }
+
+    return this.buildAnalysis(contracts, options.items || job.items, options);
+  }
+
+  /**
+   * Contract analysis for the lifecycle report of a Phase 3 job
+   * LDOS comes from the researched Phase 3 products when they have one
+   * @param {Object} options - { site } narrows the gaps to the items installed there
+   * @returns {Object|null} analyze() output, null when the Phase 2 job is gone
+   */
+  async analyzePhase3Job(phase3JobId, products = [], { site = null } = {}) {
+    const jobResult = await db.query('SELECT phase2_job_id FROM phase3_jobs WHERE job_id = $1', [phase3JobId]);
+    const phase2JobId = jobResult.rows[0] && jobResult.rows[0].phase2_job_id;
+    const job = phase2JobId ? await jobStorage.get(phase2JobId) : null;
+    if (!job) return null;
+
+    const ldosByProduct = new Map();
+    products.forEach(product => {
+      const ldos = isoDate(product.last_day_of_support_date);
+      if (product.product_id && ldos) ldosByProduct.set(normalizeKey(product.product_id), ldos);
+    });
+
+    const items = (job.phase3FilteredItems || job.items)
+      .filter(item => !site || (isFilled(item.site) ? String(item.site).trim() : UNASSIGNED_SITE) === site);
+    return this.analyze(job, { items, ldosByProduct });
+  }
+
+  buildAnalysis(contracts, items, { ldosByProduct = new Map(), asOf = new Date(), months = this.RENEWAL_MONTHS } = {}) {
+    const today = localIso(asOf);
+    const itemsById = new Map((items || []).map(item => [String(item.id), item]));
+    const contractsByItem = new Map();
+    const ldosFor = (item) => ldosByProduct.get(normalizeKey(item.product_id)) || isoDate(item.last_day_support);
+
+    const analyzed = contracts.map(contract => {
+      const covered = contract.item_ids.filter(itemId => itemsById.has(itemId));
+      covered.forEach(itemId => {
+        if (!contractsByItem.has(itemId)) contractsByItem.set(itemId, []);
+        contractsByItem.get(itemId).push(contract);
+      });
+      return {
+        ...contract,
+        item_ids: covered,
+        item_count: covered.length,
+        quantity: covered.reduce((sum, itemId) => sum + (parseInt(itemsById.get(itemId).qty) || 0), 0),
+        state: contract.end_date
+          ? supportCoverage.stateForEndDate(new Date(`${contract.end_date}T00:00:00Z`), { asOf })
+          : 'Unknown',
+        days_remaining: contract.end_date ? daysBetween(today, contract.end_date) : null
+      };
+    });
+
+    // A contract without an end date on record is taken to be in force
+    const inForce = (contract) => !contract.end_date || contract.end_date >= today;
+
+    const deadGear = [];
+    const uncovered = [];
+    (items || []).forEach(item => {
+      const ldos = ldosFor(item);
+      const linked = contractsByItem.get(String(item.id)) || [];
+      const active = linked.filter(inForce);
+      const covered = linked.length > 0
+        ? active.length > 0
+        : supportCoverage.isCovered(supportCoverage.currentState(item, { asOf }));
+      const qty = parseInt(item.qty) || 0;
+      const details = {
+        item_id: String(item.id),
+        product_id: item.product_id,
+        description: item.description,
+        manufacturer: item.mfg,
+        quantity: qty,
+        last_day_support: ldos
+      };
+
+      if (covered && ldos) {
+        // The contract running longest past LDOS, or the item's own contract end
+        const contract = active
+          .filter(entry => entry.end_date)
+          .sort((a, b) => b.end_date.localeCompare(a.end_date))[0];
+        const contractEnd = contract ? contract.end_date : isoDate(item.contract_end);
+        if (contractEnd && ldos < contractEnd) {
+          deadGear.push({
+            ...details,
+            contract_number: contract ? contract.contract_number : item.contract_number,
+            service_level: contract ? contract.service_level : item.service_level,
+            contract_end: contractEnd,
+            days_past_ldos: daysBetween(ldos, contractEnd),
+            ldos_passed: ldos < today
+          });
+        }
+      } else if (!covered && ldos && ldos >= today) {
+        uncovered.push({
+          ...details,
+          support_coverage: linked.length > 0 ? 'Expired' : supportCoverage.currentState(item, { asOf }),
+          days_of_support_left: daysBetween(today, ldos)
+        });
+      }
+    });
+
+    deadGear.sort((a, b) => b.days_past_ldos - a.days_past_ldos);
+    uncovered.sort((a, b) => b.quantity - a.quantity);
+
+    const calendar = this.buildCalendar(analyzed, today, months);
+    const countState = (state) => analyzed.filter(contract => contract.state === state).length;
+
+    return {
+      asOf: today,
+      expiringDays: supportCoverage.DEFAULT_EXPIRING_DAYS,
+      contracts: analyzed,
+      calendar,
+      gaps: { deadGear, uncovered },
+      summary: {
+        totalContracts: analyzed.length,
+        activeContracts: countState('Active'),
+        expiringContracts: countState('Expiring'),
+        expiredContracts: countState('Expired'),
+        undatedContracts: countState('Unknown'),
+        renewalsDue: calendar.months.reduce((sum, month) => sum + month.contracts.length, 0),
+        coveredItems: contractsByItem.size,
+        deadGearItems: deadGear.length,
+        deadGearQuantity: deadGear.reduce((sum, entry) => sum + entry.quantity, 0),
+        uncoveredItems: uncovered.length,
+        uncoveredQuantity: uncovered.reduce((sum, entry) => sum + entry.quantity, 0)
+      }
+    };
+  }
+
+  /**
+   * Contracts by the month they end in, from this month for the given span
+   * @returns {Object} { months: [{ month, contracts, quantity }], expired, later }
+   */
+  buildCalendar(contracts, today, months) {
+    const [year, month] = today.split('-').map(Number);
+    const calendarMonths = Array.from({ length: Math.max(1, parseInt(months) || this.RENEWAL_MONTHS) }, (_, index) => {
+      const date = new Date(Date.UTC(year, month - 1 + index, 1));
+      return {
+        month: date.toISOString().slice(0, 7),
+        label: date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' }),
+        contracts: [],
+        quantity: 0
+      };
+    });
+    const byMonth = new Map(calendarMonths.map(entry => [entry.month, entry]));
+
+    const summarize = ({ id, contract_number, service_level, end_date, state, days_remaining, item_count, quantity }) =>
+      ({ id, contract_number, service_level, end_date, state, days_remaining, item_count, quantity });
+    const expired = [];
+    const later = [];
+
+    contracts.filter(contract => contract.end_date).forEach(contract => {
+      if (contract.end_date < today) {
+        expired.push(summarize(contract));
+        return;
+      }
+      const entry = byMonth.get(contract.end_date.slice(0, 7));
+      if (entry) {
+        entry.contracts.push(summarize(contract));
+        entry.quantity += contract.quantity;
+      } else {
+        later.push(summarize(contract));
+      }
+    });
+
+    return { months: calendarMonths, expired, later };
+  }
+}
+
+module.exports = new SupportContractService();
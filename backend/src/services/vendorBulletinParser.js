@@ -0,0 +1,312 @@
+// vendorBulletinParser.js
+// Parses vendor EOL bulletin exports into normalized bulletin records
+// Supported: Cisco EoX CSV and XML exports, HPE and Dell EOL spreadsheets
+
+const path = require('path');
+const Papa = require('papaparse');
+const XLSX = require('xlsx');
+const cheerio = require('cheerio');
+const dateParser = require('../utils/dateParser');
+
+// Header aliases per bulletin field, compared after lower-casing and removing
+// everything that is not a letter or digit ("End-of-Sale Date" -> "endofsaledate")
+const FIELD_ALIASES = {
+  product_id: [
+    'eolproductid', 'productid', 'pid', 'partnumber', 'partno', 'productnumber',
+    'hpepartnumber', 'dellpartnumber', 'sku', 'model', 'product'
+  ],
+  description: [
+    'productiddescription', 'productdescription', 'description', 'partdescription',
+    'productname', 'modeldescription'
+  ],
+  eol_announcement_date: [
+    'eoxexternalannouncementdate', 'endoflifeannouncementdate', 'eolannouncementdate',
+    'announcementdate', 'eolnoticedate'
+  ],
+  end_of_sale_date: [
+    'endofsaledate', 'endofsale', 'endofsales', 'endofsalesdate', 'eosdate',
+    'lastorderdate', 'lastdatetoorder', 'discontinueddate'
+  ],
+  end_of_sw_maintenance_date: [
+    'endofswmaintenancereleases', 'endofswmaintenancereleasesdate', 'endofswmaintenance',
+    'endofsoftwaremaintenance', 'endofsoftwaremaintenancedate'
+  ],
+  end_of_sw_vulnerability_maintenance_date: [
+    'endofsecurityvulsupportdate', 'endofvulnerabilitysecuritysupport',
+    'endofvulnerabilitysupport', 'endofsecuritysupport'
+  ],
+  last_day_of_support_date: [
+    'lastdateofsupport', 'lastdayofsupport', 'ldos', 'endofsupport', 'endofsupportdate',
+    'endofservicelife', 'endofservicelifedate', 'endofsupportlife', 'endofsupportlifedate',
+    'endofstandardsupport', 'eosl', 'eosldate', 'endofservice', 'endofservicedate'
+  ],
+  end_of_life_date: ['endoflife', 'endoflifedate', 'eol', 'eoldate'],
+  replacement_product_id: [
+    'migrationproductid', 'migrationpid', 'replacementproductid', 'replacementpartnumber',
+    'replacementproduct', 'recommendedreplacement', 'replacement', 'successor'
+  ],
+  bulletin_number: ['productbulletinnumber', 'bulletinnumber', 'bulletin', 'eolbulletin', 'noticenumber'],
+  bulletin_url: ['linktoproductbulletinurl', 'productbulletinurl', 'bulletinurl', 'url', 'link']
+};
+
+const DATE_FIELDS = [
+  'eol_announcement_date',
+  'end_of_sale_date',
+  'end_of_sw_maintenance_date',
+  'end_of_sw_vulnerability_maintenance_date',
+  'last_day_of_support_date',
+  'end_of_life_date'
+];
+
+const VENDOR_NAMES = {
+  cisco: 'Cisco',
+  meraki: 'Cisco',
+  hpe: 'HPE',
+  hp: 'HPE',
+  'hewlett packard enterprise': 'HPE',
+  aruba: 'HPE',
+  dell: 'Dell',
+  'dell emc': 'Dell',
+  'dell technologies': 'Dell'
+};
+
+// How many leading rows to scan for the header row of a spreadsheet or CSV
+const HEADER_SCAN_ROWS = 25;
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const normalizeVendor = (vendor) => {
+  const key = String(vendor || '').trim().toLowerCase();
+  if (!key) return null;
+  return VENDOR_NAMES[key] || String(vendor).trim();
+};
+
+// Map a normalized header to a bulletin field, or null
+const fieldForHeader = (header) => {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return null;
+  return Object.keys(FIELD_ALIASES).find(field => FIELD_ALIASES[field].includes(normalized)) || null;
+};
+
+// Lifecycle dates outside these years are export errors, not milestones
+const MIN_BULLETIN_YEAR = 1985;
+const MAX_BULLETIN_YEAR = 2075;
+
+/**
+ * Read a bulletin date cell (Date, Excel serial or text) with the shared date parser
+ * @param {*} value - Cell value
+ * @param {Object} options - { locale, dayFirst } as for dateParser.parseDate
+ * @returns {Object} dateParser result; date is null when the cell has no usable date
+ */
+const parseBulletinDate = (value, options = {}) => {
+  const parsed = dateParser.parseDate(value, options);
+  if (!parsed.date) return parsed;
+
+  const year = parseInt(parsed.date.slice(0, 4));
+  if (year < MIN_BULLETIN_YEAR || year > MAX_BULLETIN_YEAR) {
+    return { ...parsed, date: null, status: 'unparsed', needsReview: true };
+  }
+  return parsed;
+};
+
+// Whether each date field of a file writes numeric dates day first, settled
+// across all of its rows so 03/04/2022 reads the same way in every row
+const detectDateFormats = (valuesList) => Object.fromEntries(DATE_FIELDS.map(field => [
+  field,
+  dateParser.detectDayFirst(valuesList.map(values => values[field])).dayFirst
+]));
+
+// Turn one mapped row into a bulletin record, or null if it has no product ID or dates
+// Dates the parser was unsure of are listed in the record's date_review
+const buildRecord = (values, dateOptions = {}) => {
+  const productId = String(values.product_id || '').trim().toUpperCase();
+  if (!productId) return null;
+
+  const record = { product_id: productId };
+  const dateReview = {};
+  Object.keys(FIELD_ALIASES).forEach(field => {
+    if (field === 'product_id') return;
+    const value = values[field];
+    if (DATE_FIELDS.includes(field)) {
+      const parsed = parseBulletinDate(value, {
+        locale: dateOptions.locale,
+        dayFirst: (dateOptions.dateFormats || {})[field]
+      });
+      record[field] = parsed.date;
+      if (parsed.needsReview || parsed.ambiguous) {
+        dateReview[field] = {
+          original: parsed.original,
+          confidence: parsed.confidence,
+          format: parsed.format,
+          ambiguous: parsed.ambiguous
+        };
+      }
+    } else {
+      const text = value === null || value === undefined ? '' : String(value).trim();
+      record[field] = text || null;
+    }
+  });
+
+  if (record.replacement_product_id) {
+    record.replacement_product_id = record.replacement_product_id.toUpperCase();
+  }
+  record.date_review = Object.keys(dateReview).length > 0 ? dateReview : null;
+
+  const hasDate = DATE_FIELDS.some(field => record[field]);
+  return hasDate ? record : null;
+};
+
+// Build records from mapped rows, reading each date column in one format
+const buildRecords = (valuesList, { locale } = {}) => {
+  const dateOptions = { locale, dateFormats: detectDateFormats(valuesList) };
+  const records = [];
+  let skipped = 0;
+
+  valuesList.forEach(values => {
+    const record = buildRecord(values, dateOptions);
+    if (record) {
+      records.push(record);
+    } else {
+      skipped++;
+    }
+  });
+
+  const needsReview = records.filter(record => record.date_review).length;
+  return { records, skipped, needsReview };
+};
+
+// Find the header row in a grid of cells and map its columns to bulletin fields
+const detectHeader = (rows) => {
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+  for (let rowIndex = 0; rowIndex < limit; rowIndex++) {
+    const columnFields = (rows[rowIndex] || []).map(fieldForHeader);
+    const hasProductId = columnFields.includes('product_id');
+    const hasDate = columnFields.some(field => DATE_FIELDS.includes(field));
+    if (hasProductId && hasDate) {
+      return { rowIndex, columnFields };
+    }
+  }
+  return null;
+};
+
+// Parse a grid of rows (CSV or spreadsheet) into records
+const parseGrid = (rows, options = {}) => {
+  const header = detectHeader(rows);
+  if (!header) {
+    throw new Error('Could not find a header row with a product ID column and at least one EOL date column');
+  }
+
+  const headerCells = rows[header.rowIndex];
+  const unmappedColumns = headerCells
+    .filter((cell, index) => cell !== null && cell !== undefined && String(cell).trim() && !header.columnFields[index])
+    .map(cell => String(cell).trim());
+
+  const valuesList = [];
+  rows.slice(header.rowIndex + 1).forEach(row => {
+    if (!row || row.every(cell => cell === null || cell === undefined || String(cell).trim() === '')) return;
+
+    const values = {};
+    header.columnFields.forEach((field, index) => {
+      // First matching column wins when a file has duplicates
+      if (field && (values[field] === undefined || values[field] === '')) {
+        values[field] = row[index];
+      }
+    });
+    valuesList.push(values);
+  });
+
+  return { ...buildRecords(valuesList, options), headerRow: header.rowIndex + 1, unmappedColumns };
+};
+
+const parseCsv = (buffer, options) => {
+  const parsed = Papa.parse(buffer.toString('utf8').replace(/^\uFEFF/, ''), {
+    header: false,
+    skipEmptyLines: true
+  });
+  return parseGrid(parsed.data, options);
+};
+
+const parseSpreadsheet = (buffer, options) => {
+  const workbook = XLSX.read(buffer, { type: 'buffer', cellDates: true });
+
+  // Use the first sheet that contains a recognizable header row
+  for (const sheetName of workbook.SheetNames) {
+    const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1, raw: true, defval: null });
+    if (detectHeader(rows)) {
+      return { ...parseGrid(rows, options), sheetName };
+    }
+  }
+
+  throw new Error('No worksheet contains a product ID column and an EOL date column');
+};
+
+// Cisco EoX XML: one <EOXRecord> per product, dates wrapped in <value> elements
+const parseCiscoEoxXml = (buffer, options) => {
+  const $ = cheerio.load(buffer.toString('utf8'), { xmlMode: true });
+  const valuesList = [];
+
+  $('EOXRecord').each((_, element) => {
+    const values = {};
+
+    $(element).find('*').each((__, child) => {
+      const field = fieldForHeader(child.tagName);
+      if (!field || values[field]) return;
+
+      const node = $(child);
+      const valueNode = node.children('value');
+      const text = (valueNode.length ? valueNode.first().text() : node.children().length ? '' : node.text()).trim();
+      if (text) {
+        values[field] = text;
+      }
+    });
+
+    valuesList.push(values);
+  });
+
+  if (valuesList.length === 0) {
+    throw new Error('No EOXRecord elements found in XML file');
+  }
+
+  return { ...buildRecords(valuesList, options), headerRow: null, unmappedColumns: [] };
+};
+
+/**
+ * Parse a downloaded bulletin file
+ * @param {Buffer} buffer - File contents
+ * @param {Object} options - { fileName, vendor, locale }; locale reads numeric dates
+ *   a date column does not settle (03/04/2022), and defaults to dateParser's
+ * @returns {Object} { vendor, format, records, skipped, needsReview, headerRow, unmappedColumns, sheetName }
+ */
+const parse = (buffer, { fileName = '', vendor, locale } = {}) => {
+  const extension = path.extname(fileName).toLowerCase();
+  const vendorName = normalizeVendor(vendor) || (extension === '.xml' ? 'Cisco' : null);
+
+  if (!vendorName) {
+    throw new Error('Vendor is required (e.g. cisco, hpe, dell)');
+  }
+
+  const vendorKey = vendorName.toLowerCase();
+  let result;
+  let format;
+
+  if (extension === '.xml') {
+    result = parseCiscoEoxXml(buffer, { locale });
+    format = 'cisco_eox_xml';
+  } else if (extension === '.csv' || extension === '.txt') {
+    result = parseCsv(buffer, { locale });
+    format = vendorKey === 'cisco' ? 'cisco_eox_csv' : `${vendorKey}_csv`;
+  } else if (['.xlsx', '.xlsm', '.xls', '.xlsb'].includes(extension)) {
+    result = parseSpreadsheet(buffer, { locale });
+    format = vendorKey === 'cisco' ? 'cisco_eox_spreadsheet' : `${vendorKey}_spreadsheet`;
+  } else {
+    throw new Error(`Unsupported bulletin file type: ${extension || 'unknown'}`);
+  }
+
+  return { vendor: vendorName, format, ...result };
+};
+
+module.exports = {
+  parse,
+  parseBulletinDate,
+  normalizeVendor
+};
@@ -0,0 +1,227 @@
+// vendorBulletinService.js
+// Stores imported vendor EOL bulletins and resolves products against them
+// Lookups are purely local, so products listed in a bulletin need no web search
+
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const vendorBulletinParser = require('./vendorBulletinParser');
+
+// The bulletin table, then the date review column added to it
+const ensureSchema = () => ensureMigration('20261019_vendor_eol_bulletins.sql')
+  .then(() => ensureMigration('20261019_vendor_bulletin_date_review.sql'));
+
+const BULLETIN_COLUMNS = [
+  'vendor',
+  'product_id',
+  'description',
+  'eol_announcement_date',
+  'end_of_sale_date',
+  'end_of_sw_maintenance_date',
+  'end_of_sw_vulnerability_maintenance_date',
+  'last_day_of_support_date',
+  'end_of_life_date',
+  'replacement_product_id',
+  'bulletin_number',
+  'bulletin_url',
+  'source_format',
+  'source_file',
+  'date_review'
+];
+
+// Rows per multi-row INSERT
+const INSERT_CHUNK_SIZE = 500;
+
+class VendorBulletinService {
+  constructor() {
+    // Dates taken straight from a vendor bulletin
+    this.BULLETIN_CONFIDENCE = 95;
+  }
+
+  /**
+   * Parse a downloaded bulletin file and upsert its records
+   * @param {Buffer} buffer - File contents
+   * @param {Object} options - { fileName, vendor, locale }
+   * @returns {Object} Import summary
+   */
+  async importFile(buffer, { fileName, vendor, locale } = {}) {
+    await ensureSchema();
+
+    const parsed = vendorBulletinParser.parse(buffer, { fileName, vendor, locale });
+
+    // The last row wins when a file lists the same product twice
+    const byProduct = new Map();
+    parsed.records.forEach(record => byProduct.set(record.product_id, record));
+    const records = [...byProduct.values()];
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      for (let start = 0; start < records.length; start += INSERT_CHUNK_SIZE) {
+        const chunk = records.slice(start, start + INSERT_CHUNK_SIZE);
+        const values = [];
+        const placeholders = chunk.map((record, rowIndex) => {
+          const row = {
+            ...record,
+            vendor: parsed.vendor,
+            source_format: parsed.format,
+            source_file: fileName || null,
+            date_review: record.date_review ? JSON.stringify(record.date_review) : null
+          };
+          values.push(...BULLETIN_COLUMNS.map(column => (row[column] === undefined ? null : row[column])));
+          const base = rowIndex * BULLETIN_COLUMNS.length;
+          return `(${BULLETIN_COLUMNS.map((_, colIndex) => `$${base + colIndex + 1}`).join(', ')}, NOW())`;
+        });
+
+        const updates = BULLETIN_COLUMNS
+          .filter(column => column !== 'vendor' && column !== 'product_id')
+          .map(column => `${column} = EXCLUDED.${column}`);
+
+        await client.query(
+          `INSERT INTO vendor_eol_bulletins (${BULLETIN_COLUMNS.join(', ')}, imported_at)
+           VALUES ${placeholders.join(', ')}
+           ON CONFLICT (vendor, product_id)
+           DO UPDATE SET ${updates.join(', ')}, imported_at = NOW()`,
+          values
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log(`📥 Imported ${records.length} ${parsed.vendor} bulletin records from ${fileName || 'upload'} (${parsed.format})`);
+
+    return {
+      vendor: parsed.vendor,
+      format: parsed.format,
+      fileName: fileName || null,
+      sheetName: parsed.sheetName || null,
+      headerRow: parsed.headerRow,
+      imported: records.length,
+      duplicates: parsed.records.length - records.length,
+      skipped: parsed.skipped,
+      needsReview: parsed.needsReview,
+      unmappedColumns: parsed.unmappedColumns
+    };
+  }
+
+  /**
+   * Find the bulletin record for a product
+   * Refurbished (-RF) and spare (=) part numbers share the base product's bulletin
+   * @param {Object} product - { product_id, manufacturer }
+   * @returns {Object|null} Bulletin row
+   */
+  async findBulletin(product) {
+    const productId = String(product.product_id || '').trim().toUpperCase();
+    if (!productId) {
+      return null;
+    }
+
+    await ensureSchema();
+
+    const candidates = [...new Set([
+      productId,
+      productId.replace(/-RF$/, ''),
+      productId.replace(/=$/, ''),
+      productId.replace(/-RF$/, '').replace(/=$/, '')
+    ])];
+    const vendor = vendorBulletinParser.normalizeVendor(product.manufacturer);
+
+    const result = await db.query(
+      `SELECT * FROM vendor_eol_bulletins
+       WHERE product_id = ANY($1)
+       ORDER BY (vendor = $2) DESC, (product_id = $3) DESC, imported_at DESC
+       LIMIT 1`,
+      [candidates, vendor, productId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Convert a bulletin row into a research result with source attribution
+   */
+  toResearchResult(bulletin) {
+    // A date the parser was unsure of (03/04/2022, "Q3 FY2024") caps the confidence
+    const confidence = Object.entries(bulletin.date_review || {})
+      .filter(([field]) => bulletin[field])
+      .reduce(
+        (lowest, [, entry]) => Math.min(lowest, Math.round((entry.confidence || 0) * 100)),
+        this.BULLETIN_CONFIDENCE
+      );
+
+    // pg returns DATE columns as local midnight, so format with local getters
+    const formatDate = (value) => {
+      if (!value) return null;
+      const date = new Date(value);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    };
+
+    return {
+      date_introduced: null,
+      end_of_sale_date: formatDate(bulletin.end_of_sale_date),
+      end_of_sw_maintenance_date: formatDate(bulletin.end_of_sw_maintenance_date),
+      end_of_sw_vulnerability_maintenance_date: formatDate(bulletin.end_of_sw_vulnerability_maintenance_date),
+      last_day_of_support_date: formatDate(bulletin.last_day_of_support_date),
+      end_of_life_date: formatDate(bulletin.end_of_life_date),
+      is_current_product: false,
+      lifecycle_confidence: confidence,
+      overall_confidence: confidence,
+      replacement_product_id: bulletin.replacement_product_id || null,
+      data_sources: [{
+        type: 'vendor_site',
+        count: 1,
+        reliability: 'high',
+        provider: 'vendor_bulletin',
+        vendor: bulletin.vendor,
+        product_id: bulletin.product_id,
+        bulletin_number: bulletin.bulletin_number || null,
+        url: bulletin.bulletin_url || null,
+        source_format: bulletin.source_format,
+        source_file: bulletin.source_file,
+        date_review: bulletin.date_review || null,
+        imported_at: bulletin.imported_at,
+        accessed_at: new Date().toISOString()
+      }]
+    };
+  }
+
+  /**
+   * Record counts per vendor and source format
+   */
+  async getSummary() {
+    await ensureSchema();
+
+    const result = await db.query(
+      `SELECT vendor, source_format, COUNT(*)::int AS products, MAX(imported_at) AS last_imported
+       FROM vendor_eol_bulletins
+       GROUP BY vendor, source_format
+       ORDER BY vendor, source_format`
+    );
+
+    return {
+      totalProducts: result.rows.reduce((sum, row) => sum + row.products, 0),
+      sources: result.rows
+    };
+  }
+
+  /**
+   * Remove all bulletin records for a vendor (before a full re-import)
+   * @returns {number} Rows deleted
+   */
+  async clearVendor(vendor) {
+    await ensureSchema();
+    const result = await db.query(
+      'DELETE FROM vendor_eol_bulletins WHERE vendor = $1',
+      [vendorBulletinParser.normalizeVendor(vendor)]
+    );
+    return result.rowCount;
+  }
+}
+
+module.exports = new VendorBulletinService();
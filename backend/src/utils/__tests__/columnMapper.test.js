@@ -0,0 +1,28 @@
+const columnMapper = require('../columnMapper');
+
+describe('columnMapper.detectMapping', () => {
+  test('maps common export headers', () => {
+    const { mapping } = columnMapper.detectMapping(['Manufacturer', 'Product ID', 'Item Quantity', 'Ship Date', 'Covered Line Status']);
+    expect(mapping).toMatchObject({
+      mfg: 'Manufacturer',
+      product_id: 'Product ID',
+      qty: 'Item Quantity',
+      ship_date: 'Ship Date',
+      support_coverage: 'Covered Line Status'
+    });
+  });
+
+  test.each(['Contract', 'Contract No.', 'Contract Number'])('%p is the contract number', (header) => {
+    expect(columnMapper.detectMapping(['Product ID', header]).mapping.contract_number).toBe(header);
+  });
+
+  test.each(['Contract Type', 'Contract Owner', 'Contract Notes'])('%p is not mapped to the contract number', (header) => {
+    expect(columnMapper.detectMapping(['Product ID', header]).mapping.contract_number).toBeUndefined();
+  });
+
+  test('"Contract Status" is the coverage status', () => {
+    const { mapping } = columnMapper.detectMapping(['Product ID', 'Contract Status', 'Contract Number']);
+    expect(mapping.support_coverage).toBe('Contract Status');
+    expect(mapping.contract_number).toBe('Contract Number');
+  });
+});
@@ -0,0 +1,86 @@
+const dateParser = require('../dateParser');
+
+describe('dateParser.parseDate', () => {
+  test.each([
+    ['2024-03-31', '2024-03-31', 'iso'],
+    ['2024/3/31', '2024-03-31', 'iso'],
+    ['2024-03-31T10:00:00Z', '2024-03-31', 'iso'],
+    ['20240331', '2024-03-31', 'compact'],
+    ['31-Jan-2015', '2015-01-31', 'month_name'],
+    ['1st March 2024', '2024-03-01', 'month_name'],
+    ['January 31, 2015', '2015-01-31', 'month_name'],
+    ['October 2016', '2016-10-31', 'month_year'],
+    ['Feb 2024', '2024-02-29', 'month_year'],
+    ['Q3 2024', '2024-09-30', 'quarter'],
+    ["Q1'25", '2025-03-31', 'quarter'],
+    ['H2 2025', '2025-12-31', 'half'],
+    ['mid-2024', '2024-08-31', 'phrase'],
+    ['2025', '2025-12-31', 'year'],
+    ['End of Q3 2024', '2024-09-30', 'quarter'],
+    ['45000', '2023-03-15', 'excel_serial']
+  ])('%p is %p (%s)', (value, date, format) => {
+    const parsed = dateParser.parseDate(value);
+    expect(parsed.status).toBe('parsed');
+    expect(parsed.date).toBe(date);
+    expect(parsed.format).toBe(format);
+  });
+
+  test('Excel serial numbers and Date objects', () => {
+    expect(dateParser.parseDate(45000).date).toBe('2023-03-15');
+    expect(dateParser.parseDate(new Date(Date.UTC(2024, 0, 5))).date).toBe('2024-01-05');
+  });
+
+  test('unambiguous numeric dates settle their own order', () => {
+    expect(dateParser.parseDate('13/04/2022')).toMatchObject({ date: '2022-04-13', ambiguous: false, format: 'day_first' });
+    expect(dateParser.parseDate('04/13/2022')).toMatchObject({ date: '2022-04-13', ambiguous: false, format: 'month_first' });
+  });
+
+  test('ambiguous numeric dates follow the locale and are flagged for review', () => {
+    expect(dateParser.parseDate('03/04/2022', { locale: 'en-US' })).toMatchObject({ date: '2022-03-04', ambiguous: true, needsReview: true });
+    expect(dateParser.parseDate('03/04/2022', { locale: 'en-GB' })).toMatchObject({ date: '2022-04-03', ambiguous: true, needsReview: true });
+  });
+
+  test('a settled column order reads ambiguous dates without review', () => {
+    const parsed = dateParser.parseDate('03/04/2022', { dayFirst: true });
+    expect(parsed).toMatchObject({ date: '2022-04-03', ambiguous: true, needsReview: false });
+  });
+
+  test('fiscal quarters use the fiscal year start month', () => {
+    expect(dateParser.parseDate('Q3 FY2024').date).toBe('2024-09-30');
+    expect(dateParser.parseDate('Q3 FY2024', { fiscalYearStartMonth: 8 }).date).toBe('2024-04-30');
+    expect(dateParser.parseDate('FY2024', { fiscalYearStartMonth: 8 }).date).toBe('2024-07-31');
+  });
+
+  test.each([
+    ['TBD', 'pending'],
+    ['Not yet announced', 'pending'],
+    ['N/A', 'not_applicable'],
+    ['None', 'not_applicable'],
+    ['', 'empty'],
+    [null, 'empty'],
+    ['not a date', 'unparsed'],
+    ['31/02/2024', 'unparsed']
+  ])('%p has status %p and no date', (value, status) => {
+    const parsed = dateParser.parseDate(value);
+    expect(parsed.status).toBe(status);
+    expect(parsed.date).toBeNull();
+  });
+});
+
+describe('dateParser.detectDayFirst', () => {
+  test('votes by values with a part over 12', () => {
+    expect(dateParser.detectDayFirst(['03/04/2022', '25/12/2021', '01/02/2020']).dayFirst).toBe(true);
+    expect(dateParser.detectDayFirst(['03/04/2022', '12/25/2021']).dayFirst).toBe(false);
+  });
+
+  test('leaves an undecided column null', () => {
+    expect(dateParser.detectDayFirst(['03/04/2022', '05/06/2021', 45000, null])).toMatchObject({ dayFirst: null, ambiguousValues: 2 });
+  });
+});
+
+describe('dateParser.toDate', () => {
+  test('returns UTC midnight or null', () => {
+    expect(dateParser.toDate('2024-03-31').toISOString()).toBe('2024-03-31T00:00:00.000Z');
+    expect(dateParser.toDate('TBD')).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+const editHistory = require('../editHistory');
+
+const newJob = () => ({
+  items: [
+    { id: '1', product_id: 'WS-C2960X-48', qty: 1, mfg: 'Cisco' },
+    { id: '2', product_id: 'J9772A', qty: 5, mfg: 'HP' }
+  ],
+  modificationHistory: []
+});
+
+const itemOf = (job, id) => job.items.find(item => item.id === id);
+
+describe('editHistory.applyChangeset', () => {
+  test('records one entry per item under a shared changeset ID', () => {
+    const job = newJob();
+    const result = editHistory.applyChangeset(job, [
+      { itemId: '1', updates: { qty: 2 } },
+      { itemId: '2', updates: { qty: 6, mfg: 'HPE' } },
+      { itemId: '9', updates: { qty: 1 } }
+    ], { action: 'bulk', user: 'alice' });
+
+    expect(result.itemIds).toEqual(['1', '2']);
+    expect(result.fields.sort()).toEqual(['mfg', 'qty']);
+    expect(result.skipped).toEqual([{ itemId: '9', error: 'Item not found' }]);
+    expect(job.modificationHistory).toHaveLength(2);
+    expect(new Set(job.modificationHistory.map(entry => entry.changesetId))).toEqual(new Set([result.changesetId]));
+    expect(job.modificationHistory[1].previousValues).toEqual({ qty: 5, mfg: 'HP' });
+    expect(itemOf(job, '2')).toMatchObject({ qty: 6, mfg: 'HPE', modified_by: 'alice' });
+  });
+
+  test('records a field that did not exist as null', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { notes: 'spare' } }]);
+    expect(job.modificationHistory[0].previousValues).toEqual({ notes: null });
+  });
+
+  test('adds and removes items with a copy of each', () => {
+    const job = newJob();
+    const result = editHistory.applyChangeset(job, [
+      { itemId: '3', insert: { product_id: 'MEM-4GB', qty: 4 } },
+      { itemId: '1', insert: { product_id: 'dup' } },
+      { itemId: '2', remove: true }
+    ], { action: 'sync' });
+
+    expect(result.insertedIds).toEqual(['3']);
+    expect(result.removedIds).toEqual(['2']);
+    expect(result.skipped).toEqual([{ itemId: '1', error: 'Item already exists' }]);
+    expect(job.items.map(item => item.id)).toEqual(['1', '3']);
+    expect(job.modificationHistory[0].inserted).toEqual({ id: '3', product_id: 'MEM-4GB', qty: 4 });
+    expect(job.modificationHistory[1].removed).toMatchObject({ id: '2', product_id: 'J9772A' });
+  });
+});
+
+describe('editHistory undo and redo', () => {
+  test('undo restores a whole changeset and redo applies it again', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 2 } }, { itemId: '2', updates: { qty: 7 } }], { action: 'bulk' });
+
+    editHistory.undo(job, 'alice');
+    expect([itemOf(job, '1').qty, itemOf(job, '2').qty]).toEqual([1, 5]);
+    expect(editHistory.availability(job)).toEqual({ canUndo: false, canRedo: true });
+
+    editHistory.redo(job, 'alice');
+    expect([itemOf(job, '1').qty, itemOf(job, '2').qty]).toEqual([2, 7]);
+    expect(editHistory.availability(job)).toEqual({ canUndo: true, canRedo: false });
+  });
+
+  test('undoes changesets newest first and a new change clears the redo stack', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 2 } }]);
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 3 } }]);
+
+    editHistory.undo(job);
+    expect(itemOf(job, '1').qty).toBe(2);
+    editHistory.undo(job);
+    expect(itemOf(job, '1').qty).toBe(1);
+    expect(editHistory.undo(job)).toBeNull();
+
+    editHistory.applyChangeset(job, [{ itemId: '2', updates: { qty: 9 } }]);
+    expect(editHistory.buildStacks(job).redo).toEqual([]);
+    expect(editHistory.redo(job)).toBeNull();
+  });
+
+  test('undo takes out an added item and puts a removed one back', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [
+      { itemId: '3', insert: { product_id: 'MEM-4GB' } },
+      { itemId: '2', remove: true }
+    ], { action: 'sync' });
+
+    const undone = editHistory.undo(job);
+    expect(undone.removedIds).toEqual(['3']);
+    expect(undone.insertedIds).toEqual(['2']);
+    expect(itemOf(job, '2')).toMatchObject({ product_id: 'J9772A', qty: 5 });
+    expect(itemOf(job, '3')).toBeUndefined();
+
+    editHistory.redo(job);
+    expect(job.items.map(item => item.id).sort()).toEqual(['1', '3']);
+  });
+
+  test('an undo with nothing left to change still moves the stacks', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 2 } }]);
+    itemOf(job, '1').qty = 1;
+
+    const result = editHistory.undo(job);
+    expect(result.itemIds).toEqual([]);
+    expect(editHistory.availability(job)).toEqual({ canUndo: false, canRedo: true });
+  });
+});
+
+describe('editHistory.revert', () => {
+  test('brings one item back to before a history position as a new changeset', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 2 } }]);
+    editHistory.applyChangeset(job, [{ itemId: '2', updates: { qty: 6 } }]);
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 3, mfg: 'Cisco Systems' } }]);
+
+    const result = editHistory.revert(job, { position: 0, itemId: '1', user: 'alice' });
+
+    expect(itemOf(job, '1')).toMatchObject({ qty: 1, mfg: 'Cisco' });
+    expect(itemOf(job, '2').qty).toBe(6);
+    expect(job.modificationHistory[job.modificationHistory.length - 1]).toMatchObject({
+      changesetId: result.changesetId,
+      action: 'revert',
+      target: 'position:0'
+    });
+    expect(editHistory.availability(job).canUndo).toBe(true);
+  });
+
+  test('rejects a position outside the history', () => {
+    const job = newJob();
+    expect(() => editHistory.revert(job, { position: 0 })).toThrow('History position');
+  });
+});
+
+describe('editHistory.describe', () => {
+  test('lists entries newest first and marks undone changes', () => {
+    const job = newJob();
+    editHistory.applyChangeset(job, [{ itemId: '1', updates: { qty: 2 } }]);
+    editHistory.applyChangeset(job, [{ itemId: '2', updates: { qty: 6 } }]);
+    editHistory.undo(job);
+
+    const { history, canUndo, canRedo } = editHistory.describe(job);
+    expect(history.map(entry => [entry.itemId, entry.action, entry.undone])).toEqual([
+      ['2', 'undo', false],
+      ['2', 'edit', true],
+      ['1', 'edit', false]
+    ]);
+    expect([canUndo, canRedo]).toEqual([true, true]);
+    expect(editHistory.describe(job, '1').history).toHaveLength(1);
+  });
+
+  test('reads entries recorded before changesets existed as changesets of their own', () => {
+    const job = newJob();
+    job.modificationHistory = [
+      { itemId: '1', updates: { qty: 2 }, previousValues: { qty: 1 } },
+      { itemId: '1', updates: { qty: 3 }, previousValues: { qty: 2 } }
+    ];
+    itemOf(job, '1').qty = 3;
+
+    editHistory.undo(job);
+    expect(itemOf(job, '1').qty).toBe(2);
+  });
+});
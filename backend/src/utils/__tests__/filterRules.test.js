@@ -0,0 +1,118 @@
+const filterRules = require('../filterRules');
+
+const items = [
+  { product_id: 'PWR-C1-350WAC', description: 'Power supply', type: 'Hardware', mfg: 'Cisco', category: 'Switch' },
+  { product_id: 'WS-C2960X-48', description: 'Switch 48 port', type: 'Hardware', mfg: 'Cisco', category: 'Switch' },
+  { product_id: 'CAB-CONSOLE', description: 'Console cable', type: 'Accessory', mfg: 'Cisco', category: 'Cable' },
+  { product_id: 'SW-LIC-ADV', description: 'Advanced license', type: 'Software', mfg: 'HP', category: '-' },
+  { product_id: 'MEM-4GB', description: '-', type: '-', mfg: 'HP', category: 'Memory' }
+];
+
+const ids = (list) => list.map(item => item.product_id);
+
+describe('filterRules.matchesWildcard', () => {
+  test.each([
+    ['PWR-C1', '*PWR*', true],
+    ['PWR-C1', 'PWR*', true],
+    ['C1-PWR', '*PWR', true],
+    ['pwr', 'PWR', true],
+    ['PWR-C1', 'C1*', false],
+    ['-', '*', false],
+    ['', '*PWR*', false]
+  ])('%p against %p is %p', (text, pattern, expected) => {
+    expect(filterRules.matchesWildcard(text, pattern)).toBe(expected);
+  });
+});
+
+describe('filterRules.normalizeDefinition', () => {
+  test('reads the old Phase 1 and Phase 2 shapes', () => {
+    const phase1 = { productIds: { patterns: ['*PWR*'] } };
+    const phase2 = { mfg: { include: ['Cisco'], exclude: [] } };
+    expect(filterRules.normalizeDefinition(phase1)).toEqual({ rules: phase1 });
+    expect(filterRules.normalizeDefinition(phase2)).toEqual({ columns: phase2 });
+    expect(filterRules.normalizeDefinition({ rules: phase1, columns: phase2, other: 1 })).toEqual({ rules: phase1, columns: phase2 });
+    expect(filterRules.normalizeDefinition(null)).toEqual({});
+  });
+});
+
+describe('filterRules.evaluate', () => {
+  test('pattern, regex and exact rules exclude in group order', () => {
+    const { kept, excluded, stats } = filterRules.evaluate(items, {
+      rules: {
+        productIds: { patterns: ['*PWR*'], regexPatterns: ['^mem-\\d'] },
+        descriptions: { patterns: ['*cable*'] },
+        productTypes: { exact: ['software'] }
+      }
+    });
+    expect(ids(kept)).toEqual(['WS-C2960X-48']);
+    expect(excluded.map(item => item.excluded_by)).toEqual([
+      'productIds.pattern: *PWR*',
+      'descriptions.pattern: *cable*',
+      'productTypes.exact: software',
+      'productIds.regex: ^mem-\\d'
+    ]);
+    expect(stats.excluded).toEqual({ byProductId: 2, byDescription: 1, byType: 1, byColumn: 0 });
+    expect(stats.excludedPercentage).toBe('80.0');
+  });
+
+  test('include rules keep items a pattern would exclude', () => {
+    const { kept, stats } = filterRules.evaluate(items, {
+      rules: {
+        productIds: { patterns: ['*-*'] },
+        include: { productIds: { patterns: ['CAB-*'] } }
+      }
+    });
+    expect(ids(kept)).toEqual(['CAB-CONSOLE']);
+    expect(stats.keptByInclude).toBe(1);
+  });
+
+  test('column criteria read Phase 2 and Phase 3 field names', () => {
+    const columns = { product_id: 'c', mfg: { include: ['Cisco'], exclude: [] }, category: { include: [], exclude: ['Cable'] } };
+    expect(ids(filterRules.evaluate(items, { columns }).kept)).toEqual(['PWR-C1-350WAC', 'WS-C2960X-48']);
+
+    const products = [
+      { product_id: 'C9300', manufacturer: 'Cisco', product_category: 'Switch' },
+      { product_id: 'C9200', manufacturer: 'Cisco', product_category: 'Cable' },
+      { product_id: 'C7000', manufacturer: 'HP', product_category: 'Switch' }
+    ];
+    expect(ids(filterRules.evaluate(products, { columns }).kept)).toEqual(['C9300']);
+  });
+
+  test('include rules do not override column criteria', () => {
+    const { kept } = filterRules.evaluate(items, {
+      columns: { mfg: { include: ['HP'] } },
+      rules: { include: { productIds: { patterns: ['*'] } } }
+    });
+    expect(ids(kept)).toEqual(['SW-LIC-ADV', 'MEM-4GB']);
+  });
+
+  test('selected product IDs keep or drop rows', () => {
+    const selectedProductIds = ['CAB-CONSOLE', 'MEM-4GB'];
+    expect(ids(filterRules.evaluate(items, { columns: { selectionMode: 'include-selected', selectedProductIds } }).kept)).toEqual(selectedProductIds);
+    expect(filterRules.evaluate(items, { columns: { selectionMode: 'exclude-selected', selectedProductIds } }).kept).toHaveLength(3);
+  });
+
+  test('invalid regular expressions are skipped and reported', () => {
+    const { kept, stats } = filterRules.evaluate(items, { rules: { productIds: { regexPatterns: ['('] } } });
+    expect(kept).toHaveLength(items.length);
+    expect(stats.invalidPatterns).toHaveLength(1);
+  });
+
+  test('stats merged across chunks equal the stats of the whole list', () => {
+    const definition = { rules: { productIds: { patterns: ['*PWR*', 'MEM-*'] } }, columns: { category: { exclude: ['Cable'] } } };
+    const whole = filterRules.evaluate(items, definition).stats;
+    const merged = [items.slice(0, 2), items.slice(2)]
+      .map(chunk => filterRules.evaluate(chunk, definition).stats)
+      .reduce((total, stats) => filterRules.mergeStats(total, stats), null);
+    expect(merged).toEqual(whole);
+  });
+});
+
+describe('filterRules.validateDefinition', () => {
+  test('reports unusable definitions', () => {
+    expect(filterRules.validateDefinition('x')).toEqual(['Filter definition must be an object']);
+    expect(filterRules.validateDefinition({})).toEqual(['Filter definition needs rules or columns']);
+    expect(filterRules.validateDefinition({ rules: { descriptions: { regexPatterns: ['['] } } })[0]).toMatch(/^Invalid regular expression in descriptions/);
+    expect(filterRules.validateDefinition({ columns: { mfg: { include: ['Cisco'] } } })).toEqual([]);
+  });
+});
@@ -0,0 +1,73 @@
+const inventorySchema = require('../inventorySchema');
+
+describe('inventorySchema.validateValue', () => {
+  test.each([
+    ['qty', '1,200', 1200],
+    ['qty', 3, 3],
+    ['total_value', '99.5', 99.5],
+    ['ship_date', 'Oct 31, 2020', '2020-10-31'],
+    ['ship_date', '13/04/2020', '2020-04-13'],
+    ['ship_date', 'N/A', '-'],
+    ['risk_level', 'HIGH', 'high'],
+    ['support_coverage', 'not covered', 'Not Covered'],
+    ['ip_address', '10.0.0.1', '10.0.0.1'],
+    ['ip_address', 'fe80::1', 'fe80::1'],
+    ['hostname', '  core-sw-01 ', 'core-sw-01']
+  ])('%s %p is stored as %p', (field, value, expected) => {
+    expect(inventorySchema.validateValue(field, value)).toEqual({ value: expected });
+  });
+
+  test.each([
+    ['site', ''],
+    ['contract_end', null],
+    ['description', ' - ']
+  ])('an empty %s is stored as "-"', (field, value) => {
+    expect(inventorySchema.validateValue(field, value)).toEqual({ value: '-' });
+  });
+
+  test('an empty support coverage is stored as Unknown', () => {
+    expect(inventorySchema.validateValue('support_coverage', '')).toEqual({ value: 'Unknown' });
+  });
+
+  test.each([
+    ['colour', 'red', 'Unknown field "colour"'],
+    ['risk_score', 10, 'Risk Score cannot be edited'],
+    ['product_id', '', 'Product ID is required'],
+    ['qty', '2.5', 'Quantity must be a whole number'],
+    ['qty', '-1', 'Quantity cannot be less than 0'],
+    ['total_value', 'lots', 'Total Value must be a number'],
+    ['ship_date', 'banana', 'Ship Date must be a date (YYYY-MM-DD)'],
+    ['ship_date', '03/04/2020', 'Ship Date "03/04/2020" is ambiguous; use YYYY-MM-DD'],
+    ['risk_level', 'severe', 'Risk Level must be one of critical, high, medium, low, none'],
+    ['ip_address', '300.1.1.1', 'IP Address must be an IPv4 or IPv6 address'],
+    ['mfg', ['Cisco'], 'Manufacturer must be a single value'],
+    ['site', 'x'.repeat(256), 'Site cannot be longer than 255 characters']
+  ])('rejects %s %p', (field, value, error) => {
+    expect(inventorySchema.validateValue(field, value)).toEqual({ error });
+  });
+});
+
+describe('inventorySchema.validateUpdates', () => {
+  test('returns the normalized values and an error for each bad field', () => {
+    const { values, errors } = inventorySchema.validateUpdates({ qty: '4', risk_level: 'Low', colour: 'red' }, 'item-1');
+
+    expect(values).toEqual({ qty: 4, risk_level: 'low' });
+    expect(errors).toEqual([{ itemId: 'item-1', field: 'colour', value: 'red', message: 'Unknown field "colour"' }]);
+  });
+
+  test.each([[{}], [null], [['qty']]])('rejects %p as no updates', (updates) => {
+    expect(inventorySchema.validateUpdates(updates).errors).toEqual([
+      { itemId: null, field: null, value: null, message: 'No field updates given' }
+    ]);
+  });
+});
+
+describe('inventorySchema.describe', () => {
+  test('lists only editable fields with their constraints', () => {
+    const fields = inventorySchema.describe();
+
+    expect(fields.find(field => field.field === 'risk_score')).toBeUndefined();
+    expect(fields.find(field => field.field === 'qty')).toEqual({ field: 'qty', type: 'integer', label: 'Quantity', required: true, min: 0 });
+    expect(fields.find(field => field.field === 'risk_level').values).toEqual(inventorySchema.RISK_LEVELS);
+  });
+});
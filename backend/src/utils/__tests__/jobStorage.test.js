@@ -0,0 +1,86 @@
+jest.mock('../../database/dbConnection', () => ({ query: jest.fn(), pool: { connect: jest.fn() } }));
+jest.mock('../../database/migrationRunner', () => ({ ensureMigration: jest.fn().mockResolvedValue() }));
+
+const db = require('../../database/dbConnection');
+const jobStorage = require('../jobStorage');
+
+// Stored state the mocked client answers from: the job's version and its item rows
+let storedVersion;
+let storedItems;
+let client;
+
+const statements = () => client.query.mock.calls.map(([sql]) => sql.replace(/\s+/g, ' ').trim());
+const itemWrites = () => client.query.mock.calls.filter(([sql]) => /INSERT INTO inventory_job_items/.test(sql));
+
+beforeEach(() => {
+  storedVersion = 3;
+  storedItems = [{ position: 0, item: { product_id: 'A', id: '1', qty: 1 } }, { position: 1, item: { id: '2', product_id: 'B', qty: 2 } }];
+  client = {
+    query: jest.fn(async (sql, params) => {
+      if (/SELECT version FROM inventory_jobs/.test(sql)) {
+        return { rows: storedVersion === null ? [] : [{ version: storedVersion }] };
+      }
+      if (/INSERT INTO inventory_jobs/.test(sql)) {
+        return { rows: [{ version: (storedVersion || 0) + 1 }] };
+      }
+      if (/SELECT position, item FROM inventory_job_items/.test(sql)) {
+        return { rows: params[1] === 'items' ? storedItems : [] };
+      }
+      if (/COUNT\(\*\)/.test(sql)) {
+        return { rows: [{ count: 0 }] };
+      }
+      return { rows: [] };
+    }),
+    release: jest.fn()
+  };
+  db.pool.connect.mockResolvedValue(client);
+});
+
+describe('set', () => {
+  it('rejects a job changed since it was loaded with a 409 and rolls back', async () => {
+    const job = { jobId: 'job-1', version: 2, items: [] };
+
+    await expect(jobStorage.set('job-1', job)).rejects.toMatchObject({ statusCode: 409 });
+    expect(statements()).toContain('ROLLBACK');
+    expect(statements().some(sql => sql.startsWith('INSERT INTO inventory_jobs'))).toBe(false);
+    expect(job.version).toBe(2);
+    expect(client.release).toHaveBeenCalled();
+  });
+
+  it('locks the job row and bumps the version of a current job', async () => {
+    const job = { jobId: 'job-1', version: 3, items: storedItems.map(row => row.item) };
+
+    await jobStorage.set('job-1', job);
+
+    expect(statements()).toContain('SELECT version FROM inventory_jobs WHERE job_id = $1 FOR UPDATE');
+    expect(statements()).toContain('COMMIT');
+    expect(job.version).toBe(4);
+  });
+
+  it('writes only the items that changed and drops positions past the end', async () => {
+    const job = { jobId: 'job-1', version: 3, items: [{ id: '1', product_id: 'A', qty: 5 }] };
+
+    await jobStorage.set('job-1', job);
+
+    const writes = itemWrites();
+    expect(writes).toHaveLength(1);
+    expect(writes[0][1].slice(0, 3)).toEqual(['job-1', 'items', 0]);
+    expect(writes[0][0]).toMatch(/ON CONFLICT \(job_id, collection, position\)/);
+    expect(statements()).toContain('DELETE FROM inventory_job_items WHERE job_id = $1 AND collection = $2 AND position >= $3');
+  });
+
+  it('skips items whose stored JSONB has the same values in another key order', async () => {
+    await jobStorage.set('job-1', { jobId: 'job-1', version: 3, items: [{ id: '1', product_id: 'A', qty: 1, note: undefined }, storedItems[1].item] });
+    expect(itemWrites()).toHaveLength(0);
+  });
+
+  it('stores a new job without a version check', async () => {
+    storedVersion = null;
+    const job = { jobId: 'job-2', items: [{ id: '1', product_id: 'A' }] };
+
+    await jobStorage.set('job-2', job);
+
+    expect(job.version).toBe(1);
+    expect(itemWrites()).toHaveLength(1);
+  });
+});
@@ -0,0 +1,122 @@
+const resultQuery = require('../resultQuery');
+
+const FACETS = { manufacturer: 'mfg', risk: 'risk_level', status: 'support_coverage' };
+
+const rows = [
+  { id: '1', product_id: 'WS-C2960X-48', mfg: 'Cisco', risk_level: 'high', qty: 10, end_of_sale: '2020-10-31', support_coverage: 'Expired' },
+  { id: '2', product_id: 'PWR-C1-350WAC', mfg: 'Cisco', risk_level: 'critical', qty: 2, end_of_sale: '2018-05-01', support_coverage: 'Active' },
+  { id: '3', product_id: 'J9772A', mfg: 'HP', risk_level: 'low', qty: 25, end_of_sale: '-', support_coverage: 'Active' },
+  { id: '4', product_id: 'SW-LIC-ADV', mfg: '', risk_level: 'none', qty: 1, end_of_sale: '2023-01-15', support_coverage: 'Unknown' },
+  { id: '5', product_id: 'MEM-4GB', mfg: 'HP', risk_level: 'medium', qty: 4, end_of_sale: null, support_coverage: 'Active' }
+];
+
+const query = (params) => resultQuery.run(rows, resultQuery.parse(params, { facets: FACETS }), { searchFields: ['product_id'], keyFields: ['id'] });
+const ids = (result) => result.rows.map(row => row.id);
+
+describe('resultQuery.isQuery', () => {
+  test('only query parameters with a value ask for a query result', () => {
+    expect(resultQuery.isQuery({})).toBe(false);
+    expect(resultQuery.isQuery({ filter: '' })).toBe(false);
+    expect(resultQuery.isQuery({ page: '2' })).toBe(true);
+    expect(resultQuery.isQuery({ facets: 'risk' })).toBe(true);
+  });
+});
+
+describe('resultQuery.parse', () => {
+  test('splits filter expressions on ";" and in values on "|" and resolves facet aliases', () => {
+    const parsed = resultQuery.parse({ filter: 'manufacturer:in:Cisco|HP;qty:gte:10' }, { facets: FACETS });
+    expect(parsed.filters).toEqual([
+      { field: 'mfg', op: 'in', values: ['Cisco', 'HP'] },
+      { field: 'qty', op: 'gte', values: ['10'] }
+    ]);
+  });
+
+  test('keeps colons inside a filter value', () => {
+    expect(resultQuery.parse({ filter: 'product_id:eq:A:B' }).filters[0].values).toEqual(['A:B']);
+  });
+
+  test('reads sort orders from a suffix or a leading "-"', () => {
+    expect(resultQuery.parse({ sort: 'risk:desc,-qty,product_id' }, { facets: FACETS }).sort).toEqual([
+      { field: 'risk_level', order: 'desc' },
+      { field: 'qty', order: 'desc' },
+      { field: 'product_id', order: 'asc' }
+    ]);
+  });
+
+  test('caps the page size', () => {
+    expect(resultQuery.parse({ pageSize: '5000' }).pageSize).toBe(resultQuery.MAX_PAGE_SIZE);
+  });
+
+  test('counts every facet unless facets are asked for, and none for an empty list', () => {
+    expect(resultQuery.parse({}, { facets: FACETS }).facets.map(facet => facet.name)).toEqual(['manufacturer', 'risk', 'status']);
+    expect(resultQuery.parse({ facets: '' }, { facets: FACETS }).facets).toEqual([]);
+  });
+
+  test.each([
+    [{ filter: 'mfg:like:Cisco' }, /Invalid filter/],
+    [{ filter: 'mfg:eq:' }, /needs a value/],
+    [{ sort: 'qty:up' }, /Invalid sort/],
+    [{ page: '0' }, /page must be/],
+    [{ pageSize: 'ten' }, /pageSize must be/],
+    [{ facets: 'colour' }, /Unknown facet/]
+  ])('rejects %p with a 400', (params, message) => {
+    expect(() => resultQuery.parse(params, { facets: FACETS })).toThrow(message);
+    expect(() => resultQuery.parse(params, { facets: FACETS })).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('resultQuery.run', () => {
+  test('filters without regard to case and treats "-" as empty', () => {
+    expect(ids(query({ filter: 'mfg:eq:cisco' }))).toEqual(['1', '2']);
+    expect(ids(query({ filter: 'end_of_sale:empty' }))).toEqual(['3', '5']);
+    expect(ids(query({ filter: 'mfg:nin:Cisco|HP' }))).toEqual(['4']);
+  });
+
+  test('compares numbers and dates by value', () => {
+    expect(ids(query({ filter: 'qty:gte:10' }))).toEqual(['1', '3']);
+    expect(ids(query({ filter: 'end_of_sale:lt:2021-01-01' }))).toEqual(['1', '2']);
+  });
+
+  test('matches the search text against the search fields only', () => {
+    expect(ids(query({ search: 'c1' }))).toEqual(['2']);
+    expect(ids(query({ search: 'cisco' }))).toEqual([]);
+  });
+
+  test('sorts risk levels by severity and puts empty values last in either order', () => {
+    expect(ids(query({ sort: 'risk:desc' }))).toEqual(['2', '1', '5', '3', '4']);
+    expect(ids(query({ sort: 'end_of_sale:asc' }))).toEqual(['2', '1', '4', '3', '5']);
+    expect(ids(query({ sort: 'end_of_sale:desc' }))).toEqual(['4', '1', '2', '3', '5']);
+  });
+
+  test('pages the sorted rows and reports the totals', () => {
+    const result = query({ sort: 'qty:asc', page: '2', pageSize: '2' });
+    expect(ids(result)).toEqual(['5', '1']);
+    expect(result.pagination).toEqual({ page: 2, pageSize: 2, total: 5, filteredTotal: 5, totalPages: 3 });
+  });
+
+  test('reports one page when nothing matches', () => {
+    const result = query({ filter: 'mfg:eq:Juniper' });
+    expect(result.rows).toEqual([]);
+    expect(result.pagination).toMatchObject({ filteredTotal: 0, totalPages: 1 });
+  });
+
+  test('returns the asked fields with the key fields', () => {
+    expect(query({ fields: 'product_id', pageSize: '1' }).rows).toEqual([{ id: '1', product_id: 'WS-C2960X-48' }]);
+  });
+
+  test('counts a facet over every filter except its own, labelling empty values', () => {
+    const { facets } = query({ filter: 'manufacturer:eq:Cisco;status:eq:Active' });
+    expect(facets.manufacturer).toEqual([{ value: 'HP', count: 2 }, { value: 'Cisco', count: 1 }]);
+    expect(facets.status).toEqual([{ value: 'Active', count: 1 }, { value: 'Expired', count: 1 }]);
+    expect(facets.risk).toEqual([{ value: 'critical', count: 1 }]);
+
+    expect(query({}).facets.manufacturer).toContainEqual({ value: '(blank)', count: 1 });
+  });
+});
+
+describe('resultQuery.select', () => {
+  test('returns every matching row unsorted and unpaged', () => {
+    const parsed = resultQuery.parse({ filter: 'support_coverage:eq:Active', pageSize: '1', sort: 'qty:desc' });
+    expect(resultQuery.select(rows, parsed).map(row => row.id)).toEqual(['2', '3', '5']);
+  });
+});
@@ -0,0 +1,53 @@
+const serialDecoder = require('../serialDecoder');
+
+describe('serialDecoder.decodeSerial', () => {
+  test('reads the year and week of a Cisco serial', () => {
+    expect(serialDecoder.decodeSerial('FOC1932X0AB', 'Cisco Systems')).toEqual({
+      date: '2015-08-03',
+      confidence: 75,
+      source: 'serial:cisco'
+    });
+  });
+
+  test('ignores spaces, dashes and case', () => {
+    expect(serialDecoder.decodeSerial('foc-1932 x0ab', 'cisco').date).toBe('2015-08-03');
+  });
+
+  test('reads HPE serials in the latest matching decade', () => {
+    const estimate = serialDecoder.decodeSerial('SGH712ABCD', 'Hewlett Packard Enterprise');
+    expect(estimate).toMatchObject({ confidence: 50, source: 'serial:hpe' });
+    expect(estimate.date).toMatch(/^20[0-9]7-03-/);
+    expect(new Date(estimate.date).getTime()).toBeLessThanOrEqual(Date.now());
+  });
+
+  test.each([
+    ['FOC1932X0AB', undefined],
+    ['FOC1932X0AB', ''],
+    ['FOC1932X0AB', '-'],
+    ['FOC1932X0AB', 'Juniper'],
+    ['ABC1234WXYZ', 'Dell']
+  ])('does not date %p for manufacturer %p', (serial, manufacturer) => {
+    expect(serialDecoder.decodeSerial(serial, manufacturer)).toBeNull();
+  });
+
+  test.each([
+    ['FOC1960X0AB', 'week 60 does not exist'],
+    ['FOC9932X0AB', 'the year is in the future'],
+    ['FOC1932X0A', 'the serial is too short'],
+    ['', 'there is no serial']
+  ])('returns null for %p when %s', (serial) => {
+    expect(serialDecoder.decodeSerial(serial, 'Cisco')).toBeNull();
+  });
+});
+
+describe('serialDecoder.registerDecoder', () => {
+  test('adds a vendor format', () => {
+    serialDecoder.registerDecoder({
+      name: 'test-vendor',
+      manufacturers: /^testco/,
+      confidence: 40,
+      decode: (serial) => (serial.startsWith('T') ? '2020-01-06' : null)
+    });
+    expect(serialDecoder.decodeSerial('T123', 'TestCo')).toEqual({ date: '2020-01-06', confidence: 40, source: 'serial:test-vendor' });
+  });
+});
@@ -0,0 +1,82 @@
+const supportCoverage = require('../supportCoverage');
+
+const asOf = new Date(2026, 9, 19);
+
+describe('supportCoverage.classifyStatus', () => {
+  test.each([
+    ['Active', 'Active'],
+    ['Covered', 'Active'],
+    ['Under Contract', 'Active'],
+    ['Yes', 'Active'],
+    ['Covered - Expiring', 'Expiring'],
+    ['Renewal due', 'Expiring'],
+    ['Expired', 'Expired'],
+    ['Inactive', 'Expired'],
+    ['Inactive-pending', 'Expired'],
+    ['Not Active', 'Expired'],
+    ['Non-active', 'Expired'],
+    ['Out of support', 'Expired'],
+    ['Not Covered', 'Not Covered'],
+    ['Uncovered', 'Not Covered'],
+    ['Unsupported', 'Not Covered'],
+    ['Not supported', 'Not Covered'],
+    ['No', 'Not Covered'],
+    ['None', 'Not Covered'],
+    ['N/A', 'Unknown'],
+    ['Not applicable', 'Unknown'],
+    ['TBD', 'Unknown'],
+    ['', 'Unknown'],
+    ['Smartnet', null]
+  ])('%p is %p', (status, expected) => {
+    expect(supportCoverage.classifyStatus(status)).toBe(expected);
+  });
+});
+
+describe('supportCoverage.resolve', () => {
+  test('an explicit Not Covered wins over the end date', () => {
+    expect(supportCoverage.resolve({ status: 'Unsupported', contractEnd: '2030-01-01' }, { asOf })).toBe('Not Covered');
+  });
+
+  test.each([
+    ['2026-01-01', 'Expired'],
+    ['2026-11-30', 'Expiring'],
+    ['2028-01-01', 'Active']
+  ])('contract ending %p is %p', (contractEnd, expected) => {
+    expect(supportCoverage.resolve({ status: 'Active', contractEnd }, { asOf })).toBe(expected);
+  });
+
+  test('negated statuses without an end date are not Active', () => {
+    expect(supportCoverage.resolve({ status: 'Not Active' }, { asOf })).toBe('Expired');
+    expect(supportCoverage.resolve({ status: 'Unsupported', contractNumber: 'CON-1' }, { asOf })).toBe('Not Covered');
+  });
+
+  test('a contract number on record without a status is Active', () => {
+    expect(supportCoverage.resolve({ contractNumber: 'CON-12345' }, { asOf })).toBe('Active');
+    expect(supportCoverage.resolve({ serviceLevel: '8x5xNBD' }, { asOf })).toBe('Active');
+  });
+
+  test.each(['None', 'N/A', 'n-a', 'No Contract', 'No', '-', '', 'TBD', 'nil'])(
+    'a contract number of %p is not coverage',
+    (contractNumber) => {
+      expect(supportCoverage.resolve({ contractNumber, serviceLevel: contractNumber }, { asOf })).toBe('Unknown');
+    }
+  );
+});
+
+describe('supportCoverage.currentState', () => {
+  test('re-reads the contract end date of a stored item', () => {
+    expect(supportCoverage.currentState({ support_coverage: 'Active', contract_end: '2026-02-01' }, { asOf })).toBe('Expired');
+    expect(supportCoverage.currentState({ support_coverage: 'Not Covered', contract_end: '2030-01-01' }, { asOf })).toBe('Not Covered');
+    expect(supportCoverage.currentState({ support_coverage: '-' }, { asOf })).toBe('Unknown');
+  });
+
+  test('countStates tallies items and quantities', () => {
+    const counts = supportCoverage.countStates([
+      { support_coverage: 'Active', qty: 2 },
+      { support_coverage: 'Unsupported', qty: '3' },
+      { support_coverage: 'Unknown' }
+    ], { asOf });
+    expect(counts.items).toEqual({ Active: 1, Expiring: 0, Expired: 0, 'Not Covered': 1, Unknown: 1 });
+    expect(counts.quantity['Not Covered']).toBe(3);
+  });
+});
@@ -1,59 +1,280 @@
 ﻿// backend/src/utils/columnMapper.js
+const dateParser = require('./dateParser');
+const supportCoverage = require('./supportCoverage');
 
-const normalizeSupport = (value) => {
-  if (!value || value === '' || value === null || value === undefined) {
-    return 'Expired';
-  }
-  
-  const strValue = value.toString().trim();
-  const upperValue = strValue.toUpperCase();
-  
-  if (strValue === '-' || strValue === '.' || strValue === '?' || strValue === '0' || strValue === '') {
-    return 'Expired';
+// Canonical Phase 1 fields and the source headers they are usually exported as.
+// Aliases are compared after lower-casing and removing everything that is not a
+// letter or digit ("Item Quantity" -> "itemquantity"); earlier aliases win ties.
+// exactAliases only match a header that is exactly the alias: "Contract" on its
+// own is a contract number, but "Contract Type" and "Contract Notes" are not.
+const CANONICAL_FIELDS = [
+  { field: 'mfg', label: 'Manufacturer', aliases: ['mfg', 'manufacturer', 'vendor', 'manufacturername', 'vendorname', 'make', 'brand', 'oem'] },
+  { field: 'category', label: 'Category', aliases: ['category', 'businessentity', 'productcategory', 'productfamily', 'family'] },
+  { field: 'asset_type', label: 'Asset Type', aliases: ['assettype', 'assetcategory', 'equipmenttype'] },
+  { field: 'type', label: 'Product Type', aliases: ['type', 'producttype', 'itemtype'] },
+  { field: 'product_id', label: 'Product ID', required: true, aliases: ['productid', 'pid', 'partnumber', 'partno', 'productnumber', 'modelnumber', 'model', 'sku', 'productcode', 'itemnumber'] },
+  { field: 'description', label: 'Description', aliases: ['description', 'productdescription', 'itemdescription', 'partdescription', 'productname'] },
+  { field: 'ship_date', label: 'Ship Date', aliases: ['shipdate', 'shipdt', 'shippeddate', 'purchasedate', 'installdate', 'orderdate'] },
+  { field: 'qty', label: 'Quantity', aliases: ['itemquantity', 'qty', 'quantity', 'itemqty', 'units'] },
+  { field: 'total_value', label: 'Total Value', aliases: ['totalvalue', 'value', 'extendedprice', 'totalprice', 'listprice', 'price', 'cost'] },
+  { field: 'support_coverage', label: 'Support Coverage', aliases: ['coveredlinestatus', 'coverage', 'supportcoverage', 'supportstatus', 'coveragestatus', 'contractstatus', 'covered'] },
+  { field: 'contract_start', label: 'Contract Start Date', aliases: ['contractstartdate', 'contractstart', 'coveragestartdate', 'coveragestart', 'supportstartdate', 'servicestartdate', 'contracteffectivedate'] },
+  { field: 'contract_end', label: 'Contract End Date', aliases: ['contractenddate', 'contractend', 'coverageenddate', 'coverageend', 'supportenddate', 'serviceenddate', 'contractexpirationdate', 'contractexpiration', 'expirationdate', 'expirydate'] },
+  { field: 'contract_number', label: 'Contract Number', aliases: ['contractnumber', 'contractid', 'servicecontractnumber', 'servicecontract', 'agreementnumber', 'agreementid'], exactAliases: ['contract', 'contractno'] },
+  { field: 'service_level', label: 'Service Level', aliases: ['servicelevel', 'sla', 'servicelevelagreement', 'supportlevel', 'coveragelevel', 'servicetype', 'supporttype', 'serviceprogram'] },
+  { field: 'end_of_sale', label: 'End of Sale', aliases: ['endofproductsaledate', 'endofproductsale', 'endofsale', 'endofsaledate', 'eosdate'] },
+  { field: 'last_day_support', label: 'Last Day of Support', aliases: ['lastdateofsupport', 'lastdayofsupport', 'lastsupport', 'ldos', 'endofsupport', 'endofsupportdate'] },
+  { field: 'serial_number', label: 'Serial Number', aliases: ['serialnumber', 'serialno', 'serial', 'sn', 'serialnum', 'chassisserialnumber', 'systemserialnumber'] },
+  { field: 'site', label: 'Site', aliases: ['site', 'sitename', 'siteid', 'sitecode', 'branch', 'facility', 'campus', 'office', 'installsite'] },
+  { field: 'location', label: 'Location', aliases: ['location', 'installlocation', 'installedat', 'address', 'siteaddress', 'installaddress', 'building', 'room', 'rack'] },
+  { field: 'hostname', label: 'Hostname', aliases: ['hostname', 'host', 'devicename', 'systemname', 'nodename', 'dnsname', 'fqdn'] },
+  { field: 'ip_address', label: 'IP Address', aliases: ['ipaddress', 'ip', 'managementip', 'mgmtip', 'ipv4address', 'ipv4', 'managementaddress'] }
+];
+
+const CANONICAL_FIELD_NAMES = CANONICAL_FIELDS.map(definition => definition.field);
+
+// Fields parsed as dates during normalization
+const DATE_FIELDS = ['ship_date', 'end_of_sale', 'last_day_support', 'contract_start', 'contract_end'];
+
+// Headers scoring below this are left unmapped
+const MATCH_THRESHOLD = 0.65;
+
+// Set by the file parsers on each parsed row to record where it came from
+const SOURCE_SHEET_KEY = '_source_sheet';
+const SOURCE_ROW_KEY = '_source_row';
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
   }
-  
-  // ONLY these values mean Active
-  if (upperValue === 'ACTIVE' || upperValue === 'COVERED') {
-    return 'Active';
+  return previous[b.length];
+};
+
+// Score how well a normalized header matches one alias (0..1)
+const scoreAlias = (header, alias) => {
+  if (header === alias) return 1;
+
+  // "Product ID (Cisco)" contains "productid"; "Qty" is contained in nothing useful
+  const shorter = header.length < alias.length ? header : alias;
+  const longer = header.length < alias.length ? alias : header;
+  if (shorter.length >= 4 && longer.includes(shorter)) {
+    return 0.6 + 0.3 * (shorter.length / longer.length);
   }
-  
-  // EVERYTHING ELSE is Expired
-  return 'Expired';
+
+  // Typos such as "Manufaturer" or "Shipdate1"
+  const similarity = 1 - levenshtein(header, alias) / longer.length;
+  return similarity >= 0.8 ? similarity * 0.9 : 0;
 };
 
-const processData = (data) => {
-  return data.map((row, index) => {
-    return {
-      id: index + 1,
-      mfg: row.mfg || row.Manufacturer || row.manufacturer || row.vendor || '-',
-      category: row.category || row['Business Entity'] || row.business_entity || '-',
-      asset_type: row.asset_type || row['Asset Type'] || row.AssetType || '-',
-      type: row.type || row.Type || row['Product Type'] || '-',
-      product_id: row.product_id || row['Product ID'] || row.productid || row.pid || '-',
-      description: row.description || row['Product Description'] || row.product_description || '-',
-      ship_date: row.ship_date || row['Ship Date'] || row.ShipDate || row.ship_dt || '-',
-      qty: parseInt(row['Item Quantity']) || parseInt(row.qty) || parseInt(row.Qty) || parseInt(row.quantity) || parseInt(row.Quantity) || 0,
-      total_value: parseFloat(row.total_value || row['Total Value'] || row.totalvalue || row.value || 0) || 0,
-      support_coverage: (() => {
-        const coveredLineStatus = row['Covered Line Status'];
-        const coverage = row.Coverage;
-        
-        if (coveredLineStatus) {
-          return normalizeSupport(coveredLineStatus);
-        }
-        
-        if (coverage) {
-          return normalizeSupport(coverage);
+// Collect the non-empty headers across parsed rows (combined sheets can differ)
+const getHeaders = (data) => {
+  const headers = new Set();
+  (data || []).forEach(row => {
+    Object.keys(row || {}).forEach(header => {
+      if (String(header).trim() && header !== SOURCE_SHEET_KEY && header !== SOURCE_ROW_KEY) {
+        headers.add(header);
+      }
+    });
+  });
+  return [...headers];
+};
+
+// Headers and fields a mapping leaves out
+const describeMapping = (mapping, headers) => {
+  const mappedHeaders = Object.values(mapping);
+  return {
+    unmappedColumns: headers.filter(header => !mappedHeaders.includes(header)),
+    missingFields: CANONICAL_FIELD_NAMES.filter(field => !mapping[field])
+  };
+};
+
+/**
+ * Fuzzy-match source headers to canonical fields
+ * Each header is used for at most one field, best scores first
+ * @param {Array<string>} headers - Source file headers
+ * @returns {Object} { mapping, confidence, unmappedColumns, missingFields }
+ */
+const detectMapping = (headers) => {
+  const candidates = [];
+
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    if (!normalized) return;
+
+    CANONICAL_FIELDS.forEach(definition => {
+      let best = 0;
+      definition.aliases.forEach((alias, aliasIndex) => {
+        const score = scoreAlias(normalized, alias);
+        if (score > 0) {
+          best = Math.max(best, score - aliasIndex * 0.001);
         }
-        
-        return 'Expired';
-      })(),
-      end_of_sale: row['End of Product Sale Date'] || row['End of Product Sale'] || row.end_of_sale || row.end_of_product_sale || '-',
-      last_day_support: row['Last Date of Support'] || row.last_day_support || row.last_date_of_support || row['Last Support'] || '-'
+      });
+      if ((definition.exactAliases || []).includes(normalized)) {
+        best = Math.max(best, 1 - definition.aliases.length * 0.001);
+      }
+      if (best >= MATCH_THRESHOLD) {
+        candidates.push({ field: definition.field, header, score: best });
+      }
+    });
+  });
+
+  const mapping = {};
+  const confidence = {};
+  const usedHeaders = new Set();
+
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ field, header, score }) => {
+      if (mapping[field] || usedHeaders.has(header)) return;
+      mapping[field] = header;
+      confidence[field] = Math.round(Math.min(1, score) * 100) / 100;
+      usedHeaders.add(header);
+    });
+
+  return { mapping, confidence, ...describeMapping(mapping, headers) };
+};
+
+/**
+ * Check a user supplied mapping against the file's headers
+ * @param {Object} mapping - { canonicalField: sourceHeader }
+ * @param {Array<string>} headers - Source file headers
+ * @returns {Object} { mapping, errors, unmappedColumns, missingFields }
+ */
+const validateMapping = (mapping, headers) => {
+  const cleaned = {};
+  const errors = [];
+
+  Object.entries(mapping || {}).forEach(([field, header]) => {
+    if (header === null || header === undefined || header === '') return;
+    if (!CANONICAL_FIELD_NAMES.includes(field)) {
+      errors.push(`Unknown field "${field}"`);
+    } else if (!headers.includes(header)) {
+      errors.push(`Column "${header}" (mapped to ${field}) is not in the file`);
+    } else {
+      cleaned[field] = header;
+    }
+  });
+
+  CANONICAL_FIELDS
+    .filter(definition => definition.required && !cleaned[definition.field])
+    .forEach(definition => errors.push(`${definition.label} must be mapped to a column`));
+
+  return { mapping: cleaned, errors, ...describeMapping(cleaned, headers) };
+};
+
+/**
+ * Decide per date column whether numeric dates are written day first
+ * @param {Array<Object>} data - Parsed rows keyed by source header
+ * @param {Object} mapping - { canonicalField: sourceHeader }
+ * @param {boolean|null} dayFirst - Forces the order for every column when set
+ * @returns {Object} { field: true | false | null }; null leaves it to the locale
+ */
+const detectDateFormats = (data, mapping, dayFirst = null) => {
+  const formats = {};
+  DATE_FIELDS.forEach(field => {
+    if (!mapping[field]) return;
+    formats[field] = dayFirst === true || dayFirst === false
+      ? dayFirst
+      : dateParser.detectDayFirst((data || []).map(row => row[mapping[field]])).dayFirst;
+  });
+  return formats;
+};
+
+/**
+ * Normalize parsed rows into canonical Phase 1 items
+ * Dates become YYYY-MM-DD; values that could not be read keep their text, and
+ * ambiguous or low-confidence ones are listed in the item's date_review
+ * @param {Array<Object>} data - Parsed rows keyed by source header
+ * @param {Object} mapping - { canonicalField: sourceHeader }; detected from the headers when omitted
+ * @param {number} firstId - id of the first item, for files normalized in chunks
+ * @param {Object} dateOptions - { locale, dateFormats } with dateFormats from detectDateFormats;
+ *   detected from these rows when omitted
+ */
+const processData = (data, mapping = null, firstId = 1, dateOptions = {}) => {
+  const columnMapping = mapping || detectMapping(getHeaders(data)).mapping;
+  const dateFormats = dateOptions.dateFormats || detectDateFormats(data, columnMapping);
+
+  return data.map((row, index) => {
+    const value = (field) => {
+      const header = columnMapping[field];
+      const cell = header ? row[header] : undefined;
+      return cell === null || cell === undefined || cell === '' ? null : cell;
     };
+    const text = (field) => (value(field) !== null ? value(field) : '-');
+
+    const dates = {};
+    const dateReview = {};
+    DATE_FIELDS.forEach(field => {
+      const parsed = dateParser.parseDate(value(field), { locale: dateOptions.locale, dayFirst: dateFormats[field] });
+      dates[field] = parsed.date || text(field);
+      if (parsed.needsReview || parsed.ambiguous) {
+        dateReview[field] = {
+          original: parsed.original,
+          confidence: parsed.confidence,
+          format: parsed.format,
+          ambiguous: parsed.ambiguous
+        };
+      }
+    });
+
+    const item = {
+      id: firstId + index,
+      mfg: text('mfg'),
+      category: text('category'),
+      asset_type: text('asset_type'),
+      type: text('type'),
+      product_id: text('product_id'),
+      description: text('description'),
+      ship_date: dates.ship_date,
+      qty: parseInt(value('qty')) || 0,
+      total_value: parseFloat(value('total_value')) || 0,
+      support_coverage: supportCoverage.resolve({
+        status: value('support_coverage'),
+        contractEnd: dates.contract_end,
+        contractNumber: value('contract_number'),
+        serviceLevel: value('service_level')
+      }),
+      contract_start: dates.contract_start,
+      contract_end: dates.contract_end,
+      contract_number: text('contract_number'),
+      service_level: text('service_level'),
+      end_of_sale: dates.end_of_sale,
+      last_day_support: dates.last_day_support,
+      serial_number: text('serial_number'),
+      site: text('site'),
+      location: text('location'),
+      hostname: text('hostname'),
+      ip_address: text('ip_address'),
+      source_sheet: row[SOURCE_SHEET_KEY] || null,
+      source_row: row[SOURCE_ROW_KEY] || null
+    };
+    if (Object.keys(dateReview).length > 0) {
+      item.date_review = dateReview;
+    }
+    return item;
   });
 };
 
 module.exports = {
+  CANONICAL_FIELDS,
+  DATE_FIELDS,
+  SOURCE_SHEET_KEY,
+  SOURCE_ROW_KEY,
+  normalizeHeader,
+  getHeaders,
+  detectMapping,
+  validateMapping,
+  detectDateFormats,
   processData
-};
\ No newline at end of file
+};
@@ -0,0 +1,366 @@
+// backend/src/utils/dateParser.js
+
+// Shared date parsing for uploads and lifecycle research.
+// Every parse returns the ISO date (YYYY-MM-DD) with a confidence and the
+// original text, so ambiguous values such as 03/04/2022 can be flagged for
+// review instead of silently read as March 4. Periods (months, quarters,
+// halves, years) resolve to their last day, since a lifecycle milestone
+// announced for "Q3 FY2024" has happened by the end of that quarter.
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4,
+  may: 5, jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8,
+  sep: 9, sept: 9, september: 9, oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+
+// Vendor wording that means "no date", and why there is none
+const PHRASES = {
+  pending: ['tbd', 'tba', 'to be determined', 'to be announced', 'not announced', 'not yet announced', 'unannounced', 'pending', 'not yet published'],
+  not_applicable: ['n/a', 'na', 'not applicable', 'none', 'never', 'no eol', 'not scheduled', 'no end date', 'ongoing', 'current', 'unknown', 'null', '-', '.', '?']
+};
+
+// Words around a date that make it approximate ("by Q3 2024", "approx. June 2025")
+const QUALIFIERS = /^(?:end of|by|before|until|through|on or before|effective|in|on|approx\.?|approximately|around|est\.?|estimated|expected|planned|~)\s*/i;
+
+// Rough parts of a year in vendor notices, as [first month, last month]
+const YEAR_PARTS = {
+  early: [1, 4],
+  'beginning of': [1, 3],
+  'start of': [1, 3],
+  mid: [5, 8],
+  middle: [5, 8],
+  late: [9, 12]
+};
+
+const DEFAULT_LOCALE = process.env.DEFAULT_DATE_LOCALE || 'en-US';
+
+// Parses below this confidence are flagged for review
+const REVIEW_THRESHOLD = 0.7;
+
+// Excel serial numbers accepted as dates (1950-01-01 .. 2099-12-31)
+const MIN_EXCEL_SERIAL = 18264;
+const MAX_EXCEL_SERIAL = 73050;
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toIso = (year, month, day) => `${year}-${pad(month)}-${pad(day)}`;
+
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const expandYear = (year) => {
+  const number = parseInt(year);
+  if (String(year).length > 2) return number;
+  return number < 50 ? 2000 + number : 1900 + number;
+};
+
+// Month and day must exist in that year (no 31 April, no 29 February 2023)
+const isValidDay = (year, month, day) =>
+  month >= 1 && month <= 12 && day >= 1 && day <= lastDayOfMonth(year, month);
+
+const monthNumber = (word) => MONTHS[String(word).toLowerCase().replace(/\.$/, '')] || null;
+
+const localeCache = new Map();
+
+/**
+ * Whether a locale writes numeric dates day first (en-GB 03/04/2022 is 3 April)
+ * @param {string} locale - BCP 47 locale such as 'en-US' or 'de-DE'
+ */
+const localeDayFirst = (locale = DEFAULT_LOCALE) => {
+  if (!localeCache.has(locale)) {
+    let dayFirst = false;
+    try {
+      const parts = new Intl.DateTimeFormat(locale).formatToParts(new Date(Date.UTC(2000, 10, 22)));
+      const types = parts.map(part => part.type);
+      dayFirst = types.indexOf('day') < types.indexOf('month');
+    } catch {
+      console.warn(`Unknown date locale "${locale}", reading dates month first`);
+    }
+    localeCache.set(locale, dayFirst);
+  }
+  return localeCache.get(locale);
+};
+
+// Last day of a quarter, on the calendar or in a fiscal year that starts in fiscalYearStartMonth
+// FY2024 with an August start runs from August 2023 to July 2024
+const quarterEnd = (year, quarter, fiscal, fiscalYearStartMonth) => {
+  const startMonth = fiscal && fiscalYearStartMonth > 1 ? fiscalYearStartMonth : 1;
+  const firstYear = startMonth > 1 ? year - 1 : year;
+  const endIndex = (startMonth - 1) + quarter * 3 - 1; // months after January of firstYear
+  const endYear = firstYear + Math.floor(endIndex / 12);
+  const endMonth = (endIndex % 12) + 1;
+  return toIso(endYear, endMonth, lastDayOfMonth(endYear, endMonth));
+};
+
+const yearEnd = (year, fiscal, fiscalYearStartMonth) => quarterEnd(year, 4, fiscal, fiscalYearStartMonth);
+
+const result = (original, fields) => {
+  const parsed = {
+    date: null,
+    original,
+    confidence: 0,
+    format: null,
+    status: 'unparsed',
+    ambiguous: false,
+    ...fields
+  };
+  parsed.needsReview = parsed.status === 'unparsed' || (parsed.date !== null && parsed.confidence < REVIEW_THRESHOLD);
+  return parsed;
+};
+
+const parsedDate = (original, date, confidence, format, extra = {}) =>
+  result(original, { date, confidence: Math.round(confidence * 100) / 100, format, status: 'parsed', ...extra });
+
+const fromExcelSerial = (serial) => new Date(EXCEL_EPOCH + Math.floor(serial) * MS_PER_DAY).toISOString().split('T')[0];
+
+const fromDateObject = (date) => date.toISOString().split('T')[0];
+
+// Numeric day/month/year where the order has to be worked out
+const parseNumeric = (original, first, second, yearText, options) => {
+  const year = expandYear(yearText);
+  const twoDigitPenalty = yearText.length === 2 ? 0.05 : 0;
+  const a = parseInt(first);
+  const b = parseInt(second);
+
+  let dayFirst;
+  let confidence;
+  let ambiguous = false;
+  if (a > 12 && b <= 12) {
+    dayFirst = true;
+    confidence = 0.95;
+  } else if (b > 12 && a <= 12) {
+    dayFirst = false;
+    confidence = 0.95;
+  } else if (a === b) {
+    dayFirst = false;
+    confidence = 0.95;
+  } else {
+    ambiguous = true;
+    if (options.dayFirst === true || options.dayFirst === false) {
+      // Settled by the rest of the column or by the user
+      dayFirst = options.dayFirst;
+      confidence = 0.85;
+    } else {
+      dayFirst = localeDayFirst(options.locale);
+      confidence = 0.6;
+    }
+  }
+
+  const day = dayFirst ? a : b;
+  const month = dayFirst ? b : a;
+  if (!isValidDay(year, month, day)) return null;
+  return parsedDate(original, toIso(year, month, day), confidence - twoDigitPenalty, dayFirst ? 'day_first' : 'month_first', { ambiguous });
+};
+
+const parseText = (original, text, options) => {
+  let match;
+
+  // 2024-03-31, 2024/3/31, 2024-03-31T00:00:00Z
+  if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/))) {
+    const [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+    return isValidDay(year, month, day) ? parsedDate(original, toIso(year, month, day), 1, 'iso') : null;
+  }
+
+  // 20240331
+  if ((match = text.match(/^(\d{4})(\d{2})(\d{2})$/))) {
+    const [year, month, day] = [parseInt(match[1]), parseInt(match[2]), parseInt(match[3])];
+    if (year >= 1950 && year <= 2100 && isValidDay(year, month, day)) {
+      return parsedDate(original, toIso(year, month, day), 0.8, 'compact');
+    }
+  }
+
+  // Excel serial exported as text
+  if ((match = text.match(/^(\d{5})(?:\.\d+)?$/))) {
+    const serial = parseFloat(match[0]);
+    if (serial >= MIN_EXCEL_SERIAL && serial <= MAX_EXCEL_SERIAL) {
+      return parsedDate(original, fromExcelSerial(serial), 0.7, 'excel_serial');
+    }
+  }
+
+  // 03/04/2022, 3.4.22, 03-04-2022
+  if ((match = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/))) {
+    return parseNumeric(original, match[1], match[2], match[3], options);
+  }
+
+  // 31-Jan-2015, 31 January 2015, 1st March 2024
+  if ((match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s/.-]+([a-z]+\.?),?[\s/.-]+(\d{4}|\d{2})$/i))) {
+    const month = monthNumber(match[2]);
+    const year = expandYear(match[3]);
+    const day = parseInt(match[1]);
+    if (month && isValidDay(year, month, day)) {
+      return parsedDate(original, toIso(year, month, day), match[3].length === 2 ? 0.9 : 0.95, 'month_name');
+    }
+  }
+
+  // January 31, 2015 and Jan 31 2015
+  if ((match = text.match(/^([a-z]+\.?)[\s/.-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s/.-]+(\d{4})$/i))) {
+    const month = monthNumber(match[1]);
+    const year = parseInt(match[3]);
+    const day = parseInt(match[2]);
+    if (month && isValidDay(year, month, day)) {
+      return parsedDate(original, toIso(year, month, day), 0.95, 'month_name');
+    }
+  }
+
+  // October 2016, Oct-16
+  if ((match = text.match(/^([a-z]+\.?)[\s/.,'-]+(\d{4}|\d{2})$/i))) {
+    const month = monthNumber(match[1]);
+    if (month) {
+      const year = expandYear(match[2]);
+      return parsedDate(original, toIso(year, month, lastDayOfMonth(year, month)), 0.8, 'month_year');
+    }
+  }
+
+  // Q3 2024, Q3 FY2024, Q3'24, 3Q24, FY24 Q3, 2024-Q3
+  if ((match = text.match(/^(?:(FY|CY)?\s*'?(\d{4}|\d{2})\s*[-\s]?\s*)?(?:Q([1-4])|([1-4])Q)(?:\s*[-\s']?\s*(FY|CY)?\s*'?(\d{4}|\d{2}))?$/i))) {
+    const yearText = match[2] || match[6];
+    if (yearText && !(match[2] && match[6])) {
+      const fiscal = (match[1] || match[5] || '').toUpperCase() === 'FY';
+      const quarter = parseInt(match[3] || match[4]);
+      return parsedDate(original, quarterEnd(expandYear(yearText), quarter, fiscal, options.fiscalYearStartMonth), fiscal ? 0.6 : 0.7, fiscal ? 'fiscal_quarter' : 'quarter');
+    }
+  }
+
+  // H2 2025, 2H FY25
+  if ((match = text.match(/^(?:H([12])|([12])H)\s*(FY|CY)?\s*'?(\d{4}|\d{2})$/i))) {
+    const fiscal = (match[3] || '').toUpperCase() === 'FY';
+    const half = parseInt(match[1] || match[2]);
+    return parsedDate(original, quarterEnd(expandYear(match[4]), half * 2, fiscal, options.fiscalYearStartMonth), 0.5, 'half');
+  }
+
+  // Early 2025, mid-2024, late FY2023
+  if ((match = text.match(/^(early|beginning of|start of|mid|middle|late)[\s-]*(FY|CY)?\s*'?(\d{4})$/i))) {
+    const year = parseInt(match[3]);
+    const lastMonth = YEAR_PARTS[match[1].toLowerCase()][1];
+    if ((match[2] || '').toUpperCase() === 'FY' && options.fiscalYearStartMonth > 1) {
+      return parsedDate(original, quarterEnd(year, Math.ceil(lastMonth / 3), true, options.fiscalYearStartMonth), 0.4, 'phrase');
+    }
+    return parsedDate(original, toIso(year, lastMonth, lastDayOfMonth(year, lastMonth)), 0.4, 'phrase');
+  }
+
+  // 2025, FY2025
+  if ((match = text.match(/^(FY|CY)?\s*'?(\d{4})$/i))) {
+    const year = parseInt(match[2]);
+    if (year >= 1950 && year <= 2100) {
+      return parsedDate(original, yearEnd(year, (match[1] || '').toUpperCase() === 'FY', options.fiscalYearStartMonth), 0.4, 'year');
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Parse one date value from an upload or research text
+ * @param {*} value - String, Date, Excel serial number, or empty
+ * @param {Object} options - { locale, dayFirst, fiscalYearStartMonth }
+ *   dayFirst (true/false) settles 03/04/2022 style values, usually from detectDayFirst on
+ *   the whole column; otherwise the locale decides and the parse is flagged for review.
+ *   fiscalYearStartMonth (1-12) is used for FY quarters and years; 1 means calendar years
+ * @returns {Object} { date, original, confidence, format, status, ambiguous, needsReview }
+ *   status is 'parsed', 'empty', 'pending' (vendor has not announced one),
+ *   'not_applicable' or 'unparsed'
+ */
+const parseDate = (value, options = {}) => {
+  const settings = { locale: DEFAULT_LOCALE, fiscalYearStartMonth: 1, ...options };
+
+  if (value === null || value === undefined || (typeof value === 'string' && value.trim() === '')) {
+    return result('', { status: 'empty', confidence: 1 });
+  }
+
+  if (value instanceof Date) {
+    return isNaN(value.getTime())
+      ? result(String(value), {})
+      : parsedDate(fromDateObject(value), fromDateObject(value), 1, 'date');
+  }
+
+  if (typeof value === 'number') {
+    const original = String(value);
+    if (value >= MIN_EXCEL_SERIAL && value <= MAX_EXCEL_SERIAL) {
+      return parsedDate(original, fromExcelSerial(value), 0.9, 'excel_serial');
+    }
+    return parseText(original, original, settings) || result(original, {});
+  }
+
+  const original = String(value);
+  const text = original.trim().replace(/\s+/g, ' ');
+  const phrase = text.toLowerCase().replace(/[.:;]+$/, '');
+
+  const status = Object.keys(PHRASES).find(key => PHRASES[key].includes(phrase));
+  if (status) {
+    return result(original, { status, confidence: 1 });
+  }
+
+  const direct = parseText(original, text, settings);
+  if (direct) return direct;
+
+  // "End of Q3 2024", "by December 2025", "approx. 2026"
+  const qualifier = text.match(QUALIFIERS);
+  if (qualifier && qualifier[0].length < text.length) {
+    const rest = parseText(original, text.slice(qualifier[0].length), settings);
+    if (rest) {
+      return parsedDate(original, rest.date, rest.confidence * 0.9, rest.format, { ambiguous: rest.ambiguous });
+    }
+  }
+
+  // Last resort for forms like "Tue Mar 05 2024"; local components keep the written day
+  const native = new Date(text);
+  if (!isNaN(native.getTime()) && native.getFullYear() >= 1950 && native.getFullYear() <= 2100) {
+    return parsedDate(original, toIso(native.getFullYear(), native.getMonth() + 1, native.getDate()), 0.5, 'native');
+  }
+
+  return result(original, {});
+};
+
+/**
+ * Work out whether a column writes numeric dates day first
+ * Values with a first part over 12 vote day first, a second part over 12 vote month first
+ * @param {Array} values - Cells from one column
+ * @returns {Object} { dayFirst (true, false or null when undecided), dayFirstVotes, monthFirstVotes, ambiguousValues }
+ */
+const detectDayFirst = (values) => {
+  let dayFirstVotes = 0;
+  let monthFirstVotes = 0;
+  let ambiguousValues = 0;
+
+  (values || []).forEach(value => {
+    if (typeof value !== 'string') return;
+    const match = value.trim().match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})$/);
+    if (!match) return;
+    const a = parseInt(match[1]);
+    const b = parseInt(match[2]);
+    if (a > 12 && b <= 12) dayFirstVotes++;
+    else if (b > 12 && a <= 12) monthFirstVotes++;
+    else if (a !== b) ambiguousValues++;
+  });
+
+  let dayFirst = null;
+  if (dayFirstVotes > monthFirstVotes) dayFirst = true;
+  else if (monthFirstVotes > dayFirstVotes) dayFirst = false;
+
+  return { dayFirst, dayFirstVotes, monthFirstVotes, ambiguousValues };
+};
+
+/**
+ * Parse a value and return only the ISO date, or null
+ */
+const formatDate = (value, options = {}) => parseDate(value, options).date;
+
+/**
+ * Parse a value into a Date at UTC midnight, or null, for comparisons
+ */
+const toDate = (value, options = {}) => {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  const date = formatDate(value, options);
+  return date ? new Date(`${date}T00:00:00Z`) : null;
+};
+
+module.exports = {
+  DEFAULT_LOCALE,
+  REVIEW_THRESHOLD,
+  parseDate,
+  formatDate,
+  toDate,
+  detectDayFirst,
+  localeDayFirst
+};
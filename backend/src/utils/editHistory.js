@@ -0,0 +1,280 @@
+// backend/src/utils/editHistory.js
+
+// Undo, redo and revert for the item edits of a Phase 2 job. Every edit is
+// recorded in job.modificationHistory as one entry per item, and the entries of
+// one request share a changeset ID, so a bulk update is undone as a whole.
+// An entry that adds or removes an item holds a copy of it (inserted/removed)
+// so the item can be taken out or put back again.
+// History is append-only: undo, redo and revert apply their values as a new
+// changeset, and the undo and redo stacks are rebuilt by replaying the history.
+const { v4: uuidv4 } = require('uuid');
+
+// Changeset actions that are new changes (as opposed to undo and redo);
+// sync is an upload updating the file's values in place
+const CHANGE_ACTIONS = ['edit', 'bulk', 'revert', 'sync'];
+
+// Entries recorded before changesets existed are changesets of their own
+const changesetIdOf = (entry, position) => entry.changesetId || `legacy-${position}`;
+
+// JSON storage drops undefined values; a field that did not exist is restored as null
+const valueOf = (value) => (value === undefined ? null : value);
+
+/**
+ * History entries with their position, optionally for one item
+ */
+const listEntries = (job, itemId = null) => (job.modificationHistory || [])
+  .map((entry, position) => ({
+    ...entry,
+    position,
+    changesetId: changesetIdOf(entry, position),
+    action: entry.action || 'edit'
+  }))
+  .filter(entry => itemId === null || String(entry.itemId) === String(itemId));
+
+/**
+ * Entries grouped by changeset, in history order
+ */
+const groupChangesets = (job) => {
+  const changesets = new Map();
+  listEntries(job).forEach(entry => {
+    if (!changesets.has(entry.changesetId)) {
+      changesets.set(entry.changesetId, {
+        changesetId: entry.changesetId,
+        action: entry.action,
+        target: entry.target || null,
+        user: entry.user,
+        timestamp: entry.timestamp,
+        entries: []
+      });
+    }
+    changesets.get(entry.changesetId).entries.push(entry);
+  });
+  return [...changesets.values()];
+};
+
+/**
+ * Replay the history into undo and redo stacks of changeset IDs (last = top)
+ */
+const buildStacks = (job) => {
+  const undo = [];
+  let redo = [];
+  groupChangesets(job).forEach(changeset => {
+    if (CHANGE_ACTIONS.includes(changeset.action)) {
+      undo.push(changeset.changesetId);
+      redo = [];
+    } else if (changeset.action === 'undo' && undo[undo.length - 1] === changeset.target) {
+      redo.push(undo.pop());
+    } else if (changeset.action === 'redo' && redo[redo.length - 1] === changeset.target) {
+      undo.push(redo.pop());
+    }
+  });
+  return { undo, redo };
+};
+
+/**
+ * Apply field values to the job's items and record them as one changeset
+ * @param {Object} job - Phase 2 job, changed in place
+ * @param {Array<Object>} changes - { itemId, updates }, { itemId, insert: item }
+ *   to add an item or { itemId, remove: true } to take one out
+ * @param {Object} options - { action, target, user, description }
+ * @returns {Object} { changesetId, itemIds, fields, insertedIds, removedIds, skipped }
+ */
+const applyChangeset = (job, changes, { action = 'edit', target = null, user = 'user', description = null } = {}) => {
+  const changesetId = uuidv4();
+  const timestamp = new Date().toISOString();
+  const itemIds = [];
+  const fields = new Set();
+  const insertedIds = [];
+  const removedIds = [];
+  const skipped = [];
+  job.modificationHistory = job.modificationHistory || [];
+  const record = (itemId, entry) => {
+    job.modificationHistory.push({
+      itemId: String(itemId),
+      timestamp,
+      updates: {},
+      previousValues: {},
+      ...entry,
+      user,
+      changesetId,
+      action,
+      ...(target ? { target } : {}),
+      ...(description ? { description } : {})
+    });
+    itemIds.push(String(itemId));
+  };
+
+  changes.forEach(({ itemId, updates = {}, insert, remove }) => {
+    const itemIndex = job.items.findIndex(item => String(item.id) === String(itemId));
+    if (insert) {
+      if (itemIndex !== -1) {
+        skipped.push({ itemId: String(itemId), error: 'Item already exists' });
+        return;
+      }
+      const item = { ...insert, id: insert.id === undefined ? itemId : insert.id };
+      job.items.push(item);
+      record(itemId, { inserted: { ...item } });
+      insertedIds.push(String(itemId));
+      return;
+    }
+    if (itemIndex === -1) {
+      skipped.push({ itemId: String(itemId), error: 'Item not found' });
+      return;
+    }
+    if (remove) {
+      const [item] = job.items.splice(itemIndex, 1);
+      record(itemId, { removed: item });
+      removedIds.push(String(itemId));
+      return;
+    }
+
+    const previousValues = {};
+    Object.keys(updates).forEach(key => {
+      previousValues[key] = valueOf(job.items[itemIndex][key]);
+      fields.add(key);
+    });
+
+    job.items[itemIndex] = {
+      ...job.items[itemIndex],
+      ...updates,
+      last_modified: timestamp,
+      modified_by: user
+    };
+
+    record(itemId, { updates, previousValues });
+  });
+
+  // An undo or redo with nothing left to change still moves the stacks
+  if (itemIds.length === 0 && !CHANGE_ACTIONS.includes(action)) {
+    job.modificationHistory.push({ itemId: null, timestamp, updates: {}, previousValues: {}, user, changesetId, action, target });
+  }
+
+  return { changesetId, itemIds, fields: [...fields], insertedIds, removedIds, skipped };
+};
+
+/**
+ * Changes that bring items back to how they were before a set of entries (or,
+ * redoing, to how the entries left them), skipping fields that already have that value
+ */
+const restoreChanges = (job, entries, useUpdates = false) => {
+  const targets = new Map();
+  entries.forEach(entry => {
+    const values = useUpdates ? entry.updates : entry.previousValues;
+    const target = targets.get(String(entry.itemId)) || { values: {}, exists: null, copy: null };
+    // Reverting, the first recorded state wins; redoing, the last one wins
+    if ((entry.inserted || entry.removed) && (useUpdates || target.exists === null)) {
+      target.exists = useUpdates ? Boolean(entry.inserted) : Boolean(entry.removed);
+      target.copy = useUpdates ? entry.inserted || null : entry.removed || null;
+    }
+    Object.keys(entry.updates || {}).forEach(key => {
+      if (useUpdates || !(key in target.values)) {
+        target.values[key] = valueOf((values || {})[key]);
+      }
+    });
+    targets.set(String(entry.itemId), target);
+  });
+
+  const changes = [];
+  targets.forEach(({ values, exists, copy }, itemId) => {
+    const item = job.items.find(candidate => String(candidate.id) === itemId);
+    if (exists === false) {
+      if (item) changes.push({ itemId, remove: true });
+      return;
+    }
+    if (exists && !item) {
+      changes.push({ itemId, insert: { ...copy, ...values } });
+      return;
+    }
+
+    const updates = {};
+    Object.keys(values).forEach(key => {
+      if (!item || JSON.stringify(valueOf(item[key])) !== JSON.stringify(values[key])) {
+        updates[key] = values[key];
+      }
+    });
+    if (Object.keys(updates).length > 0) {
+      changes.push({ itemId, updates });
+    }
+  });
+  return changes;
+};
+
+/**
+ * Undo the latest change that has not been undone
+ * @returns {Object|null} Applied changeset, or null when there is nothing to undo
+ */
+const undo = (job, user) => {
+  const { undo: undoStack } = buildStacks(job);
+  const changesetId = undoStack[undoStack.length - 1];
+  if (!changesetId) return null;
+
+  const changeset = groupChangesets(job).find(candidate => candidate.changesetId === changesetId);
+  return applyChangeset(job, restoreChanges(job, changeset.entries), { action: 'undo', target: changesetId, user });
+};
+
+/**
+ * Redo the latest undone change
+ * @returns {Object|null} Applied changeset, or null when there is nothing to redo
+ */
+const redo = (job, user) => {
+  const { redo: redoStack } = buildStacks(job);
+  const changesetId = redoStack[redoStack.length - 1];
+  if (!changesetId) return null;
+
+  const changeset = groupChangesets(job).find(candidate => candidate.changesetId === changesetId);
+  return applyChangeset(job, restoreChanges(job, changeset.entries, true), { action: 'redo', target: changesetId, user });
+};
+
+/**
+ * Bring one item, or the whole job, back to how it was before the history entry
+ * at `position`; that entry and every later one are rolled back as one changeset
+ * @returns {Object} Applied changeset
+ */
+const revert = (job, { position, itemId = null, user }) => {
+  const history = job.modificationHistory || [];
+  if (!Number.isInteger(position) || position < 0 || position >= history.length) {
+    throw new Error(`History position must be between 0 and ${history.length - 1}`);
+  }
+
+  const entries = listEntries(job, itemId).filter(entry => entry.position >= position);
+  return applyChangeset(job, restoreChanges(job, entries), {
+    action: 'revert',
+    target: `position:${position}`,
+    user
+  });
+};
+
+/**
+ * Whether there is a change to undo or redo
+ */
+const availability = (job) => {
+  const { undo: undoStack, redo: redoStack } = buildStacks(job);
+  return { canUndo: undoStack.length > 0, canRedo: redoStack.length > 0 };
+};
+
+/**
+ * History for display, newest first, with whether each change has been undone
+ */
+const describe = (job, itemId = null) => {
+  const { undo: undoStack, redo: redoStack } = buildStacks(job);
+  const undone = new Set(redoStack);
+  return {
+    history: listEntries(job, itemId)
+      .filter(entry => entry.itemId !== null && entry.itemId !== undefined)
+      .map(entry => ({ ...entry, undone: undone.has(entry.changesetId) }))
+      .reverse(),
+    canUndo: undoStack.length > 0,
+    canRedo: redoStack.length > 0
+  };
+};
+
+module.exports = {
+  listEntries,
+  buildStacks,
+  applyChangeset,
+  undo,
+  redo,
+  revert,
+  availability,
+  describe
+};
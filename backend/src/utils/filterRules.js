@@ -0,0 +1,342 @@
+// backend/src/utils/filterRules.js
+
+// Evaluates saved filter definitions against inventory items of any phase.
+// A definition has two optional parts:
+//   rules    pattern rules, as Phase 1 filter sets use them:
+//            { productIds, descriptions, productTypes } with patterns, regexPatterns
+//            and exact values, plus the same groups under include to keep items
+//            an exclusion would remove
+//   columns  column criteria, as the Phase 2 results grid saves them:
+//            { product_id, description } text (contains), { type, category, mfg,
+//            risk_level, support_status } { include, exclude } value lists and
+//            selectionMode with selectedProductIds
+// Column fields are looked up under their Phase 2 name first, then under the
+// names Phase 1 rows and Phase 3 products use.
+
+const EMPTY_RULES = {
+  productIds: { patterns: [], regexPatterns: [] },
+  descriptions: { patterns: [], regexPatterns: [] },
+  productTypes: { exact: [], patterns: [] }
+};
+
+// Column criteria and the item fields they read, in lookup order
+const COLUMN_FIELDS = {
+  product_id: ['product_id'],
+  description: ['description'],
+  type: ['type', 'product_type'],
+  category: ['category', 'product_category'],
+  mfg: ['mfg', 'manufacturer'],
+  risk_level: ['risk_level'],
+  support_status: ['support_coverage', 'support_status']
+};
+
+const TEXT_COLUMNS = ['product_id', 'description'];
+
+const RULE_GROUPS = [
+  { group: 'productIds', field: 'product_id', value: item => item.product_id },
+  { group: 'descriptions', field: 'description', value: item => item.description },
+  { group: 'productTypes', field: 'type', value: item => item.type || item.product_type }
+];
+
+const GROUP_COUNTERS = { productIds: 'byProductId', descriptions: 'byDescription', productTypes: 'byType', columns: 'byColumn' };
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const columnValue = (item, column) => {
+  const key = COLUMN_FIELDS[column].find(field => item[field] !== undefined && item[field] !== null);
+  return key ? item[key] : undefined;
+};
+
+/**
+ * Case-insensitive wildcard match: *X* contains, X* starts with, *X ends with,
+ * otherwise equals. Empty values ('' and '-') never match
+ */
+const matchesWildcard = (text, pattern) => {
+  if (!text || !pattern) return false;
+
+  const value = String(text).toUpperCase().trim();
+  const wildcard = String(pattern).toUpperCase().trim();
+  if (value === '-' || value === '') return false;
+
+  if (wildcard.startsWith('*') && wildcard.endsWith('*')) {
+    const searchTerm = wildcard.slice(1, -1);
+    return searchTerm === '' || value.includes(searchTerm);
+  }
+  if (wildcard.endsWith('*')) {
+    return value.startsWith(wildcard.slice(0, -1));
+  }
+  if (wildcard.startsWith('*')) {
+    return value.endsWith(wildcard.slice(1));
+  }
+  return value === wildcard;
+};
+
+/**
+ * Bring a definition in any of the old shapes into { rules, columns }:
+ * a Phase 1 filter set's filters ({ productIds, ... }) become rules and a
+ * Phase 2 saved filter's config ({ product_id, type: { include }, ... }) columns
+ */
+const normalizeDefinition = (definition) => {
+  if (!isPlainObject(definition)) return {};
+  if ('rules' in definition || 'columns' in definition) {
+    return {
+      ...(isPlainObject(definition.rules) ? { rules: definition.rules } : {}),
+      ...(isPlainObject(definition.columns) ? { columns: definition.columns } : {})
+    };
+  }
+  if (RULE_GROUPS.some(({ group }) => group in definition) || 'include' in definition) {
+    return { rules: definition };
+  }
+  if (Object.keys(COLUMN_FIELDS).some(column => column in definition) || 'selectionMode' in definition) {
+    return { columns: definition };
+  }
+  return {};
+};
+
+// Column criteria as exclusion rules; each rule's test is true for an item the criterion removes
+const buildColumnRules = (columns) => {
+  const rules = [];
+  if (!isPlainObject(columns)) return rules;
+
+  Object.keys(COLUMN_FIELDS).forEach(column => {
+    const criterion = columns[column];
+    const value = item => columnValue(item, column);
+
+    if (TEXT_COLUMNS.includes(column)) {
+      const text = typeof criterion === 'string' ? criterion.trim().toLowerCase() : '';
+      if (text) {
+        rules.push({
+          key: `exclude:columns.contains:${column}:${text}`,
+          action: 'exclude', group: 'columns', field: column, kind: 'contains', pattern: criterion, value,
+          test: current => current === undefined || !String(current).toLowerCase().includes(text)
+        });
+      }
+      return;
+    }
+
+    if (!isPlainObject(criterion)) return;
+    const include = (criterion.include || []).map(String);
+    const exclude = (criterion.exclude || []).map(String);
+    if (include.length > 0) {
+      rules.push({
+        key: `exclude:columns.include:${column}:${include.join('|')}`,
+        action: 'exclude', group: 'columns', field: column, kind: 'include', pattern: include.join('|'), value,
+        test: current => !include.includes(String(current))
+      });
+    }
+    if (exclude.length > 0) {
+      rules.push({
+        key: `exclude:columns.exclude:${column}:${exclude.join('|')}`,
+        action: 'exclude', group: 'columns', field: column, kind: 'exclude', pattern: exclude.join('|'), value,
+        test: current => exclude.includes(String(current))
+      });
+    }
+  });
+
+  // Selected rows are saved by product ID so they carry over to other jobs
+  const selected = new Set((columns.selectedProductIds || []).map(String));
+  if (selected.size > 0 && ['include-selected', 'exclude-selected'].includes(columns.selectionMode)) {
+    const keepSelected = columns.selectionMode === 'include-selected';
+    rules.push({
+      key: `exclude:columns.selection:${columns.selectionMode}`,
+      action: 'exclude', group: 'columns', field: 'product_id', kind: 'selection',
+      pattern: `${columns.selectionMode} (${selected.size} products)`,
+      value: item => item.product_id,
+      test: current => selected.has(String(current)) !== keepSelected
+    });
+  }
+  return rules;
+};
+
+/**
+ * Flatten a definition into ordered rules
+ * Rule groups (productIds, descriptions, productTypes) are checked in that order,
+ * and within a group wildcard patterns, regex patterns and exact types.
+ * Include rules keep an item a pattern rule would remove; they do not override
+ * column criteria
+ * @returns {Object} { columnRules, excludeRules, includeRules, invalidPatterns }
+ */
+const compileRules = (definition) => {
+  const { rules, columns } = normalizeDefinition(definition);
+  const invalidPatterns = [];
+
+  const buildRules = (filters, action) => {
+    const compiled = [];
+    if (!filters) return compiled;
+
+    RULE_GROUPS.forEach(({ group, field, value }) => {
+      const config = filters[group] || {};
+
+      (config.patterns || []).forEach(pattern => {
+        compiled.push({
+          key: `${action}:${group}.patterns:${pattern}`,
+          action, group, field, kind: 'pattern', pattern, value,
+          test: text => matchesWildcard(text, pattern)
+        });
+      });
+
+      (config.regexPatterns || []).forEach(pattern => {
+        let regex;
+        try {
+          regex = new RegExp(pattern, 'i');
+        } catch (error) {
+          invalidPatterns.push({ group, pattern, error: error.message });
+          return;
+        }
+        compiled.push({
+          key: `${action}:${group}.regexPatterns:${pattern}`,
+          action, group, field, kind: 'regex', pattern, value,
+          test: text => {
+            const str = text === null || text === undefined ? '' : String(text).trim();
+            return str !== '' && str !== '-' && regex.test(str);
+          }
+        });
+      });
+
+      (config.exact || []).forEach(pattern => {
+        compiled.push({
+          key: `${action}:${group}.exact:${pattern}`,
+          action, group, field, kind: 'exact', pattern, value,
+          test: text => !!text && String(text).toLowerCase().trim() === String(pattern).toLowerCase().trim()
+        });
+      });
+    });
+
+    return compiled;
+  };
+
+  const { include, ...excludeFilters } = rules || {};
+
+  return {
+    columnRules: buildColumnRules(columns),
+    excludeRules: buildRules(excludeFilters, 'exclude'),
+    includeRules: buildRules(include, 'include'),
+    invalidPatterns
+  };
+};
+
+/**
+ * Run a filter definition over items
+ * Excluded items are returned with the rule that removed them so they can be audited
+ * @param {Array} data - Phase 1 rows, Phase 2 items or Phase 3 products
+ * @param {Object} definition - { rules, columns } (or an old shape, see normalizeDefinition)
+ * @param {string} name - Filter name for the log
+ * @returns {Object} { kept, excluded, stats }
+ */
+const evaluate = (data, definition, name = 'none') => {
+  const { columnRules, excludeRules, includeRules, invalidPatterns } = compileRules(definition);
+  const allRules = [...columnRules, ...excludeRules, ...includeRules];
+  const ruleCounts = new Map(allRules.map(rule => [rule.key, 0]));
+  const excludedByGroup = { byProductId: 0, byDescription: 0, byType: 0, byColumn: 0 };
+
+  const kept = [];
+  const excluded = [];
+  let keptByInclude = 0;
+
+  data.forEach(item => {
+    let excludeRule = columnRules.find(rule => rule.test(rule.value(item)));
+    if (!excludeRule) {
+      excludeRule = excludeRules.find(rule => rule.test(rule.value(item)));
+      if (!excludeRule) {
+        kept.push(item);
+        return;
+      }
+
+      const includeRule = includeRules.find(rule => rule.test(rule.value(item)));
+      if (includeRule) {
+        ruleCounts.set(includeRule.key, ruleCounts.get(includeRule.key) + 1);
+        keptByInclude++;
+        kept.push(item);
+        return;
+      }
+    }
+
+    ruleCounts.set(excludeRule.key, ruleCounts.get(excludeRule.key) + 1);
+    excludedByGroup[GROUP_COUNTERS[excludeRule.group]]++;
+    excluded.push({
+      ...item,
+      excluded_by: `${excludeRule.group}.${excludeRule.kind}: ${excludeRule.pattern}`,
+      excluded_field: excludeRule.field,
+      excluded_value: excludeRule.value(item)
+    });
+  });
+
+  const describeRule = rule => ({
+    action: rule.action,
+    group: rule.group,
+    field: rule.field,
+    kind: rule.kind,
+    pattern: rule.pattern,
+    count: ruleCounts.get(rule.key)
+  });
+
+  const originalCount = data.length;
+  const stats = {
+    originalCount,
+    filteredCount: kept.length,
+    excludedCount: excluded.length,
+    excludedPercentage: originalCount > 0 ? ((excluded.length / originalCount) * 100).toFixed(1) : '0.0',
+    excluded: excludedByGroup,
+    keptByInclude,
+    byRule: [...columnRules, ...excludeRules].map(describeRule),
+    includeRules: includeRules.map(describeRule),
+    invalidPatterns
+  };
+
+  console.log(`Filter "${name}": ${originalCount} → ${kept.length} (${excluded.length} excluded, ${keptByInclude} kept by include rules)`);
+
+  return { kept, excluded, stats };
+};
+
+/**
+ * Combine evaluate() stats from chunks of one file
+ */
+const mergeStats = (total, stats) => {
+  if (!total) return stats;
+
+  const originalCount = total.originalCount + stats.originalCount;
+  const excludedCount = total.excludedCount + stats.excludedCount;
+  const addCounts = (rules, chunkRules) => rules.map((rule, index) => ({
+    ...rule,
+    count: rule.count + chunkRules[index].count
+  }));
+
+  return {
+    ...total,
+    originalCount,
+    filteredCount: total.filteredCount + stats.filteredCount,
+    excludedCount,
+    excludedPercentage: originalCount > 0 ? ((excludedCount / originalCount) * 100).toFixed(1) : '0.0',
+    excluded: Object.fromEntries(Object.keys(total.excluded).map(key => [key, total.excluded[key] + stats.excluded[key]])),
+    keptByInclude: total.keptByInclude + stats.keptByInclude,
+    byRule: addCounts(total.byRule, stats.byRule),
+    includeRules: addCounts(total.includeRules, stats.includeRules)
+  };
+};
+
+/**
+ * Problems that would make a definition unusable
+ * @returns {Array<string>} Error messages; empty when the definition is valid
+ */
+const validateDefinition = (definition) => {
+  if (!isPlainObject(definition)) {
+    return ['Filter definition must be an object'];
+  }
+  const normalized = normalizeDefinition(definition);
+  if (!normalized.rules && !normalized.columns) {
+    return ['Filter definition needs rules or columns'];
+  }
+  return compileRules(normalized).invalidPatterns
+    .map(({ group, pattern, error }) => `Invalid regular expression in ${group}: ${pattern} (${error})`);
+};
+
+module.exports = {
+  EMPTY_RULES,
+  COLUMN_FIELDS,
+  matchesWildcard,
+  normalizeDefinition,
+  compileRules,
+  evaluate,
+  mergeStats,
+  validateDefinition
+};
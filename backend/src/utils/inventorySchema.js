@@ -0,0 +1,183 @@
+// backend/src/utils/inventorySchema.js
+
+// Declared schema of Phase 2 inventory item fields. Every Phase 2 write path
+// (single edits, bulk updates and query-based bulk edits) checks its values here
+// before touching the job, so typos cannot add fields, dates are stored as
+// YYYY-MM-DD and quantities stay integers. Errors are returned per field so the
+// UI can show them on the edited cell.
+const dateParser = require('./dateParser');
+const supportCoverage = require('./supportCoverage');
+
+const RISK_LEVELS = ['critical', 'high', 'medium', 'low', 'none'];
+
+// Value stored for an empty optional field, as uploads do
+const EMPTY = '-';
+
+const MAX_TEXT_LENGTH = 1000;
+
+/**
+ * Field definitions
+ *   type      text, date, integer, number, enum or ip
+ *   required  cannot be cleared
+ *   values    allowed values of an enum (matched case-insensitively)
+ *   readOnly  set by the application, never by a write request
+ */
+const FIELDS = {
+  id: { type: 'text', label: 'ID', readOnly: true },
+  mfg: { type: 'text', label: 'Manufacturer' },
+  category: { type: 'text', label: 'Category' },
+  asset_type: { type: 'text', label: 'Asset Type' },
+  type: { type: 'text', label: 'Product Type' },
+  product_id: { type: 'text', label: 'Product ID', required: true, maxLength: 255 },
+  description: { type: 'text', label: 'Description' },
+  ship_date: { type: 'date', label: 'Ship Date' },
+  qty: { type: 'integer', label: 'Quantity', required: true, min: 0 },
+  total_value: { type: 'number', label: 'Total Value', min: 0 },
+  support_coverage: { type: 'enum', label: 'Support Coverage', values: supportCoverage.STATES, emptyValue: 'Unknown' },
+  contract_start: { type: 'date', label: 'Contract Start Date' },
+  contract_end: { type: 'date', label: 'Contract End Date' },
+  contract_number: { type: 'text', label: 'Contract Number', maxLength: 255 },
+  service_level: { type: 'text', label: 'Service Level', maxLength: 255 },
+  end_of_sale: { type: 'date', label: 'End of Sale' },
+  last_day_support: { type: 'date', label: 'Last Day of Support' },
+  end_of_sw_support: { type: 'date', label: 'End of SW Support' },
+  end_of_sw_vulnerability: { type: 'date', label: 'End of SW Vulnerability' },
+  serial_number: { type: 'text', label: 'Serial Number', maxLength: 255 },
+  site: { type: 'text', label: 'Site', maxLength: 255 },
+  location: { type: 'text', label: 'Location', maxLength: 500 },
+  hostname: { type: 'text', label: 'Hostname', maxLength: 255 },
+  ip_address: { type: 'ip', label: 'IP Address' },
+  risk_level: { type: 'enum', label: 'Risk Level', values: RISK_LEVELS },
+  risk_score: { type: 'number', label: 'Risk Score', readOnly: true },
+  risk_factors: { type: 'text', label: 'Risk Factors', readOnly: true },
+  risk_explanation: { type: 'text', label: 'Risk Explanation', readOnly: true },
+  date_review: { type: 'text', label: 'Date Review', readOnly: true },
+  source_sheet: { type: 'text', label: 'Source Sheet', readOnly: true },
+  source_row: { type: 'integer', label: 'Source Row', readOnly: true },
+  last_modified: { type: 'date', label: 'Last Modified', readOnly: true },
+  modified_by: { type: 'text', label: 'Modified By', readOnly: true }
+};
+
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const IPV6 = /^[0-9a-f]{0,4}(:[0-9a-f]{0,4}){2,7}$/i;
+
+const isEmpty = (value) => value === null || value === undefined || (typeof value === 'string' && (value.trim() === '' || value.trim() === EMPTY));
+
+/**
+ * Check and normalize one field value
+ * @returns {Object} { value } or { error }
+ */
+const validateValue = (field, value) => {
+  const definition = FIELDS[field];
+  if (!definition) {
+    return { error: `Unknown field "${field}"` };
+  }
+  if (definition.readOnly) {
+    return { error: `${definition.label} cannot be edited` };
+  }
+
+  if (isEmpty(value)) {
+    if (definition.required) {
+      return { error: `${definition.label} is required` };
+    }
+    return { value: definition.emptyValue || EMPTY };
+  }
+  if (typeof value === 'object') {
+    return { error: `${definition.label} must be a single value` };
+  }
+
+  const text = String(value).trim();
+  switch (definition.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(text.replace(/,/g, ''));
+      if (!Number.isFinite(number) || (definition.type === 'integer' && !Number.isInteger(number))) {
+        return { error: `${definition.label} must be ${definition.type === 'integer' ? 'a whole number' : 'a number'}` };
+      }
+      if (definition.min !== undefined && number < definition.min) {
+        return { error: `${definition.label} cannot be less than ${definition.min}` };
+      }
+      return { value: number };
+    }
+    case 'date': {
+      const parsed = dateParser.parseDate(value);
+      // "N/A", "TBD" and the like mean the date does not apply
+      if (parsed.status === 'not_applicable') {
+        return { value: EMPTY };
+      }
+      if (!parsed.date) {
+        return { error: `${definition.label} must be a date (YYYY-MM-DD)` };
+      }
+      if (parsed.ambiguous) {
+        return { error: `${definition.label} "${text}" is ambiguous; use YYYY-MM-DD` };
+      }
+      return { value: parsed.date };
+    }
+    case 'enum': {
+      const match = definition.values.find(allowed => allowed.toLowerCase() === text.toLowerCase());
+      if (!match) {
+        return { error: `${definition.label} must be one of ${definition.values.join(', ')}` };
+      }
+      return { value: match };
+    }
+    case 'ip':
+      if (!IPV4.test(text) && !IPV6.test(text)) {
+        return { error: `${definition.label} must be an IPv4 or IPv6 address` };
+      }
+      return { value: text };
+    default:
+      if (text.length > (definition.maxLength || MAX_TEXT_LENGTH)) {
+        return { error: `${definition.label} cannot be longer than ${definition.maxLength || MAX_TEXT_LENGTH} characters` };
+      }
+      return { value: text };
+  }
+};
+
+/**
+ * Check the updates of one item
+ * @param {Object} updates - { field: value }
+ * @param {string} itemId - Reported with each error
+ * @returns {Object} { values, errors } with normalized values and { itemId, field, value, message } errors
+ */
+const validateUpdates = (updates, itemId = null) => {
+  const values = {};
+  const errors = [];
+
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+    errors.push({ itemId, field: null, value: null, message: 'No field updates given' });
+    return { values, errors };
+  }
+
+  Object.entries(updates).forEach(([field, value]) => {
+    const checked = validateValue(field, value);
+    if (checked.error) {
+      errors.push({ itemId, field, value: value === undefined ? null : value, message: checked.error });
+    } else {
+      values[field] = checked.value;
+    }
+  });
+  return { values, errors };
+};
+
+/**
+ * Editable fields with their types, for clients
+ */
+const describe = () => Object.entries(FIELDS)
+  .filter(([, definition]) => !definition.readOnly)
+  .map(([field, definition]) => ({
+    field,
+    type: definition.type,
+    label: definition.label,
+    required: Boolean(definition.required),
+    ...(definition.values ? { values: definition.values } : {}),
+    ...(definition.maxLength ? { maxLength: definition.maxLength } : {}),
+    ...(definition.min !== undefined ? { min: definition.min } : {})
+  }));
+
+module.exports = {
+  FIELDS,
+  RISK_LEVELS,
+  validateValue,
+  validateUpdates,
+  describe
+};
@@ -1,38 +1,415 @@
 // backend/src/utils/jobStorage.js
 
-// In-memory storage for job data
-// In production, replace with database storage
-const jobs = new Map();
+// PostgreSQL-backed storage for Phase 1 and Phase 2 job data.
+// Keeps the get/set/has/delete/getAll contract of the old in-memory Map,
+// but every method is async so jobs survive restarts and are shared
+// across Cloud Run instances. Loaded jobs carry the stored version; set
+// rejects a job that was changed by another request since it was loaded.
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+
+// Job fields stored as rows in inventory_job_items
+const ITEM_COLLECTIONS = ['data', 'excludedData', 'validationIssues', 'items', 'phase3FilteredItems'];
+
+// Job fields that map to their own inventory_jobs columns
+const HEADER_FIELDS = ['jobId', 'phase1Reference', 'customerName', 'filename', 'status', 'summary', 'analytics', 'timestamp', 'version'];
+
+const ITEM_COLUMNS = ['job_id', 'collection', 'position', 'item_id', 'product_id', 'item'];
+
+// Rows per multi-row INSERT when writing items
+const INSERT_CHUNK_SIZE = 500;
+
+// Create the job tables once per process
+const ensureSchema = () => ensureMigration('20261019_job_storage.sql');
+
+const toJsonb = (value) => (value === undefined ? null : JSON.stringify(value));
+
+// JSON with object keys sorted, to compare items with JSONB values read back
+const canonicalJson = (value) => JSON.stringify(value, (key, nested) => (
+  nested && typeof nested === 'object' && !Array.isArray(nested)
+    ? Object.fromEntries(Object.keys(nested).sort().map(name => [name, nested[name]]))
+    : nested
+));
+
+const conflictError = (jobId) => {
+  const error = new Error(`Job ${jobId} was changed by another request; reload it and try again`);
+  error.statusCode = 409;
+  return error;
+};
+
+// Insert rows in chunks using a single parameterized statement per chunk
+const insertRows = async (client, table, columns, rows, onConflict = '') => {
+  for (let start = 0; start < rows.length; start += INSERT_CHUNK_SIZE) {
+    const chunk = rows.slice(start, start + INSERT_CHUNK_SIZE);
+    const values = [];
+    const placeholders = chunk.map((row, rowIndex) => {
+      const base = rowIndex * columns.length;
+      values.push(...row);
+      return `(${columns.map((_, colIndex) => `$${base + colIndex + 1}`).join(', ')})`;
+    });
+
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders.join(', ')} ${onConflict}`,
+      values
+    );
+  }
+};
+
+const toItemRow = (jobId, collection, position, item) => [
+  jobId,
+  collection,
+  position,
+  item.id !== undefined && item.id !== null ? String(item.id) : null,
+  item.product_id || null,
+  JSON.stringify(item)
+];
+
+// Write only the positions whose item differs from the stored one, and drop
+// stored positions past the end of the collection
+const writeItems = async (client, jobId, collection, items) => {
+  const storedResult = await client.query(
+    'SELECT position, item FROM inventory_job_items WHERE job_id = $1 AND collection = $2',
+    [jobId, collection]
+  );
+  const stored = new Map(storedResult.rows.map(row => [row.position, canonicalJson(row.item)]));
+
+  const rows = [];
+  items.forEach((item, position) => {
+    // JSONB drops undefined values the same way JSON.stringify does
+    if (stored.get(position) !== canonicalJson(JSON.parse(JSON.stringify(item)))) {
+      rows.push(toItemRow(jobId, collection, position, item));
+    }
+  });
+
+  if (stored.size > items.length) {
+    await client.query(
+      'DELETE FROM inventory_job_items WHERE job_id = $1 AND collection = $2 AND position >= $3',
+      [jobId, collection, items.length]
+    );
+  }
+  await insertRows(client, 'inventory_job_items', ITEM_COLUMNS, rows,
+    `ON CONFLICT (job_id, collection, position)
+     DO UPDATE SET item_id = EXCLUDED.item_id, product_id = EXCLUDED.product_id, item = EXCLUDED.item`);
+  return rows.length;
+};
+
+// History is append-only in practice, so only new entries are inserted.
+// If the caller shortened the history, it is rewritten from scratch.
+// Positions are safe to count here because set holds the job row lock.
+const writeHistory = async (client, jobId, history) => {
+  const countResult = await client.query(
+    'SELECT COUNT(*)::int AS count FROM inventory_job_history WHERE job_id = $1',
+    [jobId]
+  );
+  let storedCount = countResult.rows[0].count;
+
+  if (history.length < storedCount) {
+    await client.query('DELETE FROM inventory_job_history WHERE job_id = $1', [jobId]);
+    storedCount = 0;
+  }
+
+  const rows = history.slice(storedCount).map((entry, index) => {
+    const { itemId, timestamp, user, updates, previousValues, ...details } = entry;
+    return [
+      jobId,
+      storedCount + index,
+      itemId !== undefined && itemId !== null ? String(itemId) : null,
+      timestamp ? new Date(timestamp) : new Date(),
+      user || null,
+      toJsonb(updates),
+      toJsonb(previousValues),
+      JSON.stringify(details)
+    ];
+  });
+
+  await insertRows(client, 'inventory_job_history',
+    ['job_id', 'position', 'item_id', 'changed_at', 'changed_by', 'updates', 'previous_values', 'details'], rows);
+};
+
+// Rebuild the job object callers used to keep in the Map
+const hydrateJob = (row, itemRows, historyRows, includeItems = true) => {
+  const job = {
+    ...(row.attributes || {}),
+    jobId: row.job_id,
+    customerName: row.customer_name,
+    status: row.status,
+    summary: row.summary,
+    timestamp: row.job_timestamp,
+    version: row.version
+  };
+
+  if (row.phase1_reference) job.phase1Reference = row.phase1_reference;
+  if (row.filename) job.filename = row.filename;
+  if (row.analytics) job.analytics = row.analytics;
+
+  if (!includeItems) {
+    return job;
+  }
+
+  const collections = row.collections || [];
+  collections.forEach(collection => {
+    if (ITEM_COLLECTIONS.includes(collection)) {
+      job[collection] = [];
+    }
+  });
+  itemRows.forEach(itemRow => {
+    if (job[itemRow.collection]) {
+      job[itemRow.collection].push(itemRow.item);
+    }
+  });
+
+  if (collections.includes('modificationHistory')) {
+    job.modificationHistory = historyRows.map(historyRow => ({
+      ...(historyRow.details || {}),
+      itemId: historyRow.item_id,
+      timestamp: historyRow.changed_at ? new Date(historyRow.changed_at).toISOString() : null,
+      updates: historyRow.updates,
+      previousValues: historyRow.previous_values,
+      user: historyRow.changed_by
+    }));
+  }
+
+  return job;
+};
+
+const loadJob = async (jobId, { includeItems = true } = {}) => {
+  const jobResult = await db.query('SELECT * FROM inventory_jobs WHERE job_id = $1', [jobId]);
+  if (jobResult.rows.length === 0) {
+    return null;
+  }
+
+  let itemRows = [];
+  let historyRows = [];
+  if (includeItems) {
+    const [itemsResult, historyResult] = await Promise.all([
+      db.query(
+        'SELECT collection, item FROM inventory_job_items WHERE job_id = $1 ORDER BY collection, position',
+        [jobId]
+      ),
+      db.query(
+        'SELECT * FROM inventory_job_history WHERE job_id = $1 ORDER BY position',
+        [jobId]
+      )
+    ]);
+    itemRows = itemsResult.rows;
+    historyRows = historyResult.rows;
+  }
+
+  return hydrateJob(jobResult.rows[0], itemRows, historyRows, includeItems);
+};
 
 module.exports = {
-  // Store a job
-  set: (jobId, data) => {
-    jobs.set(jobId, data);
-    return true;
+  // Store a job (insert or replace). A job with a version (one that was loaded)
+  // is only stored if nothing else wrote it since; otherwise a 409 error is
+  // thrown. On success data.version is the new stored version
+  set: async (jobId, data) => {
+    await ensureSchema();
+
+    const attributes = {};
+    Object.keys(data).forEach(key => {
+      if (!HEADER_FIELDS.includes(key) && !ITEM_COLLECTIONS.includes(key) && key !== 'modificationHistory') {
+        attributes[key] = data[key];
+      }
+    });
+
+    const collections = [...ITEM_COLLECTIONS, 'modificationHistory']
+      .filter(collection => Array.isArray(data[collection]));
+
+    const client = await db.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      // The row lock makes concurrent writes of a job wait for each other
+      const currentResult = await client.query(
+        'SELECT version FROM inventory_jobs WHERE job_id = $1 FOR UPDATE',
+        [jobId]
+      );
+      const hasVersion = Number.isInteger(data.version);
+      if (currentResult.rows.length > 0 && hasVersion && currentResult.rows[0].version !== data.version) {
+        throw conflictError(jobId);
+      }
+
+      const headerResult = await client.query(
+        `INSERT INTO inventory_jobs
+         (job_id, phase1_reference, customer_name, filename, status, summary, analytics, attributes, collections, job_timestamp, version)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 1)
+         ON CONFLICT (job_id)
+         DO UPDATE SET
+           phase1_reference = EXCLUDED.phase1_reference,
+           customer_name = EXCLUDED.customer_name,
+           filename = EXCLUDED.filename,
+           status = EXCLUDED.status,
+           summary = EXCLUDED.summary,
+           analytics = EXCLUDED.analytics,
+           attributes = EXCLUDED.attributes,
+           collections = EXCLUDED.collections,
+           job_timestamp = EXCLUDED.job_timestamp,
+           version = inventory_jobs.version + 1,
+           updated_at = NOW()
+         RETURNING version`,
+        [
+          jobId,
+          data.phase1Reference || null,
+          data.customerName || null,
+          data.filename || null,
+          data.status || null,
+          toJsonb(data.summary),
+          toJsonb(data.analytics),
+          JSON.stringify(attributes),
+          collections,
+          data.timestamp ? new Date(data.timestamp) : new Date()
+        ]
+      );
+
+      for (const collection of ITEM_COLLECTIONS) {
+        if (Array.isArray(data[collection])) {
+          await writeItems(client, jobId, collection, data[collection]);
+        } else {
+          await client.query(
+            'DELETE FROM inventory_job_items WHERE job_id = $1 AND collection = $2',
+            [jobId, collection]
+          );
+        }
+      }
+
+      await writeHistory(client, jobId, data.modificationHistory || []);
+
+      await client.query('COMMIT');
+      data.version = headerResult.rows[0].version;
+      return true;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      if (!error.statusCode) {
+        console.error(`Failed to store job ${jobId}:`, error.message);
+      }
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Update header fields and attributes of a stored job without touching its items
+  update: async (jobId, changes) => {
+    await ensureSchema();
+
+    const columns = { customerName: 'customer_name', filename: 'filename', status: 'status', summary: 'summary', analytics: 'analytics' };
+    const assignments = [];
+    const values = [jobId];
+    const attributes = {};
+
+    Object.entries(changes).forEach(([key, value]) => {
+      if (columns[key]) {
+        values.push(key === 'summary' || key === 'analytics' ? toJsonb(value) : value);
+        assignments.push(`${columns[key]} = $${values.length}`);
+      } else if (!HEADER_FIELDS.includes(key) && !ITEM_COLLECTIONS.includes(key) && key !== 'modificationHistory') {
+        attributes[key] = value;
+      }
+    });
+
+    if (Object.keys(attributes).length > 0) {
+      values.push(JSON.stringify(attributes));
+      assignments.push(`attributes = COALESCE(attributes, '{}'::jsonb) || $${values.length}::jsonb`);
+    }
+    if (assignments.length === 0) return false;
+
+    const result = await db.query(
+      `UPDATE inventory_jobs SET ${assignments.join(', ')}, version = version + 1, updated_at = NOW() WHERE job_id = $1`,
+      values
+    );
+    return result.rowCount > 0;
+  },
+
+  // Add items to the end of a collection, for jobs written in chunks
+  // The collection must already be on the job (stored as an array by set)
+  appendItems: async (jobId, collection, items, startPosition) => {
+    if (!ITEM_COLLECTIONS.includes(collection)) {
+      throw new Error(`Unknown item collection: ${collection}`);
+    }
+    if (items.length === 0) return;
+    await ensureSchema();
+
+    const rows = items.map((item, index) => toItemRow(jobId, collection, startPosition + index, item));
+
+    await insertRows(db, 'inventory_job_items', ITEM_COLUMNS, rows);
+    await db.query('UPDATE inventory_jobs SET version = version + 1 WHERE job_id = $1', [jobId]);
   },
 
   // Retrieve a job
-  get: (jobId) => {
-    return jobs.get(jobId) || null;
+  get: async (jobId) => {
+    if (!jobId) return null;
+    await ensureSchema();
+    return loadJob(jobId);
+  },
+
+  // Retrieve a job's header fields and attributes without its items
+  getHeader: async (jobId) => {
+    if (!jobId) return null;
+    await ensureSchema();
+    return loadJob(jobId, { includeItems: false });
   },
 
-  // Delete a job
-  delete: (jobId) => {
-    return jobs.delete(jobId);
+  // Retrieve one item collection of a job, or null when the job does not have it
+  getItems: async (jobId, collection) => {
+    if (!jobId || !ITEM_COLLECTIONS.includes(collection)) return null;
+    await ensureSchema();
+    const jobResult = await db.query('SELECT collections FROM inventory_jobs WHERE job_id = $1', [jobId]);
+    if (jobResult.rows.length === 0 || !(jobResult.rows[0].collections || []).includes(collection)) {
+      return null;
+    }
+    const result = await db.query(
+      'SELECT item FROM inventory_job_items WHERE job_id = $1 AND collection = $2 ORDER BY position',
+      [jobId, collection]
+    );
+    return result.rows.map(row => row.item);
+  },
+
+  // Delete a job (items and history cascade)
+  delete: async (jobId) => {
+    await ensureSchema();
+    const result = await db.query('DELETE FROM inventory_jobs WHERE job_id = $1', [jobId]);
+    return result.rowCount > 0;
   },
 
   // Check if job exists
-  has: (jobId) => {
-    return jobs.has(jobId);
+  has: async (jobId) => {
+    if (!jobId) return false;
+    await ensureSchema();
+    const result = await db.query('SELECT 1 FROM inventory_jobs WHERE job_id = $1', [jobId]);
+    return result.rows.length > 0;
   },
 
   // Get all jobs (for filter management)
-  getAll: () => {
-    return Array.from(jobs.values());
+  // Pass { includeItems: false } to load only job headers
+  getAll: async (options = {}) => {
+    await ensureSchema();
+    const result = await db.query('SELECT job_id FROM inventory_jobs ORDER BY created_at');
+    const jobs = [];
+    for (const row of result.rows) {
+      const job = await loadJob(row.job_id, options);
+      if (job) jobs.push(job);
+    }
+    return jobs;
+  },
+
+  // Get the Phase 2 jobs built from a Phase 1 job
+  getByPhase1Reference: async (phase1JobId) => {
+    if (!phase1JobId) return [];
+    await ensureSchema();
+    const result = await db.query(
+      'SELECT job_id FROM inventory_jobs WHERE phase1_reference = $1 ORDER BY created_at',
+      [phase1JobId]
+    );
+    const jobs = [];
+    for (const row of result.rows) {
+      const job = await loadJob(row.job_id);
+      if (job) jobs.push(job);
+    }
+    return jobs;
   },
 
   // Clear all jobs (for testing)
-  clear: () => {
-    jobs.clear();
+  clear: async () => {
+    await ensureSchema();
+    await db.query('DELETE FROM inventory_jobs');
   }
-};
\ No newline at end of file
+};
@@ -176,5 +176,6 @@ module.exports = {
   identifyManufacturer: (row) => identifier.identifyManufacturer(row),
   getManufacturerConfidence: (row, manufacturer) => identifier.getManufacturerConfidence(row, manufacturer),
   reloadManufacturers: () => identifier.reloadManufacturers(),
-  getStats: (rows) => identifier.getStats(rows)
+  getStats: (rows) => identifier.getStats(rows),
+  getManufacturerNames: () => identifier.manufacturers.map(mfr => mfr.name)
 };
\ No newline at end of file
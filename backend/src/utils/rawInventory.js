@@ -0,0 +1,176 @@
+// backend/src/utils/rawInventory.js
+
+// raw_inventory holds one row per Phase 2 item of a Phase 3 job: the quantity
+// and dates behind the year distribution, and the serial number and site the
+// item is installed at for the site breakdown of the lifecycle report. Rows
+// without a ship or purchase date get a manufacture date estimated from the
+// serial number when the vendor's format encodes one.
+const db = require('../database/dbConnection');
+const { ensureMigration } = require('../database/migrationRunner');
+const dateParser = require('./dateParser');
+const serialDecoder = require('./serialDecoder');
+
+const ensureSchema = async () => {
+  await ensureMigration('20261019_inventory_sites.sql');
+  await ensureMigration('20261019_serial_date_estimates.sql');
+};
+
+// Reported site of rows without one
+const UNASSIGNED_SITE = 'Unassigned';
+
+// Site of a raw_inventory row as reported and filtered on
+const SITE_SQL = `COALESCE(NULLIF(TRIM(site), ''), '${UNASSIGNED_SITE}')`;
+
+const COLUMNS = [
+  'job_id', 'item_id', 'product_id', 'quantity', 'ship_date', 'purchase_date',
+  'serial_number', 'site', 'location', 'hostname', 'ip_address',
+  'estimated_date', 'estimated_date_confidence', 'estimated_date_source'
+];
+
+// Date a row is placed in the year distribution by
+const INSTALL_DATE_SQL = 'COALESCE(purchase_date, ship_date, estimated_date)';
+
+// Rows per INSERT statement
+const BATCH_SIZE = 500;
+
+const text = (value) => {
+  if (value === null || value === undefined) return null;
+  const trimmed = String(value).trim();
+  return trimmed === '' || trimmed === '-' ? null : trimmed;
+};
+
+/**
+ * Store the items of a Phase 3 job; items without a product ID are skipped
+ * @param {Object} client - Client of an open transaction; the pool by default.
+ *   Run ensureSchema first when inside a transaction
+ * @returns {number} Rows inserted
+ */
+const insertItems = async (jobId, items, client = db) => {
+  await ensureSchema();
+  const rows = [];
+  (items || []).forEach(item => {
+    const productId = (item.product_id || '').toUpperCase().trim();
+    if (!productId || productId === '-') return;
+    const shipDate = dateParser.formatDate(item.ship_date);
+    const purchaseDate = dateParser.formatDate(item.purchase_date) || shipDate;
+    const estimate = purchaseDate ? null : serialDecoder.decodeSerial(text(item.serial_number), text(item.mfg));
+    rows.push([
+      jobId,
+      item.id !== undefined && item.id !== null ? String(item.id) : null,
+      productId,
+      parseInt(item.qty) || 0,
+      shipDate,
+      purchaseDate,
+      text(item.serial_number),
+      text(item.site),
+      text(item.location),
+      text(item.hostname),
+      text(item.ip_address),
+      estimate ? estimate.date : null,
+      estimate ? estimate.confidence : null,
+      estimate ? estimate.source : null
+    ]);
+  });
+
+  for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+    const batch = rows.slice(start, start + BATCH_SIZE);
+    const placeholders = batch.map((_, rowIndex) =>
+      `(${COLUMNS.map((__, columnIndex) => `$${rowIndex * COLUMNS.length + columnIndex + 1}`).join(', ')})`
+    );
+    await client.query(
+      `INSERT INTO raw_inventory (${COLUMNS.join(', ')}) VALUES ${placeholders.join(', ')}`,
+      batch.flat()
+    );
+  }
+  return rows.length;
+};
+
+/**
+ * Installed quantity per purchase year and product of a Phase 3 job, optionally
+ * for one site. Quantities dated from serial numbers are also returned on their
+ * own, with their quantity-weighted confidence, so they can be shown as estimates.
+ * @returns {Array<Object>} { product_id, year_quantities, estimated_year_quantities, estimated_date_confidence }
+ */
+const yearQuantities = async (jobId, site = null) => {
+  await ensureSchema();
+  const result = await db.query(
+    `WITH dated AS (
+      SELECT 
+        UPPER(TRIM(product_id)) as product_id,
+        EXTRACT(YEAR FROM ${INSTALL_DATE_SQL})::text as purchase_year,
+        quantity,
+        (purchase_date IS NULL AND ship_date IS NULL) as estimated,
+        estimated_date_confidence
+      FROM raw_inventory
+      WHERE job_id = $1
+      AND ${INSTALL_DATE_SQL} IS NOT NULL
+      ${site ? `AND ${SITE_SQL} = $2` : ''}
+    ),
+    year_data AS (
+      SELECT 
+        product_id,
+        purchase_year,
+        SUM(quantity) as quantity,
+        SUM(quantity) FILTER (WHERE estimated) as estimated_quantity,
+        SUM(quantity * estimated_date_confidence) FILTER (WHERE estimated) as estimated_confidence_total
+      FROM dated
+      GROUP BY product_id, purchase_year
+    )
+    SELECT 
+      product_id,
+      json_object_agg(purchase_year, quantity) as year_quantities,
+      COALESCE(json_object_agg(purchase_year, estimated_quantity) FILTER (WHERE estimated_quantity > 0), '{}'::json) as estimated_year_quantities,
+      ROUND(SUM(estimated_confidence_total)::numeric / NULLIF(SUM(estimated_quantity), 0))::int as estimated_date_confidence
+    FROM year_data
+    GROUP BY product_id`,
+    site ? [jobId, site] : [jobId]
+  );
+  return result.rows;
+};
+
+/**
+ * Installed quantity per site and product of a Phase 3 job
+ * @returns {Array<Object>} { site, product_id, quantity }
+ */
+const siteQuantities = async (jobId) => {
+  await ensureSchema();
+  const result = await db.query(
+    `SELECT ${SITE_SQL} AS site,
+            UPPER(TRIM(product_id)) AS product_id,
+            SUM(quantity)::int AS quantity
+     FROM raw_inventory
+     WHERE job_id = $1 AND product_id IS NOT NULL
+     GROUP BY 1, 2`,
+    [jobId]
+  );
+  return result.rows;
+};
+
+/**
+ * Items, locations and serial numbers on record per site of a Phase 3 job
+ * @returns {Array<Object>} { site, items, locations, serials }
+ */
+const siteDetails = async (jobId) => {
+  await ensureSchema();
+  const result = await db.query(
+    `SELECT ${SITE_SQL} AS site,
+            COUNT(*)::int AS items,
+            COUNT(DISTINCT NULLIF(TRIM(location), ''))::int AS locations,
+            COUNT(DISTINCT NULLIF(TRIM(serial_number), ''))::int AS serials
+     FROM raw_inventory
+     WHERE job_id = $1
+     GROUP BY 1`,
+    [jobId]
+  );
+  return result.rows;
+};
+
+module.exports = {
+  UNASSIGNED_SITE,
+  SITE_SQL,
+  ensureSchema,
+  insertItems,
+  yearQuantities,
+  siteQuantities,
+  siteDetails
+};
@@ -0,0 +1,22 @@
+// backend/src/utils/requester.js
+
+// Who is calling. The app has no sign-in, so callers name themselves with
+// user and team in the body or query string, or the X-User and X-Team headers.
+// Unnamed callers are 'user', the owner of everything saved before owners existed.
+const DEFAULT_USER = 'user';
+
+const pick = (req, field, header) => {
+  const value = (req.body && req.body[field]) || (req.query && req.query[field]) || (req.headers && req.headers[header]);
+  return value ? String(value).trim().slice(0, 255) : null;
+};
+
+/**
+ * @param {Object} req - Express request
+ * @returns {Object} { user, team }
+ */
+const requesterOf = (req) => ({
+  user: pick(req, 'user', 'x-user') || DEFAULT_USER,
+  team: pick(req, 'team', 'x-team')
+});
+
+module.exports = { requesterOf };
@@ -0,0 +1,278 @@
+// backend/src/utils/resultQuery.js
+
+// Filtering, sorting, paging, field selection and facet counts for the Phase 2
+// and Phase 3 result endpoints, so the browser only receives the page it shows.
+//
+// Query string:
+//   filter   field:op:value, repeated or separated by ';' (mfg:in:Cisco|HP;qty:gte:10)
+//            ops: eq, ne, in, nin, contains, starts, gt, gte, lt, lte, empty, notempty
+//   search   text matched against the endpoint's search fields
+//   sort     field[:asc|desc], comma separated; a leading '-' also means descending
+//   page     1-based page number
+//   pageSize rows per page (at most MAX_PAGE_SIZE)
+//   fields   comma separated fields to return; the endpoint's key fields are always returned
+//   facets   comma separated facet names (category, manufacturer, risk, status by default)
+const dateParser = require('./dateParser');
+
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'contains', 'starts', 'gt', 'gte', 'lt', 'lte', 'empty', 'notempty'];
+
+// Operators that take no value
+const UNARY_OPERATORS = ['empty', 'notempty'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// Values shown per facet, most frequent first
+const MAX_FACET_VALUES = 200;
+
+// Label of empty values in facets
+const EMPTY_FACET = '(blank)';
+
+// Risk levels sort by severity rather than alphabetically
+const RISK_RANK = { critical: 4, high: 3, medium: 2, low: 1, none: 0 };
+
+// Query parameters that switch an endpoint from its full response to a query result
+const QUERY_PARAMS = ['filter', 'search', 'sort', 'page', 'pageSize', 'fields', 'facets'];
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const isEmpty = (value) => value === null || value === undefined || value === '' || value === '-';
+
+const toList = (value) => (Array.isArray(value) ? value : [value])
+  .filter(entry => entry !== undefined && entry !== null)
+  .flatMap(entry => String(entry).split(/[;,]/))
+  .map(entry => entry.trim())
+  .filter(Boolean);
+
+const asNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (isEmpty(value) || !/^-?\d+(\.\d+)?$/.test(String(value).trim())) return null;
+  return parseFloat(value);
+};
+
+// Comparable form of a non-empty value: a risk rank, number or date when it
+// reads as one, else its text
+const keyOf = (value, field) => {
+  const text = String(value);
+  if (field === 'risk_level' && text.toLowerCase() in RISK_RANK) {
+    return { type: 'number', value: RISK_RANK[text.toLowerCase()], text };
+  }
+  const number = asNumber(value);
+  if (number !== null) return { type: 'number', value: number, text };
+  if (/\d{4}/.test(text)) {
+    const date = dateParser.toDate(value);
+    if (date) return { type: 'date', value: date.getTime(), text };
+  }
+  return { type: 'text', value: text, text };
+};
+
+const compareKeys = (a, b) => {
+  if (a.type === b.type && a.type !== 'text') return a.value - b.value;
+  return a.text.localeCompare(b.text, undefined, { sensitivity: 'base' });
+};
+
+const compareValues = (a, b, field) => compareKeys(keyOf(a, field), keyOf(b, field));
+
+const sameText = (value, expected) => String(value).toLowerCase() === String(expected).toLowerCase();
+
+/**
+ * Whether a row passes one filter expression
+ */
+const matches = (row, { field, op, values }) => {
+  const value = row[field];
+  switch (op) {
+    case 'empty': return isEmpty(value);
+    case 'notempty': return !isEmpty(value);
+    case 'eq':
+    case 'in': return values.some(expected => (isEmpty(expected) ? isEmpty(value) : !isEmpty(value) && sameText(value, expected)));
+    case 'ne':
+    case 'nin': return !values.some(expected => (isEmpty(expected) ? isEmpty(value) : !isEmpty(value) && sameText(value, expected)));
+    case 'contains': return !isEmpty(value) && values.some(expected => String(value).toLowerCase().includes(String(expected).toLowerCase()));
+    case 'starts': return !isEmpty(value) && values.some(expected => String(value).toLowerCase().startsWith(String(expected).toLowerCase()));
+    default: {
+      if (isEmpty(value)) return false;
+      const comparison = compareValues(value, values[0], field);
+      if (op === 'gt') return comparison > 0;
+      if (op === 'gte') return comparison >= 0;
+      if (op === 'lt') return comparison < 0;
+      return comparison <= 0;
+    }
+  }
+};
+
+/**
+ * Parse one "field:op:value" expression; values of in/nin are separated by '|'
+ */
+const parseFilter = (expression, fieldAliases) => {
+  const [rawField, rawOp, ...rest] = expression.split(':');
+  const op = (rawOp || '').toLowerCase();
+  if (!rawField || !OPERATORS.includes(op)) {
+    throw badRequest(`Invalid filter "${expression}": expected field:op:value with op one of ${OPERATORS.join(', ')}`);
+  }
+  const value = rest.join(':');
+  if (!UNARY_OPERATORS.includes(op) && value === '') {
+    throw badRequest(`Filter "${expression}" needs a value`);
+  }
+  return {
+    field: fieldAliases[rawField] || rawField,
+    op,
+    values: UNARY_OPERATORS.includes(op) ? [] : value.split('|').map(entry => entry.trim())
+  };
+};
+
+/**
+ * Whether a request asks for a query result rather than the full response
+ */
+const isQuery = (query = {}) => QUERY_PARAMS.some(param => query[param] !== undefined && query[param] !== '');
+
+/**
+ * Parse the query string of a result request
+ * @param {Object} query - req.query
+ * @param {Object} options - { facets: { name: field }, defaultSort }
+ * @returns {Object} Parsed query
+ */
+const parse = (query = {}, { facets = {}, defaultSort = [] } = {}) => {
+  // Facet names work as field names in filters and sorts (manufacturer:in:Cisco)
+  const fieldAliases = { ...facets };
+
+  // filter expressions are separated by ';' since values may contain commas
+  const filters = (Array.isArray(query.filter) ? query.filter : [query.filter])
+    .filter(Boolean)
+    .flatMap(entry => String(entry).split(';'))
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(expression => parseFilter(expression, fieldAliases));
+
+  const sort = toList(query.sort).map(entry => {
+    const descending = entry.startsWith('-');
+    const [field, order] = entry.replace(/^-/, '').split(':');
+    const direction = (order || (descending ? 'desc' : 'asc')).toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) {
+      throw badRequest(`Invalid sort "${entry}": order must be asc or desc`);
+    }
+    return { field: fieldAliases[field] || field, order: direction };
+  });
+
+  const page = query.page !== undefined ? parseInt(query.page) : 1;
+  const pageSize = query.pageSize !== undefined ? parseInt(query.pageSize) : DEFAULT_PAGE_SIZE;
+  if (!Number.isInteger(page) || page < 1) throw badRequest('page must be a positive integer');
+  if (!Number.isInteger(pageSize) || pageSize < 1) throw badRequest('pageSize must be a positive integer');
+
+  const facetNames = query.facets !== undefined ? toList(query.facets) : Object.keys(facets);
+  const unknownFacet = facetNames.find(name => !facets[name]);
+  if (unknownFacet) {
+    throw badRequest(`Unknown facet "${unknownFacet}": expected one of ${Object.keys(facets).join(', ')}`);
+  }
+
+  return {
+    filters,
+    search: query.search ? String(query.search).trim().toLowerCase() : '',
+    sort: sort.length > 0 ? sort : defaultSort,
+    page,
+    pageSize: Math.min(pageSize, MAX_PAGE_SIZE),
+    fields: toList(query.fields),
+    facets: facetNames.map(name => ({ name, field: facets[name] }))
+  };
+};
+
+/**
+ * Value counts of a field, most frequent first
+ */
+const countValues = (rows, field) => {
+  const counts = new Map();
+  rows.forEach(row => {
+    const value = isEmpty(row[field]) ? EMPTY_FACET : String(row[field]);
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, MAX_FACET_VALUES);
+};
+
+// Whether a row passes the search text and every filter
+const passes = (row, parsed, filters, searchFields) => (
+  (!parsed.search || searchFields.some(field =>
+    !isEmpty(row[field]) && String(row[field]).toLowerCase().includes(parsed.search)
+  )) &&
+  filters.every(filter => matches(row, filter))
+);
+
+/**
+ * Rows that match a parsed query's filters and search, unsorted and unpaged
+ */
+const select = (rows, parsed, { searchFields = [] } = {}) =>
+  rows.filter(row => passes(row, parsed, parsed.filters, searchFields));
+
+/**
+ * Run a parsed query over result rows
+ * @param {Array<Object>} rows - Every row of the job
+ * @param {Object} parsed - From parse()
+ * @param {Object} options - { searchFields, keyFields }
+ * @returns {Object} { rows, pagination, facets }
+ */
+const run = (rows, parsed, { searchFields = [], keyFields = [] } = {}) => {
+  const filtered = select(rows, parsed, { searchFields });
+
+  // Sort keys are worked out once per row, not once per comparison
+  const sorted = parsed.sort.length === 0 ? filtered : filtered
+    .map(row => ({ row, keys: parsed.sort.map(({ field }) => (isEmpty(row[field]) ? null : keyOf(row[field], field))) }))
+    .sort((a, b) => {
+      for (let index = 0; index < parsed.sort.length; index++) {
+        const keyA = a.keys[index];
+        const keyB = b.keys[index];
+        // Empty values go last whatever the order
+        if (!keyA || !keyB) {
+          if (keyA !== keyB) return keyA ? -1 : 1;
+          continue;
+        }
+        const comparison = compareKeys(keyA, keyB);
+        if (comparison !== 0) return parsed.sort[index].order === 'desc' ? -comparison : comparison;
+      }
+      return 0;
+    })
+    .map(entry => entry.row);
+
+  const totalPages = Math.max(Math.ceil(sorted.length / parsed.pageSize), 1);
+  const start = (parsed.page - 1) * parsed.pageSize;
+  const page = sorted.slice(start, start + parsed.pageSize);
+
+  const fields = parsed.fields.length > 0 ? [...new Set([...keyFields, ...parsed.fields])] : null;
+  const projected = fields
+    ? page.map(row => Object.fromEntries(fields.map(field => [field, row[field] === undefined ? null : row[field]])))
+    : page;
+
+  // A facet counts the rows that pass every filter except its own, so the other
+  // values of a field stay selectable while it is filtered
+  const facets = {};
+  parsed.facets.forEach(({ name, field }) => {
+    const others = parsed.filters.filter(filter => filter.field !== field);
+    const facetRows = others.length === parsed.filters.length ? filtered : rows.filter(row => passes(row, parsed, others, searchFields));
+    facets[name] = countValues(facetRows, field);
+  });
+
+  return {
+    rows: projected,
+    pagination: {
+      page: parsed.page,
+      pageSize: parsed.pageSize,
+      total: rows.length,
+      filteredTotal: sorted.length,
+      totalPages
+    },
+    facets
+  };
+};
+
+module.exports = {
+  OPERATORS,
+  MAX_PAGE_SIZE,
+  isQuery,
+  parse,
+  select,
+  run
+};
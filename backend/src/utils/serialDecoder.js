@@ -0,0 +1,104 @@
+// backend/src/utils/serialDecoder.js
+
+// Estimates when an item was built from its serial number, for rows that arrive
+// without a ship or purchase date. Several vendors encode the manufacture year
+// and week in the serial; each vendor's format is a decoder registered below,
+// picked by manufacturer. The result is always an estimate with its own
+// confidence, never a replacement for a real date. Serial formats overlap across
+// vendors (any AAA9999XXXX reads as a Cisco week), so a serial is only decoded
+// when the row names a manufacturer with a decoder.
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const decoders = [];
+
+const normalizeManufacturer = (manufacturer) => {
+  const name = String(manufacturer || '').toLowerCase().trim();
+  return name === '-' ? '' : name;
+};
+
+/**
+ * Monday of an ISO-style week as YYYY-MM-DD, or null when the week is not
+ * a real week or lies in the future
+ */
+const weekToDate = (year, week) => {
+  if (week < 1 || week > 53) return null;
+  const jan4 = Date.UTC(year, 0, 4);
+  const firstMonday = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * MS_PER_DAY;
+  const date = new Date(firstMonday + (week - 1) * 7 * MS_PER_DAY);
+  if (date.getUTCFullYear() !== year || date.getTime() > Date.now()) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Add a decoder for one vendor's serial format
+ * @param {Object} decoder
+ * @param {string} decoder.name - Stored as the estimate's source ("serial:<name>")
+ * @param {RegExp} decoder.manufacturers - Matched against the lower-cased manufacturer
+ * @param {number} decoder.confidence - Confidence (0-100) of a decoded date
+ * @param {Function} decoder.decode - (serial) => YYYY-MM-DD or null
+ */
+const registerDecoder = (decoder) => {
+  const existing = decoders.findIndex(entry => entry.name === decoder.name);
+  if (existing >= 0) {
+    decoders[existing] = decoder;
+  } else {
+    decoders.push(decoder);
+  }
+};
+
+// Cisco: LLLYYWWSSSS - plant code, year since 1996, week, unit (FOC1932X0AB = week 32 of 2015)
+registerDecoder({
+  name: 'cisco',
+  manufacturers: /cisco/,
+  confidence: 75,
+  decode: (serial) => {
+    const match = serial.match(/^[A-Z]{3}(\d{2})(\d{2})[A-Z0-9]{4}$/);
+    return match ? weekToDate(1996 + parseInt(match[1]), parseInt(match[2])) : null;
+  }
+});
+
+// HP/HPE and Aruba: LLLYWWSSSS - plant code, last digit of the year, week, unit.
+// The decade is taken as the latest one that is not in the future, hence the lower confidence
+registerDecoder({
+  name: 'hpe',
+  manufacturers: /^(hp|hpe|hewlett|aruba)/,
+  confidence: 50,
+  decode: (serial) => {
+    const match = serial.match(/^[A-Z]{3}(\d)(\d{2})[A-Z0-9]{4}$/);
+    if (!match) return null;
+    const currentYear = new Date().getUTCFullYear();
+    let year = currentYear - ((currentYear - parseInt(match[1])) % 10);
+    const date = weekToDate(year, parseInt(match[2]));
+    if (date) return date;
+    year -= 10;
+    return weekToDate(year, parseInt(match[2]));
+  }
+});
+
+/**
+ * Estimate the manufacture date of an item from its serial number
+ * @param {string} serial - Serial number as uploaded
+ * @param {string} manufacturer - Manufacturer as uploaded
+ * @returns {Object|null} { date, confidence, source }, or null when the manufacturer
+ *   is unknown or has no decoder that reads the serial
+ */
+const decodeSerial = (serial, manufacturer) => {
+  const value = String(serial || '').toUpperCase().replace(/[\s-]/g, '');
+  const name = normalizeManufacturer(manufacturer);
+  if (!value || !name) return null;
+
+  for (const decoder of decoders.filter(entry => entry.manufacturers.test(name))) {
+    const date = decoder.decode(value);
+    if (date) {
+      return { date, confidence: decoder.confidence, source: `serial:${decoder.name}` };
+    }
+  }
+  return null;
+};
+
+module.exports = {
+  registerDecoder,
+  decodeSerial,
+  weekToDate
+};
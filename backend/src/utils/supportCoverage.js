@@ -0,0 +1,135 @@
+// backend/src/utils/supportCoverage.js
+
+// Support coverage model shared by Phase 1 normalization, risk scoring and the
+// lifecycle reports. Every line item is in one of five states. When the contract
+// end date can be read it decides between Active, Expiring and Expired; otherwise
+// the coverage status text decides. An explicit "Not Covered" always wins.
+const dateParser = require('./dateParser');
+
+const STATES = ['Active', 'Expiring', 'Expired', 'Not Covered', 'Unknown'];
+
+// States that still have a contract in force
+const COVERED_STATES = ['Active', 'Expiring'];
+
+// Contracts ending within this many days count as Expiring
+const DEFAULT_EXPIRING_DAYS = parseInt(process.env.SUPPORT_EXPIRING_DAYS) || 90;
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Status cells that say nothing about coverage
+const NO_STATUS = ['', '-', '.', '?', 'na', 'notapplicable', 'tbd', 'tba', 'unknown', 'null', 'pending', 'notavailable'];
+
+// Contract number and service level cells that do not name a contract
+const NO_CONTRACT = [...NO_STATUS, 'n', 'no', 'none', 'nil', '0', 'nocontract', 'nosupport', 'nocoverage', 'notcovered'];
+
+// Status text patterns, checked in order against the lower-cased text with
+// everything but letters and digits removed ("Covered - Expiring" -> "coveredexpiring").
+// The Active words also occur inside negations ("Unsupported", "Not Active"), so
+// every negated form has to be matched by an earlier state
+const STATUS_PATTERNS = [
+  { state: 'Expiring', pattern: /expiring|expiressoon|renewaldue|dueforrenewal/ },
+  { state: 'Not Covered', pattern: /notcovered|uncovered|nocoverage|nocontract|notundercontract|nosupport|notsupported|unsupported|^(no|n|none|false|0)$/ },
+  { state: 'Expired', pattern: /expired|lapsed|terminated|inactive|notactive|nonactive|deactivated|cancell?ed|outofcontract|outofwarranty|outofsupport|^ended$/ },
+  { state: 'Active', pattern: /active|covered|supported|undersupport|incontract|undercontract|inwarranty|^(yes|y|true|1|valid|current|maintenance)$/ }
+];
+
+const normalizeText = (value) => String(value === null || value === undefined ? '' : value).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const hasContract = (value) => !NO_CONTRACT.includes(normalizeText(value));
+
+/**
+ * State named by a coverage status cell
+ * @returns {string|null} One of STATES, 'Unknown' for placeholders such as
+ *   "Pending", or null when the text is not recognized
+ */
+const classifyStatus = (value) => {
+  const text = normalizeText(value);
+  if (NO_STATUS.includes(text)) return 'Unknown';
+  const match = STATUS_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return match ? match.state : null;
+};
+
+/**
+ * State of a contract ending on a date
+ * @param {Date} endDate - Contract end date
+ * @param {Object} options - { asOf, expiringDays }
+ */
+const stateForEndDate = (endDate, { asOf = new Date(), expiringDays = DEFAULT_EXPIRING_DAYS } = {}) => {
+  const today = new Date(Date.UTC(asOf.getFullYear(), asOf.getMonth(), asOf.getDate()));
+  const days = Math.round((endDate - today) / MS_PER_DAY);
+  if (days < 0) return 'Expired';
+  return days <= expiringDays ? 'Expiring' : 'Active';
+};
+
+/**
+ * Coverage state of an uploaded line item
+ * @param {Object} coverage - { status, contractEnd, contractNumber, serviceLevel } source values
+ * @param {Object} options - { asOf, expiringDays }
+ * @returns {string} One of STATES
+ */
+const resolve = ({ status, contractEnd, contractNumber, serviceLevel } = {}, options = {}) => {
+  const classified = classifyStatus(status);
+  if (classified === 'Not Covered') return classified;
+
+  const endDate = dateParser.toDate(contractEnd);
+  if (endDate) return stateForEndDate(endDate, options);
+  if (classified && classified !== 'Unknown') return classified;
+
+  // A contract or service level on record without a status or end date
+  if (hasContract(contractNumber) || hasContract(serviceLevel)) return 'Active';
+  return 'Unknown';
+};
+
+/**
+ * Coverage state of a stored item as of today
+ * Stored states go stale as contracts run out, so the contract end date is
+ * re-read; items stored before coverage states keep their Active/Expired value
+ */
+const currentState = (item, options = {}) => {
+  if (!item) return 'Unknown';
+  const stored = STATES.find(state => normalizeText(state) === normalizeText(item.support_coverage)) ||
+    classifyStatus(item.support_coverage) || 'Unknown';
+  if (stored === 'Not Covered') return stored;
+
+  const endDate = dateParser.toDate(item.contract_end);
+  return endDate ? stateForEndDate(endDate, options) : stored;
+};
+
+const isCovered = (state) => COVERED_STATES.includes(state);
+
+/**
+ * Items and quantities per coverage state
+ * @returns {Object} { items: { state: count }, quantity: { state: qty } }
+ */
+const countStates = (items, options = {}) => {
+  const counts = {
+    items: Object.fromEntries(STATES.map(state => [state, 0])),
+    quantity: Object.fromEntries(STATES.map(state => [state, 0]))
+  };
+  (items || []).forEach(item => {
+    const state = currentState(item, options);
+    counts.items[state]++;
+    counts.quantity[state] += parseInt(item.qty) || 0;
+  });
+  return counts;
+};
+
+// Add an item's quantity to a { state: qty } tally
+const addQuantity = (states, item, options = {}) => {
+  const state = currentState(item, options);
+  states[state] = (states[state] || 0) + (parseInt(item.qty) || 0);
+  return states;
+};
+
+module.exports = {
+  STATES,
+  COVERED_STATES,
+  DEFAULT_EXPIRING_DAYS,
+  classifyStatus,
+  stateForEndDate,
+  resolve,
+  currentState,
+  isCovered,
+  countStates,
+  addQuantity
+};
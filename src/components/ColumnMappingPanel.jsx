@@ -0,0 +1,329 @@
+import React, { useState } from 'react';
+import { Columns, ChevronDown, ChevronUp, Save, AlertCircle } from 'lucide-react';
+
+// Same normalization as backend/src/utils/columnMapper.js
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const ColumnMappingPanel = ({ preview, mapping, profileId, dateOrder, onMappingChange, onProfileChange, onSheetOptionsChange, onDateOrderChange }) => {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const workbook = preview.workbook;
+  const [selectedSheets, setSelectedSheets] = useState(workbook ? workbook.selectedSheets : []);
+  const [headerRows, setHeaderRows] = useState(() => {
+    const rows = {};
+    (workbook ? workbook.sheets : []).forEach(sheet => {
+      rows[sheet.name] = (workbook.headerRows && workbook.headerRows[sheet.name]) || sheet.detectedHeaderRow || 1;
+    });
+    return rows;
+  });
+  const [profiles, setProfiles] = useState(preview.profiles || []);
+  const [profileName, setProfileName] = useState('');
+  const [saveError, setSaveError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const { headers, confidence, detectedMapping, suggestedProfile } = preview.column_mapping;
+  const mappedHeaders = Object.values(mapping);
+  const unmappedColumns = headers.filter(header => !mappedHeaders.includes(header));
+  const missingRequired = preview.fields.filter(field => field.required && !mapping[field.field]);
+  const sampleRow = preview.sample_rows[0] || {};
+  const dateFormats = Object.entries(preview.date_formats || {});
+
+  const toggleSheet = (name) => {
+    setSelectedSheets(prev => (prev.includes(name) ? prev.filter(s => s !== name) : [...prev, name]));
+  };
+
+  // Re-read the workbook with the chosen sheets and header rows
+  const applySheetOptions = () => {
+    const rows = {};
+    selectedSheets.forEach(name => { rows[name] = parseInt(headerRows[name]) || 1; });
+    onSheetOptionsChange({ sheets: selectedSheets, headerRows: rows });
+  };
+
+  const handleFieldChange = (field, header) => {
+    const updated = { ...mapping };
+    // A column feeds one field, so take it away from any other field first
+    Object.keys(updated).forEach(key => {
+      if (updated[key] === header) delete updated[key];
+    });
+    if (header) {
+      updated[field] = header;
+    } else {
+      delete updated[field];
+    }
+    onMappingChange(updated);
+  };
+
+  const handleProfileSelect = (value) => {
+    if (!value) {
+      onProfileChange(null, detectedMapping);
+      return;
+    }
+
+    const profile = profiles.find(p => String(p.id) === value);
+    if (!profile) return;
+
+    const byNormalized = {};
+    headers.forEach(header => { byNormalized[normalizeHeader(header)] = header; });
+
+    const profileMapping = {};
+    Object.entries(profile.mappings || {}).forEach(([field, header]) => {
+      const match = byNormalized[normalizeHeader(header)];
+      if (match) profileMapping[field] = match;
+    });
+    onProfileChange(profile.id, profileMapping);
+  };
+
+  const handleSaveProfile = async () => {
+    setIsSaving(true);
+    setSaveError(null);
+    try {
+      const response = await fetch('/api/phase1/mapping-profiles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: profileName, mappings: mapping, sourceHeaders: headers })
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save profile');
+      }
+      setProfiles(prev => [...prev, data.profile]);
+      setProfileName('');
+      onProfileChange(data.profile.id, mapping);
+    } catch (error) {
+      setSaveError(error.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 mt-4">
+      {/* Header */}
+      <div
+        className="flex items-center justify-between p-4 cursor-pointer hover:bg-gray-50 transition-colors"
+        onClick={() => setIsExpanded(!isExpanded)}
+      >
+        <div className="flex items-center space-x-3">
+          <Columns className="h-5 w-5 text-[#002D62]" />
+          <h3 className="font-bold text-[#002D62] uppercase">COLUMN MAPPING</h3>
+          <span className="text-xs text-gray-500">
+            {Object.keys(mapping).length} of {preview.fields.length} fields mapped
+            {unmappedColumns.length > 0 && ` · ${unmappedColumns.length} columns ignored`}
+          </span>
+        </div>
+        {isExpanded ? (
+          <ChevronUp className="h-5 w-5 text-gray-400" />
+        ) : (
+          <ChevronDown className="h-5 w-5 text-gray-400" />
+        )}
+      </div>
+
+      {isExpanded && (
+        <div className="border-t border-gray-200 p-4">
+          {/* Worksheet selection */}
+          {workbook && (
+            <div className="mb-4">
+              <h4 className="text-xs font-bold uppercase text-[#002D62] mb-2">Worksheets</h4>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs uppercase text-gray-500">
+                    <th className="py-1 pr-2">Include</th>
+                    <th className="py-1 pr-2">Sheet</th>
+                    <th className="py-1 pr-2">Rows</th>
+                    <th className="py-1">Header Row</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {workbook.sheets.map(sheet => (
+                    <tr key={sheet.name} className="border-t border-gray-100">
+                      <td className="py-1 pr-2">
+                        <input
+                          type="checkbox"
+                          checked={selectedSheets.includes(sheet.name)}
+                          onChange={() => toggleSheet(sheet.name)}
+                          disabled={sheet.rowCount === 0}
+                          aria-label={`Include sheet ${sheet.name}`}
+                        />
+                      </td>
+                      <td className="py-1 pr-2 text-[#002D62]">
+                        {sheet.name}
+                        {sheet.state !== 'visible' && (
+                          <span className="ml-1 text-xs text-gray-400">(hidden)</span>
+                        )}
+                      </td>
+                      <td className="py-1 pr-2 text-xs text-gray-500">{sheet.rowCount}</td>
+                      <td className="py-1">
+                        <input
+                          type="number"
+                          min="1"
+                          value={headerRows[sheet.name] || ''}
+                          onChange={(e) => setHeaderRows({ ...headerRows, [sheet.name]: e.target.value })}
+                          className="w-20 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+                          aria-label={`Header row for ${sheet.name}`}
+                        />
+                        {sheet.detectedHeaderRow && (
+                          <span className="ml-1 text-xs text-gray-400">detected: {sheet.detectedHeaderRow}</span>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button
+                onClick={applySheetOptions}
+                disabled={selectedSheets.length === 0}
+                className="mt-2 px-3 py-1 text-sm text-white bg-[#002D62] rounded hover:opacity-90 disabled:opacity-50"
+              >
+                Apply Sheet Selection
+              </button>
+              {workbook.alignedColumns && Object.keys(workbook.alignedColumns).length > 0 && (
+                <p className="text-xs text-gray-500 mt-2">
+                  Columns renamed to match the first sheet: {Object.entries(workbook.alignedColumns).map(([sheet, renames]) =>
+                    `${sheet} (${Object.entries(renames).map(([from, to]) => `${from} → ${to}`).join(', ')})`
+                  ).join('; ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Profile selection */}
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <label htmlFor="mappingProfile" className="text-xs font-bold uppercase text-[#002D62]">
+              Profile
+            </label>
+            <select
+              id="mappingProfile"
+              value={profileId ? String(profileId) : ''}
+              onChange={(e) => handleProfileSelect(e.target.value)}
+              className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            >
+              <option value="">Auto-detected from headers</option>
+              {profiles.map(profile => (
+                <option key={profile.id} value={String(profile.id)}>{profile.name}</option>
+              ))}
+            </select>
+            {suggestedProfile && (
+              <span className="text-xs text-teal-700">
+                Suggested: {suggestedProfile.name} ({Math.round(suggestedProfile.matchScore * 100)}% of columns found)
+              </span>
+            )}
+          </div>
+
+          {/* Field mapping table */}
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs uppercase text-gray-500">
+                <th className="py-1 pr-2">Field</th>
+                <th className="py-1 pr-2">Source Column</th>
+                <th className="py-1">Sample</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.fields.map(({ field, label, required }) => {
+                const header = mapping[field] || '';
+                const fieldConfidence = header && confidence[field] !== undefined && detectedMapping[field] === header
+                  ? confidence[field]
+                  : null;
+                return (
+                  <tr key={field} className="border-t border-gray-100">
+                    <td className="py-1 pr-2 text-[#002D62]">
+                      {label}{required && ' *'}
+                    </td>
+                    <td className="py-1 pr-2">
+                      <select
+                        value={header}
+                        onChange={(e) => handleFieldChange(field, e.target.value)}
+                        className={`w-full px-2 py-1 text-sm border rounded focus:outline-none focus:ring-1 focus:ring-teal-500 ${
+                          required && !header ? 'border-red-400' : 'border-gray-300'
+                        }`}
+                        aria-label={`Source column for ${label}`}
+                      >
+                        <option value="">— Not mapped —</option>
+                        {headers.map(h => (
+                          <option key={h} value={h}>{h}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-1 text-xs text-gray-500 truncate max-w-[12rem]">
+                      {header ? String(sampleRow[header] ?? '') : ''}
+                      {fieldConfidence !== null && fieldConfidence < 1 && (
+                        <span className="ml-1 px-1 rounded bg-yellow-100 text-yellow-700">
+                          {Math.round(fieldConfidence * 100)}% match
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {/* How 03/04/2022 style dates are read */}
+          {dateFormats.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2 mt-3">
+              <label htmlFor="dateOrder" className="text-xs font-bold uppercase text-[#002D62]">
+                Dates
+              </label>
+              <select
+                id="dateOrder"
+                value={dateOrder}
+                onChange={(e) => onDateOrderChange(e.target.value)}
+                className="px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              >
+                <option value="">Detect per column</option>
+                <option value="false">Month first (03/04/2022 = March 4)</option>
+                <option value="true">Day first (03/04/2022 = 3 April)</option>
+              </select>
+              {!dateOrder && (
+                <span className="text-xs text-gray-500">
+                  {dateFormats.map(([field, dayFirst]) => {
+                    const label = preview.fields.find(f => f.field === field)?.label || field;
+                    const reading = dayFirst === null ? `undecided, read as ${preview.date_locale}` : dayFirst ? 'day first' : 'month first';
+                    return `${label}: ${reading}`;
+                  }).join(' · ')}
+                </span>
+              )}
+            </div>
+          )}
+
+          {unmappedColumns.length > 0 && (
+            <p className="text-xs text-gray-500 mt-3">
+              Ignored columns: {unmappedColumns.join(', ')}
+            </p>
+          )}
+
+          {missingRequired.length > 0 && (
+            <p className="text-xs text-red-600 mt-2 flex items-center" role="alert">
+              <AlertCircle className="h-4 w-4 mr-1" />
+              Map {missingRequired.map(f => f.label).join(', ')} before running Phase 1
+            </p>
+          )}
+
+          {/* Save as profile */}
+          <div className="flex items-center gap-2 mt-3">
+            <input
+              type="text"
+              value={profileName}
+              onChange={(e) => setProfileName(e.target.value)}
+              placeholder="Save mapping as profile..."
+              className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+              aria-label="Profile name"
+            />
+            <button
+              onClick={handleSaveProfile}
+              disabled={!profileName.trim() || isSaving || Object.keys(mapping).length === 0}
+              className="flex items-center px-3 py-1 text-sm text-white bg-[#008080] rounded hover:opacity-90 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4 mr-1" />
+              Save
+            </button>
+          </div>
+          {saveError && (
+            <p className="text-xs text-red-600 mt-1" role="alert">{saveError}</p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ColumnMappingPanel;
@@ -3,9 +3,26 @@ import { Upload, FileText, AlertCircle, CheckCircle, TrendingUp, Shield, Lightbu
 import Phase2Results from './Phase2Results';
 import Phase3Results from './Phase3Results';
 import Phase1FilterPanel from './Phase1filterpanel';
+import ColumnMappingPanel from './ColumnMappingPanel';
+import ValidationReportPanel from './ValidationReportPanel';
 import "../styles/phase3.css";
 import LifecycleReportView from './LifecycleReportView';
 
+// Files above the backend's in-memory upload limit are streamed from disk instead
+const STREAMED_UPLOAD_THRESHOLD = 10 * 1024 * 1024;
+const STREAMED_UPLOAD_TIMEOUT = 30 * 60 * 1000;
+
+const isStreamedUpload = (file) => !!file && file.size > STREAMED_UPLOAD_THRESHOLD;
+
+// Support coverage states set by the backend, and their badge colours
+const SUPPORT_COVERAGE_STATES = ['Active', 'Expiring', 'Expired', 'Not Covered', 'Unknown'];
+const SUPPORT_COVERAGE_BADGES = {
+  Active: 'bg-green-100 text-green-800',
+  Expiring: 'bg-yellow-100 text-yellow-800',
+  Expired: 'bg-red-100 text-red-800',
+  'Not Covered': 'bg-red-100 text-red-800'
+};
+
 /**
  * DESIGN SYSTEM GUIDE
  * ===================
@@ -69,6 +86,17 @@ const LifecyclePage = () => {
   const [phase3JobId, setPhase3JobId] = useState(null);
   const [phase3ResearchComplete, setPhase3ResearchComplete] = useState(false);
 
+  // Column mapping confirmed before Phase 1 runs
+  const [columnPreview, setColumnPreview] = useState(null);
+  const [columnMapping, setColumnMapping] = useState(null);
+  const [mappingProfileId, setMappingProfileId] = useState(null);
+  const [sheetOptions, setSheetOptions] = useState(null);
+  const [dateOrder, setDateOrder] = useState('');
+
+  // Follow-up uploads into the current Phase 1 job ('new' starts a fresh job)
+  const [uploadMode, setUploadMode] = useState('new');
+  const [syncResult, setSyncResult] = useState(null);
+
   const phases = [
     { id: 1, name: 'Phase 1', icon: FileText },
     { id: 2, name: 'Phase 2', icon: TrendingUp },
@@ -106,9 +134,11 @@ const LifecyclePage = () => {
     e.preventDefault();
     setIsDragging(false);
     const file = e.dataTransfer.files[0];
-    if (file && (file.name.endsWith('.csv') || file.name.endsWith('.xlsx') || file.name.endsWith('.xlsb'))) {
+    if (file && (file.name.endsWith('.csv') || file.name.endsWith('.xlsx') || file.name.endsWith('.xlsb') || file.name.endsWith('.xls'))) {
       setUploadedFile(file);
       setAnalysisError(null);
+      setSheetOptions(null);
+      loadColumnPreview(file);
     }
   };
 
@@ -117,14 +147,131 @@ const LifecyclePage = () => {
     if (file) {
       setUploadedFile(file);
       setAnalysisError(null);
+      setSheetOptions(null);
+      loadColumnPreview(file);
+    }
+  };
+
+  // Ask the backend which column feeds each field so the user can confirm it
+  const loadColumnPreview = async (file, options = null) => {
+    setColumnPreview(null);
+    setColumnMapping(null);
+    setMappingProfileId(null);
+
+    try {
+      const previewData = new FormData();
+      previewData.append('file', file);
+      previewData.append('dateLocale', navigator.language);
+      if (options) {
+        previewData.append('sheets', JSON.stringify(options.sheets));
+        previewData.append('headerRows', JSON.stringify(options.headerRows));
+      }
+
+      const previewUrl = isStreamedUpload(file) ? '/api/phase1/preview/stream' : '/api/phase1/preview';
+      const response = await fetch(previewUrl, {
+        method: 'POST',
+        body: previewData
+      });
+      if (!response.ok) {
+        throw new Error(`Preview failed: ${response.status}`);
+      }
+
+      const preview = await response.json();
+      setColumnPreview(preview);
+      setColumnMapping(preview.column_mapping.mapping);
+      setMappingProfileId(preview.column_mapping.profile?.id || null);
+    } catch (error) {
+      // Upload still works without a preview - the backend detects the mapping itself
+      console.error('Column mapping preview failed:', error);
     }
   };
 
+  const handleSheetOptionsChange = (options) => {
+    setSheetOptions(options);
+    loadColumnPreview(uploadedFile, options);
+  };
+
+  const handleMappingProfileChange = (profileId, mapping) => {
+    setMappingProfileId(profileId);
+    setColumnMapping(mapping);
+  };
+
   const handleFilterChange = (filterId) => {
     setSelectedFilterId(filterId);
     console.log('Phase 1 filter selected:', filterId);
   };
 
+  // File, filter, column mapping and date options for a Phase 1 upload
+  const buildUploadFormData = () => {
+    const formDataToSend = new FormData();
+    formDataToSend.append('file', uploadedFile);
+    formDataToSend.append('customerName', formData.customerName || 'Unknown Customer');
+
+    // Add the selected filter ID if one is selected
+    if (selectedFilterId && selectedFilterId !== 'no-filter') {
+      formDataToSend.append('filterSetId', selectedFilterId);
+    }
+
+    // Send the mapping confirmed in the column mapping panel
+    if (columnMapping) {
+      formDataToSend.append('columnMapping', JSON.stringify(columnMapping));
+    }
+    if (mappingProfileId) {
+      formDataToSend.append('mappingProfileId', mappingProfileId);
+    }
+    if (sheetOptions) {
+      formDataToSend.append('sheets', JSON.stringify(sheetOptions.sheets));
+      formDataToSend.append('headerRows', JSON.stringify(sheetOptions.headerRows));
+    }
+
+    // Ambiguous dates fall back to the browser's locale unless the user picked an order
+    formDataToSend.append('dateLocale', navigator.language);
+    if (dateOrder) {
+      formDataToSend.append('dayFirst', dateOrder);
+    }
+
+    return formDataToSend;
+  };
+
+  // Upload a corrected or additional file into the current Phase 1 job
+  // The backend carries the changes into the Phase 2 and Phase 3 jobs
+  const runInventoryUpdate = async () => {
+    if (isStreamedUpload(uploadedFile)) {
+      setAnalysisError('Files over 10MB can only be uploaded as a new job');
+      return;
+    }
+
+    setIsAnalyzing(true);
+    setAnalysisStatus('Updating inventory...');
+    setAnalysisError(null);
+    setSyncResult(null);
+
+    try {
+      const formDataToSend = buildUploadFormData();
+      formDataToSend.append('mode', uploadMode);
+
+      const response = await fetch(`/api/phase1/jobs/${analysisJobId}/upload`, {
+        method: 'POST',
+        body: formDataToSend
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.details ? `${data.error}: ${data.details}` : data.error || `Server error: ${response.status}`);
+      }
+
+      setSyncResult(data);
+      setDataRows(data.total_items);
+      setActivePhase(1);
+      fetchDetailedResults(analysisJobId);
+    } catch (error) {
+      console.error('Inventory update error:', error);
+      setAnalysisError(error.message);
+    } finally {
+      setIsAnalyzing(false);
+      setAnalysisStatus('');
+    }
+  };
+
   // Backend API integration for Phase 1
   const runPhase1Analysis = async () => {
     setIsAnalyzing(true);
@@ -132,16 +279,10 @@ const LifecyclePage = () => {
     setAnalysisError(null);
     
     try {
-      const formDataToSend = new FormData();
-      formDataToSend.append('file', uploadedFile);
-      formDataToSend.append('customerName', formData.customerName || 'Unknown Customer');
-      
-      // Add the selected filter ID if one is selected
-      if (selectedFilterId && selectedFilterId !== 'no-filter') {
-        formDataToSend.append('filterSetId', selectedFilterId);
-      }
+      const formDataToSend = buildUploadFormData();
 
-      const response = await fetch('/api/phase1/upload', {
+      const streamed = isStreamedUpload(uploadedFile);
+      const response = await fetch(streamed ? '/api/phase1/upload/stream' : '/api/phase1/upload', {
         method: 'POST',
         body: formDataToSend
       });
@@ -205,6 +346,8 @@ const LifecyclePage = () => {
             clearInterval(checkStatus);
             setIsAnalyzing(false);
             setAnalysisError(status.error || 'Analysis failed');
+          } else if (status.progress) {
+            setAnalysisStatus(`Processing file... ${status.progress.rows_read.toLocaleString()} rows read (${status.progress.percent}%)`);
           }
         } catch (error) {
           clearInterval(checkStatus);
@@ -219,7 +362,7 @@ const LifecyclePage = () => {
           setIsAnalyzing(false);
           setAnalysisError('Analysis timeout - please try again');
         }
-      }, 60000);
+      }, streamed ? STREAMED_UPLOAD_TIMEOUT : 60000);
       
     } catch (error) {
       console.error('Phase 1 analysis error:', error);
@@ -230,6 +373,8 @@ const LifecyclePage = () => {
 
   const normalizeSupport = (value) => {
     if (!value || value === '-') return '-';
+    // Already a coverage state from the backend
+    if (SUPPORT_COVERAGE_STATES.includes(value)) return value;
     const lowerValue = value.toString().toLowerCase().trim();
     
     // Priority checks for specific values
@@ -349,7 +494,7 @@ const LifecyclePage = () => {
     }
   };
 
-  const handleExport = async () => {
+  const handleExport = async (reportOptions = {}) => {
     console.log('🔍 Lifecycle Report Export triggered');
     console.log('🔍 phase3JobId:', phase3JobId);
     console.log('🔍 phase3ResearchComplete:', phase3ResearchComplete);
@@ -369,7 +514,9 @@ const LifecyclePage = () => {
         body: JSON.stringify({
           jobId: phase3JobId,
           customerName: formData.customerName || 'Unknown Customer',
-          eolYearBasis: 'lastDayOfSupport'
+          eolYearBasis: reportOptions.eolYearBasis || 'lastDayOfSupport',
+          inflationRate: reportOptions.inflationRate,
+          site: reportOptions.site || undefined
         })
       });
       
@@ -473,6 +620,8 @@ const LifecyclePage = () => {
     setAnalysisResults(null);
     setDataRows(null);
     setPhase1Results(null);
+    setUploadMode('new');
+    setSyncResult(null);
     setPhase2JobId(null);
     setPhase3JobId(null);
     if (fileInputRef.current) {
@@ -1010,9 +1159,19 @@ const LifecyclePage = () => {
             <div className="text-2xl font-bold" style={{ color: '#008080' }}>
               {summary.active_support || 0}
             </div>
-            <div className="text-xs" style={{ color: '#6B7280' }}>
-              {summary.total_items > 0 ? Math.round((summary.active_support / summary.total_items) * 100) : 0}%
-            </div>
+            {summary.supportStates ? (
+              <div className="text-xs" style={{ color: '#6B7280' }}>
+                {summary.supportCoverage || 0}% covered of known
+                <br />
+                {summary.expiring_support || 0} expiring, {summary.expired_support || 0} expired
+                <br />
+                {summary.not_covered_support || 0} not covered, {summary.unknown_support || 0} unknown
+              </div>
+            ) : (
+              <div className="text-xs" style={{ color: '#6B7280' }}>
+                {summary.total_items > 0 ? Math.round((summary.active_support / summary.total_items) * 100) : 0}%
+              </div>
+            )}
           </div>
           
           <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
@@ -1042,6 +1201,40 @@ const LifecyclePage = () => {
             </div>
           </div>
         </div>
+
+        {/* Items removed by the Phase 1 filter, per rule */}
+        {summary.filterStats && summary.filterStats.excludedCount > 0 && (
+          <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+            <div className="flex items-center justify-between mb-2">
+              <div className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                EXCLUDED BY FILTER{summary.appliedFilter ? `: ${summary.appliedFilter.name}` : ''}
+              </div>
+              <a
+                href={`/api/phase1/excluded/${results.job_id}`}
+                className="flex items-center gap-1 text-xs font-medium hover:underline"
+                style={{ color: '#008080' }}
+              >
+                <Download size={14} />
+                Download {summary.filterStats.excludedCount} excluded items
+              </a>
+            </div>
+            <div className="flex flex-wrap gap-2">
+              {[...(summary.filterStats.byRule || []), ...(summary.filterStats.includeRules || [])]
+                .filter(rule => rule.count > 0)
+                .map(rule => (
+                  <span
+                    key={`${rule.action}-${rule.group}-${rule.kind}-${rule.pattern}`}
+                    className={`text-xs px-2 py-1 rounded ${rule.action === 'include' ? 'bg-teal-50 text-teal-700' : 'bg-gray-100 text-gray-700'}`}
+                  >
+                    {rule.action === 'include' ? 'kept by ' : ''}{rule.pattern} ({rule.field}{rule.kind === 'regex' ? ', regex' : ''}): {rule.count}
+                  </span>
+                ))}
+            </div>
+          </div>
+        )}
+        
+        {/* Row-level data problems found in the upload */}
+        <ValidationReportPanel jobId={results.job_id} validation={summary.validation} />
         
         {/* Analytics Components Grid */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
@@ -1211,9 +1404,7 @@ const LifecyclePage = () => {
                       </td>
                       <td className="px-4 py-3 text-center">
                         <span className={`inline-flex px-2 py-1 text-xs rounded-full ${
-                          product.support_coverage === 'Active' 
-                            ? 'bg-green-100 text-green-800' 
-                            : 'bg-gray-100 text-gray-600'
+                          SUPPORT_COVERAGE_BADGES[product.support_coverage] || 'bg-gray-100 text-gray-600'
                         }`}>
                           {product.support_coverage || '-'}
                         </span>
@@ -1456,7 +1647,7 @@ const LifecyclePage = () => {
                         {uploadedFile ? uploadedFile.name : 'Choose file or drag here'}
                       </p>
                       <p className="text-xs text-gray-500">
-                        {uploadedFile ? `${(uploadedFile.size / 1024).toFixed(1)} KB` : 'CSV, XLSX, or XLSB up to 10MB'}
+                        {uploadedFile ? `${(uploadedFile.size / 1024).toFixed(1)} KB` : 'CSV, XLSX, XLS or XLSB up to 500MB'}
                       </p>
                     </div>
                     {uploadedFile && (
@@ -1464,6 +1655,10 @@ const LifecyclePage = () => {
                         onClick={(e) => {
                           e.stopPropagation();
                           setUploadedFile(null);
+                          setColumnPreview(null);
+                          setColumnMapping(null);
+                          setMappingProfileId(null);
+                          setSheetOptions(null);
                           setCompletedPhases([]);
                           setActivePhase(null);
                           setAnalysisResults(null);
@@ -1480,12 +1675,80 @@ const LifecyclePage = () => {
                   <input
                     ref={fileInputRef}
                     type="file"
-                    accept=".csv,.xlsx,.xlsb"
+                    accept=".csv,.xlsx,.xlsb,.xls"
                     onChange={handleFileSelect}
                     className="hidden"
                     aria-label="File input"
                   />
                 </div>
+                {analysisJobId && completedPhases.includes(1) && (
+                  <div className="mt-3 bg-gray-50 rounded-lg px-4 py-3 border border-gray-200">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <label htmlFor="uploadMode" className="text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                        Next upload
+                      </label>
+                      <select
+                        id="uploadMode"
+                        value={uploadMode}
+                        onChange={(e) => setUploadMode(e.target.value)}
+                        className="text-xs border border-gray-300 rounded px-2 py-1"
+                      >
+                        <option value="new">Start a new job</option>
+                        <option value="merge">Merge into this job (update matching items, keep the rest)</option>
+                        <option value="replace">Replace this job's inventory (remove items not in the file)</option>
+                        <option value="append">Append to this job (add every row as a new item)</option>
+                      </select>
+                      {uploadMode !== 'new' && (
+                        <button
+                          onClick={runInventoryUpdate}
+                          disabled={!uploadedFile || isAnalyzing}
+                          className="text-xs px-3 py-1 rounded text-white disabled:opacity-50"
+                          style={{ backgroundColor: '#008080' }}
+                        >
+                          Update inventory
+                        </button>
+                      )}
+                    </div>
+                    {uploadMode !== 'new' && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        Phase 2 edits and Phase 3 research are kept for items the new file does not change.
+                      </p>
+                    )}
+                    {syncResult && (
+                      <div className="text-xs text-gray-700 mt-2" role="status">
+                        <p>
+                          {syncResult.changes.added} added, {syncResult.changes.changed} changed, {syncResult.changes.removed} removed, {syncResult.changes.unchanged} unchanged
+                          {syncResult.changes.retained > 0 && `, ${syncResult.changes.retained} not in the file and kept`}
+                          {' '}(matched on {syncResult.changes.key_fields.join(' + ')})
+                        </p>
+                        {syncResult.phase2.map(job => (
+                          <p key={job.job_id}>
+                            Phase 2: {job.updated} items updated, {job.added} added, {job.removed} removed
+                            {job.kept_edits.length > 0 && ` - ${job.kept_edits.length} edited values kept over the file`}
+                          </p>
+                        ))}
+                        {syncResult.phase3.map(job => (
+                          <p key={job.job_id}>
+                            Phase 3: {job.added} new products to research, {job.removed} removed, {job.updated} quantities updated
+                          </p>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+                {columnPreview && columnMapping && (completedPhases.length === 0 || uploadMode !== 'new') && (
+                  <ColumnMappingPanel
+                    key={`${uploadedFile?.name}-${JSON.stringify(sheetOptions)}`}
+                    preview={columnPreview}
+                    mapping={columnMapping}
+                    profileId={mappingProfileId}
+                    dateOrder={dateOrder}
+                    onMappingChange={setColumnMapping}
+                    onProfileChange={handleMappingProfileChange}
+                    onSheetOptionsChange={handleSheetOptionsChange}
+                    onDateOrderChange={setDateOrder}
+                  />
+                )}
               </div>
 
               <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -1753,6 +2016,7 @@ const LifecyclePage = () => {
                     <div className="border rounded-lg p-6" style={{ backgroundColor: '#F8F8F8' }}>
                       <Phase2Results 
                         phase1JobId={analysisJobId}
+                        existingJobId={completedPhases.includes(2) ? phase2JobId : null}
                         isActive={activePhase === 2}
                         onComplete={(phase2JobId) => {  // Receive phase2JobId as parameter
                           // Mark Phase 2 as complete and enable Phase 3
@@ -2,7 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { 
   Download, FileText, BarChart2, AlertTriangle, Clock, 
   Shield, Package, Factory, CheckCircle, TrendingUp,
-  ChevronRight, Loader, AlertCircle, Info
+  ChevronRight, Loader, AlertCircle, Info, GitCompare, MapPin
 } from 'lucide-react';
 
 const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
@@ -11,6 +11,12 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('detailed');
   const [generatingExcel, setGeneratingExcel] = useState(false);
+  const [budgetForecast, setBudgetForecast] = useState(null);
+  const [budgetOptions, setBudgetOptions] = useState({ eolYearBasis: 'lastDayOfSupport', inflationRate: null });
+  const [loadingBudget, setLoadingBudget] = useState(false);
+  const [budgetError, setBudgetError] = useState(null);
+  // Selected site; null reports on every site
+  const [site, setSite] = useState(null);
 
   // Tab definitions matching Excel sheets
   const tabs = [
@@ -19,11 +25,15 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
     { id: 'eol', name: 'EOL Products', icon: AlertCircle },
     { id: 'category', name: 'Category Analysis', icon: Package },
     { id: 'manufacturer', name: 'Manufacturer Analysis', icon: Factory },
+    { id: 'sites', name: 'Site Analysis', icon: MapPin },
+    { id: 'budget', name: 'Budget Forecast', icon: TrendingUp },
+    { id: 'contracts', name: 'Support Contracts', icon: Shield },
+    { id: 'compare', name: 'Compare Snapshots', icon: GitCompare },
   ];
 
   useEffect(() => {
     fetchReportData();
-  }, [phase3JobId]);
+  }, [phase3JobId, site]);
 
   const fetchReportData = async () => {
     setLoading(true);
@@ -36,7 +46,8 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
         body: JSON.stringify({
           jobId: phase3JobId,
           eolYearBasis: 'lastDayOfSupport',
-          customerName: customerName || 'Organization'
+          customerName: customerName || 'Organization',
+          site: site || undefined
         })
       });
 
@@ -77,6 +88,13 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
     // Extract the report data from the wrapped response
     if (data.success && data.report) {
     setReportData(data.report);
+    setBudgetForecast(data.report.budgetForecast || null);
+    if (data.report.budgetForecast) {
+      setBudgetOptions({
+        eolYearBasis: data.report.budgetForecast.settings.eolYearBasis,
+        inflationRate: data.report.budgetForecast.settings.inflationRate
+      });
+    }
     } else {
     console.error('Unexpected response format');
     setError('Invalid response format from server');
@@ -90,10 +108,35 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
     }
   };
 
+  // Recalculate only the forecast when its EOL basis or inflation rate changes
+  const updateBudgetForecast = async (options) => {
+    setBudgetOptions(options);
+    setLoadingBudget(true);
+    setBudgetError(null);
+
+    try {
+      const response = await fetch('/api/phase3/reports/budget-forecast', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jobId: phase3JobId, ...options, site: site || undefined })
+      });
+      const data = await response.json();
+      if (!response.ok || !data.success) {
+        throw new Error(data.error || 'Failed to update budget forecast');
+      }
+      setBudgetForecast(data.budgetForecast);
+    } catch (err) {
+      console.error('Error updating budget forecast:', err);
+      setBudgetError(err.message);
+    } finally {
+      setLoadingBudget(false);
+    }
+  };
+
   const handleExcelDownload = async () => {
     setGeneratingExcel(true);
     try {
-      await onExport();
+      await onExport({ ...budgetOptions, site });
     } finally {
       setGeneratingExcel(false);
     }
@@ -135,6 +178,8 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
   }
 
   const { statistics, products, insights, recommendations } = reportData;
+  const siteBreakdown = reportData.siteBreakdown || [];
+  const hasSites = siteBreakdown.some(entry => entry.site !== 'Unassigned');
 
   return (
     <div className="h-full flex flex-col">
@@ -145,31 +190,49 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
             Lifecycle Analysis Report
           </h2>
           <p className="text-gray-600 mt-1">
-            {customerName || 'Organization'} - Generated {new Date().toLocaleDateString()}
+            {customerName || 'Organization'}{site && ` - ${site}`} - Generated {new Date().toLocaleDateString()}
           </p>
         </div>
-        <button
-          onClick={handleExcelDownload}
-          disabled={generatingExcel}
-          className="flex items-center px-6 py-3 rounded-lg font-medium transition-all"
-          style={{
-            backgroundColor: generatingExcel ? '#6B7280' : '#008080',
-            color: 'white',
-            cursor: generatingExcel ? 'not-allowed' : 'pointer'
-          }}
-        >
-          {generatingExcel ? (
-            <>
-              <Loader className="animate-spin mr-2" size={20} />
-              Generating Excel...
-            </>
-          ) : (
-            <>
-              <Download className="mr-2" size={20} />
-              Download Excel Report
-            </>
+        <div className="flex items-center space-x-4">
+          {hasSites && (
+            <div>
+              <label htmlFor="reportSite" className="block text-xs font-medium text-gray-500 uppercase mb-1">Site</label>
+              <select
+                id="reportSite"
+                value={site || ''}
+                onChange={(e) => setSite(e.target.value || null)}
+                className="border rounded px-3 py-2 text-sm"
+              >
+                <option value="">All sites</option>
+                {siteBreakdown.map(entry => (
+                  <option key={entry.site} value={entry.site}>{entry.site}</option>
+                ))}
+              </select>
+            </div>
           )}
-        </button>
+          <button
+            onClick={handleExcelDownload}
+            disabled={generatingExcel}
+            className="flex items-center px-6 py-3 rounded-lg font-medium transition-all"
+            style={{
+              backgroundColor: generatingExcel ? '#6B7280' : '#008080',
+              color: 'white',
+              cursor: generatingExcel ? 'not-allowed' : 'pointer'
+            }}
+          >
+            {generatingExcel ? (
+              <>
+                <Loader className="animate-spin mr-2" size={20} />
+                Generating Excel...
+              </>
+            ) : (
+              <>
+                <Download className="mr-2" size={20} />
+                Download Excel Report
+              </>
+            )}
+          </button>
+        </div>
       </div>
 
       {/* Tab Navigation */}
@@ -196,11 +259,35 @@ const LifecycleReportView = ({ phase3JobId, customerName, onExport }) => {
       {/* Tab Content - Scrollable */}
       <div className="flex-1 overflow-y-auto">
         <div className="p-6">
-          {activeTab === 'detailed' && <DetailedAnalysisTab products={products} />}
+          {activeTab === 'detailed' && (
+            <div className="space-y-6">
+              {/* Support contract coverage, when the inventory had coverage data */}
+              {statistics?.supportCoverage?.contracts?.coveragePercentage != null && (
+                <SupportContractsPanel contracts={statistics.supportCoverage.contracts} />
+              )}
+              <DetailedAnalysisTab products={products} />
+            </div>
+          )}
           {activeTab === 'timeline' && <TimelineTab products={products} statistics={statistics} />}
           {activeTab === 'eol' && <EOLProductsTab products={products} />}
           {activeTab === 'category' && <CategoryAnalysisTab statistics={statistics} />}
           {activeTab === 'manufacturer' && <ManufacturerAnalysisTab statistics={statistics} />}
+          {activeTab === 'sites' && (
+            <SiteAnalysisTab breakdown={siteBreakdown} selectedSite={site} onSelectSite={setSite} />
+          )}
+          {activeTab === 'budget' && (
+            <BudgetForecastTab
+              forecast={budgetForecast}
+              options={budgetOptions}
+              loading={loadingBudget}
+              error={budgetError}
+              onOptionsChange={updateBudgetForecast}
+            />
+          )}
+          {activeTab === 'contracts' && <SupportContractsTab analysis={reportData.supportContracts} />}
+          {activeTab === 'compare' && (
+            <SnapshotComparisonTab currentJobId={phase3JobId} customerName={customerName} />
+          )}
         </div>
       </div>
     </div>
@@ -295,6 +382,36 @@ const ExecutiveSummaryTab = ({ statistics = {}, insights = [] }) => {
   );
 };
 
+// Units per support coverage state
+const COVERAGE_STATES = [
+  { state: 'Active', bg: 'bg-green-50', text: 'text-green-700' },
+  { state: 'Expiring', bg: 'bg-yellow-50', text: 'text-yellow-700' },
+  { state: 'Expired', bg: 'bg-red-50', text: 'text-red-700' },
+  { state: 'Not Covered', bg: 'bg-red-50', text: 'text-red-800' },
+  { state: 'Unknown', bg: 'bg-gray-50', text: 'text-gray-700' }
+];
+
+const SupportContractsPanel = ({ contracts }) => (
+  <div className="bg-white rounded-lg border p-6">
+    <div className="flex items-baseline justify-between mb-4">
+      <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Support Contracts</h3>
+      <span className="text-sm text-gray-600">
+        {contracts.coveragePercentage}% of units with a known state are under contract
+      </span>
+    </div>
+    <div className="grid grid-cols-5 gap-4">
+      {COVERAGE_STATES.map(({ state, bg, text }) => (
+        <div key={state} className={`text-center p-4 rounded ${bg}`}>
+          <p className="text-sm text-gray-600">
+            {state === 'Expiring' ? `Expiring (${contracts.expiringDays} days)` : state}
+          </p>
+          <p className={`text-2xl font-bold ${text}`}>{(contracts.quantity[state] || 0).toLocaleString()}</p>
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
 const DetailedAnalysisTab = ({ products }) => (
   <div className="bg-white rounded-lg border">
     <div className="overflow-x-auto">
@@ -664,6 +781,7 @@ const TimelineTab = ({ products = [], statistics = {} }) => {
                   {yearColumns.map(year => {
                     const yearStr = year.toString();
                     const yearQty = product.year_quantities?.[yearStr] || 0;
+                    const estimatedQty = product.estimated_year_quantities?.[yearStr] || 0;
                     
                     const ldosDateInYear = formatLDOSInYear(
                       product.last_day_of_support_date, 
@@ -683,8 +801,14 @@ const TimelineTab = ({ products = [], statistics = {} }) => {
                       >
                         {/* Show quantity if exists */}
                         {yearQty > 0 && (
-                          <div style={{ fontSize: '11px' }}>
-                            {yearQty.toLocaleString()}
+                          <div
+                            style={{ fontSize: '11px', fontStyle: estimatedQty > 0 ? 'italic' : 'normal' }}
+                            title={estimatedQty > 0
+                              ? `${estimatedQty.toLocaleString()} of ${yearQty.toLocaleString()} dated from serial numbers` +
+                                (product.estimated_date_confidence ? ` (${product.estimated_date_confidence}% confidence)` : '')
+                              : undefined}
+                          >
+                            {estimatedQty > 0 ? '~' : ''}{yearQty.toLocaleString()}
                           </div>
                         )}
                         {/* Show LDOS date (MON DD) if this is the LDOS year */}
@@ -760,6 +884,12 @@ const TimelineTab = ({ products = [], statistics = {} }) => {
             <span className="text-red-600 font-bold">MON DD</span>
             <span>Last Day of Support Date</span>
           </div>
+          {products.some(product => product.estimated_quantity > 0) && (
+            <div className="flex items-center gap-2">
+              <span className="italic">~12</span>
+              <span>Includes dates estimated from serial numbers</span>
+            </div>
+          )}
         </div>
       </div>
     </div>
@@ -792,6 +922,7 @@ const EOLProductsTab = ({ products }) => {
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">EOL Date</th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days Past EOL</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Replace With</th>
               <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Priority</th>
             </tr>
           </thead>
@@ -808,6 +939,19 @@ const EOLProductsTab = ({ products }) => {
                     {new Date(product.last_day_of_support_date).toLocaleDateString()}
                   </td>
                   <td className="px-4 py-3 text-sm text-red-600 font-medium">{daysPast}</td>
+                  <td className="px-4 py-3 text-sm">
+                    {product.successors && product.successors.length > 0 ? (
+                      product.successors.map(successor => (
+                        <div key={successor.successor_product_id} title={successor.notes || undefined}>
+                          <span className="font-medium">{successor.successor_product_id}</span>
+                          <span className="text-gray-500"> × {successor.estimated_quantity}</span>
+                          {successor.notes && <div className="text-xs text-gray-500">{successor.notes}</div>}
+                        </div>
+                      ))
+                    ) : (
+                      <span className="text-gray-400">Not in catalog</span>
+                    )}
+                  </td>
                   <td className="px-4 py-3">
                     <span className="px-2 py-1 text-xs font-medium bg-red-100 text-red-800 rounded">
                       CRITICAL
@@ -828,6 +972,459 @@ const EOLProductsTab = ({ products }) => {
   );
 };
 
+const EOL_BASIS_OPTIONS = [
+  { value: 'lastDayOfSupport', label: 'Last Day of Support' },
+  { value: 'endOfSale', label: 'End of Sale' },
+  { value: 'endOfSwMaintenance', label: 'End of SW Maintenance' },
+  { value: 'endOfSwVulnerability', label: 'End of Security Fixes' },
+  { value: 'endOfLife', label: 'End of Life' }
+];
+
+const PRICE_SOURCE_LABELS = {
+  catalog_replacement: 'Replacement price',
+  catalog_successor: 'Successor prices',
+  catalog_product: 'Catalog price',
+  upload: 'Uploaded value',
+  catalog_category: 'Category price'
+};
+
+const formatCurrency = (value) => (
+  value === null || value === undefined
+    ? '-'
+    : `$${Number(value).toLocaleString(undefined, { minimumFractionDigits: 0, maximumFractionDigits: 0 })}`
+);
+
+const BudgetForecastTab = ({ forecast, options, loading, error, onOptionsChange }) => {
+  const [inflationInput, setInflationInput] = useState(
+    options.inflationRate !== null ? String(Math.round(options.inflationRate * 1000) / 10) : ''
+  );
+
+  const applyInflation = () => {
+    const percent = parseFloat(inflationInput);
+    if (isNaN(percent) || percent < 0) return;
+    onOptionsChange({ ...options, inflationRate: percent / 100 });
+  };
+
+  const maxYearCost = forecast ? Math.max(1, ...forecast.years.map(year => year.cost)) : 1;
+
+  return (
+    <div className="space-y-6">
+      {/* Forecast settings */}
+      <div className="bg-white rounded-lg border p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="budgetEolBasis" className="block text-xs font-medium text-gray-500 uppercase mb-1">
+            Replace On
+          </label>
+          <select
+            id="budgetEolBasis"
+            value={options.eolYearBasis}
+            onChange={(e) => onOptionsChange({ ...options, eolYearBasis: e.target.value })}
+            disabled={loading}
+            className="px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+          >
+            {EOL_BASIS_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="budgetInflation" className="block text-xs font-medium text-gray-500 uppercase mb-1">
+            Annual Inflation (%)
+          </label>
+          <div className="flex gap-2">
+            <input
+              id="budgetInflation"
+              type="number"
+              min="0"
+              step="0.5"
+              value={inflationInput}
+              onChange={(e) => setInflationInput(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && applyInflation()}
+              disabled={loading}
+              className="w-24 px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500"
+            />
+            <button
+              onClick={applyInflation}
+              disabled={loading}
+              className="px-3 py-2 text-sm text-white bg-[#008080] rounded hover:opacity-90 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        </div>
+        {loading && <Loader className="animate-spin text-teal-600" size={20} />}
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+      </div>
+
+      {!forecast ? (
+        <div className="p-8 text-center text-gray-500">No budget forecast available</div>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <MetricCard label="Scheduled Budget" value={formatCurrency(forecast.totals.scheduledCost)} />
+            <MetricCard label="Overdue Replacements" value={formatCurrency(forecast.totals.overdueCost)} alert={forecast.totals.overdueCost > 0} />
+            <MetricCard label="Units Without Date" value={forecast.totals.unscheduledQuantity} warning={forecast.totals.unscheduledQuantity > 0} />
+            <MetricCard label="Products Without Price" value={forecast.totals.unpricedProducts} warning={forecast.totals.unpricedProducts > 0} />
+          </div>
+
+          {forecast.totals.unpricedProducts > 0 && (
+            <div className="flex items-start p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+              <Info size={18} className="mr-2 flex-shrink-0" />
+              <span>
+                {forecast.totals.unpricedProducts} products have no uploaded value or catalog price and are not
+                included in the totals: {forecast.unpriced.slice(0, 10).join(', ')}
+                {forecast.unpriced.length > 10 && ` and ${forecast.unpriced.length - 10} more`}
+              </span>
+            </div>
+          )}
+
+          {/* Budget by year */}
+          <div className="bg-white rounded-lg border">
+            <div className="p-4 border-b">
+              <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Budget by Year</h3>
+              <p className="text-sm text-gray-500">
+                Replacement on {forecast.settings.basisLabel}, {(forecast.settings.inflationRate * 100).toFixed(1)}% annual
+                inflation from {forecast.settings.baseYear} prices. Overdue products are budgeted in {forecast.settings.baseYear}.
+              </p>
+            </div>
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Products</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cost</th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase w-1/3"></th>
+                  <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cumulative</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {forecast.years.map(year => (
+                  <tr key={year.year} className="hover:bg-gray-50">
+                    <td className="px-4 py-3 text-sm font-medium">{year.year}</td>
+                    <td className="px-4 py-3 text-sm">{year.productCount}</td>
+                    <td className="px-4 py-3 text-sm">{year.quantity}</td>
+                    <td className="px-4 py-3 text-sm font-medium">
+                      {formatCurrency(year.cost)}
+                      {year.overdueCost > 0 && (
+                        <span className="ml-2 text-xs text-red-600">({formatCurrency(year.overdueCost)} overdue)</span>
+                      )}
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="w-full bg-gray-100 rounded h-3">
+                        <div
+                          className="h-3 rounded"
+                          style={{ width: `${(year.cost / maxYearCost) * 100}%`, backgroundColor: '#008080' }}
+                        />
+                      </div>
+                    </td>
+                    <td className="px-4 py-3 text-sm text-gray-600">{formatCurrency(year.cumulativeCost)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {forecast.years.length === 0 && (
+              <div className="p-8 text-center text-gray-500">
+                No products have a {forecast.settings.basisLabel} date
+              </div>
+            )}
+          </div>
+
+          {/* Replacement detail */}
+          <div className="bg-white rounded-lg border">
+            <div className="p-4 border-b">
+              <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Replacements</h3>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Year</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product ID</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Replacement</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Unit Price</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Price Source</th>
+                    <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Cost</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {[...forecast.items, ...forecast.unscheduled].map((item, index) => (
+                    <tr key={index} className="hover:bg-gray-50">
+                      <td className={`px-4 py-3 text-sm ${item.overdue ? 'text-red-600 font-medium' : ''}`}>
+                        {item.replacement_year || 'No date'}
+                        {item.overdue && ' (overdue)'}
+                      </td>
+                      <td className="px-4 py-3 text-sm font-medium">{item.product_id}</td>
+                      <td className="px-4 py-3 text-sm">{item.replacement_product_id || '-'}</td>
+                      <td className="px-4 py-3 text-sm">{item.quantity}</td>
+                      <td className="px-4 py-3 text-sm">{formatCurrency(item.unit_price)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">
+                        {PRICE_SOURCE_LABELS[item.price_source] || 'No price'}
+                      </td>
+                      <td className="px-4 py-3 text-sm font-medium">{formatCurrency(item.cost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+const SiteAnalysisTab = ({ breakdown = [], selectedSite, onSelectSite }) => {
+  if (!breakdown.some(entry => entry.site !== 'Unassigned')) {
+    return (
+      <div className="p-8 text-center text-gray-500">
+        No site information. Map a Site column when uploading the inventory to break the report down by site.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg border">
+      <div className="p-4 border-b">
+        <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Risk and EOL by Site</h3>
+        <p className="text-sm text-gray-500">
+          Installed quantity per site. Select a site to narrow every tab of the report to it.
+        </p>
+      </div>
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Site</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Locations</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Products</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Critical</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">High</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Medium</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">EOL Quantity</th>
+              <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase w-1/5"></th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {breakdown.map(entry => (
+              <tr
+                key={entry.site}
+                onClick={() => onSelectSite(entry.site === selectedSite ? null : entry.site)}
+                className={`cursor-pointer ${entry.site === selectedSite ? 'bg-teal-50' : 'hover:bg-gray-50'}`}
+              >
+                <td className="px-4 py-3 text-sm font-medium">{entry.site}</td>
+                <td className="px-4 py-3 text-sm">{entry.locations}</td>
+                <td className="px-4 py-3 text-sm">{entry.productCount}</td>
+                <td className="px-4 py-3 text-sm">{entry.quantity.toLocaleString()}</td>
+                <td className={`px-4 py-3 text-sm ${entry.riskQuantity.critical > 0 ? 'text-red-600 font-medium' : ''}`}>
+                  {entry.riskQuantity.critical}
+                </td>
+                <td className="px-4 py-3 text-sm">{entry.riskQuantity.high}</td>
+                <td className="px-4 py-3 text-sm">{entry.riskQuantity.medium}</td>
+                <td className="px-4 py-3 text-sm font-medium">
+                  {entry.eolQuantity.toLocaleString()} ({entry.eolPercentage}%)
+                </td>
+                <td className="px-4 py-3">
+                  <div className="w-full bg-gray-100 rounded h-3">
+                    <div className="h-3 rounded bg-red-500" style={{ width: `${entry.eolPercentage}%` }} />
+                  </div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+// Contract dates are YYYY-MM-DD; read them as local dates so they do not shift a day
+const formatContractDate = (date) => (date ? new Date(`${date}T00:00:00`).toLocaleDateString() : '-');
+
+const CONTRACT_STATE_STYLES = {
+  Active: 'bg-green-100 text-green-800',
+  Expiring: 'bg-yellow-100 text-yellow-800',
+  Expired: 'bg-red-100 text-red-800',
+  Unknown: 'bg-gray-100 text-gray-700'
+};
+
+const SupportContractsTab = ({ analysis }) => {
+  if (!analysis) {
+    return (
+      <div className="p-8 text-center text-gray-500">
+        No support contract data. Contracts come from the contract number column of the upload
+        or from a contracts file imported into the Phase 2 job.
+      </div>
+    );
+  }
+
+  const { summary, calendar, gaps } = analysis;
+
+  return (
+    <div className="space-y-6">
+      {/* Totals */}
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <MetricCard label="Contracts" value={summary.totalContracts} />
+        <MetricCard label={`Expiring (${analysis.expiringDays} days)`} value={summary.expiringContracts} warning={summary.expiringContracts > 0} />
+        <MetricCard label="Covered Past LDOS" value={`${summary.deadGearItems} items / ${summary.deadGearQuantity} units`} alert={summary.deadGearItems > 0} />
+        <MetricCard label="Uncovered Before LDOS" value={`${summary.uncoveredItems} items / ${summary.uncoveredQuantity} units`} warning={summary.uncoveredItems > 0} />
+      </div>
+
+      {/* Renewal calendar */}
+      <div className="bg-white rounded-lg border">
+        <div className="p-4 border-b">
+          <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Renewal Calendar</h3>
+          <p className="text-sm text-gray-500">
+            Contracts by the month they end in; {summary.expiredContracts} have already ended
+            and {calendar.later.length} end after {calendar.months[calendar.months.length - 1].label}.
+          </p>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-3 p-4">
+          {calendar.months.map(month => (
+            <div
+              key={month.month}
+              className={`p-3 rounded border ${month.contracts.length > 0 ? 'border-yellow-300 bg-yellow-50' : 'bg-gray-50'}`}
+            >
+              <p className="text-xs font-medium text-gray-500 uppercase">{month.label}</p>
+              <p className="text-2xl font-bold text-gray-900">{month.contracts.length}</p>
+              <p className="text-xs text-gray-500">{month.quantity.toLocaleString()} units</p>
+              {month.contracts.slice(0, 3).map(contract => (
+                <p key={contract.contract_number} className="text-xs text-gray-700 truncate" title={contract.contract_number}>
+                  {contract.contract_number}
+                </p>
+              ))}
+              {month.contracts.length > 3 && (
+                <p className="text-xs text-gray-500">+{month.contracts.length - 3} more</p>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Contracts */}
+      <div className="bg-white rounded-lg border">
+        <div className="p-4 border-b">
+          <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Contracts</h3>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contract</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Service Level</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Start</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">End</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">State</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Items</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {analysis.contracts.map(contract => (
+                <tr key={contract.id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm font-medium">{contract.contract_number}</td>
+                  <td className="px-4 py-3 text-sm">{contract.service_level || '-'}</td>
+                  <td className="px-4 py-3 text-sm">{formatContractDate(contract.start_date)}</td>
+                  <td className="px-4 py-3 text-sm">{formatContractDate(contract.end_date)}</td>
+                  <td className="px-4 py-3 text-sm">
+                    <span className={`px-2 py-1 rounded-full text-xs font-medium ${CONTRACT_STATE_STYLES[contract.state]}`}>
+                      {contract.state}
+                    </span>
+                  </td>
+                  <td className="px-4 py-3 text-sm">{contract.item_count}</td>
+                  <td className="px-4 py-3 text-sm">{contract.quantity}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {analysis.contracts.length === 0 && (
+            <div className="p-8 text-center text-gray-500">No contracts on record</div>
+          )}
+        </div>
+      </div>
+
+      {/* Paying for support on gear past its last day of support */}
+      <div className="bg-white rounded-lg border">
+        <div className="p-4 border-b">
+          <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Contracts Running Past Last Day of Support</h3>
+          <p className="text-sm text-gray-500">Covered items whose contract ends after the manufacturer stops supporting them</p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product ID</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Day of Support</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contract</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Contract End</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days Past LDOS</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {gaps.deadGear.map(entry => (
+                <tr key={entry.item_id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm font-medium">{entry.product_id}</td>
+                  <td className="px-4 py-3 text-sm">{entry.quantity}</td>
+                  <td className={`px-4 py-3 text-sm ${entry.ldos_passed ? 'text-red-600 font-medium' : ''}`}>
+                    {formatContractDate(entry.last_day_support)}
+                  </td>
+                  <td className="px-4 py-3 text-sm">{entry.contract_number || '-'}</td>
+                  <td className="px-4 py-3 text-sm">{formatContractDate(entry.contract_end)}</td>
+                  <td className="px-4 py-3 text-sm font-medium text-red-600">{entry.days_past_ldos}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {gaps.deadGear.length === 0 && (
+            <div className="p-8 text-center text-gray-500">No contracts run past a last day of support</div>
+          )}
+        </div>
+      </div>
+
+      {/* Still supportable but without a contract */}
+      <div className="bg-white rounded-lg border">
+        <div className="p-4 border-b">
+          <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>Supportable Items Without a Contract</h3>
+          <p className="text-sm text-gray-500">Items that are not covered although the manufacturer still supports them</p>
+        </div>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Product ID</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Description</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Quantity</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Coverage</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Day of Support</th>
+                <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">Days of Support Left</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {gaps.uncovered.map(entry => (
+                <tr key={entry.item_id} className="hover:bg-gray-50">
+                  <td className="px-4 py-3 text-sm font-medium">{entry.product_id}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{entry.description || '-'}</td>
+                  <td className="px-4 py-3 text-sm">{entry.quantity}</td>
+                  <td className="px-4 py-3 text-sm">{entry.support_coverage}</td>
+                  <td className="px-4 py-3 text-sm">{formatContractDate(entry.last_day_support)}</td>
+                  <td className="px-4 py-3 text-sm">{entry.days_of_support_left}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {gaps.uncovered.length === 0 && (
+            <div className="p-8 text-center text-gray-500">Every supportable item is under contract</div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
 const CategoryAnalysisTab = ({ statistics }) => {
   const categories = statistics.categoryBreakdown || [];
   
@@ -1263,6 +1860,283 @@ const ScoreCard = ({ title, score, color, inverse = false }) => (
   </div>
 );
 
+const RISK_TEXT_COLORS = {
+  critical: 'text-red-600',
+  high: 'text-orange-600',
+  medium: 'text-yellow-600',
+  low: 'text-green-600',
+  none: 'text-gray-500'
+};
+
+const formatChange = (value) => (value === null || value === undefined ? '-' : value > 0 ? `+${value}` : value);
+
+const SnapshotComparisonTab = ({ currentJobId, customerName }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [baselineJobId, setBaselineJobId] = useState('');
+  const [comparedJobId, setComparedJobId] = useState(currentJobId);
+  const [comparison, setComparison] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Earlier runs for the same customer; the newest one before this job is the default baseline
+  useEffect(() => {
+    const loadSnapshots = async () => {
+      try {
+        const response = await fetch(`/api/phase3/reports/snapshots?customerName=${encodeURIComponent(customerName || '')}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || 'Failed to load snapshots');
+        }
+        setSnapshots(data.snapshots);
+        const current = data.snapshots.find(snapshot => snapshot.job_id === currentJobId);
+        const previous = data.snapshots.find(snapshot =>
+          snapshot.job_id !== currentJobId &&
+          (!current || new Date(snapshot.created_at) < new Date(current.created_at)));
+        setBaselineJobId(previous ? previous.job_id : '');
+      } catch (err) {
+        console.error('Error loading snapshots:', err);
+        setError(err.message);
+      }
+    };
+
+    loadSnapshots();
+  }, [currentJobId, customerName]);
+
+  useEffect(() => {
+    if (!baselineJobId || !comparedJobId || baselineJobId === comparedJobId) {
+      setComparison(null);
+      return;
+    }
+
+    const loadComparison = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await fetch('/api/phase3/reports/compare', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ baselineJobId, currentJobId: comparedJobId })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || 'Failed to compare snapshots');
+        }
+        setComparison(data.comparison);
+      } catch (err) {
+        console.error('Error comparing snapshots:', err);
+        setError(err.message);
+        setComparison(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadComparison();
+  }, [baselineJobId, comparedJobId]);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const response = await fetch('/api/phase3/reports/compare/export', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ baselineJobId, currentJobId: comparedJobId })
+      });
+      if (!response.ok) {
+        throw new Error('Snapshot comparison export failed');
+      }
+      const blob = await response.blob();
+      const url = window.URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `snapshot_comparison_${customerName || 'export'}_${new Date().toISOString().split('T')[0]}.xlsx`;
+      document.body.appendChild(a);
+      a.click();
+      window.URL.revokeObjectURL(url);
+      document.body.removeChild(a);
+    } catch (err) {
+      console.error('Error exporting comparison:', err);
+      setError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const snapshotLabel = (snapshot) =>
+    `Phase ${snapshot.phase} - ${new Date(snapshot.created_at).toLocaleDateString()}${snapshot.job_id === currentJobId ? ' (this report)' : ''}`;
+
+  const selectClass = 'px-3 py-2 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-teal-500';
+  const headerClass = 'px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase';
+
+  return (
+    <div className="space-y-6">
+      {/* Snapshot selection */}
+      <div className="bg-white rounded-lg border p-4 flex flex-wrap items-end gap-4">
+        <div>
+          <label htmlFor="snapshotBaseline" className="block text-xs font-medium text-gray-500 uppercase mb-1">
+            Baseline
+          </label>
+          <select id="snapshotBaseline" value={baselineJobId} onChange={(e) => setBaselineJobId(e.target.value)} className={selectClass}>
+            <option value="">Select an earlier run</option>
+            {snapshots.map(snapshot => (
+              <option key={snapshot.job_id} value={snapshot.job_id}>{snapshotLabel(snapshot)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="snapshotCurrent" className="block text-xs font-medium text-gray-500 uppercase mb-1">
+            Compare To
+          </label>
+          <select id="snapshotCurrent" value={comparedJobId} onChange={(e) => setComparedJobId(e.target.value)} className={selectClass}>
+            {snapshots.map(snapshot => (
+              <option key={snapshot.job_id} value={snapshot.job_id}>{snapshotLabel(snapshot)}</option>
+            ))}
+          </select>
+        </div>
+        <button
+          onClick={handleExport}
+          disabled={!comparison || exporting}
+          className="flex items-center px-3 py-2 text-sm text-white bg-[#008080] rounded hover:opacity-90 disabled:opacity-50"
+        >
+          <Download size={16} className="mr-2" />
+          {exporting ? 'Exporting...' : 'Export Excel'}
+        </button>
+        {loading && <Loader className="animate-spin text-teal-600" size={20} />}
+        {error && <p className="text-sm text-red-600" role="alert">{error}</p>}
+      </div>
+
+      {!comparison ? (
+        <div className="p-8 text-center text-gray-500">
+          {snapshots.length < 2
+            ? `No other runs found for ${customerName || 'this customer'}`
+            : 'Select two runs to compare'}
+        </div>
+      ) : (
+        <>
+          {/* Totals */}
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <MetricCard
+              label="Health Score"
+              value={`${comparison.current.health_score ?? '-'} (${formatChange(comparison.summary.health_score_delta)})`}
+              alert={comparison.summary.health_score_delta < 0}
+            />
+            <MetricCard label="Products Added / Retired" value={`${comparison.summary.products_added} / ${comparison.summary.products_retired}`} />
+            <MetricCard label="Quantity Change" value={formatChange(comparison.summary.quantity_delta)} />
+            <MetricCard
+              label="Risk Worse / Better"
+              value={`${comparison.summary.risk_worsened} / ${comparison.summary.risk_improved}`}
+              warning={comparison.summary.risk_worsened > 0}
+            />
+          </div>
+
+          <ComparisonTable
+            title="Risk Level Transitions"
+            rows={comparison.risk_transitions}
+            headers={['Product ID', 'Description', 'Quantity', 'Baseline', 'Current']}
+            headerClass={headerClass}
+            renderRow={transition => (
+              <>
+                <td className="px-4 py-3 text-sm font-medium">{transition.product_id}</td>
+                <td className="px-4 py-3 text-sm">{transition.description || '-'}</td>
+                <td className="px-4 py-3 text-sm">{transition.quantity}</td>
+                <td className={`px-4 py-3 text-sm capitalize ${RISK_TEXT_COLORS[transition.from]}`}>{transition.from}</td>
+                <td className={`px-4 py-3 text-sm capitalize font-medium ${RISK_TEXT_COLORS[transition.to]}`}>{transition.to}</td>
+              </>
+            )}
+          />
+          <ComparisonTable
+            title="Products Added"
+            rows={comparison.added}
+            headers={['Product ID', 'Manufacturer', 'Description', 'Quantity', 'Risk']}
+            headerClass={headerClass}
+            renderRow={product => (
+              <>
+                <td className="px-4 py-3 text-sm font-medium">{product.product_id}</td>
+                <td className="px-4 py-3 text-sm">{product.manufacturer || '-'}</td>
+                <td className="px-4 py-3 text-sm">{product.description || '-'}</td>
+                <td className="px-4 py-3 text-sm">{product.quantity}</td>
+                <td className={`px-4 py-3 text-sm capitalize ${RISK_TEXT_COLORS[product.risk_level]}`}>{product.risk_level}</td>
+              </>
+            )}
+          />
+          <ComparisonTable
+            title="Products Retired"
+            rows={comparison.retired}
+            headers={['Product ID', 'Manufacturer', 'Description', 'Quantity', 'Risk']}
+            headerClass={headerClass}
+            renderRow={product => (
+              <>
+                <td className="px-4 py-3 text-sm font-medium">{product.product_id}</td>
+                <td className="px-4 py-3 text-sm">{product.manufacturer || '-'}</td>
+                <td className="px-4 py-3 text-sm">{product.description || '-'}</td>
+                <td className="px-4 py-3 text-sm">{product.quantity}</td>
+                <td className={`px-4 py-3 text-sm capitalize ${RISK_TEXT_COLORS[product.risk_level]}`}>{product.risk_level}</td>
+              </>
+            )}
+          />
+          <ComparisonTable
+            title="Quantity Changes"
+            rows={comparison.quantity_changes}
+            headers={['Product ID', 'Description', 'Baseline', 'Current', 'Change']}
+            headerClass={headerClass}
+            renderRow={change => (
+              <>
+                <td className="px-4 py-3 text-sm font-medium">{change.product_id}</td>
+                <td className="px-4 py-3 text-sm">{change.description || '-'}</td>
+                <td className="px-4 py-3 text-sm">{change.from}</td>
+                <td className="px-4 py-3 text-sm">{change.to}</td>
+                <td className={`px-4 py-3 text-sm font-medium ${change.delta > 0 ? 'text-green-600' : 'text-red-600'}`}>{formatChange(change.delta)}</td>
+              </>
+            )}
+          />
+          <ComparisonTable
+            title="Lifecycle Dates Moved"
+            rows={comparison.date_changes}
+            headers={['Product ID', 'Date', 'Baseline', 'Current', 'Days Moved']}
+            headerClass={headerClass}
+            renderRow={change => (
+              <>
+                <td className="px-4 py-3 text-sm font-medium">{change.product_id}</td>
+                <td className="px-4 py-3 text-sm">{change.label}</td>
+                <td className="px-4 py-3 text-sm">{change.from || '-'}</td>
+                <td className="px-4 py-3 text-sm">{change.to || '-'}</td>
+                <td className="px-4 py-3 text-sm">{formatChange(change.days)}</td>
+              </>
+            )}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+const ComparisonTable = ({ title, rows, headers, headerClass, renderRow }) => (
+  <div className="bg-white rounded-lg border">
+    <div className="p-4 border-b">
+      <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>{title} ({rows.length})</h3>
+    </div>
+    {rows.length === 0 ? (
+      <div className="p-4 text-sm text-gray-500">No changes</div>
+    ) : (
+      <div className="overflow-x-auto max-h-96 overflow-y-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {headers.map(header => <th key={header} className={headerClass}>{header}</th>)}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {rows.map((row, index) => (
+              <tr key={index} className="hover:bg-gray-50">{renderRow(row)}</tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    )}
+  </div>
+);
+
 const MetricCard = ({ label, value, alert = false, warning = false }) => (
   <div className="p-3 bg-gray-50 rounded">
     <p className="text-xs text-gray-500 mb-1">{label}</p>
@@ -23,6 +23,8 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
   const [editingFilter, setEditingFilter] = useState(null);
   const [filterStats, setFilterStats] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
+  // Why the shared default cannot be used or changed, from the server
+  const [filterError, setFilterError] = useState(null);
   
   // Form state for creating/editing filters
   const [filterForm, setFilterForm] = useState({
@@ -30,7 +32,10 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
     description: '',
     productIds: '',
     descriptions: '',
-    productTypes: ''
+    productTypes: '',
+    productIdRegex: '',
+    descriptionRegex: '',
+    includeProductIds: ''
   });
 
   // Load filter sets on mount
@@ -45,6 +50,7 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
       if (response.ok) {
         const data = await response.json();
         setFilterSets(data.filterSets || []);
+        setFilterError(data.activeFilterError || null);
         if (data.activeFilterId) {
           setActiveFilterId(data.activeFilterId);
         }
@@ -65,14 +71,19 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
         body: JSON.stringify({ filterId })
       });
       
-      if (response.ok) {
-        setActiveFilterId(filterId);
-        onFilterChange(filterId);
-        
-        // Get filter stats if file is uploaded
-        if (uploadedFile && filterId !== 'no-filter') {
-          await getFilterPreview(filterId);
-        }
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        setFilterError(data.error || 'Failed to set the active filter');
+        return;
+      }
+
+      setFilterError(null);
+      setActiveFilterId(filterId);
+      onFilterChange(filterId);
+      
+      // Get filter stats if file is uploaded
+      if (uploadedFile && filterId !== 'no-filter') {
+        await getFilterPreview(filterId);
       }
     } catch (error) {
       console.error('Error setting active filter:', error);
@@ -91,25 +102,37 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
     }
   };
 
+  // Wildcards are comma-separated; regex patterns go one per line since they may contain commas
+  const splitList = (value) => value.split(',').map(p => p.trim()).filter(p => p);
+  const splitLines = (value) => value.split('\n').map(p => p.trim()).filter(p => p);
+
+  const buildFiltersFromForm = () => ({
+    productIds: {
+      patterns: splitList(filterForm.productIds),
+      regexPatterns: splitLines(filterForm.productIdRegex)
+    },
+    descriptions: {
+      patterns: splitList(filterForm.descriptions),
+      regexPatterns: splitLines(filterForm.descriptionRegex)
+    },
+    productTypes: {
+      exact: splitList(filterForm.productTypes),
+      patterns: []
+    },
+    include: {
+      productIds: {
+        patterns: splitList(filterForm.includeProductIds),
+        regexPatterns: []
+      }
+    }
+  });
+
   const handleCreateFilter = async () => {
     try {
       const newFilter = {
         name: filterForm.name,
         description: filterForm.description,
-        filters: {
-          productIds: {
-            patterns: filterForm.productIds.split(',').map(p => p.trim()).filter(p => p),
-            regexPatterns: []
-          },
-          descriptions: {
-            patterns: filterForm.descriptions.split(',').map(p => p.trim()).filter(p => p),
-            regexPatterns: []
-          },
-          productTypes: {
-            exact: filterForm.productTypes.split(',').map(p => p.trim()).filter(p => p),
-            patterns: []
-          }
-        }
+        filters: buildFiltersFromForm()
       };
       
       const response = await fetch('/api/phase1/filters', {
@@ -135,20 +158,7 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
       const updates = {
         name: filterForm.name,
         description: filterForm.description,
-        filters: {
-          productIds: {
-            patterns: filterForm.productIds.split(',').map(p => p.trim()).filter(p => p),
-            regexPatterns: []
-          },
-          descriptions: {
-            patterns: filterForm.descriptions.split(',').map(p => p.trim()).filter(p => p),
-            regexPatterns: []
-          },
-          productTypes: {
-            exact: filterForm.productTypes.split(',').map(p => p.trim()).filter(p => p),
-            patterns: []
-          }
-        }
+        filters: buildFiltersFromForm()
       };
       
       const response = await fetch(`/api/phase1/filters/${editingFilter.id}`, {
@@ -195,7 +205,10 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
       description: filter.description || '',
       productIds: filter.filters?.productIds?.patterns?.join(', ') || '',
       descriptions: filter.filters?.descriptions?.patterns?.join(', ') || '',
-      productTypes: filter.filters?.productTypes?.exact?.join(', ') || ''
+      productTypes: filter.filters?.productTypes?.exact?.join(', ') || '',
+      productIdRegex: filter.filters?.productIds?.regexPatterns?.join('\n') || '',
+      descriptionRegex: filter.filters?.descriptions?.regexPatterns?.join('\n') || '',
+      includeProductIds: filter.filters?.include?.productIds?.patterns?.join(', ') || ''
     });
     setShowEditDialog(true);
   };
@@ -206,7 +219,10 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
       description: '',
       productIds: '',
       descriptions: '',
-      productTypes: ''
+      productTypes: '',
+      productIdRegex: '',
+      descriptionRegex: '',
+      includeProductIds: ''
     });
   };
 
@@ -233,6 +249,13 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
         )}
       </div>
 
+      {filterError && (
+        <div className="px-4 py-2 bg-red-50 border-t border-red-200 flex items-start space-x-2">
+          <AlertCircle className="h-4 w-4 text-red-600 mt-0.5" />
+          <p className="text-xs text-red-700">{filterError}</p>
+        </div>
+      )}
+
       {/* Expanded Content */}
       {isExpanded && (
         <div className="border-t border-gray-200">
@@ -435,6 +458,45 @@ const Phase1FilterPanel = ({ onFilterChange, currentFilterId, uploadedFile }) =>
                         placeholder="Software, License, Accessory, Cable"
                       />
                     </div>
+
+                    <div>
+                      <label className="block text-xs font-bold text-[#002D62] uppercase mb-1">
+                        EXCLUDE PRODUCT IDS MATCHING REGEX (one per line)
+                      </label>
+                      <textarea
+                        value={filterForm.productIdRegex}
+                        onChange={(e) => setFilterForm({...filterForm, productIdRegex: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-[#008080] font-mono text-sm"
+                        rows="2"
+                        placeholder="^SFP-\d+G"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-bold text-[#002D62] uppercase mb-1">
+                        EXCLUDE DESCRIPTIONS MATCHING REGEX (one per line)
+                      </label>
+                      <textarea
+                        value={filterForm.descriptionRegex}
+                        onChange={(e) => setFilterForm({...filterForm, descriptionRegex: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-[#008080] font-mono text-sm"
+                        rows="2"
+                        placeholder="\b(transceiver|optic)\b"
+                      />
+                    </div>
+
+                    <div>
+                      <label className="block text-xs font-bold text-[#002D62] uppercase mb-1">
+                        ALWAYS INCLUDE PRODUCT IDS (comma-separated, overrides exclusions)
+                      </label>
+                      <textarea
+                        value={filterForm.includeProductIds}
+                        onChange={(e) => setFilterForm({...filterForm, includeProductIds: e.target.value})}
+                        className="w-full px-3 py-2 border border-gray-200 rounded focus:outline-none focus:ring-2 focus:ring-[#008080] font-mono text-sm"
+                        rows="2"
+                        placeholder="C9300-NM-8X*, *-STACK-KIT"
+                      />
+                    </div>
                   </div>
 
                   <div className="flex justify-end space-x-2 mt-6">
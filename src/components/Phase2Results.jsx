@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   AlertCircle, 
   Download,
@@ -19,20 +19,101 @@ import {
   Plus,
   Minus,
   CheckSquare,
-  Square
+  Square,
+  Undo2,
+  Redo2,
+  History,
+  Wand2
 } from 'lucide-react';
 
-const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
+// Support coverage states set by the backend (utils/supportCoverage.js)
+const SUPPORT_COVERAGE_STATES = ['Active', 'Expiring', 'Expired', 'Not Covered', 'Unknown'];
+
+const SUPPORT_COVERAGE_STYLES = {
+  Active: 'bg-green-100 text-green-700',
+  Expiring: 'bg-yellow-100 text-yellow-700',
+  Expired: 'bg-red-100 text-red-700',
+  'Not Covered': 'bg-red-100 text-red-700'
+};
+
+// Labels of history changeset actions (backend/src/utils/editHistory.js)
+const HISTORY_ACTION_LABELS = {
+  edit: 'Edit',
+  bulk: 'Bulk edit',
+  undo: 'Undo',
+  redo: 'Redo',
+  revert: 'Revert',
+  sync: 'Upload'
+};
+
+// Fields offered in the bulk edit dialog
+const BULK_EDIT_FIELDS = [
+  { field: 'category', label: 'Category' },
+  { field: 'mfg', label: 'Manufacturer' },
+  { field: 'type', label: 'Type' },
+  { field: 'asset_type', label: 'Asset Type' },
+  { field: 'description', label: 'Description' },
+  { field: 'site', label: 'Site' },
+  { field: 'location', label: 'Location' },
+  { field: 'support_coverage', label: 'Support Coverage' },
+  { field: 'contract_end', label: 'Contract End' },
+  { field: 'end_of_sale', label: 'End of Sale' },
+  { field: 'last_day_support', label: 'Last Day of Support' }
+];
+
+const formatHistoryValue = (value) => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+// Facets counted with every page (RESULT_FACETS in backend/src/controllers/phase2Controller.js)
+const RESULT_FACETS = 'category,manufacturer,risk,status,type';
+
+// Largest page the results query returns (backend/src/utils/resultQuery.js)
+const MAX_PAGE_SIZE = 1000;
+
+// Include/exclude filters of the filter panel and the item fields they filter on
+const FILTER_FIELDS = {
+  type: 'type',
+  category: 'category',
+  mfg: 'mfg',
+  risk_level: 'risk_level',
+  support_status: 'support_coverage'
+};
+
+// ';' separates filter expressions and '|' the values of one
+const queryValue = (value) => String(value).replace(/[;|]/g, ' ').trim();
+
+// Results query filter (field:op:value;...) for the filter panel and the row selection
+const toResultFilter = (filters, selectionFilterMode, selectedRows) => {
+  const expressions = [];
+  if (queryValue(filters.product_id)) expressions.push(`product_id:contains:${queryValue(filters.product_id)}`);
+  if (queryValue(filters.description)) expressions.push(`description:contains:${queryValue(filters.description)}`);
+  Object.entries(FILTER_FIELDS).forEach(([key, field]) => {
+    const { include = [], exclude = [] } = filters[key] || {};
+    if (include.length > 0) expressions.push(`${field}:in:${include.map(queryValue).join('|')}`);
+    if (exclude.length > 0) expressions.push(`${field}:nin:${exclude.map(queryValue).join('|')}`);
+  });
+  if (selectionFilterMode !== 'all' && selectedRows.size > 0) {
+    const op = selectionFilterMode === 'include-selected' ? 'in' : 'nin';
+    expressions.push(`id:${op}:${[...selectedRows].map(queryValue).join('|')}`);
+  }
+  return expressions.join(';');
+};
+
+const Phase2Results = ({ phase1JobId, existingJobId, isActive, onComplete }) => {
   // Base URL for backend API - Backend is running on port 3001
   const API_BASE_URL = '';
   
   const [phase2Data, setPhase2Data] = useState(null);
-  const [filteredItems, setFilteredItems] = useState([]);
+  // The server filters, sorts and pages the items; only the current page is held here
+  const [pageItems, setPageItems] = useState([]);
+  const [pagination, setPagination] = useState(null); // { page, pageSize, total, filteredTotal, totalPages }
+  const [facets, setFacets] = useState({}); // { facet: [{ value, count }] } for the filter dropdowns
+  const [reloadKey, setReloadKey] = useState(0);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [editingCell, setEditingCell] = useState(null);
   const [editValue, setEditValue] = useState('');
   const [originalValue, setOriginalValue] = useState('');
+  const [cellError, setCellError] = useState(null); // { itemId, field, message } from the field schema
   const [modifiedItems, setModifiedItems] = useState(new Set());
   const [selectedRows, setSelectedRows] = useState(new Set());
   const [selectAll, setSelectAll] = useState(false);
@@ -60,6 +141,11 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
   const [filterDescription, setFilterDescription] = useState('');
   const [isAnalyzed, setIsAnalyzed] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
+  const [riskProfiles, setRiskProfiles] = useState([]);
+  const [isRescoring, setIsRescoring] = useState(false);
+  const [historyPanel, setHistoryPanel] = useState(null); // { itemId, entries, isLoading }
+  const [isApplyingHistory, setIsApplyingHistory] = useState(false);
+  const [bulkEdit, setBulkEdit] = useState(null); // { filter, field, value, preview, error, isWorking }
   
   // Sorting and pagination
   const [sortBy, setSortBy] = useState('risk_score');
@@ -68,23 +154,92 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
   const [itemsPerPage, setItemsPerPage] = useState(50);
 
   // Process Phase 2 analysis when component becomes active
+  // A job that already exists is reopened so its edits are kept
   useEffect(() => {
-    if (isActive && phase1JobId && !phase2Data) {
+    if (isActive && existingJobId && !phase2Data) {
+      loadExistingJob();
+    } else if (isActive && phase1JobId && !phase2Data) {
       runPhase2Analysis();
     }
-  }, [isActive, phase1JobId]);
+  }, [isActive, phase1JobId, existingJobId]);
+
+  const resultFilter = toResultFilter(filters, selectionFilterMode, selectedRows);
+
+  // Fetch the current page with its totals and facet counts whenever the
+  // filters, sort or page change, or after a change that reloadResults asked for
+  useEffect(() => {
+    if (!phase2JobId) return undefined;
+    let cancelled = false;
+
+    const params = new URLSearchParams({
+      sort: `${sortBy}:${sortOrder}`,
+      page: String(currentPage),
+      pageSize: String(itemsPerPage),
+      facets: RESULT_FACETS
+    });
+    if (resultFilter) params.append('filter', resultFilter);
 
-  // Apply filters when they change
+    fetch(`${API_BASE_URL}/api/phase2/results/${phase2JobId}?${params.toString()}`)
+      .then(async response => {
+        const results = await response.json();
+        if (!response.ok) {
+          throw new Error(results.error || 'Failed to fetch Phase 2 results');
+        }
+        if (cancelled) return;
+
+        const { items, pagination: resultPagination, facets: resultFacets, ...header } = results;
+        setPhase2Data(header);
+        setPhase3Ready(!!header.phase3Ready);
+        setPageItems(items || []);
+        setPagination(resultPagination);
+        setFacets(resultFacets || {});
+        // A page past the end after the matching items shrank
+        if (currentPage > resultPagination.totalPages) {
+          setCurrentPage(resultPagination.totalPages);
+        }
+      })
+      .catch(err => {
+        if (cancelled) return;
+        console.error('Phase 2 error:', err);
+        setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [API_BASE_URL, phase2JobId, resultFilter, sortBy, sortOrder, currentPage, itemsPerPage, reloadKey]);
+
+  // New filters or a new sort start from the first page
   useEffect(() => {
-    if (phase2Data?.items) {
-      applyFilters();
+    setCurrentPage(1);
+  }, [filters, selectionFilterMode, sortBy, sortOrder, itemsPerPage]);
+
+  // Fetch the current page again after items changed on the server
+  const reloadResults = () => setReloadKey(key => key + 1);
+
+  // Every item matching a results query filter, a page at a time, with only the given fields
+  const fetchMatchingItems = async (filter, fields) => {
+    const matching = [];
+    for (let page = 1; ; page++) {
+      const params = new URLSearchParams({ filter, fields: fields.join(','), facets: '', page: String(page), pageSize: String(MAX_PAGE_SIZE) });
+      const response = await fetch(`${API_BASE_URL}/api/phase2/results/${phase2JobId}?${params.toString()}`);
+      const results = await response.json();
+      if (!response.ok) {
+        throw new Error(results.error || 'Failed to fetch Phase 2 results');
+      }
+      matching.push(...results.items);
+      if (page >= results.pagination.totalPages) return matching;
     }
-  }, [filters, phase2Data?.items, sortBy, sortOrder, selectedRows, selectionFilterMode]);
+  };
 
   // Load saved filters when data is loaded
   useEffect(() => {
     if (phase2Data?.jobId) {
       loadSavedFilters();
+      loadRiskProfiles();
     }
   }, [phase2Data?.jobId]);
 
@@ -106,27 +261,23 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
       const { jobId } = await response.json();
       console.log('Phase 2 job created:', jobId);
       
-      // IMPORTANT: Store the Phase 2 job ID
+      // IMPORTANT: Store the Phase 2 job ID; its first page is fetched from it
       setPhase2JobId(jobId);
       
-      // Fetch results
-      const resultsResponse = await fetch(`${API_BASE_URL}/api/phase2/results/${jobId}`);
-      if (!resultsResponse.ok) {
-        throw new Error('Failed to fetch Phase 2 results');
-      }
-
-      const results = await resultsResponse.json();
-      setPhase2Data(results);
-      setFilteredItems(results.items || []);
-      
     } catch (err) {
       console.error('Phase 2 error:', err);
       setError(err.message);
-    } finally {
       setIsLoading(false);
     }
   };
 
+  // The page effect fetches the job's first page
+  const loadExistingJob = () => {
+    setIsLoading(true);
+    setError(null);
+    setPhase2JobId(existingJobId);
+  };
+
   const loadSavedFilters = async () => {
   try {
     const response = await fetch(`${API_BASE_URL}/api/phase2/filters`);
@@ -148,86 +299,13 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
   }
 };
 
-  const applyFilters = useCallback(() => {
-    if (!phase2Data?.items) return;
-    
-    let filtered = [...phase2Data.items];
-    
-    // Row selection filter based on global mode
-    if (selectionFilterMode === 'include-selected' && selectedRows.size > 0) {
-      filtered = filtered.filter(item => selectedRows.has(item.id));
-    } else if (selectionFilterMode === 'exclude-selected' && selectedRows.size > 0) {
-      filtered = filtered.filter(item => !selectedRows.has(item.id));
-    }
-    
-    // Text searches (partial match)
-    if (filters.product_id) {
-      filtered = filtered.filter(item => 
-        item.product_id?.toLowerCase().includes(filters.product_id.toLowerCase())
-      );
-    }
-    
-    if (filters.description) {
-      filtered = filtered.filter(item => 
-        item.description?.toLowerCase().includes(filters.description.toLowerCase())
-      );
-    }
-    
-    // Advanced multi-select filters with include/exclude
-    const applyAdvancedFilter = (items, field, filterConfig) => {
-      let result = items;
-      
-      // Apply include filters
-      if (filterConfig.include && filterConfig.include.length > 0) {
-        result = result.filter(item => filterConfig.include.includes(item[field]));
-      }
-      
-      // Apply exclude filters
-      if (filterConfig.exclude && filterConfig.exclude.length > 0) {
-        result = result.filter(item => !filterConfig.exclude.includes(item[field]));
-      }
-      
-      return result;
-    };
-    
-    filtered = applyAdvancedFilter(filtered, 'type', filters.type);
-    filtered = applyAdvancedFilter(filtered, 'category', filters.category);
-    filtered = applyAdvancedFilter(filtered, 'mfg', filters.mfg);
-    filtered = applyAdvancedFilter(filtered, 'risk_level', filters.risk_level);
-    filtered = applyAdvancedFilter(filtered, 'support_coverage', filters.support_status);
-    
-    // Sort
-    filtered.sort((a, b) => {
-      let aVal = a[sortBy];
-      let bVal = b[sortBy];
-      
-      // Handle null/undefined values
-      if (aVal === null || aVal === undefined || aVal === '-') aVal = '';
-      if (bVal === null || bVal === undefined || bVal === '-') bVal = '';
-      
-      // Numeric comparison for numbers
-      if (typeof aVal === 'number' && typeof bVal === 'number') {
-        return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
-      }
-      
-      // String comparison
-      const comparison = String(aVal).localeCompare(String(bVal));
-      return sortOrder === 'asc' ? comparison : -comparison;
-    });
-    
-    setFilteredItems(filtered);
-    // Don't reset page if selections changed
-    if (!selectedRows.size) {
-      setCurrentPage(1);
-    }
-  }, [phase2Data?.items, filters, sortBy, sortOrder, selectedRows, selectionFilterMode]);
-
   const handleCellEdit = async (itemId, field, newValue, save = true) => {
     if (!save) {
       // Cancel edit
       setEditingCell(null);
       setEditValue('');
       setOriginalValue('');
+      setCellError(null);
       return;
     }
     
@@ -245,21 +323,28 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
       console.log('Response status:', response.status);
 
       if (!response.ok) {
-        const errorData = await response.text();
+        const errorData = await response.json().catch(() => ({}));
         console.error('Update failed:', errorData);
+        if (errorData.fieldErrors?.length > 0) {
+          // Keep the cell open with the schema error shown on it
+          setCellError({ itemId, field, message: errorData.fieldErrors.map(fieldError => fieldError.message).join('; ') });
+          return;
+        }
         throw new Error(`Failed to update item: ${response.status}`);
       }
 
       const result = await response.json();
       console.log('Update result:', result);
       
-      // Update local state
+      // Update local state; the row stays on the page until the next fetch
+      setPageItems(prev => prev.map(item => 
+        item.id === itemId ? result.item : item
+      ));
       setPhase2Data(prev => ({
         ...prev,
-        items: prev.items.map(item => 
-          item.id === itemId ? result.item : item
-        ),
-        summary: result.summary
+        summary: result.summary,
+        canUndo: result.canUndo,
+        canRedo: result.canRedo
       }));
       
       // Track modified item
@@ -269,6 +354,7 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
       setEditingCell(null);
       setEditValue('');
       setOriginalValue('');
+      setCellError(null);
       
     } catch (err) {
       console.error('Edit failed:', err);
@@ -353,14 +439,11 @@ const Phase2Results = ({ phase1JobId, isActive, onComplete }) => {
   }
   
   try {
-    // Convert selected row IDs to product IDs
+    // Convert selected row IDs to product IDs; selected rows may be on any page
     const selectedProductIds = [];
-    if (selectedRows.size > 0 && phase2Data?.items) {
-      phase2Data.items.forEach(item => {
-        if (selectedRows.has(item.id)) {
-          selectedProductIds.push(item.product_id);
-        }
-      });
+    if (selectedRows.size > 0) {
+      const selectedItems = await fetchMatchingItems(`id:in:${[...selectedRows].map(queryValue).join('|')}`, ['product_id']);
+      selectedItems.forEach(item => selectedProductIds.push(item.product_id));
     }
     
     // Create the filter configuration
@@ -568,110 +651,16 @@ const applySavedFilter = async (filterName) => {
       // Apply selection mode
       setSelectionFilterMode(filterConfig.selectionMode || 'all');
       
-      // CRITICAL: Map product_ids to current row IDs
-      if (filterConfig.selectedProductIds && filterConfig.selectedProductIds.length > 0 && phase2Data?.items) {
-        const newSelectedRows = new Set();
-        let mappedCount = 0;
-        
-        // Create a map of product_id to row id for quick lookup
-        const productIdToRowId = {};
-        phase2Data.items.forEach(item => {
-          productIdToRowId[item.product_id] = item.id;
-        });
-        
-        // Map saved product IDs to current row IDs
-        filterConfig.selectedProductIds.forEach(productId => {
-          const rowId = productIdToRowId[productId];
-          if (rowId !== undefined) {
-            newSelectedRows.add(rowId);
-            mappedCount++;
-          }
-        });
-        
-        console.log(`Mapped ${mappedCount} of ${filterConfig.selectedProductIds.length} product IDs to row IDs`);
-        setSelectedRows(newSelectedRows);
-        
-        // Force immediate filtering with the new selections
-        if (phase2Data?.items) {
-          let filtered = [...phase2Data.items];
-          
-          // Apply the selection filter based on mode
-          if (filterConfig.selectionMode === 'exclude-selected' && newSelectedRows.size > 0) {
-            console.log(`Applying exclude-selected filter with ${newSelectedRows.size} selections`);
-            filtered = filtered.filter(item => !newSelectedRows.has(item.id));
-          } else if (filterConfig.selectionMode === 'include-selected' && newSelectedRows.size > 0) {
-            console.log(`Applying include-selected filter with ${newSelectedRows.size} selections`);
-            filtered = filtered.filter(item => newSelectedRows.has(item.id));
-          }
-          
-          // Apply text filters
-          if (filterConfig.product_id) {
-            filtered = filtered.filter(item => 
-              item.product_id?.toLowerCase().includes(filterConfig.product_id.toLowerCase())
-            );
-          }
-          
-          if (filterConfig.description) {
-            filtered = filtered.filter(item => 
-              item.description?.toLowerCase().includes(filterConfig.description.toLowerCase())
-            );
-          }
-          
-          // Apply advanced filters
-          const applyAdvancedFilter = (items, field, filterCfg) => {
-            let result = items;
-            if (filterCfg?.include?.length > 0) {
-              result = result.filter(item => filterCfg.include.includes(item[field]));
-            }
-            if (filterCfg?.exclude?.length > 0) {
-              result = result.filter(item => !filterCfg.exclude.includes(item[field]));
-            }
-            return result;
-          };
-          
-          filtered = applyAdvancedFilter(filtered, 'type', filterConfig.type);
-          filtered = applyAdvancedFilter(filtered, 'category', filterConfig.category);
-          filtered = applyAdvancedFilter(filtered, 'mfg', filterConfig.mfg);
-          filtered = applyAdvancedFilter(filtered, 'risk_level', filterConfig.risk_level);
-          filtered = applyAdvancedFilter(filtered, 'support_coverage', filterConfig.support_status);
-          
-          // Apply sorting
-          const sortBy = filterConfig.display?.sorting?.field || 'risk_score';
-          const sortOrder = filterConfig.display?.sorting?.order || 'desc';
-          
-          filtered.sort((a, b) => {
-            let aVal = a[sortBy];
-            let bVal = b[sortBy];
-            
-            if (aVal === null || aVal === undefined || aVal === '-') aVal = '';
-            if (bVal === null || bVal === undefined || bVal === '-') bVal = '';
-            
-            if (typeof aVal === 'number' && typeof bVal === 'number') {
-              return sortOrder === 'asc' ? aVal - bVal : bVal - aVal;
-            }
-            
-            const comparison = String(aVal).localeCompare(String(bVal));
-            return sortOrder === 'asc' ? comparison : -comparison;
-          });
-          
-          // Update filtered items
-          setFilteredItems(filtered);
-          setCurrentPage(1);
-          
-          console.log(`✓ Filter "${filterName}" applied successfully!`);
-          console.log(`  Mode: ${filterConfig.selectionMode}`);
-          console.log(`  Selected items: ${newSelectedRows.size}`);
-          console.log(`  Results: ${filtered.length} items shown (from ${phase2Data.items.length} total)`);
-          
-          if (filterConfig.selectionMode === 'exclude-selected') {
-            console.log(`  Hidden: ${phase2Data.items.length - filtered.length} items`);
-          }
-        }
-        
+      // Select every row of the saved product IDs, on whatever page it is
+      if (filterConfig.selectedProductIds && filterConfig.selectedProductIds.length > 0) {
+        const productFilter = `product_id:in:${filterConfig.selectedProductIds.map(queryValue).join('|')}`;
+        const selectedItems = await fetchMatchingItems(productFilter, ['id']);
+        console.log(`Mapped ${filterConfig.selectedProductIds.length} product IDs to ${selectedItems.length} rows`);
+        setSelectedRows(new Set(selectedItems.map(item => item.id)));
       } else {
         // No selections to restore
         setSelectedRows(new Set());
-        console.log('No selections to restore or no matching products found');
+        console.log('No selections to restore');
       }
       
       // Apply display preferences
@@ -713,6 +702,113 @@ const applySavedFilter = async (filterName) => {
     setSelectionFilterMode('all');
   };
 
+  // Change history of one item, or of the whole job when itemId is null
+  const openHistory = async (itemId = null) => {
+    if (!phase2Data?.jobId) return;
+    setHistoryPanel({ itemId, entries: [], isLoading: true });
+    try {
+      const params = itemId !== null ? `?itemId=${encodeURIComponent(itemId)}` : '';
+      const response = await fetch(`${API_BASE_URL}/api/phase2/changes/${phase2Data.jobId}${params}`);
+      if (!response.ok) {
+        throw new Error('Failed to load change history');
+      }
+      const result = await response.json();
+      setHistoryPanel({ itemId, entries: result.history || [], isLoading: false });
+    } catch (err) {
+      console.error('Load history failed:', err);
+      setHistoryPanel(null);
+      alert('Failed to load change history. Please try again.');
+    }
+  };
+
+  // Undo, redo or revert on the server, then fetch the page again: the change
+  // may have taken items out, put them back or moved them in or out of the filter
+  const handleHistoryAction = async (action, body = {}) => {
+    if (!phase2Data?.jobId) return;
+    setIsApplyingHistory(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/phase2/${action}/${phase2Data.jobId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.error || `Failed to ${action}`);
+      }
+
+      setPhase2Data(prev => ({
+        ...prev,
+        summary: result.summary,
+        canUndo: result.canUndo,
+        canRedo: result.canRedo
+      }));
+      setModifiedItems(prev => new Set([...prev, ...result.items.map(item => item.id)]));
+      reloadResults();
+
+      if (historyPanel) {
+        await openHistory(historyPanel.itemId);
+      }
+    } catch (err) {
+      console.error(`History ${action} failed:`, err);
+      alert(err.message);
+    } finally {
+      setIsApplyingHistory(false);
+    }
+  };
+
+  const handleRevert = (entry) => {
+    const scope = historyPanel?.itemId !== null ? 'this item' : 'every item';
+    if (window.confirm(`Revert ${scope} to how it was before this change? Later changes are rolled back too; the revert itself can be undone.`)) {
+      handleHistoryAction('revert', { position: entry.position, itemId: historyPanel?.itemId ?? undefined });
+    }
+  };
+
+  // Query-based bulk edit: preview (dry run) first, then apply as one undoable change
+  const runBulkEdit = async (dryRun) => {
+    if (!phase2Data?.jobId || !bulkEdit) return;
+    setBulkEdit(prev => ({ ...prev, isWorking: true }));
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/phase2/bulk-edit/${phase2Data.jobId}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          filter: bulkEdit.filter,
+          set: { [bulkEdit.field]: bulkEdit.value },
+          dryRun
+        })
+      });
+      const result = await response.json();
+      if (!response.ok && result.fieldErrors?.length > 0) {
+        setBulkEdit(prev => ({ ...prev, error: result.details, preview: null, isWorking: false }));
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(result.error || 'Bulk edit failed');
+      }
+
+      if (dryRun) {
+        setBulkEdit(prev => ({ ...prev, preview: result, error: null, isWorking: false }));
+        return;
+      }
+
+      setPhase2Data(prev => ({
+        ...prev,
+        summary: result.summary,
+        canUndo: result.canUndo,
+        canRedo: result.canRedo
+      }));
+      setModifiedItems(prev => new Set([...prev, ...result.items.map(item => item.id)]));
+      setBulkEdit(null);
+      reloadResults();
+      alert(`Updated ${result.affected} of ${result.matched} matching items. Use Undo to roll the change back.`);
+    } catch (err) {
+      console.error('Bulk edit failed:', err);
+      alert(err.message);
+      setBulkEdit(prev => prev && ({ ...prev, isWorking: false }));
+    }
+  };
+
   const handleExport = async (exportType = 'filtered') => {
     if (!phase2Data?.jobId) return;
     
@@ -721,12 +817,10 @@ const applySavedFilter = async (filterName) => {
       const baseUrl = `${API_BASE_URL}/api/phase2/export/${phase2Data.jobId}`;
       const params = new URLSearchParams();
       
-      // For filtered export, we need to pass the current filter state
+      // For filtered export, the server applies the current filter
       if (exportType === 'filtered') {
-        // Get the filtered item IDs
-        const filteredIds = filteredItems.map(item => item.id);
         params.append('exportType', 'filtered');
-        params.append('filteredIds', JSON.stringify(filteredIds));
+        if (resultFilter) params.append('filter', resultFilter);
         params.append('filterName', activeFilterId ? savedFilters.find(f => f.id === activeFilterId)?.name || 'Custom Filter' : 'Custom Filter');
       } else {
         params.append('exportType', 'all');
@@ -750,6 +844,43 @@ const applySavedFilter = async (filterName) => {
     }
   };
 
+  const loadRiskProfiles = async () => {
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/risk-profiles`);
+      if (response.ok) {
+        const data = await response.json();
+        setRiskProfiles(data.profiles || []);
+      }
+    } catch (err) {
+      console.error('Failed to load risk profiles:', err);
+    }
+  };
+
+  // Rescore every item with the chosen profile ("name@version")
+  const handleRiskProfileChange = async (value) => {
+    if (!phase2Data?.jobId || !value) return;
+    const [name, version] = value.split('@');
+
+    setIsRescoring(true);
+    try {
+      const response = await fetch(`${API_BASE_URL}/api/phase2/risk-profile/${phase2Data.jobId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, version: parseInt(version) })
+      });
+      if (!response.ok) {
+        throw new Error('Failed to apply risk profile');
+      }
+
+      reloadResults();
+    } catch (err) {
+      console.error('Risk profile change failed:', err);
+      alert('Failed to apply risk profile. Please try again.');
+    } finally {
+      setIsRescoring(false);
+    }
+  };
+
   const handleAnalyze = async () => {
     if (!phase2Data?.jobId) return;
     
@@ -766,13 +897,8 @@ const applySavedFilter = async (filterName) => {
 
       const result = await response.json();
       
-      // Refresh the data to show analyzed results
-      const resultsResponse = await fetch(`${API_BASE_URL}/api/phase2/results/${phase2Data.jobId}`);
-      if (resultsResponse.ok) {
-        const updatedResults = await resultsResponse.json();
-        setPhase2Data(updatedResults);
-        setFilteredItems(updatedResults.items || []);
-      }
+      // Refresh the page to show analyzed results
+      reloadResults();
       
       setIsAnalyzed(true);
       alert(`Analysis complete! Updated ${result.updatedCount} items with missing fields.`);
@@ -794,28 +920,27 @@ const handleSaveForPhase3 = async () => {
         return;
     }
     
-    // Use filtered items if available, otherwise use ALL items
-    const itemsToSend = (filteredItems && filteredItems.length > 0) 
-        ? filteredItems 
-        : phase2Data.items;
+    const totalCount = pagination?.total || 0;
+    const matchingCount = pagination?.filteredTotal || 0;
     
     // Ensure we have items to send
-    if (!itemsToSend || itemsToSend.length === 0) {
+    if (totalCount === 0) {
         alert('No items available for Phase 3.');
         return;
     }
     
-    // Convert IDs to strings for consistency
-    const filteredIds = itemsToSend.map(item => String(item.id));
+    // Use the filtered items if any match, otherwise use ALL items; the server applies the filter
+    const isFiltered = Boolean(resultFilter) && matchingCount > 0 && matchingCount < totalCount;
+    const sendCount = isFiltered ? matchingCount : totalCount;
     
     // Determine the filter name (remove reference to undefined activeFilterName)
     const filterName = savedFilters.find(f => f.id === activeFilterId)?.name || 
-                      (itemsToSend.length < phase2Data.items.length ? 'Custom Filter' : 'All Items');
+                      (isFiltered ? 'Custom Filter' : 'All Items');
     
     console.log('Saving for Phase 3:', {
         jobId: phase2Data.jobId,
-        itemCount: filteredIds.length,
-        totalCount: phase2Data.items.length,
+        itemCount: sendCount,
+        totalCount,
         filterName: filterName
     });
     
@@ -824,10 +949,8 @@ const handleSaveForPhase3 = async () => {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                filteredIds: filteredIds,
-                filterName: filterName,  // Fixed: use filterName variable
-                totalFiltered: itemsToSend.length,
-                totalOriginal: phase2Data.items.length
+                filter: isFiltered ? resultFilter : undefined,
+                filterName: filterName  // Fixed: use filterName variable
             })
         });
 
@@ -845,8 +968,8 @@ const handleSaveForPhase3 = async () => {
             setPhase3Ready(true);
             
             // Show appropriate message
-            if (itemsToSend.length < phase2Data.items.length) {
-                alert(`✓ Successfully prepared ${result.itemsForPhase3} filtered items for Phase 3 analysis (from ${phase2Data.items.length} total)\n\nFilter: ${result.filterApplied}`);
+            if (isFiltered) {
+                alert(`✓ Successfully prepared ${result.itemsForPhase3} filtered items for Phase 3 analysis (from ${totalCount} total)\n\nFilter: ${result.filterApplied}`);
             } else {
                 alert(`✓ Successfully prepared all ${result.itemsForPhase3} items for Phase 3 analysis`);
             }
@@ -868,24 +991,24 @@ const handleSaveForPhase3 = async () => {
     }
 };
 
-  // Get unique values for dropdowns
-  const getUniqueValues = (field) => {
-    if (!phase2Data?.items) return [];
-    const values = new Set();
-    phase2Data.items.forEach(item => {
-      if (item[field] && item[field] !== '-') {
-        values.add(item[field]);
-      }
-    });
-    return Array.from(values).sort();
-  };
+  // Dropdown values of a facet with their item counts; blanks are not offered
+  const getFacetValues = (facet) => (facets[facet] || [])
+    .filter(({ value }) => value !== '(blank)')
+    .sort((a, b) => a.value.localeCompare(b.value));
+
+  // Matching items at a risk level, honouring a risk level filter
+  const countAtRiskLevels = (levels) => (facets.risk || [])
+    .filter(({ value }) => levels.includes(value))
+    .filter(({ value }) => filters.risk_level.include.length === 0 || filters.risk_level.include.includes(value))
+    .filter(({ value }) => !filters.risk_level.exclude.includes(value))
+    .reduce((total, { count }) => total + count, 0);
 
   // Pagination Controls Component (reusable for top and bottom)
   const PaginationControls = () => (
     <div className="flex items-center justify-between p-4 bg-gray-50">
       <div className="flex items-center gap-4">
         <span className="text-sm text-gray-600">
-          Showing {((currentPage - 1) * itemsPerPage) + 1} to {Math.min(currentPage * itemsPerPage, filteredItems.length)} of {filteredItems.length} items
+          Showing {filteredTotal > 0 ? ((currentPage - 1) * itemsPerPage) + 1 : 0} to {Math.min(currentPage * itemsPerPage, filteredTotal)} of {filteredTotal} items
         </span>
         <select
           value={itemsPerPage}
@@ -945,12 +1068,10 @@ const handleSaveForPhase3 = async () => {
     </div>
   );
 
-  // Pagination calculations - MUST be defined before any use
-  const paginatedItems = filteredItems.slice(
-    (currentPage - 1) * itemsPerPage,
-    currentPage * itemsPerPage
-  );
-  const totalPages = Math.ceil(filteredItems.length / itemsPerPage) || 1;
+  // Pagination from the server - MUST be defined before any use
+  const paginatedItems = pageItems;
+  const filteredTotal = pagination?.filteredTotal || 0;
+  const totalPages = pagination?.totalPages || 1;
 
   // Update selectAll state when selections change - MUST be after paginatedItems
   useEffect(() => {
@@ -983,11 +1104,13 @@ const handleSaveForPhase3 = async () => {
   };
 
   // Risk Badge Component
-  const RiskBadge = ({ level }) => {
+  const RiskBadge = ({ level, explanation }) => {
     const styles = {
+      critical: { bg: '#DC2626', text: '#FFFFFF', border: '#B91C1C' },
       high: { bg: '#FEE2E2', text: '#DC2626', border: '#F87171' },
       medium: { bg: '#FEF3C7', text: '#D97706', border: '#FCD34D' },
-      low: { bg: '#D1FAE5', text: '#059669', border: '#6EE7B7' }
+      low: { bg: '#D1FAE5', text: '#059669', border: '#6EE7B7' },
+      none: { bg: '#F3F4F6', text: '#6B7280', border: '#D1D5DB' }
     };
     
     const style = styles[level] || styles.low;
@@ -1000,8 +1123,9 @@ const handleSaveForPhase3 = async () => {
           color: style.text,
           border: `1px solid ${style.border}`
         }}
+        title={explanation || 'No risk factors'}
       >
-        {level === 'high' && <AlertTriangle size={12} className="mr-1" />}
+        {(level === 'critical' || level === 'high') && <AlertTriangle size={12} className="mr-1" />}
         {level}
       </span>
     );
@@ -1011,6 +1135,10 @@ const handleSaveForPhase3 = async () => {
   const EditableCell = ({ item, field, value, type = 'text' }) => {
     const isEditing = editingCell?.itemId === item.id && editingCell?.field === field;
     const isModified = modifiedItems.has(item.id) && item.last_modified;
+    const error = cellError?.itemId === item.id && cellError?.field === field ? cellError.message : null;
+    const inputStyle = error
+      ? { borderColor: '#DC2626', backgroundColor: '#FEF2F2' }
+      : { borderColor: '#008080', backgroundColor: '#F0FDFA' };
     
     if (isEditing) {
       return (
@@ -1026,7 +1154,8 @@ const handleSaveForPhase3 = async () => {
                   if (e.key === 'Escape') handleCellEdit(item.id, field, editValue, false);
                 }}
                 className="flex-1 px-2 py-1 border-2 rounded text-sm"
-                style={{ borderColor: '#008080', backgroundColor: '#F0FDFA' }}
+                style={inputStyle}
+                title={error || undefined}
                 autoFocus
               />
             ) : (
@@ -1039,7 +1168,8 @@ const handleSaveForPhase3 = async () => {
                   if (e.key === 'Escape') handleCellEdit(item.id, field, editValue, false);
                 }}
                 className="flex-1 px-2 py-1 border-2 rounded text-sm"
-                style={{ borderColor: '#008080', backgroundColor: '#F0FDFA' }}
+                style={inputStyle}
+                title={error || undefined}
                 autoFocus
               />
             )}
@@ -1058,6 +1188,9 @@ const handleSaveForPhase3 = async () => {
               <X size={14} className="text-red-600" />
             </button>
           </div>
+          {error && (
+            <p className="mt-1 text-xs text-red-600">{error}</p>
+          )}
         </div>
       );
     }
@@ -1067,6 +1200,7 @@ const handleSaveForPhase3 = async () => {
         className="relative cursor-pointer hover:bg-gray-50 px-2 py-1 rounded group"
         onClick={() => {
           setEditingCell({ itemId: item.id, field });
+          setCellError(null);
           setEditValue(value || '');
           setOriginalValue(value || '');
         }}
@@ -1195,7 +1329,7 @@ const handleSaveForPhase3 = async () => {
             Filtered Items
           </div>
           <div className="text-2xl font-bold" style={{ color: '#008080' }}>
-            {filteredItems.length}
+            {filteredTotal}
           </div>
         </div>
         
@@ -1204,7 +1338,7 @@ const handleSaveForPhase3 = async () => {
             High Risk
           </div>
           <div className="text-2xl font-bold" style={{ color: '#DC2626' }}>
-            {filteredItems.filter(item => item.risk_level === 'high').length}
+            {countAtRiskLevels(['critical', 'high'])}
           </div>
         </div>
         
@@ -1329,8 +1463,9 @@ const handleSaveForPhase3 = async () => {
                 console.log('Filters:', JSON.stringify(filters, null, 2));
                 console.log('Selection Mode:', selectionFilterMode);
                 console.log('Selected Rows:', selectedRows.size, 'items');
-                console.log('Total Items:', phase2Data?.items?.length);
-                console.log('Filtered Items:', filteredItems.length);
+                console.log('Total Items:', pagination?.total);
+                console.log('Filtered Items:', filteredTotal);
+                console.log('Server Filter:', resultFilter || '(none)');
                 
                 // Check what's actually filtering
                 const hasActiveFilters = 
@@ -1493,8 +1628,71 @@ const handleSaveForPhase3 = async () => {
               style={{ borderColor: '#E5E7EB' }}
             >
               <option value="">Add filter...</option>
-              {getUniqueValues('type').map(type => (
-                <option key={type} value={type}>{type}</option>
+              {getFacetValues('type').map(({ value, count }) => (
+                <option key={value} value={value}>{value} ({count})</option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-xs font-bold uppercase mb-1" style={{ color: '#002D62' }}>
+              Category
+            </label>
+            <select
+              onChange={(e) => {
+                if (e.target.value) {
+                  addToFilter('category', e.target.value, 'include');
+                  e.target.value = '';
+                }
+              }}
+              className="w-full p-2 border rounded text-sm"
+              style={{ borderColor: '#E5E7EB' }}
+            >
+              <option value="">Add filter...</option>
+              {getFacetValues('category').map(({ value, count }) => (
+                <option key={value} value={value}>{value} ({count})</option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-xs font-bold uppercase mb-1" style={{ color: '#002D62' }}>
+              Manufacturer
+            </label>
+            <select
+              onChange={(e) => {
+                if (e.target.value) {
+                  addToFilter('mfg', e.target.value, 'include');
+                  e.target.value = '';
+                }
+              }}
+              className="w-full p-2 border rounded text-sm"
+              style={{ borderColor: '#E5E7EB' }}
+            >
+              <option value="">Add filter...</option>
+              {getFacetValues('manufacturer').map(({ value, count }) => (
+                <option key={value} value={value}>{value} ({count})</option>
+              ))}
+            </select>
+          </div>
+          
+          <div>
+            <label className="block text-xs font-bold uppercase mb-1" style={{ color: '#002D62' }}>
+              Support Status
+            </label>
+            <select
+              onChange={(e) => {
+                if (e.target.value) {
+                  addToFilter('support_status', e.target.value, 'include');
+                  e.target.value = '';
+                }
+              }}
+              className="w-full p-2 border rounded text-sm"
+              style={{ borderColor: '#E5E7EB' }}
+            >
+              <option value="">Add filter...</option>
+              {getFacetValues('status').map(({ value, count }) => (
+                <option key={value} value={value}>{value} ({count})</option>
               ))}
             </select>
           </div>
@@ -1504,14 +1702,14 @@ const handleSaveForPhase3 = async () => {
               Risk Level
             </label>
             <div className="flex gap-2">
-              {['high', 'medium', 'low'].map(level => (
+              {['critical', 'high', 'medium', 'low', 'none'].map(level => (
                 <button
                   key={level}
                   onClick={() => addToFilter('risk_level', level, 'include')}
                   className="px-2 py-1 border rounded text-xs capitalize hover:bg-gray-50"
                   style={{ borderColor: '#E5E7EB' }}
                 >
-                  {level}
+                  {level} ({(facets.risk || []).find(entry => entry.value === level)?.count || 0})
                 </button>
               ))}
             </div>
@@ -1558,13 +1756,13 @@ const handleSaveForPhase3 = async () => {
         <div className="p-4 border-b" style={{ borderColor: '#E5E7EB' }}>
           <div className="flex items-center justify-between mb-2">
             <h3 className="text-sm font-bold uppercase" style={{ color: '#002D62' }}>
-              Enhanced Inventory ({filteredItems.length} items) - This filtered data will be used for Phase 2 analysis
+              Enhanced Inventory ({filteredTotal} items) - This filtered data will be used for Phase 2 analysis
             </h3>
           </div>
           
           <div className="flex items-center justify-between">
-            {/* Analyze button on the left */}
-            <div>
+            {/* Analyze button and risk profile on the left */}
+            <div className="flex items-center gap-3">
               {!isAnalyzed ? (
                 <button
                   onClick={handleAnalyze}
@@ -1594,10 +1792,66 @@ const handleSaveForPhase3 = async () => {
                   {phase3Ready ? 'Phase 3 Ready ✓' : 'Ready Phase 3'}
                 </button>
               )}
+              {riskProfiles.length > 0 && (
+                <label className="flex items-center gap-2 text-xs font-bold uppercase" style={{ color: '#002D62' }}>
+                  Risk Profile
+                  <select
+                    value={phase2Data.riskProfile ? `${phase2Data.riskProfile.name}@${phase2Data.riskProfile.version}` : ''}
+                    onChange={(e) => handleRiskProfileChange(e.target.value)}
+                    disabled={isRescoring}
+                    className="px-2 py-1 border rounded text-sm font-normal normal-case"
+                    style={{ borderColor: '#E5E7EB' }}
+                  >
+                    {!phase2Data.riskProfile && <option value="">Default</option>}
+                    {riskProfiles.map(profile => (
+                      <option key={`${profile.name}@${profile.version}`} value={`${profile.name}@${profile.version}`}>
+                        {profile.name} v{profile.version}{profile.is_default ? ' (default)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              )}
             </div>
             
-            {/* Export button on the right */}
-            <div>
+            {/* Undo, redo, history and export buttons on the right */}
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => handleHistoryAction('undo')}
+                disabled={!phase2Data.canUndo || isApplyingHistory}
+                className="flex items-center gap-2 px-3 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+                style={{ borderColor: '#E5E7EB' }}
+                title="Undo the last edit or bulk edit"
+              >
+                <Undo2 size={16} />
+                Undo
+              </button>
+              <button
+                onClick={() => handleHistoryAction('redo')}
+                disabled={!phase2Data.canRedo || isApplyingHistory}
+                className="flex items-center gap-2 px-3 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+                style={{ borderColor: '#E5E7EB' }}
+                title="Redo the last undone change"
+              >
+                <Redo2 size={16} />
+                Redo
+              </button>
+              <button
+                onClick={() => setBulkEdit({ filter: '', field: BULK_EDIT_FIELDS[0].field, value: '', preview: null, error: null, isWorking: false })}
+                className="flex items-center gap-2 px-3 py-2 border rounded hover:bg-gray-50"
+                style={{ borderColor: '#E5E7EB' }}
+                title="Set a field on every item matching a rule"
+              >
+                <Wand2 size={16} />
+                Bulk Edit
+              </button>
+              <button
+                onClick={() => openHistory(null)}
+                className="flex items-center gap-2 px-3 py-2 border rounded hover:bg-gray-50"
+                style={{ borderColor: '#E5E7EB' }}
+              >
+                <History size={16} />
+                History
+              </button>
               <button
                 onClick={() => handleExport('filtered')}
                 className="flex items-center gap-2 px-3 py-2 border rounded hover:bg-gray-50"
@@ -1665,6 +1919,20 @@ const handleSaveForPhase3 = async () => {
                 >
                   Description {sortBy === 'description' && (sortOrder === 'asc' ? '↑' : '↓')}
                 </th>
+                <th 
+                  className="px-4 py-3 text-left text-xs font-bold uppercase cursor-pointer hover:bg-gray-100"
+                  style={{ color: '#002D62' }}
+                  onClick={() => handleSort('serial_number')}
+                >
+                  Serial {sortBy === 'serial_number' && (sortOrder === 'asc' ? '↑' : '↓')}
+                </th>
+                <th 
+                  className="px-4 py-3 text-left text-xs font-bold uppercase cursor-pointer hover:bg-gray-100"
+                  style={{ color: '#002D62' }}
+                  onClick={() => handleSort('site')}
+                >
+                  Site {sortBy === 'site' && (sortOrder === 'asc' ? '↑' : '↓')}
+                </th>
                 <th 
                   className="px-4 py-3 text-left text-xs font-bold uppercase cursor-pointer hover:bg-gray-100"
                   style={{ color: '#002D62' }}
@@ -1702,15 +1970,24 @@ const handleSaveForPhase3 = async () => {
                     style={{ borderColor: '#E5E7EB' }}
                   >
                     <td className="px-4 py-3">
-                      <button onClick={() => toggleRowSelection(item.id)} className="hover:opacity-70">
-                        {isItemSelected ? 
-                          <CheckSquare size={18} style={{ color: '#008080' }} /> : 
-                          <Square size={18} style={{ color: '#6B7280' }} />
-                        }
-                      </button>
+                      <div className="flex items-center gap-2">
+                        <button onClick={() => toggleRowSelection(item.id)} className="hover:opacity-70">
+                          {isItemSelected ? 
+                            <CheckSquare size={18} style={{ color: '#008080' }} /> : 
+                            <Square size={18} style={{ color: '#6B7280' }} />
+                          }
+                        </button>
+                        <button
+                          onClick={() => openHistory(item.id)}
+                          className="hover:opacity-70"
+                          title="Change history"
+                        >
+                          <History size={14} style={{ color: modifiedItems.has(item.id) ? '#008080' : '#9CA3AF' }} />
+                        </button>
+                      </div>
                     </td>
                   <td className="px-4 py-3">
-                    <RiskBadge level={item.risk_level} />
+                    <RiskBadge level={item.risk_level} explanation={item.risk_explanation} />
                   </td>
                   <td className="px-4 py-3">
                     <EditableCell item={item} field="mfg" value={item.mfg} />
@@ -1743,27 +2020,31 @@ const handleSaveForPhase3 = async () => {
                   <td className="px-4 py-3">
                     <EditableCell item={item} field="description" value={item.description} />
                   </td>
+                  <td className="px-4 py-3">
+                    <EditableCell item={item} field="serial_number" value={item.serial_number} />
+                  </td>
+                  <td className="px-4 py-3" title={[item.location, item.hostname, item.ip_address].filter(value => value && value !== '-').join(' · ') || undefined}>
+                    <EditableCell item={item} field="site" value={item.site} />
+                  </td>
                   <td className="px-4 py-3">
                     <EditableCell item={item} field="qty" value={item.qty} type="number" />
                   </td>
                   <td className="px-4 py-3">
-                    <div 
-                      className="cursor-pointer hover:bg-gray-50 px-2 py-1 rounded inline-block"
-                      onClick={() => {
-                        const newValue = item.support_coverage === 'Active' ? 'Expired' : 'Active';
-                        handleCellEdit(item.id, 'support_coverage', newValue);
-                      }}
+                    <select
+                      value={item.support_coverage || 'Unknown'}
+                      onChange={(e) => handleCellEdit(item.id, 'support_coverage', e.target.value)}
+                      className={`px-2 py-1 rounded text-xs font-bold border-0 cursor-pointer ${
+                        SUPPORT_COVERAGE_STYLES[item.support_coverage] || 'bg-gray-100 text-gray-700'
+                      }`}
+                      title={item.contract_end && item.contract_end !== '-' ? `Contract ends ${item.contract_end}` : undefined}
                     >
-                      <span 
-                        className={`px-2 py-1 rounded text-xs font-bold ${
-                          item.support_coverage === 'Active' 
-                            ? 'bg-green-100 text-green-700' 
-                            : 'bg-red-100 text-red-700'
-                        }`}
-                      >
-                        {item.support_coverage}
-                      </span>
-                    </div>
+                      {SUPPORT_COVERAGE_STATES.map(state => (
+                        <option key={state} value={state}>{state}</option>
+                      ))}
+                    </select>
+                    {cellError?.itemId === item.id && cellError?.field === 'support_coverage' && (
+                      <p className="mt-1 text-xs text-red-600">{cellError.message}</p>
+                    )}
                   </td>
                   <td className="px-4 py-3">
                     <EditableCell item={item} field="end_of_sale" value={item.end_of_sale} type="date" />
@@ -1805,6 +2086,183 @@ const handleSaveForPhase3 = async () => {
         <PaginationControls />
       </section>
 
+      {/* Change History Panel */}
+      {historyPanel && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[80vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>
+                {historyPanel.itemId !== null
+                  ? `Change History - ${pageItems.find(item => item.id === historyPanel.itemId)?.product_id || historyPanel.itemId}`
+                  : 'Change History - All Items'}
+              </h3>
+              <button onClick={() => setHistoryPanel(null)} className="p-1 hover:bg-gray-100 rounded">
+                <X size={18} />
+              </button>
+            </div>
+
+            <div className="overflow-y-auto flex-1">
+              {historyPanel.isLoading ? (
+                <div className="p-6 text-center text-sm text-gray-500">Loading history...</div>
+              ) : historyPanel.entries.length === 0 ? (
+                <div className="p-6 text-center text-sm text-gray-500">No changes recorded yet</div>
+              ) : (
+                <ul className="divide-y" style={{ borderColor: '#E5E7EB' }}>
+                  {historyPanel.entries.map(entry => (
+                    <li key={entry.position} className={`py-3 ${entry.undone ? 'opacity-50' : ''}`}>
+                      <div className="flex items-center justify-between gap-4">
+                        <div className="text-xs text-gray-500">
+                          <span className="font-bold" style={{ color: '#002D62' }}>
+                            {HISTORY_ACTION_LABELS[entry.action] || entry.action}
+                          </span>
+                          {' by '}{entry.user || 'unknown'}
+                          {' · '}{entry.timestamp ? new Date(entry.timestamp).toLocaleString() : '-'}
+                          {historyPanel.itemId === null && <> · item {entry.itemId}</>}
+                          {entry.description && <div className="italic">{entry.description}</div>}
+                          {entry.undone && <span className="ml-2 px-1 rounded bg-gray-200 text-gray-700">Undone</span>}
+                        </div>
+                        <button
+                          onClick={() => handleRevert(entry)}
+                          disabled={isApplyingHistory}
+                          className="text-xs px-2 py-1 border rounded hover:bg-gray-50 disabled:opacity-50 whitespace-nowrap"
+                          style={{ borderColor: '#E5E7EB' }}
+                          title="Roll back this change and every later one"
+                        >
+                          Revert to before
+                        </button>
+                      </div>
+                      <div className="mt-1 space-y-0.5">
+                        {(entry.inserted || entry.removed) && (
+                          <div className={`text-sm ${entry.inserted ? 'text-green-700' : 'text-red-600'}`}>
+                            {entry.inserted ? 'Item added' : 'Item removed'}: {(entry.inserted || entry.removed).product_id || '-'}
+                          </div>
+                        )}
+                        {Object.keys(entry.updates || {}).map(field => (
+                          <div key={field} className="text-sm">
+                            <span className="font-medium">{field}</span>:{' '}
+                            <span className="text-red-600 line-through">{formatHistoryValue(entry.previousValues?.[field])}</span>
+                            {' → '}
+                            <span className="text-green-700">{formatHistoryValue(entry.updates[field])}</span>
+                          </div>
+                        ))}
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Edit Dialog */}
+      {bulkEdit && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-2xl max-h-[80vh] flex flex-col">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-bold" style={{ color: '#002D62' }}>
+                Bulk Edit
+              </h3>
+              <button onClick={() => setBulkEdit(null)} className="p-1 hover:bg-gray-100 rounded">
+                <X size={18} />
+              </button>
+            </div>
+
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium mb-1" style={{ color: '#002D62' }}>
+                  Items where
+                </label>
+                <input
+                  type="text"
+                  value={bulkEdit.filter}
+                  onChange={(e) => setBulkEdit(prev => ({ ...prev, filter: e.target.value, preview: null }))}
+                  className="w-full px-3 py-2 border rounded font-mono text-sm"
+                  style={{ borderColor: '#E5E7EB' }}
+                  placeholder="product_id:starts:AIR-;description:contains:MR"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  field:op:value, several joined with ; - ops: eq, ne, in, nin, contains, starts, gt, gte, lt, lte, empty, notempty
+                </p>
+              </div>
+
+              <div className="flex gap-2">
+                <div className="w-1/3">
+                  <label className="block text-sm font-medium mb-1" style={{ color: '#002D62' }}>
+                    Set
+                  </label>
+                  <select
+                    value={bulkEdit.field}
+                    onChange={(e) => setBulkEdit(prev => ({ ...prev, field: e.target.value, preview: null, error: null }))}
+                    className="w-full px-3 py-2 border rounded"
+                    style={{ borderColor: '#E5E7EB' }}
+                  >
+                    {BULK_EDIT_FIELDS.map(option => (
+                      <option key={option.field} value={option.field}>{option.label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex-1">
+                  <label className="block text-sm font-medium mb-1" style={{ color: '#002D62' }}>
+                    To
+                  </label>
+                  <input
+                    type="text"
+                    value={bulkEdit.value}
+                    onChange={(e) => setBulkEdit(prev => ({ ...prev, value: e.target.value, preview: null, error: null }))}
+                    className="w-full px-3 py-2 border rounded"
+                    style={{ borderColor: bulkEdit.error ? '#DC2626' : '#E5E7EB' }}
+                    placeholder="e.g., Networking - Wireless"
+                  />
+                  {bulkEdit.error && (
+                    <p className="mt-1 text-xs text-red-600">{bulkEdit.error}</p>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {bulkEdit.preview && (
+              <div className="mt-4 overflow-y-auto flex-1 border rounded" style={{ borderColor: '#E5E7EB' }}>
+                <div className="px-3 py-2 text-sm bg-gray-50 border-b" style={{ borderColor: '#E5E7EB' }}>
+                  <span className="font-bold">{bulkEdit.preview.affected}</span> of {bulkEdit.preview.matched} matching items will change
+                  {bulkEdit.preview.sample.length < bulkEdit.preview.affected && ` (first ${bulkEdit.preview.sample.length} shown)`}
+                </div>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {bulkEdit.preview.sample.map(row => (
+                      <tr key={row.id} className="border-b" style={{ borderColor: '#E5E7EB' }}>
+                        <td className="px-3 py-1 font-medium">{row.product_id}</td>
+                        <td className="px-3 py-1 text-red-600 line-through">{formatHistoryValue(row.before[bulkEdit.field])}</td>
+                        <td className="px-3 py-1 text-green-700">{formatHistoryValue(row.after[bulkEdit.field])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            <div className="flex justify-end gap-2 mt-6">
+              <button
+                onClick={() => runBulkEdit(true)}
+                disabled={!bulkEdit.filter.trim() || bulkEdit.isWorking}
+                className="px-4 py-2 border rounded hover:bg-gray-50 disabled:opacity-50"
+                style={{ borderColor: '#E5E7EB' }}
+              >
+                Preview
+              </button>
+              <button
+                onClick={() => runBulkEdit(false)}
+                disabled={!bulkEdit.preview || bulkEdit.preview.affected === 0 || bulkEdit.isWorking}
+                className="px-4 py-2 text-white rounded hover:opacity-90 disabled:opacity-50"
+                style={{ backgroundColor: '#008080' }}
+              >
+                Apply to {bulkEdit.preview ? bulkEdit.preview.affected : 0} items
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Save Filter Dialog */}
       {showSaveFilterDialog && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -14,17 +14,34 @@ import "../styles/phase3.css";
 
 const API_BASE_URL = '';
 
+// Facets counted with every page (RESULT_FACETS in backend/src/controllers/phase3Controller.js)
+const RESULT_FACETS = 'category,manufacturer,risk,status';
+
+const PAGE_SIZE = 100;
+
+// Risk levels, most severe first, for the risk filter
+const RISK_LEVELS = ['critical', 'high', 'medium', 'low', 'none'];
+
+// ';' separates filter expressions and '|' the values of one
+const queryValue = (value) => String(value).replace(/[;|]/g, ' ').trim();
+
 const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onResearchComplete, onPhase3Initialize }) => {
   // ============= EXISTING STATE MANAGEMENT =============
   const [phase3JobId, setPhase3JobId] = useState(null);
   const [job, setJob] = useState(null);
+  // The server filters, sorts and pages the products; only the current page is held here
   const [products, setProducts] = useState([]);
-  const [filteredProducts, setFilteredProducts] = useState([]);
+  const [pagination, setPagination] = useState(null); // { page, pageSize, total, filteredTotal, totalPages }
+  const [facets, setFacets] = useState({}); // { facet: [{ value, count }] } for the filter dropdowns
+  const [currentPage, setCurrentPage] = useState(1);
+  const [reloadKey, setReloadKey] = useState(0);
   const [loading, setLoading] = useState(false);
   const [initializing, setInitializing] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [filterStatus, setFilterStatus] = useState('all');
   const [filterRisk, setFilterRisk] = useState('all');
+  const [filterManufacturer, setFilterManufacturer] = useState('all');
+  const [filterCategory, setFilterCategory] = useState('all');
   const [sortBy, setSortBy] = useState('total_quantity');
   const [sortOrder, setSortOrder] = useState('desc');
   const [expandedProducts, setExpandedProducts] = useState(new Set());
@@ -85,17 +102,82 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
     }
   }, [isActive, phase2JobId]);
 
-  // Fetch results when Phase 3 job is created
+  // Results query filter (field:op:value;...) for the filter dropdowns
+  const resultFilter = [
+    ['status', filterStatus],
+    ['risk', filterRisk],
+    ['manufacturer', filterManufacturer],
+    ['category', filterCategory]
+  ]
+    .filter(([, value]) => value !== 'all')
+    .map(([facet, value]) => `${facet}:eq:${queryValue(value)}`)
+    .join(';');
+
+  // Fetch the current page with its totals and facet counts when the Phase 3
+  // job is created, the filters, sort or page change, or fetchResults asks
   useEffect(() => {
-    if (phase3JobId) {
-      fetchResults();
-    }
-  }, [phase3JobId]);
+    if (!phase3JobId) return undefined;
+    let cancelled = false;
+
+    const params = new URLSearchParams({
+      sort: `${sortBy}:${sortOrder}`,
+      page: String(currentPage),
+      pageSize: String(PAGE_SIZE),
+      facets: RESULT_FACETS
+    });
+    if (resultFilter) params.append('filter', resultFilter);
+    if (searchTerm.trim()) params.append('search', searchTerm.trim());
 
-  // Apply filters when data or filters change
+    setLoading(true);
+    fetch(`${API_BASE_URL}/api/phase3/results/${phase3JobId}?${params.toString()}`)
+      .then(async response => {
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || 'Failed to get results');
+        }
+        if (cancelled) return;
+
+        setJob(data.job);
+        setProducts(data.products || []);
+        setPagination(data.pagination);
+        setFacets(data.facets || {});
+        // A page past the end after the matching products shrank
+        if (currentPage > data.pagination.totalPages) {
+          setCurrentPage(data.pagination.totalPages);
+        }
+
+        // Stats cover every product of the job, not just this page
+        const jobStats = data.stats || {};
+        setStats(prev => ({
+          ...prev,
+          totalProducts: jobStats.totalProducts || 0,
+          aiEnhanced: jobStats.aiEnhanced || 0,
+          currentProducts: jobStats.currentProducts || 0,
+          avgConfidence: jobStats.avgConfidence || 0,
+          highRiskCount: jobStats.highRiskCount || 0,
+          criticalRiskCount: jobStats.criticalRiskCount || 0,
+          withDates: jobStats.datesFound || 0,
+          filteredCount: data.job?.filtered_count || jobStats.totalProducts || 0,
+          originalCount: data.job?.original_count || jobStats.totalProducts || 0
+        }));
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error('Error fetching results:', error);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [phase3JobId, resultFilter, searchTerm, sortBy, sortOrder, currentPage, reloadKey]);
+
+  // New filters, search or sort start from the first page
   useEffect(() => {
-    filterAndSortProducts();
-  }, [products, searchTerm, filterStatus, filterRisk, sortBy, sortOrder]);
+    setCurrentPage(1);
+  }, [resultFilter, searchTerm, sortBy, sortOrder]);
 
   // Cleanup on unmount
   useEffect(() => {
@@ -164,9 +246,10 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
     
     const checkCompletionStatus = async () => {
       try {
+        // Only the job row and the product total are needed
         const url = API_BASE_URL 
-          ? `${API_BASE_URL}/api/phase3/results/${phase3JobId}`
-          : `/api/phase3/results/${phase3JobId}`;
+          ? `${API_BASE_URL}/api/phase3/results/${phase3JobId}?pageSize=1&facets=`
+          : `/api/phase3/results/${phase3JobId}?pageSize=1&facets=`;
         
         const response = await fetch(url);
         if (response.ok) {
@@ -179,8 +262,8 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
             // Only trigger completion if we haven't already
             if (researchStatus === 'running') {
               handleResearchCompletion({
-                total: data.products?.length || researchProgress.total,
-                processed: data.products?.length || researchProgress.processed,
+                total: data.pagination?.total || researchProgress.total,
+                processed: data.pagination?.total || researchProgress.processed,
                 successful: data.job.successful_products || researchProgress.successful,
                 failed: data.job.failed_products || researchProgress.failed,
                 datesFound: data.job.dates_found || researchProgress.datesFound,
@@ -251,47 +334,10 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
   };
 
   // ============= DATA FETCHING FUNCTIONS =============
-  const fetchResults = async () => {
+  // Fetch the current page again; callable from the SSE handlers' closures
+  const fetchResults = () => {
     if (!phase3JobId) return;
-    
-    setLoading(true);
-    try {
-      const response = await fetch(`${API_BASE_URL}/api/phase3/results/${phase3JobId}`);
-      const data = await response.json();
-      
-      if (response.ok) {
-        setJob(data.job);
-        setProducts(data.products || []);
-        
-        // Calculate stats
-        const products = data.products || [];
-        const newStats = {
-          totalProducts: products.length,
-          aiEnhanced: products.filter(p => p.ai_enhanced).length,
-          currentProducts: products.filter(p => p.lifecycle_status === 'Current').length,
-          avgConfidence: products.length > 0 
-            ? Math.round(products.reduce((sum, p) => sum + (p.overall_confidence || 0), 0) / products.length)
-            : 0,
-          highRiskCount: products.filter(p => p.risk_level === 'high').length,
-          criticalRiskCount: products.filter(p => p.risk_level === 'critical').length,
-          requiresReview: products.filter(p => p.requires_review).length,
-          withDates: products.filter(p => 
-            p.end_of_sale_date || p.last_day_of_support_date || p.end_of_sw_maintenance_date
-          ).length,
-          withAllDates: products.filter(p => 
-            p.end_of_sale_date && p.last_day_of_support_date
-          ).length,
-          filteredCount: data.job?.filtered_count || products.length,
-          originalCount: data.job?.original_count || products.length
-        };
-        
-        setStats(newStats);
-      }
-    } catch (error) {
-      console.error('Error fetching results:', error);
-    } finally {
-      setLoading(false);
-    }
+    setReloadKey(key => key + 1);
   };
 
   // ============= AI RESEARCH FUNCTIONS =============
@@ -770,47 +816,12 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
   };
 
   // ============= FILTERING AND SORTING FUNCTIONS =============
-  const filterAndSortProducts = () => {
-    let filtered = [...products];
-
-    // Apply search filter
-    if (searchTerm) {
-      const search = searchTerm.toLowerCase();
-      filtered = filtered.filter(p => 
-        p.product_id?.toLowerCase().includes(search) ||
-        p.description?.toLowerCase().includes(search) ||
-        p.manufacturer?.toLowerCase().includes(search) ||
-        p.product_category?.toLowerCase().includes(search)
-      );
-    }
-
-    // Apply lifecycle status filter
-    if (filterStatus !== 'all') {
-      filtered = filtered.filter(p => p.lifecycle_status === filterStatus);
-    }
-
-    // Apply risk level filter
-    if (filterRisk !== 'all') {
-      filtered = filtered.filter(p => p.risk_level === filterRisk);
-    }
+  // Dropdown values of a facet with their product counts; blanks are not offered
+  const getFacetValues = (facet) => (facets[facet] || [])
+    .filter(({ value }) => value !== '(blank)')
+    .sort((a, b) => a.value.localeCompare(b.value));
 
-    // Sort
-    filtered.sort((a, b) => {
-      let aValue = a[sortBy] || '';
-      let bValue = b[sortBy] || '';
-      
-      if (typeof aValue === 'string') aValue = aValue.toLowerCase();
-      if (typeof bValue === 'string') bValue = bValue.toLowerCase();
-      
-      if (sortOrder === 'asc') {
-        return aValue > bValue ? 1 : -1;
-      } else {
-        return aValue < bValue ? 1 : -1;
-      }
-    });
-
-    setFilteredProducts(filtered);
-  };
+  const facetCount = (facet, value) => (facets[facet] || []).find(entry => entry.value === value)?.count || 0;
 
   // ============= UTILITY FUNCTIONS =============
   const formatDate = (date) => {
@@ -1016,6 +1027,11 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
                   <div className="text-sm text-gray-500">
                     {product.description || '-'}
                   </div>
+                  {product.successors && product.successors.length > 0 && (
+                    <div className="text-xs mt-1" style={{ color: '#008080' }}>
+                      Replace with {product.successors.map(s => s.successor_product_id).join(' + ')}
+                    </div>
+                  )}
                   {isBeingResearched && (
                     <div className="text-xs text-yellow-600 mt-1 animate-pulse">
                       Researching...
@@ -1040,7 +1056,10 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
             </span>
           </td>
           <td className="px-4 py-4 text-center">
-            <span className={`px-2 py-1 text-xs rounded-full border ${getRiskLevelColor(product.risk_level)}`}>
+            <span
+              className={`px-2 py-1 text-xs rounded-full border ${getRiskLevelColor(product.risk_level)}`}
+              title={product.risk_explanation || 'No risk factors'}
+            >
               {product.risk_level || 'none'}
             </span>
           </td>
@@ -1098,6 +1117,17 @@ const Phase3Results = ({ phase2JobId, isActive, customerName, onComplete, onRese
                       <span className="text-gray-500">Is Current:</span>
                       <span>{product.is_current_product ? 'Yes' : 'No'}</span>
                     </div>
+                    {product.successors && product.successors.map(successor => (
+                      <div key={successor.successor_product_id}>
+                        <div className="flex justify-between">
+                          <span className="text-gray-500">Replace With:</span>
+                          <span>{successor.successor_product_id} × {successor.estimated_quantity}</span>
+                        </div>
+                        {successor.notes && (
+                          <div className="text-xs text-gray-500">{successor.notes}</div>
+                        )}
+                      </div>
+                    ))}
                   </div>
                 </div>
 
@@ -1330,7 +1360,7 @@ const CacheStatsDisplay = () => {
             {researchStatus === 'idle' && (
             <button
               onClick={runAIResearch}
-              disabled={loading || products.length === 0}
+              disabled={loading || stats.totalProducts === 0}
               className="px-6 py-3 text-white rounded-lg font-medium hover:opacity-90 
                       disabled:opacity-50 disabled:cursor-not-allowed 
                       flex items-center space-x-2 transition-all transform hover:scale-105 shadow-lg"
@@ -1376,7 +1406,7 @@ const CacheStatsDisplay = () => {
 
             <button
               onClick={exportToExcel}
-              disabled={products.length === 0}
+              disabled={stats.totalProducts === 0}
               className="px-4 py-2 text-white rounded-lg hover:opacity-90 disabled:opacity-50 flex items-center space-x-2 transition-all"
               style={{ backgroundColor: '#008080' }}
             >
@@ -1409,11 +1439,9 @@ const CacheStatsDisplay = () => {
             className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
           >
             <option value="all">All Status</option>
-            <option value="Current">Current</option>
-            <option value="End of Sale">End of Sale</option>
-            <option value="End of Support">End of Support</option>
-            <option value="End of Life">End of Life</option>
-            <option value="Unknown">Unknown</option>
+            {getFacetValues('status').map(({ value, count }) => (
+              <option key={value} value={value}>{value} ({count})</option>
+            ))}
           </select>
 
           <select
@@ -1422,11 +1450,33 @@ const CacheStatsDisplay = () => {
             className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
           >
             <option value="all">All Risk Levels</option>
-            <option value="critical">Critical</option>
-            <option value="high">High</option>
-            <option value="medium">Medium</option>
-            <option value="low">Low</option>
-            <option value="none">None</option>
+            {RISK_LEVELS.map(level => (
+              <option key={level} value={level}>
+                {level.charAt(0).toUpperCase() + level.slice(1)} ({facetCount('risk', level)})
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={filterManufacturer}
+            onChange={(e) => setFilterManufacturer(e.target.value)}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+          >
+            <option value="all">All Manufacturers</option>
+            {getFacetValues('manufacturer').map(({ value, count }) => (
+              <option key={value} value={value}>{value} ({count})</option>
+            ))}
+          </select>
+
+          <select
+            value={filterCategory}
+            onChange={(e) => setFilterCategory(e.target.value)}
+            className="px-4 py-2 border rounded-lg focus:outline-none focus:ring-1 focus:ring-teal-500 focus:border-teal-500"
+          >
+            <option value="all">All Categories</option>
+            {getFacetValues('category').map(({ value, count }) => (
+              <option key={value} value={value}>{value} ({count})</option>
+            ))}
           </select>
 
           <select
@@ -1450,8 +1500,32 @@ const CacheStatsDisplay = () => {
           </button>
         </div>
 
-        <div className="mt-4 text-sm text-gray-600">
-          Showing {filteredProducts.length} of {products.length} products
+        <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+          <span>
+            {pagination && pagination.filteredTotal > 0
+              ? `Showing ${(pagination.page - 1) * pagination.pageSize + 1} to ${Math.min(pagination.page * pagination.pageSize, pagination.filteredTotal)} of ${pagination.filteredTotal} products`
+              : 'Showing 0 products'}
+            {pagination && pagination.filteredTotal !== pagination.total && ` (filtered from ${pagination.total})`}
+          </span>
+          {pagination && pagination.totalPages > 1 && (
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setCurrentPage(page => Math.max(1, page - 1))}
+                disabled={currentPage === 1}
+                className="px-3 py-1 border rounded-lg hover:bg-gray-100 disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <span>Page {currentPage} of {pagination.totalPages}</span>
+              <button
+                onClick={() => setCurrentPage(page => Math.min(pagination.totalPages, page + 1))}
+                disabled={currentPage === pagination.totalPages}
+                className="px-3 py-1 border rounded-lg hover:bg-gray-100 disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          )}
         </div>
       </div>
 
@@ -1509,7 +1583,7 @@ const CacheStatsDisplay = () => {
               </tr>
             </thead>
             <tbody className="bg-white divide-y divide-gray-200">
-              {filteredProducts.map(product => renderEnhancedProductRow(product))}
+              {products.map(product => renderEnhancedProductRow(product))}
             </tbody>
           </table>
         </div>
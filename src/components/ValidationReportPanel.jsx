@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, ChevronDown, ChevronUp, Download } from 'lucide-react';
+
+// Issues shown in the panel; the CSV download has all of them
+const PAGE_SIZE = 100;
+
+const SEVERITY_STYLES = {
+  error: 'bg-red-100 text-red-800',
+  warning: 'bg-yellow-100 text-yellow-800',
+  info: 'bg-blue-100 text-blue-800'
+};
+
+const ValidationReportPanel = ({ jobId, validation }) => {
+  const [isExpanded, setIsExpanded] = useState(false);
+  const [severity, setSeverity] = useState('');
+  const [issues, setIssues] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    if (!isExpanded) return;
+
+    const loadIssues = async () => {
+      setIsLoading(true);
+      setLoadError(null);
+      try {
+        const params = new URLSearchParams({ limit: PAGE_SIZE });
+        if (severity) params.append('severity', severity);
+        const response = await fetch(`/api/phase1/validation/${jobId}?${params}`);
+        if (!response.ok) {
+          throw new Error(`Failed to load validation report: ${response.status}`);
+        }
+        const report = await response.json();
+        setIssues(report.issues);
+        setTotal(report.pagination.total);
+      } catch (error) {
+        console.error('Validation report error:', error);
+        setLoadError(error.message);
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    loadIssues();
+  }, [isExpanded, severity, jobId]);
+
+  if (!validation || validation.total_issues === 0) return null;
+
+  const downloadUrl = `/api/phase1/validation/${jobId}?format=csv${severity ? `&severity=${severity}` : ''}`;
+
+  return (
+    <div className="bg-white rounded-lg p-4 shadow-sm border border-gray-200">
+      <div className="flex items-center justify-between mb-2">
+        <button
+          onClick={() => setIsExpanded(!isExpanded)}
+          className="flex items-center gap-2 text-xs font-bold uppercase"
+          style={{ color: '#002D62' }}
+        >
+          <AlertTriangle size={14} />
+          DATA VALIDATION: {validation.total_issues} ISSUES IN {validation.rows_with_issues} OF {validation.rows_checked} ROWS
+          {isExpanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+        </button>
+        <a
+          href={downloadUrl}
+          className="flex items-center gap-1 text-xs font-medium hover:underline"
+          style={{ color: '#008080' }}
+        >
+          <Download size={14} />
+          Download worklist (CSV)
+        </a>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {validation.by_rule.map(rule => (
+          <span key={rule.rule} className={`text-xs px-2 py-1 rounded ${SEVERITY_STYLES[rule.severity]}`}>
+            {rule.label}: {rule.count}
+          </span>
+        ))}
+      </div>
+
+      {isExpanded && (
+        <div className="mt-4">
+          <div className="flex items-center gap-2 mb-2">
+            <label className="text-xs text-gray-600" htmlFor="validation-severity">Severity</label>
+            <select
+              id="validation-severity"
+              value={severity}
+              onChange={(e) => setSeverity(e.target.value)}
+              className="text-xs border border-gray-300 rounded px-2 py-1"
+            >
+              <option value="">All ({validation.total_issues})</option>
+              {['error', 'warning', 'info'].map(level => (
+                <option key={level} value={level}>
+                  {level.charAt(0).toUpperCase() + level.slice(1)} ({validation.by_severity[level] || 0})
+                </option>
+              ))}
+            </select>
+            {total > issues.length && (
+              <span className="text-xs text-gray-500">
+                Showing the first {issues.length} of {total} - download the CSV for the full list
+              </span>
+            )}
+          </div>
+
+          {loadError && <p className="text-xs text-red-600">{loadError}</p>}
+
+          {isLoading ? (
+            <p className="text-xs text-gray-500">Loading issues...</p>
+          ) : (
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">Row</th>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">Column</th>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">Value</th>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">Severity</th>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">Issue</th>
+                    <th className="px-3 py-2 text-left font-semibold text-gray-700">Suggested</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {issues.map((issue, index) => (
+                    <tr key={`${issue.sheet}-${issue.row}-${issue.rule}-${index}`}>
+                      <td className="px-3 py-2 text-gray-700">
+                        {issue.sheet ? `${issue.sheet}!` : ''}{issue.row}
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{issue.column}</td>
+                      <td className="px-3 py-2 font-mono text-gray-700">{issue.value || <span className="text-gray-400">(empty)</span>}</td>
+                      <td className="px-3 py-2">
+                        <span className={`px-2 py-0.5 rounded-full ${SEVERITY_STYLES[issue.severity]}`}>
+                          {issue.severity}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2 text-gray-700">{issue.message}</td>
+                      <td className="px-3 py-2 text-gray-700">{issue.suggestion || ''}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReportPanel;